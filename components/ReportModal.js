@@ -0,0 +1,143 @@
+// components/ReportModal.js
+
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useEffect, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Modal,
+    ScrollView,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View
+} from 'react-native';
+import Toast from 'react-native-toast-message';
+
+import { functions } from '../firebaseConfig';
+import { useTheme } from '../src/ThemeContext';
+
+const submitReportFunc = functions().httpsCallable('submitReport');
+
+// Keys must match REPORT_REASONS in functions/src/index.ts
+const REPORT_REASONS = [
+    { key: 'scam', label: 'Scam or fraud' },
+    { key: 'prohibited_item', label: 'Prohibited item' },
+    { key: 'harassment', label: 'Harassment or abuse' },
+    { key: 'spam', label: 'Spam' },
+    { key: 'inappropriate', label: 'Inappropriate content' },
+    { key: 'impersonation', label: 'Impersonation' },
+    { key: 'other', label: 'Something else' },
+];
+
+const TARGET_LABELS = { listing: 'Listing', user: 'User', message: 'Message' };
+
+// Shared report flow for listings, users and chat messages.
+// `chatId` is required when `targetType` is 'message'.
+const ReportModal = ({ visible, onClose, targetType, targetId, chatId = null }) => {
+    const { colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => themedStyles(colors, isDarkMode), [colors, isDarkMode]);
+
+    const [reason, setReason] = useState(null);
+    const [details, setDetails] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        if (visible) {
+            setReason(null);
+            setDetails('');
+        }
+    }, [visible]);
+
+    const handleSubmit = async () => {
+        if (!reason) {
+            Toast.show({ type: 'error', text1: 'Choose a reason for your report.' });
+            return;
+        }
+        setSubmitting(true);
+        try {
+            await submitReportFunc({ targetType, targetId, chatId, reason, details: details.trim() });
+            Toast.show({ type: 'success', text1: 'Report submitted', text2: 'Our moderators will review it shortly.', position: 'bottom' });
+            onClose();
+        } catch (error) {
+            console.error("Error submitting report:", error);
+            Toast.show({ type: 'error', text1: 'Report Failed', text2: error.message });
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            <View style={styles.modalOverlay}>
+                <View style={styles.modalContent}>
+                    <Text style={styles.modalTitle}>Report {TARGET_LABELS[targetType] || ''}</Text>
+                    <ScrollView style={styles.reasonList}>
+                        {REPORT_REASONS.map(option => (
+                            <TouchableOpacity key={option.key} style={styles.reasonRow} onPress={() => setReason(option.key)} disabled={submitting}>
+                                <Ionicons
+                                    name={reason === option.key ? 'radio-button-on' : 'radio-button-off'}
+                                    size={22}
+                                    color={reason === option.key ? colors.primaryTeal : colors.textSecondary}
+                                />
+                                <Text style={styles.reasonLabel}>{option.label}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </ScrollView>
+                    <TextInput
+                        style={styles.detailsInput}
+                        value={details}
+                        onChangeText={setDetails}
+                        placeholder="Add details (optional)"
+                        placeholderTextColor={colors.textDisabled}
+                        multiline
+                        maxLength={1000}
+                        editable={!submitting}
+                    />
+                    <View style={styles.actionsRow}>
+                        <TouchableOpacity style={[styles.actionButton, styles.cancelButton]} onPress={onClose} disabled={submitting}>
+                            <Text style={[styles.actionButtonText, styles.cancelButtonText]}>Cancel</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={[styles.actionButton, styles.submitButton]} onPress={handleSubmit} disabled={submitting}>
+                            {submitting ? <ActivityIndicator color={colors.textOnPrimary || '#ffffff'} /> : <Text style={styles.actionButtonText}>Submit Report</Text>}
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const themedStyles = (colors, isDarkMode) => StyleSheet.create({
+    modalOverlay: { flex: 1, backgroundColor: 'rgba(0,0,0,0.5)', justifyContent: 'flex-end' },
+    modalContent: {
+        backgroundColor: colors.surface,
+        borderTopLeftRadius: 16,
+        borderTopRightRadius: 16,
+        borderWidth: isDarkMode ? 1 : 0,
+        borderColor: colors.border,
+        padding: 20,
+        maxHeight: '85%',
+    },
+    modalTitle: { fontSize: 18, fontWeight: 'bold', color: colors.textPrimary, marginBottom: 10 },
+    reasonList: { marginBottom: 10 },
+    reasonRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10 },
+    reasonLabel: { marginLeft: 12, fontSize: 15, color: colors.textPrimary },
+    detailsInput: {
+        minHeight: 80,
+        borderWidth: 1,
+        borderColor: colors.border,
+        borderRadius: 6,
+        padding: 10,
+        color: colors.textPrimary,
+        textAlignVertical: 'top',
+    },
+    actionsRow: { flexDirection: 'row', justifyContent: 'flex-end', alignItems: 'center', marginTop: 15 },
+    actionButton: { paddingVertical: 10, paddingHorizontal: 18, borderRadius: 6, marginLeft: 10, minWidth: 90, alignItems: 'center' },
+    submitButton: { backgroundColor: colors.error },
+    cancelButton: { borderWidth: 1, borderColor: colors.border },
+    actionButtonText: { color: colors.textOnPrimary || '#ffffff', fontWeight: 'bold' },
+    cancelButtonText: { color: colors.textPrimary },
+});
+
+export default ReportModal;
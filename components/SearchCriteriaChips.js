@@ -0,0 +1,213 @@
+// components/SearchCriteriaChips.js
+
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useMemo, useState } from 'react';
+import {
+    FlatList,
+    Modal,
+    ScrollView,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View
+} from 'react-native';
+
+import { useTheme } from '../src/ThemeContext';
+
+// Must match PRODUCT_CATEGORIES_FOR_AI / PRODUCT_CONDITIONS_FOR_AI in functions/src/index.ts
+const PRODUCT_CATEGORIES = [ "Electronics", "Clothing & Apparel", "Home & Garden", "Furniture", "Vehicles", "Books, Movies & Music", "Collectibles & Art", "Sports & Outdoors", "Toys & Hobbies", "Baby & Kids", "Health & Beauty", "Other" ];
+const PRODUCT_CONDITIONS = [ "New", "Used - Like New", "Used - Good", "Used - Fair" ];
+export const DISTANCE_OPTIONS_KM = [ 5, 10, 25, 50, 100 ];
+
+const formatPriceRange = ({ minPrice, maxPrice }) => {
+    if (minPrice != null && maxPrice != null) return `$${minPrice} - $${maxPrice}`;
+    if (minPrice != null) return `Over $${minPrice}`;
+    return `Under $${maxPrice}`;
+};
+
+// Human-readable name for a criteria object, used when saving a search.
+export const describeSearchCriteria = (criteria) => {
+    const nameParts = [];
+    if (criteria.searchQuery) nameParts.push(`'${criteria.searchQuery}'`);
+    if (criteria.category) nameParts.push(criteria.category);
+    if (criteria.condition) nameParts.push(criteria.condition);
+    const priceParts = [];
+    if (criteria.minPrice) priceParts.push(`>$${criteria.minPrice}`);
+    if (criteria.maxPrice) priceParts.push(`<$${criteria.maxPrice}`);
+    if (priceParts.length > 0) nameParts.push(priceParts.join(' '));
+    if (criteria.maxDistanceKm) nameParts.push(`within ${criteria.maxDistanceKm} km`);
+    return nameParts.length > 0 ? nameParts.join(', ') : 'Custom Search';
+};
+
+// Shows search criteria (searchQuery, category, condition, minPrice/maxPrice, maxDistanceKm)
+// as chips. Tapping a chip edits that value and its close icon clears it; both report the
+// whole updated criteria object through onChange.
+const SearchCriteriaChips = ({ criteria, onChange, hideQuery = false }) => {
+    const { colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => themedStyles(colors, isDarkMode), [colors, isDarkMode]);
+
+    const [editingKey, setEditingKey] = useState(null);
+    const [queryInput, setQueryInput] = useState('');
+    const [minPriceInput, setMinPriceInput] = useState('');
+    const [maxPriceInput, setMaxPriceInput] = useState('');
+
+    const chips = [];
+    if (!hideQuery && criteria.searchQuery) chips.push({ key: 'searchQuery', icon: 'search-outline', label: `"${criteria.searchQuery}"` });
+    if (criteria.category) chips.push({ key: 'category', icon: 'filter-outline', label: criteria.category });
+    if (criteria.condition) chips.push({ key: 'condition', icon: 'shield-checkmark-outline', label: criteria.condition });
+    if (criteria.minPrice != null || criteria.maxPrice != null) chips.push({ key: 'price', icon: 'pricetag-outline', label: formatPriceRange(criteria) });
+    if (criteria.maxDistanceKm) chips.push({ key: 'maxDistanceKm', icon: 'location-outline', label: `Within ${criteria.maxDistanceKm} km` });
+
+    if (chips.length === 0) return null;
+
+    const openEditor = (key) => {
+        setQueryInput(criteria.searchQuery || '');
+        setMinPriceInput(criteria.minPrice != null ? String(criteria.minPrice) : '');
+        setMaxPriceInput(criteria.maxPrice != null ? String(criteria.maxPrice) : '');
+        setEditingKey(key);
+    };
+
+    const applyChange = (changes) => {
+        onChange({ ...criteria, ...changes });
+        setEditingKey(null);
+    };
+
+    const handleRemove = (key) => {
+        onChange(key === 'price' ? { ...criteria, minPrice: null, maxPrice: null } : { ...criteria, [key]: null });
+    };
+
+    const renderOptionList = (options, selected, onSelect, formatLabel = (option) => option) => (
+        <FlatList
+            data={options}
+            keyExtractor={(item) => String(item)}
+            renderItem={({ item }) => (
+                <TouchableOpacity style={styles.optionItem} onPress={() => onSelect(item)}>
+                    <Text style={[styles.optionText, item === selected && styles.optionSelectedText]}>{formatLabel(item)}</Text>
+                </TouchableOpacity>
+            )}
+            style={styles.optionList}
+        />
+    );
+
+    const renderEditor = () => {
+        switch (editingKey) {
+            case 'searchQuery':
+                return (
+                    <>
+                        <Text style={styles.modalTitle}>Search Words</Text>
+                        <TextInput style={styles.input} value={queryInput} onChangeText={setQueryInput} placeholder="e.g. iphone 12" placeholderTextColor={colors.textSecondary} autoFocus />
+                        <TouchableOpacity style={styles.applyButton} onPress={() => applyChange({ searchQuery: queryInput.trim().toLowerCase() || null })}>
+                            <Text style={styles.applyButtonText}>Apply</Text>
+                        </TouchableOpacity>
+                    </>
+                );
+            case 'category':
+                return (
+                    <>
+                        <Text style={styles.modalTitle}>Category</Text>
+                        {renderOptionList(PRODUCT_CATEGORIES, criteria.category, (category) => applyChange({ category }))}
+                    </>
+                );
+            case 'condition':
+                return (
+                    <>
+                        <Text style={styles.modalTitle}>Condition</Text>
+                        {renderOptionList(PRODUCT_CONDITIONS, criteria.condition, (condition) => applyChange({ condition }))}
+                    </>
+                );
+            case 'price':
+                return (
+                    <>
+                        <Text style={styles.modalTitle}>Price Range</Text>
+                        <View style={styles.priceRow}>
+                            <TextInput style={[styles.input, styles.priceInput]} value={minPriceInput} onChangeText={setMinPriceInput} placeholder="Min Price" keyboardType="numeric" placeholderTextColor={colors.textSecondary} />
+                            <TextInput style={[styles.input, styles.priceInput]} value={maxPriceInput} onChangeText={setMaxPriceInput} placeholder="Max Price" keyboardType="numeric" placeholderTextColor={colors.textSecondary} />
+                        </View>
+                        <TouchableOpacity style={styles.applyButton} onPress={() => applyChange({ minPrice: parseFloat(minPriceInput) || null, maxPrice: parseFloat(maxPriceInput) || null })}>
+                            <Text style={styles.applyButtonText}>Apply</Text>
+                        </TouchableOpacity>
+                    </>
+                );
+            case 'maxDistanceKm':
+                return (
+                    <>
+                        <Text style={styles.modalTitle}>Distance</Text>
+                        {renderOptionList(DISTANCE_OPTIONS_KM, criteria.maxDistanceKm, (maxDistanceKm) => applyChange({ maxDistanceKm }), (km) => `Within ${km} km`)}
+                    </>
+                );
+            default:
+                return null;
+        }
+    };
+
+    return (
+        <>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow} keyboardShouldPersistTaps="handled">
+                {chips.map(chip => (
+                    <TouchableOpacity key={chip.key} style={styles.chip} onPress={() => openEditor(chip.key)}>
+                        <Ionicons name={chip.icon} size={14} color={colors.primaryTeal} />
+                        <Text style={styles.chipText} numberOfLines={1}>{chip.label}</Text>
+                        <TouchableOpacity onPress={() => handleRemove(chip.key)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                            <Ionicons name="close-circle" size={16} color={colors.textSecondary} />
+                        </TouchableOpacity>
+                    </TouchableOpacity>
+                ))}
+            </ScrollView>
+            <Modal transparent visible={editingKey !== null} animationType="fade" onRequestClose={() => setEditingKey(null)}>
+                <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPressOut={() => setEditingKey(null)}>
+                    <TouchableOpacity style={styles.modalContent} activeOpacity={1}>
+                        {renderEditor()}
+                    </TouchableOpacity>
+                </TouchableOpacity>
+            </Modal>
+        </>
+    );
+};
+
+const themedStyles = (colors, isDarkMode) => StyleSheet.create({
+    chipRow: { paddingHorizontal: 10, paddingVertical: 6, alignItems: 'center' },
+    chip: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: isDarkMode ? colors.surface : colors.background,
+        borderWidth: 1,
+        borderColor: colors.primaryTeal,
+        borderRadius: 16,
+        paddingVertical: 5,
+        paddingHorizontal: 10,
+        marginRight: 8,
+        maxWidth: 220,
+    },
+    chipText: { marginHorizontal: 6, fontSize: 13, color: colors.textPrimary, flexShrink: 1 },
+    modalOverlay: { flex: 1, backgroundColor: 'rgba(0,0,0,0.5)', justifyContent: 'center', alignItems: 'center' },
+    modalContent: {
+        backgroundColor: colors.surface,
+        borderRadius: 10,
+        padding: 20,
+        width: '85%',
+        maxHeight: '70%',
+        borderWidth: isDarkMode ? 1 : 0,
+        borderColor: colors.border,
+    },
+    modalTitle: { fontSize: 18, fontWeight: 'bold', color: colors.textPrimary, marginBottom: 15, textAlign: 'center' },
+    optionList: { flexGrow: 0 },
+    optionItem: { paddingVertical: 12, borderBottomWidth: 1, borderBottomColor: colors.border },
+    optionText: { fontSize: 16, color: colors.textPrimary, textAlign: 'center' },
+    optionSelectedText: { color: colors.primaryTeal, fontWeight: 'bold' },
+    input: {
+        height: 40,
+        borderWidth: 1,
+        borderColor: colors.border,
+        borderRadius: 6,
+        paddingHorizontal: 10,
+        color: colors.textPrimary,
+        backgroundColor: colors.background,
+    },
+    priceRow: { flexDirection: 'row', justifyContent: 'space-between' },
+    priceInput: { width: '48%' },
+    applyButton: { marginTop: 15, backgroundColor: colors.primaryTeal, borderRadius: 6, paddingVertical: 10, alignItems: 'center' },
+    applyButtonText: { color: colors.textOnPrimary || '#ffffff', fontWeight: 'bold' },
+});
+
+export default SearchCriteriaChips;
@@ -2,15 +2,26 @@
 
 import * as admin from "firebase-admin";
 // Import v2 triggers, logger, and parameters
-import { FieldValue, GeoPoint, getFirestore } from "firebase-admin/firestore";
+import {
+  FieldPath,
+  FieldValue,
+  GeoPoint,
+  Timestamp,
+  getFirestore,
+} from "firebase-admin/firestore";
 import { logger } from "firebase-functions";
-import { defineString } from "firebase-functions/params";
+import {defineInt, defineString} from "firebase-functions/params";
 import {
   onDocumentCreated,
+  onDocumentDeleted,
   onDocumentUpdated,
-  onDocumentWritten
+  onDocumentWritten,
 } from "firebase-functions/v2/firestore";
 import { HttpsError, onCall } from "firebase-functions/v2/https";
+import {
+  onObjectDeleted,
+  onObjectFinalized,
+} from "firebase-functions/v2/storage";
 // Import Google AI SDK
 import {
   GoogleGenerativeAI,
@@ -21,22 +32,216 @@ import { getStorage } from "firebase-admin/storage";
 import { onSchedule } from "firebase-functions/v2/scheduler";
 
 // Import Expo Server SDK
-import { Expo } from "expo-server-sdk";
+import {Expo, ExpoPushErrorReceipt, ExpoPushTicket} from "expo-server-sdk";
+// Import geohash helpers for location queries
+import {geohashForLocation, geohashQueryBounds} from "geofire-common";
+import {execFile} from "child_process";
+import {createHash, randomUUID} from "crypto";
+import {mkdtemp, rm} from "fs/promises";
+import {tmpdir} from "os";
+import {join} from "path";
+import {promisify} from "util";
+// Image resizing and placeholder encoding for uploaded images
+import sharp from "sharp";
+import {encode as encodeBlurhash} from "blurhash";
+// Bundled ffmpeg/ffprobe binaries for video processing
+import ffmpegPath from "ffmpeg-static";
+import ffprobeStatic from "ffprobe-static";
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
 const db = getFirestore();
 const bucket = getStorage().bucket();
 
+const execFileAsync = promisify(execFile);
+
 // Initialize Expo SDK Client
 const expo = new Expo();
 
 // --- Define Parameters ---
 const geminiApiKey = defineString("GEMINI_API_KEY");
+const listingDurationDays = defineInt("LISTING_DURATION_DAYS", {default: 7});
+const listingArchiveAfterDays = defineInt("LISTING_ARCHIVE_AFTER_DAYS", {
+  default: 14,
+});
+const listingPurgeAfterDays = defineInt("LISTING_PURGE_AFTER_DAYS", {
+  default: 30,
+});
+const offerExpiryHours = defineInt("OFFER_EXPIRY_HOURS", {default: 48});
+
+// --- Listing Lifecycle ---
+// active -> expired (after LISTING_DURATION_DAYS, renewable by the seller)
+//        -> archived (LISTING_ARCHIVE_AFTER_DAYS after expiry, still renewable)
+//        -> purged (LISTING_PURGE_AFTER_DAYS after archiving; the document and
+//           its media are deleted)
+// New listings start as pending_moderation and only become active once
+// moderateNewListing passes them. Listings it flags (or cannot check), and live
+// listings whose text is edited into something moderateEditedListing flags,
+// become pending_review until a moderator makes them active or rejected.
+// Moderators can also move a reported listing, or every active listing of a
+// suspended seller, to hidden.
+type ListingStatus =
+  | "pending_moderation"
+  | "active"
+  | "expired"
+  | "archived"
+  | "pending_review"
+  | "rejected"
+  | "hidden";
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // --- Constants for AI Suggestions ---
+const PROHIBITED_LISTING_TYPES = [
+  "weapons, ammunition or explosives",
+  "illegal drugs or drug paraphernalia",
+  "prescription medicines",
+  "alcohol or tobacco",
+  "counterfeit or replica goods",
+  "stolen goods",
+  "live animals",
+  "adult or sexual content",
+  "hazardous materials",
+  "identity documents, accounts or personal data",
+  "recalled products",
+];
 const PRODUCT_CATEGORIES_FOR_AI = [ "Electronics", "Clothing & Apparel", "Home & Garden", "Furniture", "Vehicles", "Books, Movies & Music", "Collectibles & Art", "Sports & Outdoors", "Toys & Hobbies", "Baby & Kids", "Health & Beauty", "Other" ];
+const PRODUCT_CONDITIONS_FOR_AI = [
+  "New",
+  "Used - Like New",
+  "Used - Good",
+  "Used - Fair",
+];
+
+// --- Notification Preferences ---
+// Stored per user in users/{uid}/settings/notifications:
+//   categories: { [category]: { push: boolean, inApp: boolean } }
+//     (a missing entry means enabled)
+//   quietHours: { enabled, startHour, endHour, timeZone }
+//     (pushes are deferred, not dropped)
+// Types not listed here (account warnings and suspensions) are always sent.
+const NOTIFICATION_TYPE_CATEGORIES: Record<string, string> = {
+  private_message: "messages",
+  new_offer: "offers",
+  offer_countered: "offer_updates",
+  offer_accepted: "offer_updates",
+  offer_rejected: "offer_updates",
+  offer_withdrawn: "offer_updates",
+  offer_expired: "offer_updates",
+  wishlist_expiry_alert: "wishlist",
+  saved_search_match: "saved_searches",
+  listing_removed: "listings",
+  listing_flagged: "listings",
+  listing_approved: "listings",
+  listing_rejected: "listings",
+  listing_hidden: "listings",
+  report_resolved: "reports",
+};
+
+type NotificationChannel = "push" | "inApp";
+
+/**
+ * Reads a user's notification settings, or {} if they cannot be read.
+ * @param {string} userId The user whose settings to read.
+ * @return {Promise<FirebaseFirestore.DocumentData>}
+ */
+async function getNotificationSettings(
+  userId: string,
+): Promise<FirebaseFirestore.DocumentData> {
+  try {
+    const settingsDoc = await db
+      .collection("users")
+      .doc(userId)
+      .collection("settings")
+      .doc("notifications")
+      .get();
+    return settingsDoc.data() || {};
+  } catch (error) {
+    logger.error(
+      `Error reading notification settings for user ${userId}:`,
+      error,
+    );
+    return {};
+  }
+}
+
+/**
+ * Whether a notification type may be sent to a user over a channel.
+ * @param {FirebaseFirestore.DocumentData} settings
+ *     The user's notification settings.
+ * @param {(string|undefined)} type The notification type, e.g. "new_offer".
+ * @param {NotificationChannel} channel
+ *     Whether the notification is a push or in-app.
+ * @return {boolean}
+ */
+function isNotificationChannelEnabled(
+  settings: FirebaseFirestore.DocumentData,
+  type: string | undefined,
+  channel: NotificationChannel,
+): boolean {
+  const category = type ? NOTIFICATION_TYPE_CATEGORIES[type] : undefined;
+  if (!category) return true;
+  return settings.categories?.[category]?.[channel] !== false;
+}
+
+/**
+ * Returns how long a push must wait for quiet hours to end, or 0 if it can go
+ * out now.
+ * @param {FirebaseFirestore.DocumentData} settings
+ *     The user's notification settings.
+ * @param {Date} [now] The time to check, defaulting to now.
+ * @return {number}
+ */
+function getQuietHoursDelayMs(
+  settings: FirebaseFirestore.DocumentData,
+  now = new Date(),
+): number {
+  const quietHours = settings.quietHours;
+  if (!quietHours?.enabled) return 0;
+  const startHour = Number(quietHours.startHour);
+  const endHour = Number(quietHours.endHour);
+  const isValidHour = (hour: number) =>
+    Number.isInteger(hour) && hour >= 0 && hour <= 23;
+  if (
+    !isValidHour(startHour) ||
+    !isValidHour(endHour) ||
+    startHour === endHour
+  ) {
+    return 0;
+  }
 
+  let parts: Intl.DateTimeFormatPart[];
+  try {
+    parts = new Intl.DateTimeFormat("en-US", {
+      timeZone: quietHours.timeZone || "UTC",
+      hour: "numeric",
+      minute: "numeric",
+      hourCycle: "h23",
+    }).formatToParts(now);
+  } catch (error) {
+    logger.warn(
+      `Invalid quiet hours time zone "${quietHours.timeZone}", ignoring ` +
+      "quiet hours.",
+      error,
+    );
+    return 0;
+  }
+  const localHour = Number(parts.find((part) => part.type === "hour")?.value);
+  const localMinute = Number(
+    parts.find((part) => part.type === "minute")?.value,
+  );
+  const minuteOfDay = localHour * 60 + localMinute;
+  const startMinute = startHour * 60;
+  const endMinute = endHour * 60;
+
+  const isQuiet =
+    startMinute < endMinute ?
+      minuteOfDay >= startMinute && minuteOfDay < endMinute :
+      minuteOfDay >= startMinute || minuteOfDay < endMinute;
+  if (!isQuiet) return 0;
+
+  const minutesUntilEnd = (endMinute - minuteOfDay + 24 * 60) % (24 * 60);
+  return minutesUntilEnd * 60 * 1000 - now.getSeconds() * 1000;
+}
 
 // --- Helper function to store notification record ---
 async function storeNotificationRecord(
@@ -52,6 +257,16 @@ async function storeNotificationRecord(
     logger.error("Recipient ID is undefined, cannot store notification record.");
     return;
   }
+  const settings = await getNotificationSettings(recipientId);
+  if (
+    !isNotificationChannelEnabled(settings, notificationPayload.type, "inApp")
+  ) {
+    logger.log(
+      `In-app notifications of type ${notificationPayload.type} are disabled ` +
+      `for ${recipientId}.`,
+    );
+    return;
+  }
   try {
     const notificationRef = db.collection("users")
                                .doc(recipientId)
@@ -70,36 +285,163 @@ async function storeNotificationRecord(
   }
 }
 
-// --- Helper function to send push notifications ---
-async function sendPushNotifications(userId: string, payload: { title: string; body: string; data: any; }) {
-    const tokensSnapshot = await db.collection("users").doc(userId).collection("pushTokens").get();
-    if (tokensSnapshot.empty) {
-        logger.log(`No push tokens found for user ${userId}.`);
-        return;
+// --- HELPER FUNCTION: Record a failed push and prune dead tokens ---
+/**
+ * Logs a failed push for a user and removes the token if Expo reports it as no
+ * longer registered.
+ * @param {string} userId The user the push was for.
+ * @param {string} token The Expo push token it was sent to.
+ * @param {ExpoPushErrorReceipt} failure The error Expo reported.
+ * @param {(string|null)} [ticketId] The Expo ticket, if the push got one.
+ */
+async function handlePushDeliveryError(
+  userId: string,
+  token: string,
+  failure: ExpoPushErrorReceipt,
+  ticketId: string | null = null
+) {
+  const errorCode = failure.details?.error || "Unknown";
+  try {
+    await db
+      .collection("users")
+      .doc(userId)
+      .collection("pushDeliveryFailures")
+      .add({
+        token,
+        ticketId,
+        error: errorCode,
+        message: failure.message || null,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+
+    if (errorCode === "DeviceNotRegistered") {
+      const deadTokens = await db
+        .collection("users")
+        .doc(userId)
+        .collection("pushTokens")
+        .where("token", "==", token)
+        .get();
+      await Promise.all(deadTokens.docs.map((doc) => doc.ref.delete()));
+      logger.log(
+        `Removed ${deadTokens.size} unregistered push token(s) for user ` +
+        `${userId}.`,
+      );
+    } else {
+      logger.warn(
+        `Push delivery to user ${userId} failed with ${errorCode}: ` +
+        `${failure.message}`,
+      );
     }
+  } catch (error) {
+    logger.error(
+      `Error handling push delivery failure for user ${userId}:`,
+      error,
+    );
+  }
+}
 
-    const messages = tokensSnapshot.docs
-        .map(doc => doc.data().token)
-        .filter(token => Expo.isExpoPushToken(token))
-        .map(pushToken => ({
-            to: pushToken,
-            sound: "default" as const,
-            title: payload.title,
-            body: payload.body,
-            data: payload.data,
-        }));
-
-    if (messages.length > 0) {
-        const chunks = expo.chunkPushNotifications(messages);
-        for (const chunk of chunks) {
-            try {
-                await expo.sendPushNotificationsAsync(chunk);
-                logger.log(`Sent push notification chunk to user ${userId}.`);
-            } catch (error) {
-                logger.error(`Error sending push notification chunk to user ${userId}:`, error);
-            }
+// --- Helper function to send push notifications ---
+/**
+ * Resolves false when a chunk failed to send, so callers that can retry know
+ * to.
+ * @param {string} userId The user to notify.
+ * @param {Object} payload The push title, body and data.
+ * @return {Promise<boolean>}
+ */
+async function sendPushNotifications(
+  userId: string,
+  payload: {title: string; body: string; type?: string; data: any},
+): Promise<boolean> {
+  const settings = await getNotificationSettings(userId);
+  const type = payload.type || payload.data?.type;
+  if (!isNotificationChannelEnabled(settings, type, "push")) {
+    logger.log(
+      `Push notifications of type ${type} are disabled for user ${userId}.`,
+    );
+    return true;
+  }
+
+  const quietHoursDelayMs = getQuietHoursDelayMs(settings);
+  if (quietHoursDelayMs > 0) {
+    const deliverAt = Timestamp.fromMillis(Date.now() + quietHoursDelayMs);
+    await db.collection("deferredPushNotifications").add({
+      userId,
+      payload,
+      deliverAt,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    logger.log(
+      `Deferred push notification for user ${userId} until ` +
+      `${deliverAt.toDate().toISOString()} (quiet hours).`,
+    );
+    return true;
+  }
+
+  const tokensSnapshot = await db
+    .collection("users")
+    .doc(userId)
+    .collection("pushTokens")
+    .get();
+  if (tokensSnapshot.empty) {
+    logger.log(`No push tokens found for user ${userId}.`);
+    return true;
+  }
+
+  const messages = tokensSnapshot.docs
+    .map((doc) => doc.data().token)
+    .filter((token) => Expo.isExpoPushToken(token))
+    .map((pushToken) => ({
+      to: pushToken,
+      sound: "default" as const,
+      title: payload.title,
+      body: payload.body,
+      data: payload.data,
+    }));
+
+  let allSent = true;
+  if (messages.length > 0) {
+    const chunks = expo.chunkPushNotifications(messages);
+    for (const chunk of chunks) {
+      let tickets: ExpoPushTicket[];
+      try {
+        tickets = await expo.sendPushNotificationsAsync(chunk);
+        logger.log(`Sent push notification chunk to user ${userId}.`);
+      } catch (error) {
+        logger.error(
+          `Error sending push notification chunk to user ${userId}:`,
+          error,
+        );
+        allSent = false;
+        continue;
+      }
+
+      // Expo has accepted the chunk, so failing to record its tickets must not
+      // make the caller send it again.
+      try {
+        // Tickets line up with the chunk's messages. Successful ones are kept
+        // until processPushReceipts has fetched their delivery receipt.
+        const ticketBatch = db.batch();
+        for (let i = 0; i < tickets.length; i++) {
+          const ticket = tickets[i];
+          const token = chunk[i].to as string;
+          if (ticket.status === "ok") {
+            ticketBatch.set(db.collection("pushTickets").doc(ticket.id), {
+              userId,
+              token,
+              type: type || null,
+              createdAt: FieldValue.serverTimestamp(),
+            });
+          } else {
+            await handlePushDeliveryError(userId, token, ticket);
+          }
         }
+        await ticketBatch.commit();
+      } catch (error) {
+        logger.error(`Error recording push tickets for user ${userId}:`, error);
+      }
     }
+  }
+  return allSent;
 }
 
 // --- HELPER FUNCTION: To send a system message to a private chat (WITH ENHANCED LOGGING) ---
@@ -159,34 +501,192 @@ async function sendSystemChatMessage(
   }
 }
 
-// --- NEW HELPER FUNCTION: To check for semantic match using AI ---
-async function isSemanticMatch(searchQuery: string, product: any): Promise<boolean> {
+// --- Saved Search Index ---
+// Saved searches carry a categoryKey and the price buckets their range
+// overlaps, so a new product only loads the searches it could match instead of
+// the whole collection group.
+const ANY_CATEGORY_KEY = "*";
+const PRICE_BUCKET_FLOORS = [
+  0, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000,
+];
+
+/**
+ * Parses a number, treating missing, empty and non-numeric values as null.
+ * @param {*} value The value to parse.
+ * @return {(number|null)}
+ */
+function toOptionalNumber(value: unknown): number | null {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Index of the price bucket a price falls into.
+ * @param {number} price The price to place.
+ * @return {number}
+ */
+function getPriceBucket(price: number): number {
+  let bucketIndex = 0;
+  for (let i = 0; i < PRICE_BUCKET_FLOORS.length; i++) {
+    if (price >= PRICE_BUCKET_FLOORS[i]) bucketIndex = i;
+  }
+  return bucketIndex;
+}
+
+/**
+ * Indexes of every price bucket a price range overlaps.
+ * @param {(number|null)} minPrice The lowest price, or null for no minimum.
+ * @param {(number|null)} maxPrice The highest price, or null for no maximum.
+ * @return {Array<number>}
+ */
+function getPriceBucketsForRange(
+  minPrice: number | null,
+  maxPrice: number | null,
+): number[] {
+  const first = minPrice === null ? 0 : getPriceBucket(minPrice);
+  const last =
+    maxPrice === null ?
+      PRICE_BUCKET_FLOORS.length - 1 :
+      getPriceBucket(maxPrice);
+  const buckets: number[] = [];
+  for (let i = first; i <= last; i++) buckets.push(i);
+  return buckets;
+}
+
+/**
+ * Index fields for a saved search's criteria.
+ * @param {(FirebaseFirestore.DocumentData|undefined)} criteria
+ *     The saved search criteria.
+ * @return {Object}
+ */
+function getSavedSearchIndex(
+  criteria: FirebaseFirestore.DocumentData | undefined,
+): {
+  categoryKey: string;
+  priceBuckets: number[];
+} {
+  return {
+    categoryKey: criteria?.category || ANY_CATEGORY_KEY,
+    priceBuckets: getPriceBucketsForRange(
+      toOptionalNumber(criteria?.minPrice),
+      toOptionalNumber(criteria?.maxPrice),
+    ),
+  };
+}
+
+/**
+ * Lower-cases a search query and collapses its whitespace.
+ * @param {*} query The query to normalize.
+ * @return {string}
+ */
+function normalizeSearchQuery(query: unknown): string {
+  return typeof query === "string" ?
+    query.trim().toLowerCase().replace(/\s+/g, " ") :
+    "";
+}
+
+// --- HELPER FUNCTION: Semantic match of one product against many queries ---
+/**
+ * Results are cached in products/{productId}/semanticMatches keyed by a hash of
+ * the query, so a product-query pair is only ever sent to the model once.
+ * @param {string} productId The product being matched.
+ * @param {*} product The product data to match against.
+ * @param {Array<string>} searchQueries The normalized saved search queries.
+ * @return {Promise<Map<string, boolean>>}
+ */
+async function getSemanticMatches(
+  productId: string,
+  product: any,
+  searchQueries: string[],
+): Promise<Map<string, boolean>> {
+  const matches = new Map<string, boolean>();
+  const queries = [
+    ...new Set(searchQueries.map(normalizeSearchQuery).filter(Boolean)),
+  ];
+  if (queries.length === 0) return matches;
+
+  const cacheCollection = db
+    .collection("products")
+    .doc(productId)
+    .collection("semanticMatches");
+  const cacheRefs = queries.map((query) =>
+    cacheCollection.doc(createHash("sha256").update(query).digest("hex")),
+  );
+  const cachedDocs = await db.getAll(...cacheRefs);
+
+  const uncached: {query: string; ref: FirebaseFirestore.DocumentReference}[] =
+    [];
+  cachedDocs.forEach((doc, i) => {
+    if (doc.exists && typeof doc.data()?.isMatch === "boolean") {
+      matches.set(queries[i], doc.data()?.isMatch);
+    } else {
+      uncached.push({query: queries[i], ref: cacheRefs[i]});
+    }
+  });
+  logger.log(
+    `Semantic match for product ${productId}: ${matches.size} cached, ` +
+    `${uncached.length} to evaluate.`,
+  );
+  if (uncached.length === 0) return matches;
+
   const apiKey = geminiApiKey.value();
   if (!apiKey) {
     logger.error("Gemini API key is not available for semantic match.");
-    return false; // Default to no match if API key is missing
+    // Uncached queries count as no match and are retried next time.
+    return matches;
   }
 
   try {
     const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
-    const prompt = `A user has a saved search for: "${searchQuery}". A new product has been listed with the title: "${product.name}" and description: "${product.description}". Based on the user's search, is this new product a good and relevant match? Please consider synonyms, related items, and context. Answer with only "yes" or "no".`;
+    const model = genAI.getGenerativeModel({model: "gemini-1.5-flash"});
+
+    const numberedQueries = uncached
+      .map((entry, i) => `${i + 1}. ${JSON.stringify(entry.query)}`)
+      .join("\n");
+    const prompt = "A new product has been listed on a marketplace with the " +
+      `title: "${product.name}" and description: "${product.description}". ` +
+      "Below is a numbered list of saved searches from different users. For " +
+      "each search, decide whether this product is a good and relevant " +
+      "match, considering synonyms, related items, and " +
+      `context.\n\n${numberedQueries}\n\nRespond with a valid JSON array ` +
+      "only, containing the numbers of the searches that match, for example " +
+      "[1, 3]. Respond with [] if none match.";
 
     const result = await model.generateContent(prompt);
-    const responseText = result.response.text().trim().toLowerCase();
-
-    logger.log(`Semantic match check for query "${searchQuery}" on product "${product.name}": AI responded with "${responseText}".`);
+    const responseText = result.response.text().trim();
+    const cleanedText = responseText.replace(/^```json\s*|```$/g, "").trim();
+    const parsed = JSON.parse(cleanedText);
+    if (!Array.isArray(parsed)) {
+      throw new Error(`Expected a JSON array but received: ${cleanedText}`);
+    }
+    const matchedNumbers = new Set(parsed.map((value) => Number(value)));
+
+    const batch = db.batch();
+    uncached.forEach((entry, i) => {
+      const isMatch = matchedNumbers.has(i + 1);
+      matches.set(entry.query, isMatch);
+      batch.set(entry.ref, {
+        query: entry.query,
+        isMatch,
+        evaluatedAt: FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
 
-    return responseText === "yes";
+    logger.log(
+      `Semantic match for product "${product.name}": ${matchedNumbers.size} ` +
+      `of ${uncached.length} queries matched.`,
+    );
   } catch (error) {
-    logger.error("Error during semantic match API call:", {
-      searchQuery,
+    logger.error("Error during batched semantic match API call:", {
+      productId,
       productName: product.name,
+      queryCount: uncached.length,
       error,
     });
-    return false; // Default to no match on API error
   }
+  return matches;
 }
 
 
@@ -243,316 +743,4450 @@ export const updateSellerRating = onDocumentWritten(
     try {
       const reviewsSnapshot = await reviewsQuery.get();
       let totalRatingSum = 0;
-      const ratingCount = reviewsSnapshot.size;
 
-      if (ratingCount > 0) {
-        reviewsSnapshot.forEach((doc) => {
-          const rating = Number(doc.data().rating) || 0;
-          totalRatingSum += rating;
-        });
-      }
+      // Reported reviews stay out of the average until a moderator resolves the
+      // report.
+      const countedReviews = reviewsSnapshot.docs.filter(
+        (doc) => doc.data().moderationStatus !== "reported",
+      );
+      const ratingCount = countedReviews.length;
+      countedReviews.forEach((doc) => {
+        const rating = Number(doc.data().rating) || 0;
+        totalRatingSum += rating;
+      });
 
       const averageRating = ratingCount > 0 ? totalRatingSum / ratingCount : 0;
       const roundedAverage = Math.round(averageRating * 10) / 10;
 
-      logger.log(`Seller ${sellerId}: Count=${ratingCount}, Sum=${totalRatingSum}, Avg=${roundedAverage}`);
-
-      await sellerRef.set({ totalRatingSum, ratingCount, averageRating: roundedAverage }, { merge: true });
+      logger.log(
+        `Seller ${sellerId}: Count=${ratingCount}, Sum=${totalRatingSum}, ` +
+        `Avg=${roundedAverage}`,
+      );
+
+      const sellerData = (await sellerRef.get()).data();
+      if (
+        sellerData?.averageRating === roundedAverage &&
+        sellerData?.ratingCount === ratingCount
+      ) {
+        logger.log(
+          `Ratings for seller ${sellerId} unchanged on their profile.`,
+        );
+      } else {
+        await sellerRef.set(
+          {totalRatingSum, ratingCount, averageRating: roundedAverage},
+          {merge: true},
+        );
+      }
 
-      logger.log(`Successfully updated ratings for seller ${sellerId}`);
+      // Always reconciled: only listings that are out of sync get written.
+      const updatedProducts = await updateSellerProductsInChunks(
+        sellerId,
+        {sellerAverageRating: roundedAverage, sellerRatingCount: ratingCount},
+        true,
+      );
+      logger.log(
+        `Successfully updated ratings for seller ${sellerId} and ` +
+        `${updatedProducts} active products.`,
+      );
     } catch (error: unknown) {
       logger.error(`Error updating rating for seller ${sellerId}:`, error);
     }
   });
 
-// --- Function 2: Ask Gemini Chatbot ---
-export const askGemini = onCall(async (request) => {
-  const userPrompt = request.data.prompt;
-  if (!userPrompt || typeof userPrompt !== "string" || userPrompt.trim().length === 0) {
-    logger.warn("askGemini called without valid prompt.");
-    throw new HttpsError("invalid-argument", "A non-empty 'prompt' string is required.");
+// --- FUNCTION: Create or Edit a Seller Review ---
+// Only buyers with an accepted offer from the seller may review them, once per
+// buyer-seller pair (editing replaces the earlier review). Rating aggregates
+// are left to updateSellerRating.
+const MAX_REVIEW_COMMENT_LENGTH = 500;
+
+export const submitReview = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be logged in to leave a review.",
+    );
+  }
+  const {sellerId} = request.data || {};
+  const rating = Number(request.data?.rating);
+  const comment =
+    typeof request.data?.comment === "string" ?
+      request.data.comment.trim() :
+      "";
+  const reviewerId = request.auth.uid;
+
+  if (!sellerId || typeof sellerId !== "string") {
+    throw new HttpsError("invalid-argument", "A valid 'sellerId' is required.");
+  }
+  if (sellerId === reviewerId) {
+    throw new HttpsError(
+      "failed-precondition",
+      "You cannot review your own profile.",
+    );
+  }
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new HttpsError(
+      "invalid-argument",
+      "Rating must be a whole number from 1 to 5.",
+    );
+  }
+  if (!comment || comment.length > MAX_REVIEW_COMMENT_LENGTH) {
+    throw new HttpsError(
+      "invalid-argument",
+      `Comment must be between 1 and ${MAX_REVIEW_COMMENT_LENGTH} characters.`,
+    );
   }
 
-  const apiKey = geminiApiKey.value();
-  if (!apiKey) {
-    logger.error("Gemini API key parameter (GEMINI_API_KEY) is not defined.");
-    throw new HttpsError("internal", "API key parameter not configured.");
+  const completedTransactions = await db.collectionGroup("offers")
+    .where("buyerId", "==", reviewerId)
+    .where("sellerId", "==", sellerId)
+    .where("status", "==", "accepted")
+    .limit(1)
+    .get();
+  if (completedTransactions.empty) {
+    throw new HttpsError(
+      "permission-denied",
+      "You can only review sellers you have bought from.",
+    );
   }
 
-  try {
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+  const reviewerDoc = await db.collection("users").doc(reviewerId).get();
+  const reviewerName =
+    reviewerDoc.data()?.displayName || request.auth.token.name || "Anonymous";
+
+  const reviewId = await db.runTransaction(async (transaction) => {
+    // Older reviews have random IDs, so look the pair up instead of assuming
+    // the new ID scheme.
+    const existing = await transaction.get(
+      db
+        .collection("reviews")
+        .where("sellerId", "==", sellerId)
+        .where("reviewerId", "==", reviewerId)
+        .limit(1),
+    );
+    const reviewRef = existing.empty ?
+      db.collection("reviews").doc(`${sellerId}_${reviewerId}`) :
+      existing.docs[0].ref;
+
+    if (existing.empty) {
+      transaction.set(reviewRef, {
+        sellerId,
+        reviewerId,
+        reviewerName,
+        rating,
+        comment,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+    } else {
+      transaction.update(reviewRef, {
+        reviewerName,
+        rating,
+        comment,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    }
+    return reviewRef.id;
+  });
 
-    const safetySettings = [
-      { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-      { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-      { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-      { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-    ];
+  logger.info(
+    `Review ${reviewId} for seller ${sellerId} saved by ${reviewerId}.`,
+  );
+  return {success: true, reviewId};
+});
 
-    logger.info(`Calling Gemini for user ${request.auth?.uid || "anonymous"}...`);
+// --- HELPER FUNCTIONS: Roles are custom auth claims set by setUserRole ---
+/**
+ * Admins can do everything moderators can.
+ * @param {(Object|undefined)} auth The auth context of the request.
+ * @return {boolean}
+ */
+function isModerator(
+  auth: {token: Record<string, unknown>} | undefined,
+): boolean {
+  return auth?.token?.moderator === true || auth?.token?.admin === true;
+}
 
-    const generationRequest = {
-      contents: [{ role: "user", parts: [{ text: userPrompt }] }],
-      safetySettings,
-    };
-    const result = await model.generateContent(generationRequest);
-    const response = result.response;
+/**
+ * Whether the caller has the admin role.
+ * @param {(Object|undefined)} auth The auth context of the request.
+ * @return {boolean}
+ */
+function isAdmin(auth: {token: Record<string, unknown>} | undefined): boolean {
+  return auth?.token?.admin === true;
+}
 
-    if (!response || response.promptFeedback?.blockReason) {
-      logger.warn("Gemini response blocked.", { feedback: response?.promptFeedback });
-      const reason = response?.promptFeedback?.blockReason || "Safety";
-      throw new HttpsError("invalid-argument", `Request blocked (${reason}).`);
-    }
+// --- FUNCTION: Seller Reply to a Review ---
+export const replyToReview = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be logged in to reply to a review.",
+    );
+  }
+  const {reviewId} = request.data || {};
+  const text =
+    typeof request.data?.text === "string" ? request.data.text.trim() : "";
+  if (!reviewId || typeof reviewId !== "string") {
+    throw new HttpsError("invalid-argument", "A valid 'reviewId' is required.");
+  }
+  if (!text || text.length > MAX_REVIEW_COMMENT_LENGTH) {
+    throw new HttpsError(
+      "invalid-argument",
+      `Reply must be between 1 and ${MAX_REVIEW_COMMENT_LENGTH} characters.`,
+    );
+  }
 
-    const botReply = response.text();
-    logger.info("Received reply from Gemini.");
-    return { reply: botReply };
-  } catch (error: unknown) {
-    logger.error("Error calling Google AI SDK (Gemini):", error);
-    let clientErrorMessage = "Failed to process request with AI model.";
-    if (error instanceof Error && error.message?.includes("SAFETY")) {
-      clientErrorMessage = "Request blocked by safety filters.";
-    } else if (error instanceof HttpsError) {
-      throw error;
-    }
-    throw new HttpsError("internal", clientErrorMessage);
+  const reviewRef = db.collection("reviews").doc(reviewId);
+  const reviewDoc = await reviewRef.get();
+  const review = reviewDoc.data();
+  if (!reviewDoc.exists || !review) {
+    throw new HttpsError("not-found", "Review not found.");
   }
+  if (review.sellerId !== request.auth.uid) {
+    throw new HttpsError(
+      "permission-denied",
+      "Only the reviewed seller can reply.",
+    );
+  }
+
+  await reviewRef.update({
+    sellerResponse: {
+      text,
+      createdAt:
+        review.sellerResponse?.createdAt || FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    },
+  });
+  return {success: true};
 });
 
-// --- Function 3: Get Ranked Products ---
-type ProductData = {
-  id: string;
-  score: number;
-  distanceKm: number | null;
-  sellerLocation?: GeoPoint;
-  sellerAverageRating?: number;
-  sellerRatingCount?: number;
-  [key: string]: any;
-};
+// --- FUNCTION: Report a Review for Moderation ---
+// One report per user per review, ever: the review drops out of the seller's
+// average while reported, so a dismissed report cannot be filed again.
+const REVIEW_REPORT_REASONS = ["abusive", "spam", "fake", "other"];
 
-export const getRankedProducts = onCall(
-  async (request): Promise<{ products: ProductData[] }> => {
-    logger.info("getRankedProducts called", { data: request.data });
+export const reportReview = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be logged in to report a review.",
+    );
+  }
+  const {reviewId, reason} = request.data || {};
+  if (!reviewId || typeof reviewId !== "string") {
+    throw new HttpsError("invalid-argument", "A valid 'reviewId' is required.");
+  }
+  if (!REVIEW_REPORT_REASONS.includes(reason)) {
+    throw new HttpsError(
+      "invalid-argument",
+      `'reason' must be one of: ${REVIEW_REPORT_REASONS.join(", ")}.`,
+    );
+  }
+  const reporterId = request.auth.uid;
+
+  const reviewRef = db.collection("reviews").doc(reviewId);
+  const reportRef = db
+    .collection("reviewReports")
+    .doc(`${reviewId}_${reporterId}`);
+
+  await db.runTransaction(async (transaction) => {
+    const [reviewDoc, reportDoc] = await Promise.all([
+      transaction.get(reviewRef),
+      transaction.get(reportRef),
+    ]);
+    const review = reviewDoc.data();
+    if (!reviewDoc.exists || !review) {
+      throw new HttpsError("not-found", "Review not found.");
+    }
+    if (review.reviewerId === reporterId) {
+      throw new HttpsError(
+        "failed-precondition",
+        "You cannot report your own review.",
+      );
+    }
+    // A report takes the review out of the average, so sellers must not report
+    // their own.
+    if (review.sellerId === reporterId) {
+      throw new HttpsError(
+        "failed-precondition",
+        "You cannot report reviews of your own store. Reply to it instead.",
+      );
+    }
+    if (reportDoc.exists) {
+      throw new HttpsError(
+        "already-exists",
+        reportDoc.data()?.status === "open" ?
+          "You have already reported this review." :
+          "A moderator has already reviewed your report of this review.",
+      );
+    }
 
-    const buyerLat = request.data?.latitude;
-    const buyerLon = request.data?.longitude;
-    const hasBuyerLocation = (typeof buyerLat === "number" && typeof buyerLon === "number");
+    transaction.set(reportRef, {
+      reviewId,
+      sellerId: review.sellerId,
+      reviewerId: review.reviewerId,
+      reporterId,
+      reason,
+      status: "open",
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    transaction.update(reviewRef, {
+      moderationStatus: "reported",
+      reportCount: FieldValue.increment(1),
+    });
+  });
 
-    const ratingWeight = 0.6;
-    const distanceWeight = 0.4;
-    const maxDistanceKm = 100;
-    const initialLimit = 200;
-    const finalLimit = 50;
+  logger.info(`Review ${reviewId} reported by ${reporterId} (${reason}).`);
+  return {success: true};
+});
 
-    try {
-      const productsRef = db.collection("products");
-      const q = productsRef.orderBy("sellerAverageRating", "desc").orderBy("createdAt", "desc").limit(initialLimit);
-
-      const productSnapshot = await q.get();
-      const candidateProducts: ProductData[] = productSnapshot.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-        score: 0,
-        distanceKm: null,
-      }));
+// --- FUNCTION: Resolve Reported Reviews (moderators only) ---
+// "dismiss" restores the review to the average; "remove" deletes it.
+export const resolveReviewReport = onCall(async (request) => {
+  if (!request.auth || !isModerator(request.auth)) {
+    throw new HttpsError(
+      "permission-denied",
+      "Only moderators can resolve review reports.",
+    );
+  }
+  const {reviewId, action} = request.data || {};
+  if (!reviewId || typeof reviewId !== "string") {
+    throw new HttpsError("invalid-argument", "A valid 'reviewId' is required.");
+  }
+  if (action !== "dismiss" && action !== "remove") {
+    throw new HttpsError(
+      "invalid-argument",
+      "'action' must be either 'dismiss' or 'remove'.",
+    );
+  }
 
-      logger.info(`Fetched ${candidateProducts.length} initial candidates.`);
+  const reviewRef = db.collection("reviews").doc(reviewId);
+  if (!(await reviewRef.get()).exists) {
+    throw new HttpsError("not-found", "Review not found.");
+  }
+  const openReports = await db.collection("reviewReports")
+    .where("reviewId", "==", reviewId)
+    .where("status", "==", "open")
+    .get();
+
+  const batch = db.batch();
+  openReports.forEach((doc) => batch.update(doc.ref, {
+    status: action === "remove" ? "removed" : "dismissed",
+    resolvedBy: request.auth?.uid,
+    resolvedAt: FieldValue.serverTimestamp(),
+  }));
+  if (action === "remove") {
+    batch.delete(reviewRef);
+  } else {
+    batch.update(reviewRef, {moderationStatus: FieldValue.delete()});
+  }
+  await batch.commit();
 
-      if (hasBuyerLocation) {
-        candidateProducts.forEach((prod) => {
-          let distanceKm: number | null = null;
-          const sellerLoc = prod.sellerLocation;
+  logger.info(
+    `Review ${reviewId} report resolved with '${action}' by moderator ` +
+    `${request.auth.uid}.`,
+  );
+  return {success: true, resolvedReports: openReports.size};
+});
 
-          if (sellerLoc instanceof GeoPoint) {
-            distanceKm = getDistanceFromLatLonInKm(buyerLat, buyerLon, sellerLoc.latitude, sellerLoc.longitude);
-            prod.distanceKm = distanceKm;
-          }
+// --- HELPER FUNCTIONS: Blocked Users ---
+/**
+ * A block is written by the blocker to users/{blocker}/blockedUsers/{blocked}
+ * and mirrored to users/{blocked}/blockedBy/{blocker} by syncBlockedUser. It
+ * applies in both directions: neither side can message, make offers to or
+ * comment on the other, or see the other's listings.
+ * @param {string} uid The user whose blocks to read.
+ * @return {Promise<Set<string>>}
+ */
+async function getBlockedUserIds(uid: string): Promise<Set<string>> {
+  const userRef = db.collection("users").doc(uid);
+  const [blockedUsers, blockedBy] = await Promise.all([
+    userRef.collection("blockedUsers").select().get(),
+    userRef.collection("blockedBy").select().get(),
+  ]);
+  return new Set(
+    [...blockedUsers.docs, ...blockedBy.docs].map((doc) => doc.id),
+  );
+}
 
-          const rating = prod.sellerAverageRating || 0;
-          const normalizedRating = rating / 5.0;
-          let normalizedDistanceFactor = 0;
-          if (distanceKm !== null && distanceKm <= maxDistanceKm) {
-            normalizedDistanceFactor = 1.0 - (distanceKm / maxDistanceKm);
-          }
-          prod.score = (ratingWeight * normalizedRating) + (distanceWeight * normalizedDistanceFactor);
-        });
+/**
+ * Whether either user has blocked the other.
+ * @param {string} uidA One user.
+ * @param {string} uidB The other user.
+ * @return {Promise<boolean>}
+ */
+async function isBlockedBetween(uidA: string, uidB: string): Promise<boolean> {
+  const [aBlockedB, bBlockedA] = await Promise.all([
+    db.collection("users").doc(uidA).collection("blockedUsers").doc(uidB).get(),
+    db.collection("users").doc(uidB).collection("blockedUsers").doc(uidA).get(),
+  ]);
+  return aBlockedB.exists || bBlockedA.exists;
+}
 
-        candidateProducts.sort((a, b) => (b.score || 0) - (a.score || 0));
-        logger.info("Products sorted by weighted score.");
-      } else {
-        logger.info("Buyer location not provided, using rating order.");
-        candidateProducts.forEach((p) => {
-          p.score = ratingWeight * (p.sellerAverageRating || 0) / 5.0;
-        });
-      }
+// --- FUNCTION: Mirror Blocks and Close Open Offers Between the Two Users ---
+export const syncBlockedUser = onDocumentWritten(
+  "users/{userId}/blockedUsers/{blockedId}",
+  async (event) => {
+    const {userId, blockedId} = event.params;
+    const mirrorRef = db
+      .collection("users")
+      .doc(blockedId)
+      .collection("blockedBy")
+      .doc(userId);
+
+    if (!event.data?.after.exists) {
+      await mirrorRef.delete();
+      logger.info(`User ${userId} unblocked ${blockedId}.`);
+      return;
+    }
+    if (event.data.before.exists) return;
+
+    await mirrorRef.set({blockedAt: FieldValue.serverTimestamp()});
+    const declineOpenOffers = (buyerId: string, sellerId: string) =>
+      updateQueryInChunks(
+        db
+          .collectionGroup("offers")
+          .where("buyerId", "==", buyerId)
+          .where("sellerId", "==", sellerId)
+          .where("status", "in", OPEN_OFFER_STATUSES),
+        () => ({
+          status: "rejected",
+          autoDeclined: true,
+          lastActionBy: "system",
+          respondedAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        }),
+      );
+    const declined =
+      (await declineOpenOffers(userId, blockedId)) +
+      (await declineOpenOffers(blockedId, userId));
+    logger.info(
+      `User ${userId} blocked ${blockedId}; declined ${declined} open offers ` +
+      "between them.",
+    );
+  },
+);
 
-      const rankedProducts = candidateProducts.slice(0, finalLimit);
-      logger.info(`Returning ${rankedProducts.length} ranked products.`);
-      return { products: rankedProducts };
-    } catch (error: unknown) {
-      logger.error("Error getting ranked products:", error);
-      throw new HttpsError("internal", "Failed to retrieve product ranking.");
+// --- FUNCTION: Report a Listing, User or Chat Message ---
+// Reports land in the `reports` collection, one per reporter per target, for
+// moderators to work through. Message reports keep a copy of the message, since
+// moderators cannot read private chats.
+const REPORT_TARGET_TYPES = ["listing", "user", "message"];
+const REPORT_REASONS = [
+  "scam",
+  "prohibited_item",
+  "harassment",
+  "spam",
+  "inappropriate",
+  "impersonation",
+  "other",
+];
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+
+export const submitReport = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be logged in to report content.",
+    );
+  }
+  const {targetType, targetId, chatId, reason} = request.data || {};
+  const details =
+    typeof request.data?.details === "string" ?
+      request.data.details.trim() :
+      "";
+  if (!REPORT_TARGET_TYPES.includes(targetType)) {
+    throw new HttpsError(
+      "invalid-argument",
+      `'targetType' must be one of: ${REPORT_TARGET_TYPES.join(", ")}.`,
+    );
+  }
+  if (!targetId || typeof targetId !== "string") {
+    throw new HttpsError("invalid-argument", "A valid 'targetId' is required.");
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new HttpsError(
+      "invalid-argument",
+      `'reason' must be one of: ${REPORT_REASONS.join(", ")}.`,
+    );
+  }
+  if (details.length > MAX_REPORT_DETAILS_LENGTH) {
+    throw new HttpsError(
+      "invalid-argument",
+      `Details must be ${MAX_REPORT_DETAILS_LENGTH} characters or fewer.`,
+    );
+  }
+  const reporterId = request.auth.uid;
+
+  let subjectUserId: string;
+  let targetKey: string = targetId;
+  let snapshot: Record<string, unknown>;
+  if (targetType === "listing") {
+    const product = (
+      await db.collection("products").doc(targetId).get()
+    ).data();
+    if (!product) throw new HttpsError("not-found", "Listing not found.");
+    subjectUserId = product.sellerId;
+    snapshot = {
+      name: product.name || null,
+      description: product.description || null,
+      imageUrl: product.imageUrl || null,
+    };
+  } else if (targetType === "user") {
+    const user = (await db.collection("users").doc(targetId).get()).data();
+    if (!user) throw new HttpsError("not-found", "User not found.");
+    subjectUserId = targetId;
+    snapshot = {
+      displayName: user.displayName || null,
+      bio: user.bio || null,
+      profilePicUrl: user.profilePicUrl || null,
+    };
+  } else {
+    if (
+      !chatId ||
+      typeof chatId !== "string" ||
+      !chatId.split("_").includes(reporterId)
+    ) {
+      throw new HttpsError(
+        "permission-denied",
+        "You can only report messages in your own chats.",
+      );
+    }
+    const message = (
+      await db
+        .collection("privateChats")
+        .doc(chatId)
+        .collection("messages")
+        .doc(targetId)
+        .get()
+    ).data();
+    if (!message || message.system) {
+      throw new HttpsError("not-found", "Message not found.");
     }
+    subjectUserId = message.user?._id;
+    targetKey = `${chatId}/${targetId}`;
+    snapshot = {
+      text: message.text || null,
+      image: message.image || null,
+      sentAt: message.createdAt || null,
+    };
+  }
+  if (!subjectUserId) {
+    throw new HttpsError(
+      "failed-precondition",
+      "This content cannot be reported.",
+    );
+  }
+  if (subjectUserId === reporterId) {
+    throw new HttpsError(
+      "failed-precondition",
+      "You cannot report your own content.",
+    );
+  }
+
+  const reportRef = db
+    .collection("reports")
+    .doc(`${targetType}_${targetKey.replace("/", "_")}_${reporterId}`);
+  await db.runTransaction(async (transaction) => {
+    const reportDoc = await transaction.get(reportRef);
+    if (reportDoc.exists && reportDoc.data()?.status === "open") {
+      throw new HttpsError("already-exists", "You have already reported this.");
+    }
+    transaction.set(reportRef, {
+      targetType,
+      targetId,
+      targetKey,
+      chatId: targetType === "message" ? chatId : null,
+      subjectUserId,
+      reporterId,
+      reason,
+      details: details || null,
+      snapshot,
+      status: "open",
+      createdAt: FieldValue.serverTimestamp(),
+    });
   });
 
-// --- SCHEDULED FUNCTION: Delete Old Products ---
-export const deleteOldProducts = onSchedule("every 24 hours", async (event) => {
-  logger.log("Running scheduled job: deleteOldProducts");
-  const now = new Date();
-  const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-  const sevenDaysAgoTimestamp = admin.firestore.Timestamp.fromDate(sevenDaysAgo);
+  logger.info(
+    `${targetType} ${targetKey} reported by ${reporterId} (${reason}).`,
+  );
+  return {success: true, reportId: reportRef.id};
+});
 
-  logger.log(`Querying for products created before: ${sevenDaysAgo.toISOString()}`);
-  const oldProductsQuery = db.collection("products").where("createdAt", "<", sevenDaysAgoTimestamp).limit(500);
+// --- FUNCTION: Resolve a Report (moderators only) ---
+// Resolves every open report on the same target at once and tells each reporter
+// the outcome. "hide_listing" takes a reported listing out of circulation;
+// "warn" notifies the reported user; "suspend" disables their account and hides
+// their active listings.
+const REPORT_ACTIONS = ["dismiss", "hide_listing", "warn", "suspend"];
+
+const REPORT_OUTCOME_MESSAGES: Record<string, string> = {
+  dismiss: "We reviewed it and found no violation of our rules.",
+  hide_listing: "The listing has been removed.",
+  warn: "The user has been warned.",
+  suspend: "The account has been suspended.",
+};
 
-  try {
-    const snapshot = await oldProductsQuery.get();
-    if (snapshot.empty) {
-      logger.log("No old products found to delete.");
-      return;
-    }
-    logger.log(`Found ${snapshot.size} old products to delete.`);
+export const resolveReport = onCall(async (request) => {
+  if (!request.auth || !isModerator(request.auth)) {
+    throw new HttpsError(
+      "permission-denied",
+      "Only moderators can resolve reports.",
+    );
+  }
+  const {reportId, action} = request.data || {};
+  const note =
+    typeof request.data?.note === "string" ?
+      request.data.note.trim().slice(0, 500) :
+      "";
+  if (!reportId || typeof reportId !== "string") {
+    throw new HttpsError("invalid-argument", "A valid 'reportId' is required.");
+  }
+  if (!REPORT_ACTIONS.includes(action)) {
+    throw new HttpsError(
+      "invalid-argument",
+      `'action' must be one of: ${REPORT_ACTIONS.join(", ")}.`,
+    );
+  }
+  const moderatorId = request.auth.uid;
 
-    const firestoreBatch = db.batch();
-    const deletePromises: Promise<any>[] = [];
+  const reportDoc = await db.collection("reports").doc(reportId).get();
+  const report = reportDoc.data();
+  if (!reportDoc.exists || !report) {
+    throw new HttpsError("not-found", "Report not found.");
+  }
+  if (report.status !== "open") {
+    throw new HttpsError(
+      "failed-precondition",
+      "This report has already been resolved.",
+    );
+  }
+  if (action === "hide_listing" && report.targetType !== "listing") {
+    throw new HttpsError(
+      "invalid-argument",
+      "Only listing reports can hide a listing.",
+    );
+  }
+  if (report.subjectUserId === moderatorId) {
+    throw new HttpsError(
+      "failed-precondition",
+      "You cannot resolve reports about yourself.",
+    );
+  }
 
-    snapshot.docs.forEach((doc) => {
-      const productData = doc.data();
-      const productId = doc.id;
-      const imagePathsArray = productData.imageStoragePaths;
-
-      logger.log(`Preparing to delete product ${productId}`);
-      firestoreBatch.delete(doc.ref);
-
-      if (Array.isArray(imagePathsArray)) {
-        imagePathsArray.forEach((path: string) => {
-          if (path && typeof path === "string") {
-            logger.log(`Preparing to delete image from array: ${path}`);
-            const fileRef = bucket.file(path);
-            deletePromises.push(
-              fileRef.delete().catch((err: any) => {
-                if (err.code === 404) {
-                  logger.warn(`Image not found, skipping delete: ${path}`);
-                } else {
-                  logger.error(`Failed to delete image ${path} for product ${productId}:`, err);
-                }
-                return Promise.resolve();
-              })
-            );
-          }
-        });
-      }
+  const subjectUserId: string = report.subjectUserId;
+  const moderationRecord = {
+    status: "hidden",
+    reason: note || `Reported for ${String(report.reason).replace("_", " ")}.`,
+    reviewedBy: moderatorId,
+    reviewedAt: FieldValue.serverTimestamp(),
+  };
+
+  if (action === "hide_listing") {
+    const productRef = db.collection("products").doc(report.targetId);
+    const product = (await productRef.get()).data();
+    if (product) {
+      await productRef.update({status: "hidden", moderation: moderationRecord});
+      const notificationPayload = {
+        title: "Listing Removed",
+        body: `"${product.name || "Your listing"}" was removed after a ` +
+          `report. ${moderationRecord.reason}`,
+        type: "listing_hidden",
+        data: {type: "listing_hidden", productId: report.targetId},
+      };
+      await storeNotificationRecord(subjectUserId, notificationPayload);
+      await sendPushNotifications(subjectUserId, notificationPayload);
+    }
+  } else if (action === "warn") {
+    await db
+      .collection("users")
+      .doc(subjectUserId)
+      .update({warningCount: FieldValue.increment(1)});
+    const notificationPayload = {
+      title: "Account Warning",
+      body:
+        note ||
+        "Content you posted was reported and breaks our community rules. " +
+        "Repeated violations can lead to suspension.",
+      type: "account_warning",
+      data: {type: "account_warning"},
+    };
+    await storeNotificationRecord(subjectUserId, notificationPayload);
+    await sendPushNotifications(subjectUserId, notificationPayload);
+  } else if (action === "suspend") {
+    await admin.auth().updateUser(subjectUserId, {disabled: true});
+    await admin.auth().revokeRefreshTokens(subjectUserId);
+    await db.collection("users").doc(subjectUserId).update({
+      isSuspended: true,
+      suspendedAt: FieldValue.serverTimestamp(),
+    });
+    const hidden = await updateSellerProductsInChunks(subjectUserId, {
+      status: "hidden",
+      moderation: {...moderationRecord, reason: "Seller account suspended."},
+    }, true);
+    logger.info(
+      `Suspended user ${subjectUserId} and hid ${hidden} active listings.`,
+    );
+    await storeNotificationRecord(subjectUserId, {
+      title: "Account Suspended",
+      body:
+        note ||
+        "Your account has been suspended for breaking our community rules.",
+      type: "account_suspended",
+      data: {type: "account_suspended"},
     });
+  }
 
-    deletePromises.push(firestoreBatch.commit());
-    await Promise.all(deletePromises);
-    logger.log(`Successfully deleted ${snapshot.size} old products and attempted image cleanup.`);
-    return;
-  } catch (error) {
-    logger.error("Error querying or deleting old products:", error);
-    throw new Error("Failed to delete old products.");
+  const openReports = await db.collection("reports")
+    .where("targetType", "==", report.targetType)
+    .where("targetKey", "==", report.targetKey)
+    .where("status", "==", "open")
+    .get();
+
+  const batch = db.batch();
+  openReports.forEach((doc) =>
+    batch.update(doc.ref, {
+      status: "resolved",
+      resolution: {
+        action,
+        note: note || null,
+        resolvedBy: moderatorId,
+        resolvedAt: FieldValue.serverTimestamp(),
+      },
+    }),
+  );
+  await batch.commit();
+
+  const reporterIds = new Set<string>(
+    openReports.docs.map((doc) => doc.data().reporterId).filter(Boolean),
+  );
+  for (const reporterId of reporterIds) {
+    const notificationPayload = {
+      title: "Your Report Was Reviewed",
+      body: `Thanks for your report. ${REPORT_OUTCOME_MESSAGES[action]}`,
+      type: "report_resolved",
+      data: {type: "report_resolved", reportId},
+    };
+    await storeNotificationRecord(reporterId, notificationPayload);
+    await sendPushNotifications(reporterId, notificationPayload);
   }
-});
 
-// --- FUNCTION: Update Product Info on User Profile Change ---
-export const updateUserProductsOnProfileChange = onDocumentUpdated("users/{userId}", async (event) => {
-    const beforeData = event.data?.before.data();
-    const afterData = event.data?.after.data();
+  logger.info(
+    `Report ${reportId} resolved with '${action}' by moderator ` +
+    `${moderatorId}; closed ${openReports.size} reports.`,
+  );
+  return {success: true, resolvedReports: openReports.size};
+});
 
-    if (!beforeData || !afterData) {
-      logger.log(`User data missing for update event on users/${event.params.userId}`);
-      return;
-    }
+// --- FUNCTION: Grant or Remove a Role (admins only) ---
+// The first admin has to be granted from the Admin SDK, e.g.
+// `admin.auth().setCustomUserClaims(uid, { admin: true })` in `firebase
+// functions:shell`.
+const USER_ROLES = ["admin", "moderator"];
 
-    const nameChanged = beforeData.displayName !== afterData.displayName;
-    const picChanged = beforeData.profilePicUrl !== afterData.profilePicUrl;
+export const setUserRole = onCall(async (request) => {
+  if (!isAdmin(request.auth)) {
+    throw new HttpsError("permission-denied", "Only admins can change roles.");
+  }
+  const {userId, role, enabled} = request.data || {};
+  if (!userId || typeof userId !== "string") {
+    throw new HttpsError("invalid-argument", "A valid 'userId' is required.");
+  }
+  if (!USER_ROLES.includes(role) || typeof enabled !== "boolean") {
+    throw new HttpsError(
+      "invalid-argument",
+      `'role' must be one of: ${USER_ROLES.join(", ")}, and 'enabled' a ` +
+      "boolean.",
+    );
+  }
+  if (userId === request.auth?.uid && role === "admin" && !enabled) {
+    throw new HttpsError(
+      "failed-precondition",
+      "You cannot remove your own admin role.",
+    );
+  }
 
-    if (!nameChanged && !picChanged) {
-      logger.log(`No relevant profile fields changed for user ${event.params.userId}. No product update needed.`);
-      return;
-    }
+  const user = await admin.auth().getUser(userId).catch(() => null);
+  if (!user) throw new HttpsError("not-found", "User not found.");
+  const claims = {...(user.customClaims || {})};
+  if (enabled) {
+    claims[role] = true;
+  } else {
+    delete claims[role];
+  }
+  await admin.auth().setCustomUserClaims(userId, claims);
 
-    const userId = event.params.userId;
-    const productUpdates: { sellerDisplayName?: string; sellerProfilePicUrl?: string | null } = {};
+  logger.info(
+    `Admin ${request.auth?.uid} ${enabled ? "granted" : "removed"} role ` +
+    `'${role}' for user ${userId}.`,
+  );
+  return {success: true, claims};
+});
+
+// --- HELPER FUNCTION: Record a Verification Status Change ---
+// The latest state lives on the user document (isVerified, verificationStatus
+// and verificationReason); every change is also appended to
+// users/{uid}/verificationHistory. A request moves submitted -> in_review ->
+// approved | rejected; approvals can later be revoked.
+type VerificationStatus =
+  "submitted" | "in_review" | "approved" | "rejected" | "revoked";
+
+const OPEN_VERIFICATION_STATUSES: VerificationStatus[] = [
+  "submitted",
+  "in_review",
+];
+
+/**
+ * Adds a verification status change, and its history entry, to a batch.
+ * @param {FirebaseFirestore.WriteBatch} batch The batch to add the writes to.
+ * @param {string} userId The user whose status changes.
+ * @param {VerificationStatus} status The new status.
+ * @param {string} actorId The user or admin making the change.
+ * @param {(string|null)} reason Why, shown to the user on rejection.
+ */
+function recordVerificationStatus(
+  batch: FirebaseFirestore.WriteBatch,
+  userId: string,
+  status: VerificationStatus,
+  actorId: string,
+  reason: string | null
+) {
+  const userRef = db.collection("users").doc(userId);
+  const isOpen = OPEN_VERIFICATION_STATUSES.includes(status);
+  batch.update(userRef, {
+    ...(isOpen ? {} : {isVerified: status === "approved"}),
+    verificationStatus: status,
+    verificationRequested: isOpen,
+    verificationReason: reason,
+    verificationUpdatedAt: FieldValue.serverTimestamp(),
+    ...(status === "submitted" ?
+      {verificationRequestedAt: FieldValue.serverTimestamp()} :
+      {}),
+  });
+  batch.set(userRef.collection("verificationHistory").doc(), {
+    status,
+    reason,
+    actorId,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+}
+
+const VERIFICATION_NOTIFICATIONS: Record<
+  string,
+  {title: string; body: string}
+> = {
+  in_review: {
+    title: "Verification In Review",
+    body: "An admin is now reviewing your verification request.",
+  },
+  approved: {
+    title: "You're Verified!",
+    body: "Your verification request was approved. Buyers will now see the " +
+      "verified badge on your profile and listings.",
+  },
+  rejected: {
+    title: "Verification Request Rejected",
+    body: "Your verification request was not approved.",
+  },
+  revoked: {
+    title: "Verification Removed",
+    body: "Your verified status has been removed.",
+  },
+};
+
+/**
+ * Tells a user about a change to their verification status.
+ * @param {string} userId The user to notify.
+ * @param {VerificationStatus} status The new status.
+ * @param {(string|null)} reason Why, shown to the user on rejection.
+ */
+async function notifyVerificationDecision(
+  userId: string,
+  status: VerificationStatus,
+  reason: string | null,
+) {
+  const message = VERIFICATION_NOTIFICATIONS[status];
+  if (!message) return;
+  const notificationPayload = {
+    title: message.title,
+    body: reason ? `${message.body} Reason: ${reason}` : message.body,
+    type: `verification_${status}`,
+    data: {type: `verification_${status}`},
+  };
+  await storeNotificationRecord(userId, notificationPayload);
+  await sendPushNotifications(userId, notificationPayload);
+}
+
+// --- HELPER FUNCTIONS: Verification Evidence ---
+// Sellers upload an ID photo, a selfie and proof of address to
+// verification_evidence/{uid}/, which only admins can read. The paths are kept
+// in users/{uid}/private/verification, out of the public profile, and
+// everything is deleted once the request is decided.
+const VERIFICATION_EVIDENCE_PREFIX = "verification_evidence/";
+const VERIFICATION_EVIDENCE_KINDS = ["idPhoto", "selfie", "proofOfAddress"];
+
+/**
+ * Reference to the document holding a user's verification evidence paths.
+ * @param {string} userId The user the evidence belongs to.
+ * @return {FirebaseFirestore.DocumentReference}
+ */
+function getVerificationEvidenceRef(userId: string) {
+  return db
+    .collection("users")
+    .doc(userId)
+    .collection("private")
+    .doc("verification");
+}
+
+/**
+ * Deletes every verification evidence file a user uploaded.
+ * @param {string} userId The user whose evidence to delete.
+ */
+async function deleteVerificationEvidence(userId: string) {
+  try {
+    await bucket.deleteFiles({
+      prefix: `${VERIFICATION_EVIDENCE_PREFIX}${userId}/`,
+    });
+  } catch (error) {
+    logger.error(
+      `Failed to delete verification evidence files for user ${userId}:`,
+      error,
+    );
+  }
+  await getVerificationEvidenceRef(userId).delete();
+  logger.info(`Deleted verification evidence for user ${userId}.`);
+}
+
+// --- FUNCTION: Submit a Seller Verification Request With Evidence ---
+export const requestVerification = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be logged in to request verification.",
+    );
+  }
+  const uid = request.auth.uid;
+  const evidence = request.data?.evidence || {};
+  for (const kind of VERIFICATION_EVIDENCE_KINDS) {
+    const path = evidence[kind];
+    if (
+      typeof path !== "string" ||
+      !path.startsWith(`${VERIFICATION_EVIDENCE_PREFIX}${uid}/`)
+    ) {
+      throw new HttpsError(
+        "invalid-argument",
+        `'evidence.${kind}' must be a file you uploaded.`,
+      );
+    }
+  }
+  const existence = await Promise.all(
+    VERIFICATION_EVIDENCE_KINDS.map((kind) =>
+      bucket.file(evidence[kind]).exists(),
+    ),
+  );
+  if (existence.some(([exists]) => !exists)) {
+    throw new HttpsError(
+      "failed-precondition",
+      "One of the evidence files is missing. Please upload it again.",
+    );
+  }
+
+  const user = (await db.collection("users").doc(uid).get()).data();
+  if (!user) throw new HttpsError("not-found", "User profile not found.");
+  if (user.isVerified === true) {
+    throw new HttpsError("failed-precondition", "You are already verified.");
+  }
+  if (OPEN_VERIFICATION_STATUSES.includes(user.verificationStatus)) {
+    throw new HttpsError(
+      "already-exists",
+      "Your verification request is already being processed.",
+    );
+  }
+
+  // Drop files from earlier attempts that this request does not use.
+  const submittedPaths = new Set(
+    VERIFICATION_EVIDENCE_KINDS.map((kind) => evidence[kind] as string),
+  );
+  const [uploadedFiles] = await bucket.getFiles({
+    prefix: `${VERIFICATION_EVIDENCE_PREFIX}${uid}/`,
+  });
+  await Promise.all(
+    uploadedFiles
+      .filter((file) => !submittedPaths.has(file.name))
+      .map((file) =>
+        file
+          .delete()
+          .catch((error) =>
+            logger.warn(`Could not delete stale evidence ${file.name}:`, error),
+          ),
+      ),
+  );
+
+  const batch = db.batch();
+  batch.set(getVerificationEvidenceRef(uid), {
+    ...Object.fromEntries(
+      VERIFICATION_EVIDENCE_KINDS.map((kind) => [kind, evidence[kind]]),
+    ),
+    submittedAt: FieldValue.serverTimestamp(),
+  });
+  recordVerificationStatus(batch, uid, "submitted", uid, null);
+  await batch.commit();
+
+  logger.info(`User ${uid} submitted a verification request.`);
+  return {success: true};
+});
+
+// --- HELPER FUNCTION: Queue Requests Made Before the Review Workflow ---
+/**
+ * Those only set `verificationRequested: true`, have no `verificationStatus`
+ * and no evidence.
+ * @return {Promise<number>}
+ */
+async function adoptLegacyVerificationRequests(): Promise<number> {
+  const snapshot = await db
+    .collection("users")
+    .where("verificationRequested", "==", true)
+    .get();
+  const legacyDocs = snapshot.docs.filter(
+    (doc) => !doc.data().verificationStatus && doc.data().isVerified !== true,
+  );
+  if (legacyDocs.length === 0) return 0;
+
+  const batch = db.batch();
+  legacyDocs
+    .slice(0, 200)
+    .forEach((doc) =>
+      recordVerificationStatus(batch, doc.id, "submitted", doc.id, null),
+    );
+  await batch.commit();
+  return Math.min(legacyDocs.length, 200);
+}
+
+// --- FUNCTION: List Open Verification Requests (admins only) ---
+// Evidence is returned as storage paths; admins download them directly, as
+// storage rules allow.
+export const listVerificationRequests = onCall(async (request) => {
+  if (!isAdmin(request.auth)) {
+    throw new HttpsError(
+      "permission-denied",
+      "Only admins can review verification requests.",
+    );
+  }
+  const pageSize = Math.min(
+    Math.max(Math.floor(Number(request.data?.pageSize) || 20), 1),
+    50,
+  );
+  const cursor =
+    typeof request.data?.cursor === "string" ? request.data.cursor : null;
+
+  if (!cursor) {
+    const adopted = await adoptLegacyVerificationRequests();
+    if (adopted > 0) {
+      logger.info(
+        `Queued ${adopted} verification requests made before the review ` +
+        "workflow.",
+      );
+    }
+  }
+
+  let query = db.collection("users")
+    .where("verificationStatus", "in", OPEN_VERIFICATION_STATUSES)
+    .orderBy("verificationRequestedAt", "asc")
+    .orderBy(FieldPath.documentId())
+    .limit(pageSize);
+  if (cursor) {
+    const cursorDoc = await db.collection("users").doc(cursor).get();
+    if (!cursorDoc.exists) {
+      throw new HttpsError("invalid-argument", "Invalid 'cursor'.");
+    }
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.get();
+  const evidenceDocs = snapshot.empty ?
+    [] :
+    await db.getAll(
+      ...snapshot.docs.map((doc) => getVerificationEvidenceRef(doc.id)),
+    );
+  const requests = snapshot.docs.map((doc, index) => {
+    const user = doc.data();
+    const evidence = evidenceDocs[index]?.data() || {};
+    return {
+      userId: doc.id,
+      status: user.verificationStatus,
+      displayName: user.displayName || null,
+      email: user.email || null,
+      profilePicUrl: user.profilePicUrl || null,
+      averageRating: user.averageRating || 0,
+      ratingCount: user.ratingCount || 0,
+      warningCount: user.warningCount || 0,
+      joinedAt: user.createdAt?.toMillis?.() ?? null,
+      requestedAt: user.verificationRequestedAt?.toMillis?.() ?? null,
+      evidence: Object.fromEntries(
+        VERIFICATION_EVIDENCE_KINDS.map((kind) => [
+          kind,
+          evidence[kind] || null,
+        ]),
+      ),
+    };
+  });
+  const nextCursor =
+    snapshot.size === pageSize ? snapshot.docs[snapshot.size - 1].id : null;
+  return {requests, nextCursor};
+});
+
+// --- FUNCTION: Move a Verification Request Forward (admins only) ---
+// "start_review" claims a submitted request; "approve" and "reject" decide it
+// and delete the evidence. Rejections need a reason, which the seller sees.
+export const reviewVerificationRequest = onCall(async (request) => {
+  if (!isAdmin(request.auth)) {
+    throw new HttpsError(
+      "permission-denied",
+      "Only admins can review verification requests.",
+    );
+  }
+  const {userId, action} = request.data || {};
+  const reason =
+    typeof request.data?.reason === "string" ?
+      request.data.reason.trim().slice(0, 500) :
+      "";
+  if (!userId || typeof userId !== "string") {
+    throw new HttpsError("invalid-argument", "A valid 'userId' is required.");
+  }
+  if (!["start_review", "approve", "reject"].includes(action)) {
+    throw new HttpsError(
+      "invalid-argument",
+      "'action' must be one of: start_review, approve, reject.",
+    );
+  }
+  if (action === "reject" && !reason) {
+    throw new HttpsError(
+      "invalid-argument",
+      "A reason is required when rejecting a request.",
+    );
+  }
+
+  const user = (await db.collection("users").doc(userId).get()).data();
+  if (!user) throw new HttpsError("not-found", "User not found.");
+  if (!OPEN_VERIFICATION_STATUSES.includes(user.verificationStatus)) {
+    throw new HttpsError(
+      "failed-precondition",
+      "This user has no open verification request.",
+    );
+  }
+  if (action === "start_review" && user.verificationStatus !== "submitted") {
+    throw new HttpsError(
+      "failed-precondition",
+      "This request is already in review.",
+    );
+  }
+
+  const status: VerificationStatus =
+    action === "start_review" ?
+      "in_review" :
+      action === "approve" ?
+        "approved" :
+        "rejected";
+  const batch = db.batch();
+  recordVerificationStatus(
+    batch,
+    userId,
+    status,
+    request.auth?.uid as string,
+    reason || null,
+  );
+  await batch.commit();
+  if (status !== "in_review") {
+    await deleteVerificationEvidence(userId);
+  }
+  await notifyVerificationDecision(userId, status, reason || null);
+
+  logger.info(
+    `Verification for user ${userId} moved to '${status}' by admin ` +
+    `${request.auth?.uid}.`,
+  );
+  return {success: true, status};
+});
+
+// --- FUNCTION: Revoke a Seller's Verification (admins only) ---
+export const revokeVerification = onCall(async (request) => {
+  if (!isAdmin(request.auth)) {
+    throw new HttpsError(
+      "permission-denied",
+      "Only admins can revoke verification.",
+    );
+  }
+  const {userId} = request.data || {};
+  const reason =
+    typeof request.data?.reason === "string" ?
+      request.data.reason.trim().slice(0, 500) :
+      "";
+  if (!userId || typeof userId !== "string") {
+    throw new HttpsError("invalid-argument", "A valid 'userId' is required.");
+  }
+  if (!reason) {
+    throw new HttpsError(
+      "invalid-argument",
+      "A reason is required to revoke verification.",
+    );
+  }
+
+  const user = (await db.collection("users").doc(userId).get()).data();
+  if (!user) throw new HttpsError("not-found", "User not found.");
+  if (user.isVerified !== true) {
+    throw new HttpsError("failed-precondition", "This user is not verified.");
+  }
+
+  const batch = db.batch();
+  recordVerificationStatus(
+    batch,
+    userId,
+    "revoked",
+    request.auth?.uid as string,
+    reason,
+  );
+  await batch.commit();
+  await notifyVerificationDecision(userId, "revoked", reason);
+
+  logger.info(
+    `Verification for user ${userId} revoked by admin ${request.auth?.uid}.`,
+  );
+  return {success: true};
+});
+
+// --- Function 2: Ask Gemini Chatbot ---
+export const askGemini = onCall(async (request) => {
+  const userPrompt = request.data.prompt;
+  if (!userPrompt || typeof userPrompt !== "string" || userPrompt.trim().length === 0) {
+    logger.warn("askGemini called without valid prompt.");
+    throw new HttpsError("invalid-argument", "A non-empty 'prompt' string is required.");
+  }
+
+  const apiKey = geminiApiKey.value();
+  if (!apiKey) {
+    logger.error("Gemini API key parameter (GEMINI_API_KEY) is not defined.");
+    throw new HttpsError("internal", "API key parameter not configured.");
+  }
+
+  try {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+
+    const safetySettings = [
+      { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+      { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+      { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+      { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+    ];
+
+    logger.info(`Calling Gemini for user ${request.auth?.uid || "anonymous"}...`);
+
+    const generationRequest = {
+      contents: [{ role: "user", parts: [{ text: userPrompt }] }],
+      safetySettings,
+    };
+    const result = await model.generateContent(generationRequest);
+    const response = result.response;
+
+    if (!response || response.promptFeedback?.blockReason) {
+      logger.warn("Gemini response blocked.", { feedback: response?.promptFeedback });
+      const reason = response?.promptFeedback?.blockReason || "Safety";
+      throw new HttpsError("invalid-argument", `Request blocked (${reason}).`);
+    }
+
+    const botReply = response.text();
+    logger.info("Received reply from Gemini.");
+    return { reply: botReply };
+  } catch (error: unknown) {
+    logger.error("Error calling Google AI SDK (Gemini):", error);
+    let clientErrorMessage = "Failed to process request with AI model.";
+    if (error instanceof Error && error.message?.includes("SAFETY")) {
+      clientErrorMessage = "Request blocked by safety filters.";
+    } else if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError("internal", clientErrorMessage);
+  }
+});
+
+// --- Function 3: Get Ranked Products ---
+type ProductData = {
+  id: string;
+  score: number;
+  distanceKm: number | null;
+  publicLocation?: GeoPoint;
+  sellerAverageRating?: number;
+  sellerRatingCount?: number;
+  [key: string]: any;
+};
+
+type ProductSortOption = "recommended" | "newest" | "price_asc" | "price_desc";
+
+const PRODUCT_SORT_FIELDS: Record<
+  ProductSortOption,
+  {field: string; direction: "asc" | "desc"}[]
+> = {
+  recommended: [
+    {field: "sellerAverageRating", direction: "desc"},
+    {field: "createdAt", direction: "desc"},
+  ],
+  newest: [{field: "createdAt", direction: "desc"}],
+  price_asc: [{field: "price", direction: "asc"}],
+  price_desc: [{field: "price", direction: "desc"}],
+};
+
+// --- Cursor Helpers ---
+/**
+ * A cursor holds the order-by values of the last product a page examined, so
+ * the next call can resume with startAfter(). Timestamps are tagged so they
+ * round-trip.
+ * @param {ProductSortOption} sortBy The sort the page was read with.
+ * @param {Array<*>} values The order-by values of the last product.
+ * @return {string}
+ */
+function encodeProductCursor(
+  sortBy: ProductSortOption,
+  values: unknown[],
+): string {
+  const serialized = values.map((value) =>
+    value instanceof Timestamp ?
+      {_ts: [value.seconds, value.nanoseconds]} :
+      value,
+  );
+  return Buffer.from(JSON.stringify({s: sortBy, v: serialized})).toString(
+    "base64",
+  );
+}
+
+/**
+ * Reads the order-by values back out of a cursor made by encodeProductCursor.
+ * @param {string} cursor The cursor the client sent back.
+ * @param {ProductSortOption} sortBy The sort the page is read with.
+ * @return {Array<*>}
+ */
+function decodeProductCursor(
+  cursor: string,
+  sortBy: ProductSortOption,
+): unknown[] {
+  try {
+    const parsed: {s?: unknown; v?: {_ts?: [number, number]}[]} = JSON.parse(
+      Buffer.from(cursor, "base64").toString("utf8"),
+    );
+    if (parsed.s !== sortBy || !Array.isArray(parsed.v)) {
+      throw new Error("Cursor does not match the requested sort order.");
+    }
+    return parsed.v.map((value) =>
+      value && Array.isArray(value._ts) ?
+        new Timestamp(value._ts[0], value._ts[1]) :
+        value,
+    );
+  } catch (error) {
+    logger.warn("Rejected malformed product cursor.", {cursor, error});
+    throw new HttpsError("invalid-argument", "Invalid or expired 'cursor'.");
+  }
+}
+
+// A requested radius only applies when the buyer's location is known; listings
+// without a public location never fall inside it.
+const MAX_SEARCH_DISTANCE_KM = 500;
+
+/**
+ * Parses a requested distance limit, capped at MAX_SEARCH_DISTANCE_KM.
+ * @param {*} value The requested distance in km.
+ * @return {(number|null)}
+ */
+function getDistanceLimitKm(value: unknown): number | null {
+  const distance = toOptionalNumber(value);
+  return distance !== null && distance > 0 ?
+    Math.min(distance, MAX_SEARCH_DISTANCE_KM) :
+    null;
+}
+
+/**
+ * Whether a product's public location is within a distance of a point.
+ * @param {ProductData} product The product to check.
+ * @param {number} latitude Latitude of the point.
+ * @param {number} longitude Longitude of the point.
+ * @param {number} limitKm The distance limit in km.
+ * @return {boolean}
+ */
+function isWithinDistance(
+  product: ProductData,
+  latitude: number,
+  longitude: number,
+  limitKm: number,
+): boolean {
+  if (!(product.publicLocation instanceof GeoPoint)) return false;
+  const distance = getDistanceFromLatLonInKm(
+    latitude,
+    longitude,
+    product.publicLocation.latitude,
+    product.publicLocation.longitude,
+  );
+  return distance !== null && distance <= limitKm;
+}
+
+/**
+ * Whether every word of a query appears in a product's text fields.
+ * @param {ProductData} product The product to check.
+ * @param {string} searchQuery The normalized query.
+ * @return {boolean}
+ */
+function matchesSearchQuery(
+  product: ProductData,
+  searchQuery: string,
+): boolean {
+  const haystack = [
+    product.name,
+    product.description,
+    product.sellerDisplayName,
+  ]
+    .filter((field) => typeof field === "string")
+    .join(" ")
+    .toLowerCase();
+  return searchQuery.split(/\s+/).every((term) => haystack.includes(term));
+}
+
+export const getRankedProducts = onCall(
+  async (
+    request,
+  ): Promise<{products: ProductData[]; nextCursor: string | null}> => {
+    logger.info("getRankedProducts called", {data: request.data});
+
+    const buyerLat = request.data?.latitude;
+    const buyerLon = request.data?.longitude;
+    const hasBuyerLocation =
+      typeof buyerLat === "number" && typeof buyerLon === "number";
+
+    const sortBy: ProductSortOption = request.data?.sortBy || "recommended";
+    if (!PRODUCT_SORT_FIELDS[sortBy]) {
+      throw new HttpsError(
+        "invalid-argument",
+        `Unsupported 'sortBy' value: ${sortBy}.`,
+      );
+    }
+
+    const searchQuery =
+      typeof request.data?.searchQuery === "string" ?
+        request.data.searchQuery.trim().toLowerCase() :
+        "";
+    const category =
+      typeof request.data?.category === "string" ? request.data.category : null;
+    const condition =
+      typeof request.data?.condition === "string" ?
+        request.data.condition :
+        null;
+    const minPrice =
+      typeof request.data?.minPrice === "number" ? request.data.minPrice : null;
+    const maxPrice =
+      typeof request.data?.maxPrice === "number" ? request.data.maxPrice : null;
+    const distanceLimitKm = hasBuyerLocation ?
+      getDistanceLimitKm(request.data?.maxDistanceKm) :
+      null;
+
+    const ratingWeight = 0.6;
+    const distanceWeight = 0.4;
+    const maxDistanceKm = 100;
+    const defaultPageSize = 20;
+    const maxPageSize = 50;
+    const scanBatchSize = 200;
+    const maxScannedPerCall = 1000;
+
+    const requestedPageSize = Number(request.data?.pageSize) || defaultPageSize;
+    const pageSize = Math.min(
+      Math.max(Math.floor(requestedPageSize), 1),
+      maxPageSize,
+    );
+
+    // Equality and price filters run in Firestore. Every sort field is listed
+    // explicitly (including price when it is range-filtered) so the cursor
+    // values are complete.
+    const orderFields = [...PRODUCT_SORT_FIELDS[sortBy]];
+    if (
+      (minPrice !== null || maxPrice !== null) &&
+      !orderFields.some((o) => o.field === "price")
+    ) {
+      orderFields.push({field: "price", direction: "asc"});
+    }
+
+    let baseQuery: FirebaseFirestore.Query = db
+      .collection("products")
+      .where("status", "==", "active");
+    if (category) baseQuery = baseQuery.where("category", "==", category);
+    if (condition) baseQuery = baseQuery.where("condition", "==", condition);
+    if (minPrice !== null) baseQuery = baseQuery.where("price", ">=", minPrice);
+    if (maxPrice !== null) baseQuery = baseQuery.where("price", "<=", maxPrice);
+    orderFields.forEach((o) => {
+      baseQuery = baseQuery.orderBy(o.field, o.direction);
+    });
+    baseQuery = baseQuery.orderBy(FieldPath.documentId());
+
+    let cursorValues = request.data?.cursor ?
+      decodeProductCursor(String(request.data.cursor), sortBy) :
+      null;
+
+    try {
+      const blockedUserIds = request.auth ?
+        await getBlockedUserIds(request.auth.uid) :
+        new Set<string>();
+
+      const pageProducts: ProductData[] = [];
+      let scanned = 0;
+      let exhausted = false;
+
+      // Text search, blocks and distance cannot be expressed as Firestore
+      // filters, so keep reading batches in sort order until the page is full,
+      // the catalog ends, or the scan budget is spent.
+      while (pageProducts.length < pageSize && scanned < maxScannedPerCall) {
+        const batchLimit =
+          searchQuery || distanceLimitKm !== null ?
+            scanBatchSize :
+            pageSize - pageProducts.length;
+        const batchQuery = cursorValues ?
+          baseQuery.startAfter(...cursorValues) :
+          baseQuery;
+        const snapshot = await batchQuery.limit(batchLimit).get();
+
+        let examined = 0;
+        for (const doc of snapshot.docs) {
+          examined++;
+          const product = doc.data();
+          cursorValues = [
+            ...orderFields.map((o) => product[o.field] ?? null),
+            doc.id,
+          ];
+
+          const candidate: ProductData = {
+            id: doc.id,
+            ...product,
+            score: 0,
+            distanceKm: null,
+          };
+          delete candidate.searchKeys;
+          if (blockedUserIds.has(product.sellerId)) continue;
+          if (searchQuery && !matchesSearchQuery(candidate, searchQuery)) {
+            continue;
+          }
+          if (
+            distanceLimitKm !== null &&
+            !isWithinDistance(candidate, buyerLat, buyerLon, distanceLimitKm)
+          ) {
+            continue;
+          }
+
+          pageProducts.push(candidate);
+          if (pageProducts.length >= pageSize) break;
+        }
+        scanned += examined;
+
+        if (snapshot.size < batchLimit && examined === snapshot.size) {
+          exhausted = true;
+          break;
+        }
+      }
+
+      logger.info(
+        `Scanned ${scanned} products, ${pageProducts.length} matched the ` +
+        "filters.",
+      );
+
+      pageProducts.forEach((prod) => {
+        const rating = prod.sellerAverageRating || 0;
+        const normalizedRating = rating / 5.0;
+        let normalizedDistanceFactor = 0;
+
+        if (hasBuyerLocation && prod.publicLocation instanceof GeoPoint) {
+          prod.distanceKm = getDistanceFromLatLonInKm(
+            buyerLat,
+            buyerLon,
+            prod.publicLocation.latitude,
+            prod.publicLocation.longitude,
+          );
+          if (prod.distanceKm !== null && prod.distanceKm <= maxDistanceKm) {
+            normalizedDistanceFactor = 1.0 - prod.distanceKm / maxDistanceKm;
+          }
+        }
+        prod.score = hasBuyerLocation ?
+          ratingWeight * normalizedRating +
+            distanceWeight * normalizedDistanceFactor :
+          ratingWeight * normalizedRating;
+      });
+
+      // Distance cannot be indexed, so "recommended" pages arrive in rating
+      // order and are re-ranked by the weighted score within the page.
+      if (sortBy === "recommended" && hasBuyerLocation) {
+        pageProducts.sort((a, b) => (b.score || 0) - (a.score || 0));
+      }
+
+      const nextCursor =
+        !exhausted && cursorValues ?
+          encodeProductCursor(sortBy, cursorValues) :
+          null;
+      logger.info(`Returning ${pageProducts.length} ranked products.`, {
+        hasMore: nextCursor !== null,
+      });
+      return {products: pageProducts, nextCursor};
+    } catch (error: unknown) {
+      logger.error("Error getting ranked products:", error);
+      throw new HttpsError("internal", "Failed to retrieve product ranking.");
+    }
+  },
+);
+
+// --- Product Search Index ---
+// indexProductForSearch keeps `searchKeys` on every product: the words of its
+// name, category, seller name and description with plurals folded, every prefix
+// of those words (so half-typed words match) and their trigrams tagged with "~"
+// (so a misspelt word still shares keys with the right one). searchProducts
+// reads candidates with array-contains-any, then scores them against the
+// product's own text.
+const SEARCH_FIELD_WEIGHTS: { field: string; weight: number }[] = [
+  {field: "name", weight: 3},
+  {field: "category", weight: 2},
+  {field: "sellerDisplayName", weight: 1},
+  {field: "description", weight: 1},
+];
+const SEARCH_HIGHLIGHT_FIELDS = ["name", "description"];
+const SEARCH_TRIGRAM_TAG = "~";
+const SEARCH_MIN_PREFIX_LENGTH = 2;
+const SEARCH_MAX_INDEXED_WORDS = 150;
+const SEARCH_MAX_QUERY_KEYS = 30; // Firestore's limit for array-contains-any.
+const SEARCH_MAX_QUERY_TERMS = 8;
+const SEARCH_MAX_CANDIDATES = 500; // Candidates scanned per call.
+
+type SearchWord = { stem: string; start: number; end: number };
+
+/**
+ * Folds common English plurals: "phones" -> "phone", "boxes" -> "box",
+ * "batteries" -> "battery".
+ * @param {string} word A lower-case word.
+ * @return {string}
+ */
+function stemSearchWord(word: string): string {
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && /(ch|sh|x|z|ss)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (word.length > 3 && word.endsWith("s") && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Offsets refer to the original text so the client can highlight matches in
+ * place.
+ * @param {*} text The text to split.
+ * @return {Array<SearchWord>}
+ */
+function tokenizeForSearch(text: unknown): SearchWord[] {
+  if (typeof text !== "string") return [];
+  const words: SearchWord[] = [];
+  const pattern = /[a-z0-9\u00df-\u024f]+/g;
+  const lowered = text.toLowerCase();
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(lowered)) !== null) {
+    words.push({
+      stem: stemSearchWord(match[0]),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return words;
+}
+
+/**
+ * Every three-letter run in a word.
+ * @param {string} word A lower-case word.
+ * @return {Array<string>}
+ */
+function getTrigrams(word: string): string[] {
+  const trigrams: string[] = [];
+  for (let i = 0; i + 3 <= word.length; i++) {
+    trigrams.push(word.slice(i, i + 3));
+  }
+  return trigrams;
+}
+
+/**
+ * The searchKeys a product is indexed under.
+ * @param {FirebaseFirestore.DocumentData} product The product data.
+ * @return {Array<string>}
+ */
+function buildProductSearchKeys(
+  product: FirebaseFirestore.DocumentData,
+): string[] {
+  const stems = new Set<string>();
+  SEARCH_FIELD_WEIGHTS.forEach(({field}) =>
+    tokenizeForSearch(product[field]).forEach((word) => stems.add(word.stem)),
+  );
+
+  const keys = new Set<string>();
+  [...stems].slice(0, SEARCH_MAX_INDEXED_WORDS).forEach((stem) => {
+    for (
+      let length = Math.min(SEARCH_MIN_PREFIX_LENGTH, stem.length);
+      length <= stem.length;
+      length++
+    ) {
+      keys.add(stem.slice(0, length));
+    }
+    getTrigrams(stem).forEach((trigram) =>
+      keys.add(`${SEARCH_TRIGRAM_TAG}${trigram}`),
+    );
+  });
+  return [...keys].sort();
+}
+
+/**
+ * Each term is looked up whole (matching a word or the prefix of one); trigrams
+ * are taken from the terms in turn to fill the remaining slots for typo
+ * tolerance.
+ * @param {Array<string>} terms The normalized query terms.
+ * @return {Array<string>}
+ */
+function buildSearchQueryKeys(terms: string[]): string[] {
+  const keys = new Set<string>(terms);
+  const trigramsByTerm = terms.map(getTrigrams);
+  for (
+    let i = 0;
+    keys.size < SEARCH_MAX_QUERY_KEYS &&
+    trigramsByTerm.some((trigrams) => i < trigrams.length);
+    i++
+  ) {
+    for (const trigrams of trigramsByTerm) {
+      if (i < trigrams.length && keys.size < SEARCH_MAX_QUERY_KEYS) {
+        keys.add(`${SEARCH_TRIGRAM_TAG}${trigrams[i]}`);
+      }
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Optimal string alignment distance, so a swapped pair of letters counts as one
+ * typo.
+ * @param {string} a One word.
+ * @param {string} b The other word.
+ * @return {number}
+ */
+function getEditDistance(a: string, b: string): number {
+  const rows: number[][] = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * 1 for the same word, 0.8 for a prefix of it, less for a close misspelling.
+ * @param {string} term A query term.
+ * @param {string} word A word from the product.
+ * @return {number}
+ */
+function scoreSearchTerm(term: string, word: string): number {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.8;
+  const allowedTypos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  const lengthDifference = Math.abs(word.length - term.length);
+  if (allowedTypos === 0 || lengthDifference > allowedTypos) return 0;
+  const distance = getEditDistance(term, word);
+  return distance <= allowedTypos ? 0.7 - (distance - 1) * 0.2 : 0;
+}
+
+type SearchMatch = {
+  relevance: number;
+  highlights: Record<string, [number, number][]>;
+};
+
+/**
+ * Every term must match somewhere. Relevance is the weighted best match of each
+ * term, scaled to 0-1; highlights are the matched word ranges in the name and
+ * description.
+ * @param {FirebaseFirestore.DocumentData} product The product data.
+ * @param {Array<string>} terms The normalized query terms.
+ * @return {(SearchMatch|null)}
+ */
+function matchProductSearch(
+  product: FirebaseFirestore.DocumentData,
+  terms: string[],
+): SearchMatch | null {
+  const maxWeight = SEARCH_FIELD_WEIGHTS[0].weight;
+  const bestByTerm = terms.map(() => 0);
+  const highlights: Record<string, [number, number][]> = {};
+
+  SEARCH_FIELD_WEIGHTS.forEach(({field, weight}) => {
+    tokenizeForSearch(product[field]).forEach((word) => {
+      let matched = false;
+      terms.forEach((term, index) => {
+        const score = scoreSearchTerm(term, word.stem);
+        if (score === 0) return;
+        matched = true;
+        bestByTerm[index] = Math.max(bestByTerm[index], score * weight);
+      });
+      if (matched && SEARCH_HIGHLIGHT_FIELDS.includes(field)) {
+        (highlights[field] = highlights[field] || []).push([
+          word.start,
+          word.end,
+        ]);
+      }
+    });
+  });
+
+  if (bestByTerm.some((best) => best === 0)) return null;
+  const relevance =
+    bestByTerm.reduce((sum, best) => sum + best, 0) /
+    (terms.length * maxWeight);
+  return {relevance, highlights};
+}
+
+// --- FUNCTION: Keep a Product's Search Keys in Sync With Its Text ---
+export const indexProductForSearch = onDocumentWritten(
+  "products/{productId}",
+  async (event) => {
+    const afterSnapshot = event.data?.after;
+    const afterData = afterSnapshot?.data();
+    if (!afterSnapshot || !afterData) return;
+
+    const searchKeys = buildProductSearchKeys(afterData);
+    if (
+      JSON.stringify(afterData.searchKeys ?? []) === JSON.stringify(searchKeys)
+    ) {
+      return;
+    }
+
+    try {
+      await afterSnapshot.ref.update({searchKeys});
+      logger.log(
+        `Indexed product ${event.params.productId} for search with ` +
+        `${searchKeys.length} keys.`,
+      );
+    } catch (error) {
+      logger.error(
+        `Error indexing product ${event.params.productId} for search:`,
+        error,
+      );
+    }
+  },
+);
+
+// --- FUNCTION: Full-Text Product Search ---
+// Same category, condition, price and distance filters as getRankedProducts.
+// Candidates are read in a fixed order (newest first for "recommended",
+// otherwise the chosen sort). Other sorts are scanned until the page is full or
+// SEARCH_MAX_CANDIDATES have been read, so the cursor resumes the scan where it
+// stopped. "recommended" scores every match among the first
+// SEARCH_MAX_CANDIDATES candidates and ranks them all by relevance before
+// paging, so its cursor is an offset into that ranking.
+const SEARCH_SORT_FIELDS: Record<
+  ProductSortOption,
+  {field: string; direction: "asc" | "desc"}[]
+> = {
+  ...PRODUCT_SORT_FIELDS,
+  recommended: [{field: "createdAt", direction: "desc"}],
+};
+
+export const searchProducts = onCall(
+  async (
+    request,
+  ): Promise<{products: ProductData[]; nextCursor: string | null}> => {
+    const rawQuery =
+      typeof request.data?.searchQuery === "string" ?
+        request.data.searchQuery :
+        "";
+    const terms = [
+      ...new Set(tokenizeForSearch(rawQuery).map((word) => word.stem)),
+    ]
+      .filter((term) => term.length >= SEARCH_MIN_PREFIX_LENGTH)
+      .slice(0, SEARCH_MAX_QUERY_TERMS);
+    if (terms.length === 0) {
+      throw new HttpsError(
+        "invalid-argument",
+        "Search for at least one word of two or more characters.",
+      );
+    }
+
+    const sortBy: ProductSortOption = request.data?.sortBy || "recommended";
+    if (!SEARCH_SORT_FIELDS[sortBy]) {
+      throw new HttpsError(
+        "invalid-argument",
+        `Unsupported 'sortBy' value: ${sortBy}.`,
+      );
+    }
+
+    const category =
+      typeof request.data?.category === "string" ? request.data.category : null;
+    const condition =
+      typeof request.data?.condition === "string" ?
+        request.data.condition :
+        null;
+    const minPrice =
+      typeof request.data?.minPrice === "number" ? request.data.minPrice : null;
+    const maxPrice =
+      typeof request.data?.maxPrice === "number" ? request.data.maxPrice : null;
+    const buyerLat = request.data?.latitude;
+    const buyerLon = request.data?.longitude;
+    const hasBuyerLocation =
+      typeof buyerLat === "number" && typeof buyerLon === "number";
+    const distanceLimitKm = hasBuyerLocation ?
+      getDistanceLimitKm(request.data?.maxDistanceKm) :
+      null;
+
+    const requestedPageSize = Number(request.data?.pageSize) || 20;
+    const pageSize = Math.min(Math.max(Math.floor(requestedPageSize), 1), 50);
+    const scanBatchSize = 100;
+
+    const orderFields = [...SEARCH_SORT_FIELDS[sortBy]];
+    if (
+      (minPrice !== null || maxPrice !== null) &&
+      !orderFields.some((o) => o.field === "price")
+    ) {
+      orderFields.push({field: "price", direction: "asc"});
+    }
+
+    let candidateQuery: FirebaseFirestore.Query = db
+      .collection("products")
+      .where("status", "==", "active")
+      .where("searchKeys", "array-contains-any", buildSearchQueryKeys(terms));
+    if (category) {
+      candidateQuery = candidateQuery.where("category", "==", category);
+    }
+    if (condition) {
+      candidateQuery = candidateQuery.where("condition", "==", condition);
+    }
+    if (minPrice !== null) {
+      candidateQuery = candidateQuery.where("price", ">=", minPrice);
+    }
+    if (maxPrice !== null) {
+      candidateQuery = candidateQuery.where("price", "<=", maxPrice);
+    }
+    orderFields.forEach((o) => {
+      candidateQuery = candidateQuery.orderBy(o.field, o.direction);
+    });
+    candidateQuery = candidateQuery.orderBy(FieldPath.documentId());
+
+    const rankAllCandidates = sortBy === "recommended";
+    let cursorValues: unknown[] | null = null;
+    let offset = 0;
+    if (request.data?.cursor) {
+      const decoded = decodeProductCursor(String(request.data.cursor), sortBy);
+      if (rankAllCandidates) {
+        offset = Number(decoded[0]);
+        if (!Number.isInteger(offset) || offset < 0) {
+          throw new HttpsError(
+            "invalid-argument",
+            "Invalid or expired 'cursor'.",
+          );
+        }
+      } else {
+        cursorValues = decoded;
+      }
+    }
+
+    try {
+      const blockedUserIds = request.auth ?
+        await getBlockedUserIds(request.auth.uid) :
+        new Set<string>();
+
+      const matches: ProductData[] = [];
+      let scanned = 0;
+      let exhausted = false;
+
+      while (
+        (rankAllCandidates || matches.length < pageSize) &&
+        scanned < SEARCH_MAX_CANDIDATES
+      ) {
+        const batchLimit = Math.min(
+          scanBatchSize,
+          SEARCH_MAX_CANDIDATES - scanned,
+        );
+        const batchQuery = cursorValues ?
+          candidateQuery.startAfter(...cursorValues) :
+          candidateQuery;
+        const snapshot = await batchQuery.limit(batchLimit).get();
+
+        let examined = 0;
+        for (const doc of snapshot.docs) {
+          examined++;
+          const product = doc.data();
+          cursorValues = [
+            ...orderFields.map((o) => product[o.field] ?? null),
+            doc.id,
+          ];
+
+          if (blockedUserIds.has(product.sellerId)) continue;
+          if (
+            distanceLimitKm !== null &&
+            !isWithinDistance(
+              product as ProductData,
+              buyerLat,
+              buyerLon,
+              distanceLimitKm,
+            )
+          ) {
+            continue;
+          }
+          const match = matchProductSearch(product, terms);
+          if (!match) continue;
+
+          const result: ProductData = {
+            id: doc.id,
+            ...product,
+            score: match.relevance,
+            distanceKm: null,
+            searchHighlights: match.highlights,
+          };
+          delete result.searchKeys;
+          if (hasBuyerLocation && result.publicLocation instanceof GeoPoint) {
+            result.distanceKm = getDistanceFromLatLonInKm(
+              buyerLat,
+              buyerLon,
+              result.publicLocation.latitude,
+              result.publicLocation.longitude,
+            );
+          }
+          matches.push(result);
+          if (!rankAllCandidates && matches.length >= pageSize) break;
+        }
+        scanned += examined;
+
+        if (snapshot.size < batchLimit && examined === snapshot.size) {
+          exhausted = true;
+          break;
+        }
+      }
+
+      let products = matches;
+      let nextCursor: string | null = null;
+      if (rankAllCandidates) {
+        const createdAtMillis = (product: ProductData) =>
+          product.createdAt?.toMillis?.() ?? 0;
+        matches.sort(
+          (a, b) =>
+            b.score - a.score ||
+            (b.sellerAverageRating || 0) - (a.sellerAverageRating || 0) ||
+            createdAtMillis(b) - createdAtMillis(a),
+        );
+        products = matches.slice(offset, offset + pageSize);
+        if (offset + pageSize < matches.length) {
+          nextCursor = encodeProductCursor(sortBy, [offset + pageSize]);
+        }
+      } else if (!exhausted && cursorValues) {
+        nextCursor = encodeProductCursor(sortBy, cursorValues);
+      }
+      logger.info(
+        `Search for "${terms.join(" ")}" scanned ${scanned} candidates, ` +
+        `${matches.length} matched.`,
+        {hasMore: nextCursor !== null},
+      );
+      return {products, nextCursor};
+    } catch (error: unknown) {
+      logger.error("Error searching products:", error);
+      throw new HttpsError("internal", "Failed to search products.");
+    }
+  },
+);
+
+// --- FUNCTION: One-off Job to Index Existing Products for Search (admins) ---
+// Handles one page of products per call; call it again with the returned `next`
+// document ID until it comes back null.
+const SEARCH_INDEX_PAGE_SIZE = 300;
+
+export const backfillProductSearchIndex = onCall(
+  {timeoutSeconds: 540},
+  async (request) => {
+    if (!isAdmin(request.auth)) {
+      throw new HttpsError(
+        "permission-denied",
+        "Only admins can run this job.",
+      );
+    }
+    const startAfter =
+      typeof request.data?.next === "string" ? request.data.next : null;
+
+    let pageQuery = db
+      .collection("products")
+      .orderBy(FieldPath.documentId())
+      .limit(SEARCH_INDEX_PAGE_SIZE);
+    if (startAfter) pageQuery = pageQuery.startAfter(startAfter);
+    const snapshot = await pageQuery.get();
+
+    const batch = db.batch();
+    let indexed = 0;
+    snapshot.docs.forEach((doc) => {
+      const searchKeys = buildProductSearchKeys(doc.data());
+      if (
+        JSON.stringify(doc.data().searchKeys ?? []) ===
+        JSON.stringify(searchKeys)
+      ) {
+        return;
+      }
+      batch.update(doc.ref, {searchKeys});
+      indexed++;
+    });
+    if (indexed > 0) await batch.commit();
+
+    const next =
+      snapshot.size === SEARCH_INDEX_PAGE_SIZE ?
+        snapshot.docs[snapshot.size - 1].id :
+        null;
+    logger.info(`Indexed ${indexed} of ${snapshot.size} products for search.`, {
+      next,
+    });
+    return {scanned: snapshot.size, indexed, next};
+  },
+);
+
+// --- HELPER FUNCTION: Update every document a query returns, 500 at a time ---
+/**
+ * The update must move documents out of the query's result set, or this never
+ * finishes.
+ * @param {FirebaseFirestore.Query} query The query to page through.
+ * @param {Function} buildUpdate Returns the update for a document.
+ * @return {Promise<number>}
+ */
+async function updateQueryInChunks(
+  query: FirebaseFirestore.Query,
+  buildUpdate: (
+    doc: FirebaseFirestore.QueryDocumentSnapshot,
+  ) => FirebaseFirestore.UpdateData<FirebaseFirestore.DocumentData>,
+): Promise<number> {
+  let processed = 0;
+  let snapshot = await query.limit(500).get();
+  while (!snapshot.empty) {
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => batch.update(doc.ref, buildUpdate(doc)));
+    await batch.commit();
+    processed += snapshot.size;
+    if (snapshot.size < 500) break;
+    snapshot = await query.limit(500).get();
+  }
+  return processed;
+}
+
+// --- HELPER FUNCTION: Copy denormalized seller fields onto their products ---
+/**
+ * Pages by document ID because the update does not move products out of the
+ * query. Products that already hold every value are left alone. With
+ * activeOnly, listings in any other status are skipped; listings from before
+ * the lifecycle (no status) count as active.
+ * @param {string} sellerId The seller whose listings to update.
+ * @param {FirebaseFirestore.UpdateData} updates The fields to write.
+ * @param {boolean} [activeOnly] Only update active, unsold listings.
+ * @return {Promise<number>}
+ */
+async function updateSellerProductsInChunks(
+  sellerId: string,
+  updates: FirebaseFirestore.UpdateData<FirebaseFirestore.DocumentData>,
+  activeOnly = false,
+): Promise<number> {
+  const query = db
+    .collection("products")
+    .where("sellerId", "==", sellerId)
+    .orderBy(FieldPath.documentId())
+    .limit(500);
+
+  let updated = 0;
+  let snapshot = await query.get();
+  while (!snapshot.empty) {
+    const batch = db.batch();
+    let batched = 0;
+    snapshot.docs.forEach((doc) => {
+      const product = doc.data();
+      if (activeOnly && product.status && product.status !== "active") return;
+      if (
+        Object.entries(updates).every(
+          ([field, value]) => product[field] === value,
+        )
+      ) {
+        return;
+      }
+      batch.update(doc.ref, updates);
+      batched++;
+    });
+    if (batched > 0) await batch.commit();
+    updated += batched;
+    if (snapshot.size < 500) break;
+    snapshot = await query.startAfter(snapshot.docs[snapshot.size - 1]).get();
+  }
+  return updated;
+}
+
+// --- HELPER FUNCTION: Delete every document a query returns, 500 at a time ---
+/**
+ * Deletes every document a query returns and returns how many there were.
+ * @param {FirebaseFirestore.Query} query The query to page through.
+ * @return {Promise<number>}
+ */
+async function deleteQueryInChunks(
+  query: FirebaseFirestore.Query,
+): Promise<number> {
+  let deleted = 0;
+  let snapshot = await query.limit(500).get();
+  while (!snapshot.empty) {
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+    if (snapshot.size < 500) break;
+    snapshot = await query.limit(500).get();
+  }
+  return deleted;
+}
+
+// --- HELPER FUNCTION: Delete a storage file, tolerating missing files ---
+/**
+ * Deletes a file from the default bucket.
+ * @param {string} path The path of the file.
+ * @param {string} productId The product the file belonged to, for logs.
+ */
+async function deleteStorageFile(path: string, productId: string) {
+  try {
+    await bucket.file(path).delete();
+    logger.log(`Deleted storage file ${path} for product ${productId}.`);
+  } catch (err: any) {
+    if (err.code === 404) {
+      logger.warn(`File not found, skipping delete: ${path}`);
+    } else {
+      logger.error(
+        `Failed to delete file ${path} for product ${productId}:`,
+        err,
+      );
+    }
+  }
+}
+
+// --- FUNCTION: Initialize Lifecycle Fields on New Listings ---
+export const initializeListingLifecycle = onDocumentCreated(
+  "products/{productId}",
+  async (event) => {
+    const snapshot = event.data;
+    const product = snapshot?.data();
+    if (!snapshot || !product) return;
+    if (product.status && product.expiresAt) return;
+
+    const startMs =
+      product.createdAt instanceof Timestamp ?
+        product.createdAt.toMillis() :
+        Date.now();
+    const update: Record<string, unknown> = {
+      expiresAt: Timestamp.fromMillis(
+        startMs + listingDurationDays.value() * DAY_MS,
+      ),
+    };
+    // Only fill in a missing status so this never overwrites a moderation hold.
+    if (!product.status) update.status = "active";
+    try {
+      await snapshot.ref.update(update);
+      logger.log(
+        `Initialized lifecycle for product ${event.params.productId}.`,
+      );
+    } catch (error) {
+      logger.error(
+        `Error initializing lifecycle for product ${event.params.productId}:`,
+        error,
+      );
+    }
+  },
+);
+
+// --- FUNCTION: One-off Job to Add Lifecycle Fields to Listings (admins) ---
+// Listings created before the lifecycle have no status or expiresAt, so feeds,
+// the map and offers treat them as inactive. They become active with a full
+// listing period from now. Handles one page per call; call it again with the
+// returned `next` until it comes back null.
+const LIFECYCLE_BACKFILL_PAGE_SIZE = 300;
+
+export const backfillListingLifecycle = onCall(
+  {timeoutSeconds: 540},
+  async (request) => {
+    if (!isAdmin(request.auth)) {
+      throw new HttpsError(
+        "permission-denied",
+        "Only admins can run this job.",
+      );
+    }
+    const startAfter =
+      typeof request.data?.next === "string" ? request.data.next : null;
+
+    let pageQuery = db
+      .collection("products")
+      .orderBy(FieldPath.documentId())
+      .limit(LIFECYCLE_BACKFILL_PAGE_SIZE);
+    if (startAfter) pageQuery = pageQuery.startAfter(startAfter);
+    const snapshot = await pageQuery.get();
+
+    const expiresAt = Timestamp.fromMillis(
+      Date.now() + listingDurationDays.value() * DAY_MS,
+    );
+    const batch = db.batch();
+    let updated = 0;
+    snapshot.docs.forEach((doc) => {
+      const product = doc.data();
+      if (product.status && product.expiresAt) return;
+      const update: {status?: ListingStatus; expiresAt?: Timestamp} = {};
+      if (!product.status) update.status = "active";
+      if (!product.expiresAt) update.expiresAt = expiresAt;
+      batch.update(doc.ref, update);
+      updated++;
+    });
+    if (updated > 0) await batch.commit();
+
+    const next =
+      snapshot.size === LIFECYCLE_BACKFILL_PAGE_SIZE ?
+        snapshot.docs[snapshot.size - 1].id :
+        null;
+    logger.info(
+      `Backfilled lifecycle fields on ${updated} of ${snapshot.size} products.`,
+      {next},
+    );
+    return {scanned: snapshot.size, updated, next};
+  },
+);
+
+// --- HELPER FUNCTION: Ask the model whether a listing breaks the rules ---
+/**
+ * Returns null when the model is unavailable: a new listing then goes to the
+ * moderators, an edited one stays live.
+ * @param {string} productId The listing being moderated.
+ * @param {FirebaseFirestore.DocumentData} product The listing data.
+ * @return {Promise<(Object|null)>}
+ */
+async function getListingModerationVerdict(
+  productId: string,
+  product: FirebaseFirestore.DocumentData,
+): Promise<{flagged: boolean; reason: string} | null> {
+  const apiKey = geminiApiKey.value();
+  if (!apiKey) {
+    logger.error("Gemini API key is not available for listing moderation.");
+    return null;
+  }
+
+  try {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const model = genAI.getGenerativeModel({model: "gemini-2.5-flash"});
+
+    const prompt = "You are a content moderator for a second-hand " +
+      "marketplace. Review this new listing.\nTitle: " +
+      `${JSON.stringify(product.name || "")}\nDescription: ` +
+      `${JSON.stringify(product.description || "")}\nCategory: ` +
+      `${JSON.stringify(product.category || "")}\n\nFlag the listing if it ` +
+      `offers a prohibited item (${PROHIBITED_LISTING_TYPES.join(", ")}) or ` +
+      "looks suspicious (for example a price or claim that is too good to be " +
+      "true, requests to pay or talk off-platform, or a mismatch that " +
+      "suggests a scam). Respond with a valid JSON object only, with the " +
+      "following structure: {\"flagged\": true or false, \"reason\": " +
+      "\"one short sentence the seller can read, or an empty string\"}.";
+
+    const result = await model.generateContent(prompt);
+    const cleanedText = result.response
+      .text()
+      .trim()
+      .replace(/^```json\s*|```$/g, "")
+      .trim();
+    const parsed = JSON.parse(cleanedText);
+    return {
+      flagged: parsed.flagged === true,
+      reason: typeof parsed.reason === "string" ? parsed.reason.trim() : "",
+    };
+  } catch (error) {
+    logger.error(
+      `Error moderating listing ${productId}:`,
+      error,
+    );
+    return null;
+  }
+}
+
+// --- HELPER FUNCTION: Hold a flagged listing and tell the seller ---
+/**
+ * `flaggedOn` records whether the listing was new or edited, so approval only
+ * sends saved-search alerts for listings that never went out.
+ * @param {FirebaseFirestore.DocumentReference} productRef The listing to hold.
+ * @param {FirebaseFirestore.DocumentData} product The listing data.
+ * @param {string} reason The moderation model's reason.
+ * @param {(string)} flaggedOn "create" or "update".
+ */
+async function holdListingForReview(
+  productRef: FirebaseFirestore.DocumentReference,
+  product: FirebaseFirestore.DocumentData,
+  reason: string,
+  flaggedOn: "create" | "edit",
+) {
+  const productId = productRef.id;
+  await productRef.update({
+    status: "pending_review",
+    moderation: {
+      status: "pending",
+      reason,
+      flaggedBy: "ai",
+      flaggedOn,
+      flaggedAt: FieldValue.serverTimestamp(),
+    },
+  });
+  logger.info(`Listing ${productId} held for review: ${reason}`);
+
+  const productName = product.name || "Your listing";
+  const notificationPayload = {
+    title: "Listing Under Review",
+    body:
+      flaggedOn === "edit" ?
+        `Your changes to "${productName}" are being reviewed, so it is ` +
+        `hidden until then. Reason: ${reason}` :
+        `"${productName}" is being reviewed before it goes live. Reason: ` +
+        `${reason}`,
+    type: "listing_flagged",
+    data: {
+      type: "listing_flagged",
+      productId,
+      url: `yahdsell2://product/${productId}`,
+    },
+  };
+  await storeNotificationRecord(product.sellerId, notificationPayload);
+  await sendPushNotifications(product.sellerId, notificationPayload);
+}
+
+// --- HELPER FUNCTION: Seller fields a listing picks up as it goes live ---
+/**
+ * Seller ratings and verification are only fanned out to active listings, so a
+ * listing that was held catches up on them when it becomes active.
+ * @param {(FirebaseFirestore.DocumentData|undefined)} seller
+ *     The seller's profile.
+ * @return {Object}
+ */
+function getSellerListingFields(
+  seller: FirebaseFirestore.DocumentData | undefined,
+) {
+  return {
+    sellerAverageRating: seller?.averageRating || 0,
+    sellerRatingCount: seller?.ratingCount || 0,
+    sellerIsVerified: seller?.isVerified === true,
+  };
+}
+
+// --- FUNCTION: AI Moderation of New Listings ---
+// New listings are created as pending_moderation, so nobody else sees them
+// until they pass. Flagged listings, and listings the model could not check,
+// are held as pending_review until a moderator approves or rejects them.
+// Saved-search alerts go out from here once a listing has passed, never for a
+// held one.
+export const moderateNewListing = onDocumentCreated(
+  "products/{productId}",
+  async (event) => {
+    const snapshot = event.data;
+    const product = snapshot?.data();
+    const productId = event.params.productId;
+    if (!snapshot || !product) return;
+    if (product.status !== "pending_moderation") return;
+
+    const verdict = await getListingModerationVerdict(productId, product);
+    if (!verdict || verdict.flagged) {
+      try {
+        await holdListingForReview(
+          snapshot.ref,
+          product,
+          verdict ?
+            verdict.reason || "This listing may break our marketplace rules." :
+            "Automatic checks were unavailable, so a moderator will review " +
+            "this listing.",
+          "create",
+        );
+      } catch (error) {
+        logger.error(`Error holding listing ${productId} for review:`, error);
+      }
+      return;
+    }
+
+    logger.log(`Listing ${productId} passed moderation.`);
+    let published: boolean;
+    try {
+      published = await db.runTransaction(async (transaction) => {
+        const productDoc = await transaction.get(snapshot.ref);
+        const current = productDoc.data();
+        // Deleted or already moved on while the model was deciding.
+        if (!current || current.status !== "pending_moderation") return false;
+        const sellerDoc = await transaction.get(
+          db.collection("users").doc(current.sellerId),
+        );
+        transaction.update(snapshot.ref, {
+          status: "active",
+          ...getSellerListingFields(sellerDoc.data()),
+        });
+        return true;
+      });
+    } catch (error) {
+      logger.error(`Error publishing listing ${productId}:`, error);
+      return;
+    }
+    if (published) await alertSavedSearchesForListing(productId);
+  },
+);
+
+// --- FUNCTION: Re-moderate Live Listings Whose Text Was Edited ---
+export const moderateEditedListing = onDocumentUpdated(
+  "products/{productId}",
+  async (event) => {
+    const beforeData = event.data?.before.data();
+    const afterData = event.data?.after.data();
+    const productId = event.params.productId;
+    if (!event.data || !beforeData || !afterData) return;
+    if (
+      beforeData.name === afterData.name &&
+      beforeData.description === afterData.description
+    ) {
+      return;
+    }
+    if (afterData.status !== "active") return;
+
+    const verdict = await getListingModerationVerdict(productId, afterData);
+    if (!verdict?.flagged) {
+      if (verdict) logger.log(`Edited listing ${productId} passed moderation.`);
+      return;
+    }
+
+    try {
+      await holdListingForReview(
+        event.data.after.ref,
+        afterData,
+        verdict.reason || "This listing may break our marketplace rules.",
+        "edit",
+      );
+    } catch (error) {
+      logger.error(
+        `Error holding edited listing ${productId} for review:`,
+        error,
+      );
+    }
+  },
+);
+
+// --- FUNCTION: Approve or Reject a Listing Held for Review (moderators) ---
+export const reviewFlaggedListing = onCall(async (request) => {
+  if (!request.auth || !isModerator(request.auth)) {
+    throw new HttpsError(
+      "permission-denied",
+      "Only moderators can review listings.",
+    );
+  }
+  const {productId, action} = request.data || {};
+  const note =
+    typeof request.data?.note === "string" ?
+      request.data.note.trim().slice(0, 500) :
+      "";
+  if (!productId || typeof productId !== "string") {
+    throw new HttpsError(
+      "invalid-argument",
+      "A valid 'productId' is required.",
+    );
+  }
+  if (action !== "approve" && action !== "reject") {
+    throw new HttpsError(
+      "invalid-argument",
+      "'action' must be either 'approve' or 'reject'.",
+    );
+  }
+
+  const productRef = db.collection("products").doc(productId);
+  const product = await db.runTransaction(async (transaction) => {
+    const productDoc = await transaction.get(productRef);
+    const data = productDoc.data();
+    if (!productDoc.exists || !data) {
+      throw new HttpsError("not-found", "Listing not found.");
+    }
+    if (data.status !== "pending_review") {
+      throw new HttpsError(
+        "failed-precondition",
+        "This listing is not awaiting review.",
+      );
+    }
+    const sellerDoc = await transaction.get(
+      db.collection("users").doc(data.sellerId),
+    );
+
+    const moderation = {
+      ...data.moderation,
+      status: action === "approve" ? "approved" : "rejected",
+      reviewedBy: request.auth?.uid,
+      reviewedAt: FieldValue.serverTimestamp(),
+      note: note || null,
+    };
+    if (action === "approve") {
+      // The listing was never visible, so it gets a full listing period from
+      // approval.
+      transaction.update(productRef, {
+        status: "active",
+        expiresAt: Timestamp.fromMillis(
+          Date.now() + listingDurationDays.value() * DAY_MS,
+        ),
+        moderation,
+        ...getSellerListingFields(sellerDoc.data()),
+      });
+    } else {
+      transaction.update(productRef, {status: "rejected", moderation});
+    }
+    return data;
+  });
+
+  const productName = product.name || "Your listing";
+  const notificationPayload =
+    action === "approve" ?
+      {
+        title: "Listing Approved",
+        body: `"${productName}" has been approved and is now live.`,
+        type: "listing_approved",
+        data: {
+          type: "listing_approved",
+          productId,
+          url: `yahdsell2://product/${productId}`,
+        },
+      } :
+      {
+        title: "Listing Rejected",
+        body: (
+          `"${productName}" was not approved. ` +
+          `${note || product.moderation?.reason || ""}`
+        ).trim(),
+        type: "listing_rejected",
+        data: {
+          type: "listing_rejected",
+          productId,
+          url: `yahdsell2://product/${productId}`,
+        },
+      };
+  await storeNotificationRecord(product.sellerId, notificationPayload);
+  await sendPushNotifications(product.sellerId, notificationPayload);
+  if (action === "approve" && product.moderation?.flaggedOn !== "edit") {
+    await alertSavedSearchesForListing(productId);
+  }
+
+  logger.info(
+    `Listing ${productId} ${action}d by moderator ${request.auth.uid}.`,
+  );
+  return {success: true};
+});
+
+// --- SCHEDULED FUNCTION: Process Expo Push Receipts ---
+// Expo publishes receipts roughly 15 minutes after sending and keeps them for
+// 24 hours. Each run works through the whole backlog, a page at a time, until
+// it runs out of tickets or time; the next run picks up anything left.
+const PUSH_RECEIPT_DELAY_MS = 15 * 60 * 1000;
+const PUSH_RECEIPT_PAGE_SIZE = 500;
+const PUSH_RECEIPT_TIME_BUDGET_MS = 8 * 60 * 1000;
+
+export const processPushReceipts = onSchedule(
+  {schedule: "every 30 minutes", timeoutSeconds: 540},
+  async () => {
+    const now = Date.now();
+    const cutoff = Timestamp.fromMillis(now - PUSH_RECEIPT_DELAY_MS);
+    let processedCount = 0;
+    let failedCount = 0;
+    let lastDoc: FirebaseFirestore.QueryDocumentSnapshot | undefined;
+
+    // Tickets still waiting for a receipt are kept, so pages are read with a
+    // cursor rather than by re-running the query.
+    while (Date.now() - now < PUSH_RECEIPT_TIME_BUDGET_MS) {
+      let query = db
+        .collection("pushTickets")
+        .where("createdAt", "<=", cutoff)
+        .orderBy("createdAt")
+        .limit(PUSH_RECEIPT_PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+      const ticketsSnapshot = await query.get();
+      if (ticketsSnapshot.empty) break;
+      lastDoc = ticketsSnapshot.docs[ticketsSnapshot.docs.length - 1];
+
+      const ticketDocs = new Map(
+        ticketsSnapshot.docs.map((doc) => [doc.id, doc]),
+      );
+      const deleteBatch = db.batch();
+
+      for (const receiptIds of expo.chunkPushNotificationReceiptIds([
+        ...ticketDocs.keys(),
+      ])) {
+        let receipts;
+        try {
+          receipts = await expo.getPushNotificationReceiptsAsync(receiptIds);
+        } catch (error) {
+          logger.error("Error fetching push notification receipts:", error);
+          continue;
+        }
+
+        for (const receiptId of receiptIds) {
+          const ticketDoc = ticketDocs.get(receiptId);
+          if (!ticketDoc) continue;
+          const receipt = receipts[receiptId];
+          const ticket = ticketDoc.data();
+
+          if (!receipt) {
+            // No receipt yet; give up once Expo would no longer have it.
+            if (ticket.createdAt.toMillis() < now - DAY_MS) {
+              deleteBatch.delete(ticketDoc.ref);
+            }
+            continue;
+          }
+          if (receipt.status === "error") {
+            failedCount++;
+            await handlePushDeliveryError(
+              ticket.userId,
+              ticket.token,
+              receipt,
+              receiptId,
+            );
+          }
+          deleteBatch.delete(ticketDoc.ref);
+        }
+      }
+
+      await deleteBatch.commit();
+      processedCount += ticketDocs.size;
+      if (ticketsSnapshot.size < PUSH_RECEIPT_PAGE_SIZE) break;
+    }
+
+    logger.log(
+      `Processed ${processedCount} push tickets, ${failedCount} failed ` +
+      "delivery.",
+    );
+  },
+);
+
+const MAX_DEFERRED_PUSH_ATTEMPTS = 5;
+
+// --- SCHEDULED FUNCTION: Deliver Pushes Deferred by Quiet Hours ---
+// Due pushes go back through sendPushNotifications so preference changes made
+// in the meantime still apply (and a changed time zone can defer them again).
+export const sendDeferredPushNotifications = onSchedule(
+  "every 15 minutes",
+  async () => {
+    const dueSnapshot = await db
+      .collection("deferredPushNotifications")
+      .where("deliverAt", "<=", Timestamp.now())
+      .orderBy("deliverAt")
+      .limit(500)
+      .get();
+    if (dueSnapshot.empty) return;
+
+    logger.log(`Delivering ${dueSnapshot.size} deferred push notifications.`);
+    for (const doc of dueSnapshot.docs) {
+      const {userId, payload, failedAttempts = 0} = doc.data();
+      try {
+        // A notification is only removed once it is sent; failed ones stay due
+        // and are retried on the next run, up to MAX_DEFERRED_PUSH_ATTEMPTS
+        // times.
+        const sent =
+          userId && payload ?
+            await sendPushNotifications(userId, payload) :
+            true;
+        if (sent || failedAttempts + 1 >= MAX_DEFERRED_PUSH_ATTEMPTS) {
+          if (!sent) {
+            logger.warn(
+              `Dropping deferred push notification ${doc.id} after ` +
+              `${MAX_DEFERRED_PUSH_ATTEMPTS} failed attempts.`,
+            );
+          }
+          await doc.ref.delete();
+        } else {
+          await doc.ref.update({failedAttempts: FieldValue.increment(1)});
+        }
+      } catch (error) {
+        logger.error(
+          `Error delivering deferred push notification ${doc.id}:`,
+          error,
+        );
+      }
+    }
+  },
+);
+
+// --- SCHEDULED FUNCTION: Advance Listing Lifecycle ---
+export const advanceListingLifecycle = onSchedule(
+  "every 24 hours",
+  async () => {
+    logger.log("Running scheduled job: advanceListingLifecycle");
+    const now = Date.now();
+    const productsRef = db.collection("products");
+
+    try {
+      // moderateNewListing settles a listing within seconds; one still waiting
+      // an hour later means it never finished, so a moderator takes over.
+      const heldCount = await updateQueryInChunks(
+        productsRef
+          .where("status", "==", "pending_moderation")
+          .where("createdAt", "<=", Timestamp.fromMillis(now - 60 * 60 * 1000)),
+        () => ({
+          status: "pending_review",
+          moderation: {
+            status: "pending",
+            reason: "Automatic checks did not finish, so a moderator will " +
+              "review this listing.",
+            flaggedBy: "system",
+            flaggedOn: "create",
+            flaggedAt: FieldValue.serverTimestamp(),
+          },
+        }),
+      );
+      logger.log(`Sent ${heldCount} unmoderated listings to moderators.`);
+
+      const expiredCount = await updateQueryInChunks(
+        productsRef
+          .where("status", "==", "active")
+          .where("expiresAt", "<=", Timestamp.fromMillis(now)),
+        () => ({status: "expired", expiredAt: FieldValue.serverTimestamp()}),
+      );
+      logger.log(`Marked ${expiredCount} listings as expired.`);
+
+      const archiveCutoff = Timestamp.fromMillis(
+        now - listingArchiveAfterDays.value() * DAY_MS,
+      );
+      const archivedCount = await updateQueryInChunks(
+        productsRef
+          .where("status", "==", "expired")
+          .where("expiredAt", "<=", archiveCutoff),
+        () => ({status: "archived", archivedAt: FieldValue.serverTimestamp()}),
+      );
+      logger.log(`Archived ${archivedCount} expired listings.`);
+
+      // Media, subcollections and wishlist entries are removed by
+      // cleanUpDeletedProduct.
+      const purgeCutoff = Timestamp.fromMillis(
+        now - listingPurgeAfterDays.value() * DAY_MS,
+      );
+      const purgedCount = await deleteQueryInChunks(
+        productsRef
+          .where("status", "==", "archived")
+          .where("archivedAt", "<=", purgeCutoff),
+      );
+      logger.log(`Purged ${purgedCount} archived listings.`);
+    } catch (error) {
+      logger.error("Error advancing listing lifecycle:", error);
+      throw new Error("Failed to advance listing lifecycle.");
+    }
+  },
+);
+
+// --- FUNCTION: Clean Up Dependent Data When a Product is Deleted ---
+// Runs for lifecycle purges, re-lists and manual deletes alike. A re-list
+// reuses the old listing's media, so a file is only deleted when no remaining
+// product references it.
+export const cleanUpDeletedProduct = onDocumentDeleted(
+  "products/{productId}",
+  async (event) => {
+    const product = event.data?.data();
+    const productId = event.params.productId;
+    if (!product || !event.data) return;
+
+    const productRef = event.data.ref;
+    const productName = product.name || "An item";
+
+    try {
+      const openOffersSnapshot = await productRef
+        .collection("offers")
+        .where("status", "in", OPEN_OFFER_STATUSES)
+        .get();
+      const buyerIds = new Set<string>();
+      openOffersSnapshot.forEach((doc) => {
+        const buyerId = doc.data().buyerId;
+        if (buyerId) buyerIds.add(buyerId);
+      });
+
+      for (const buyerId of buyerIds) {
+        const notificationPayload = {
+          title: "Listing Removed",
+          body: `"${productName}" is no longer available, so your open ` +
+            "offer has been closed.",
+          type: "listing_removed",
+          data: {type: "listing_removed", productId},
+        };
+        await storeNotificationRecord(buyerId, notificationPayload);
+        await sendPushNotifications(buyerId, notificationPayload);
+      }
+      logger.log(
+        `Notified ${buyerIds.size} buyers with open offers on deleted ` +
+        `product ${productId}.`,
+      );
+
+      const deletedOffers = await deleteQueryInChunks(
+        productRef.collection("offers"),
+      );
+      const deletedComments = await deleteQueryInChunks(
+        productRef.collection("comments"),
+      );
+      await deleteQueryInChunks(productRef.collection("semanticMatches"));
+      await deleteQueryInChunks(productRef.collection("private"));
+      const deletedWishlistEntries = await deleteQueryInChunks(
+        db.collectionGroup("wishlist").where("productId", "==", productId),
+      );
+      logger.log(
+        `Deleted ${deletedOffers} offers, ${deletedComments} comments and ` +
+        `${deletedWishlistEntries} wishlist entries for product ${productId}.`,
+      );
+
+      const imagePaths: string[] = Array.isArray(product.imageStoragePaths) ?
+        product.imageStoragePaths.filter(
+          (path: unknown) => typeof path === "string" && path,
+        ) :
+        [];
+      for (const path of imagePaths) {
+        const stillUsed = await db
+          .collection("products")
+          .where("imageStoragePaths", "array-contains", path)
+          .limit(1)
+          .get();
+        if (stillUsed.empty) await deleteStorageFile(path, productId);
+      }
+
+      const videoPath = product.videoStoragePath;
+      if (typeof videoPath === "string" && videoPath) {
+        const stillUsed = await db
+          .collection("products")
+          .where("videoStoragePath", "==", videoPath)
+          .limit(1)
+          .get();
+        if (stillUsed.empty) await deleteStorageFile(videoPath, productId);
+      }
+
+      logger.log(`Finished cleanup for deleted product ${productId}.`);
+    } catch (error) {
+      logger.error(
+        `Error cleaning up after deleted product ${productId}:`,
+        error,
+      );
+    }
+  },
+);
+
+// --- FUNCTION: One-off Job to Add productId to Wishlist Entries (admins) ---
+// cleanUpDeletedProduct finds wishlist entries by their productId field, which
+// some entries were saved without. Handles one page per call; call it again
+// with the returned `next` document path until it comes back null.
+const WISHLIST_BACKFILL_PAGE_SIZE = 300;
+
+export const backfillWishlistProductIds = onCall(
+  {timeoutSeconds: 540},
+  async (request) => {
+    if (!isAdmin(request.auth)) {
+      throw new HttpsError(
+        "permission-denied",
+        "Only admins can run this job.",
+      );
+    }
+    const startAfter =
+      typeof request.data?.next === "string" ? request.data.next : null;
+
+    let pageQuery = db
+      .collectionGroup("wishlist")
+      .orderBy(FieldPath.documentId())
+      .limit(WISHLIST_BACKFILL_PAGE_SIZE);
+    if (startAfter) pageQuery = pageQuery.startAfter(startAfter);
+    const snapshot = await pageQuery.get();
+
+    const batch = db.batch();
+    let updated = 0;
+    snapshot.docs.forEach((doc) => {
+      // Wishlist entries are keyed by the product they save.
+      if (doc.data().productId === doc.id) return;
+      batch.update(doc.ref, {productId: doc.id});
+      updated++;
+    });
+    if (updated > 0) await batch.commit();
+
+    const next =
+      snapshot.size === WISHLIST_BACKFILL_PAGE_SIZE ?
+        snapshot.docs[snapshot.size - 1].ref.path :
+        null;
+    logger.info(
+      `Added productId to ${updated} of ${snapshot.size} wishlist entries.`,
+      {next},
+    );
+    return {scanned: snapshot.size, updated, next};
+  },
+);
+
+// --- HELPER FUNCTIONS: Image Variants ---
+// Uploads under these prefixes get resized copies and a blurhash placeholder.
+// Variants are written under IMAGE_VARIANTS_PREFIX (mirroring the original
+// path) and recorded in imageVariants/{sha256(originalPath)}, which the
+// document-side triggers copy from, because listing images are uploaded before
+// the product document that references them exists.
+const IMAGE_VARIANT_SOURCE_PREFIXES = [
+  "product_images/",
+  "chatImages/",
+  "profile_pictures/",
+];
+const IMAGE_VARIANTS_PREFIX = "image_variants/";
+const IMAGE_VARIANT_SIZES = {small: 200, medium: 600, large: 1200} as const;
+type ImageVariantSize = keyof typeof IMAGE_VARIANT_SIZES;
+
+interface ImageVariantSet {
+  small: string;
+  medium: string;
+  large: string;
+  placeholder: string | null;
+}
+
+/**
+ * Whether an upload at this path gets image variants.
+ * @param {string} path The path of the upload.
+ * @return {boolean}
+ */
+function isImageVariantSource(path: string): boolean {
+  return IMAGE_VARIANT_SOURCE_PREFIXES.some((prefix) =>
+    path.startsWith(prefix),
+  );
+}
+
+/**
+ * Storage path of one size variant of an image.
+ * @param {string} path The path of the original image.
+ * @param {ImageVariantSize} size The variant size.
+ * @return {string}
+ */
+function getImageVariantPath(path: string, size: ImageVariantSize): string {
+  return `${IMAGE_VARIANTS_PREFIX}${path.replace(/\.[^/.]+$/, "")}_${size}.jpg`;
+}
+
+/**
+ * Reference to the variant record of an image.
+ * @param {string} path The path of the original image.
+ * @return {FirebaseFirestore.DocumentReference}
+ */
+function getImageVariantRecordRef(path: string) {
+  return db
+    .collection("imageVariants")
+    .doc(createHash("sha256").update(path).digest("hex"));
+}
+
+/**
+ * Same URL format the client SDK's getDownloadURL() returns, so variants are
+ * readable without going through Storage rules.
+ * @param {string} bucketName The bucket holding the file.
+ * @param {string} path The path of the file.
+ * @param {string} token The file's download token.
+ * @return {string}
+ */
+function buildDownloadUrl(
+  bucketName: string,
+  path: string,
+  token: string,
+): string {
+  return `https://firebasestorage.googleapis.com/v0/b/${bucketName}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+}
+
+/**
+ * Loads the variant sets of several images, null where one is not ready.
+ * @param {Array<string>} paths The paths of the original images.
+ * @return {Promise<Array<(ImageVariantSet|null)>>}
+ */
+async function getImageVariantSets(
+  paths: string[],
+): Promise<(ImageVariantSet | null)[]> {
+  if (paths.length === 0) return [];
+  const recordDocs = await db.getAll(
+    ...paths.map((path) => getImageVariantRecordRef(path)),
+  );
+  return recordDocs.map((doc) => toImageVariantSet(doc.data()));
+}
+
+/**
+ * Firestore does not preserve map key order, so sets are rebuilt in a fixed
+ * shape before comparing.
+ * @param {(FirebaseFirestore.DocumentData|null|undefined)} data
+ *     A stored variant record.
+ * @return {(ImageVariantSet|null)}
+ */
+function toImageVariantSet(
+  data: FirebaseFirestore.DocumentData | null | undefined,
+): ImageVariantSet | null {
+  return data ?
+    {
+      small: data.small,
+      medium: data.medium,
+      large: data.large,
+      placeholder: data.placeholder ?? null,
+    } :
+    null;
+}
+
+/**
+ * Copies the variants of a product's images onto the product. imageVariants
+ * lines up with imageStoragePaths; thumbnailUrl and imagePlaceholder belong to
+ * the cover image.
+ * @param {FirebaseFirestore.DocumentReference} productRef
+ *     The product to update.
+ */
+async function applyImageVariantsToProduct(
+  productRef: FirebaseFirestore.DocumentReference,
+) {
+  const productDoc = await productRef.get();
+  const product = productDoc.data();
+  if (!product) return;
+
+  const paths: string[] = Array.isArray(product.imageStoragePaths) ?
+    product.imageStoragePaths.map((path: unknown) =>
+      typeof path === "string" ? path : "",
+    ) :
+    [];
+  const variantSets = await getImageVariantSets(paths);
+  const currentSets = Array.isArray(product.imageVariants) ?
+    product.imageVariants.map(toImageVariantSet) :
+    [];
+  if (JSON.stringify(currentSets) === JSON.stringify(variantSets)) return;
+
+  const cover = variantSets[0];
+  await productRef.update({
+    imageVariants: variantSets,
+    thumbnailUrl: cover?.small ?? FieldValue.delete(),
+    imagePlaceholder: cover?.placeholder ?? FieldValue.delete(),
+  });
+}
+
+/**
+ * Copies the variants of a chat image onto its message.
+ * @param {FirebaseFirestore.DocumentReference} messageRef
+ *     The message to update.
+ * @param {string} path The path of the chat image.
+ */
+async function applyImageVariantsToMessage(
+  messageRef: FirebaseFirestore.DocumentReference,
+  path: string,
+) {
+  const [variants] = await getImageVariantSets([path]);
+  if (!variants) return;
+  await messageRef.update({imageVariants: variants});
+}
+
+// --- HELPER FUNCTION: Strip EXIF/XMP/IPTC Metadata From a Stored Image ---
+// Every user-uploaded image is public or shared, so GPS coordinates and device
+// details must not survive the upload. Clients upload to a private copy of the
+// path under IMAGE_UPLOADS_PREFIX, and publishImageUpload writes the stripped
+// image to the real path. stripImageMetadata re-encodes a file in place for
+// images stored before staging existed.
+const SANITIZED_IMAGE_PREFIXES = [
+  ...IMAGE_VARIANT_SOURCE_PREFIXES,
+  "groupChatImages/",
+];
+const IMAGE_UPLOADS_PREFIX = "image_uploads/";
+
+/**
+ * Re-encodes an image without its EXIF, XMP and IPTC metadata, with the
+ * orientation baked in. Returns null when there is nothing to strip.
+ * @param {Buffer} contents The image's contents.
+ * @return {Promise<({contents: Buffer, contentType: string}|null)>}
+ */
+async function removeImageMetadata(
+  contents: Buffer,
+): Promise<{contents: Buffer; contentType: string} | null> {
+  const {exif, xmp, iptc, format} = await sharp(contents).metadata();
+  if (!exif && !xmp && !iptc) return null;
+
+  let image = sharp(contents).rotate();
+  let contentType = "image/jpeg";
+  if (format === "png") {
+    image = image.png();
+    contentType = "image/png";
+  } else if (format === "webp") {
+    image = image.webp({quality: 90});
+    contentType = "image/webp";
+  } else {
+    image = image.jpeg({quality: 90});
+  }
+  return {contents: await image.toBuffer(), contentType};
+}
+
+/**
+ * Removes EXIF, XMP and IPTC metadata from a stored image in place. The
+ * object's custom metadata, including its download token, is kept so existing
+ * URLs still work. Returns true when the file was rewritten, which fires
+ * another finalize event.
+ * @param {File} file The stored file.
+ * @param {Buffer} contents The file's contents.
+ * @param {(Record<string, string>|undefined)} customMetadata
+ *     The file's custom metadata.
+ * @return {Promise<boolean>}
+ */
+async function stripImageMetadata(
+  file: ReturnType<typeof bucket.file>,
+  contents: Buffer,
+  customMetadata: Record<string, string> | undefined,
+): Promise<boolean> {
+  const stripped = await removeImageMetadata(contents);
+  if (!stripped) return false;
+
+  await file.save(stripped.contents, {
+    contentType: stripped.contentType,
+    metadata: {metadata: {...customMetadata, metadataStripped: "true"}},
+  });
+  logger.log(`Stripped embedded metadata from ${file.name}.`);
+  return true;
+}
+
+// --- HELPER FUNCTION: Publish a Staged Image Upload ---
+/**
+ * Writes a staged upload to its public path without its embedded metadata,
+ * then deletes the staged copy. The upload's custom metadata (the client
+ * waits for its uploadId) is carried over with a fresh download token.
+ * @param {File} file The staged upload.
+ * @param {string} contentType The upload's content type.
+ * @param {(Record<string, string>|undefined)} customMetadata
+ *     The upload's custom metadata.
+ */
+async function publishImageUpload(
+  file: ReturnType<typeof bucket.file>,
+  contentType: string,
+  customMetadata: Record<string, string> | undefined,
+) {
+  const publicPath = file.name.slice(IMAGE_UPLOADS_PREFIX.length);
+  try {
+    if (
+      !SANITIZED_IMAGE_PREFIXES.some((prefix) => publicPath.startsWith(prefix))
+    ) {
+      logger.warn(`Discarding staged upload ${file.name}: unknown path.`);
+      return;
+    }
+    const [contents] = await file.download();
+    const stripped = await removeImageMetadata(contents);
+    await file.bucket.file(publicPath).save(stripped?.contents ?? contents, {
+      contentType: stripped?.contentType ?? contentType,
+      metadata: {
+        metadata: {
+          ...customMetadata,
+          firebaseStorageDownloadTokens: randomUUID(),
+          metadataStripped: "true",
+        },
+      },
+    });
+    logger.log(`Published ${publicPath} from its staged upload.`);
+  } catch (error) {
+    logger.error(`Error publishing staged upload ${file.name}:`, error);
+  } finally {
+    await file.delete().catch((error) => {
+      logger.error(`Error deleting staged upload ${file.name}:`, error);
+    });
+  }
+}
+
+// --- FUNCTION: Sanitize Uploaded Images and Generate Variants ---
+export const generateImageVariants = onObjectFinalized(
+  {memory: "1GiB", timeoutSeconds: 120},
+  async (event) => {
+    const path = event.data.name;
+    const contentType = event.data.contentType;
+    if (!path || !contentType?.startsWith("image/")) return;
+
+    const sourceBucket = getStorage().bucket(event.data.bucket);
+    // The published copy fires its own finalize event, which generates the
+    // variants.
+    if (path.startsWith(IMAGE_UPLOADS_PREFIX)) {
+      await publishImageUpload(
+        sourceBucket.file(path),
+        contentType,
+        event.data.metadata,
+      );
+      return;
+    }
+    if (!SANITIZED_IMAGE_PREFIXES.some((prefix) => path.startsWith(prefix))) {
+      return;
+    }
+
+    try {
+      const [original] = await sourceBucket.file(path).download();
+      // Variants are generated on the finalize event of the rewritten file.
+      if (
+        await stripImageMetadata(
+          sourceBucket.file(path),
+          original,
+          event.data.metadata,
+        )
+      ) {
+        return;
+      }
+      if (!isImageVariantSource(path)) return;
+
+      // rotate() with no arguments applies the EXIF orientation before
+      // resizing.
+      const variantUrls = {} as Record<ImageVariantSize, string>;
+      for (const [size, maxDimension] of Object.entries(
+        IMAGE_VARIANT_SIZES,
+      ) as [ImageVariantSize, number][]) {
+        const resized = await sharp(original)
+          .rotate()
+          .resize({
+            width: maxDimension,
+            height: maxDimension,
+            fit: "inside",
+            withoutEnlargement: true,
+          })
+          .jpeg({quality: 80, progressive: true})
+          .toBuffer();
+        const variantPath = getImageVariantPath(path, size);
+        const token = randomUUID();
+        await sourceBucket.file(variantPath).save(resized, {
+          contentType: "image/jpeg",
+          metadata: {
+            cacheControl: "public, max-age=31536000",
+            metadata: {firebaseStorageDownloadTokens: token, variantOf: path},
+          },
+        });
+        variantUrls[size] = buildDownloadUrl(
+          sourceBucket.name,
+          variantPath,
+          token,
+        );
+      }
+
+      let placeholder: string | null = null;
+      try {
+        const {data, info} = await sharp(original)
+          .rotate()
+          .resize(32, 32, {fit: "inside"})
+          .ensureAlpha()
+          .raw()
+          .toBuffer({resolveWithObject: true});
+        placeholder = encodeBlurhash(
+          new Uint8ClampedArray(data),
+          info.width,
+          info.height,
+          4,
+          3,
+        );
+      } catch (error) {
+        logger.warn(`Could not create a placeholder for ${path}:`, error);
+      }
+
+      await getImageVariantRecordRef(path).set({
+        path,
+        ...variantUrls,
+        placeholder,
+        generatedAt: FieldValue.serverTimestamp(),
+      });
+      logger.log(`Generated image variants for ${path}.`);
+
+      if (path.startsWith("product_images/")) {
+        const productsSnapshot = await db
+          .collection("products")
+          .where("imageStoragePaths", "array-contains", path)
+          .get();
+        await Promise.all(
+          productsSnapshot.docs.map((doc) =>
+            applyImageVariantsToProduct(doc.ref),
+          ),
+        );
+      } else if (path.startsWith("profile_pictures/")) {
+        const userId = path
+          .slice("profile_pictures/".length)
+          .replace(/\.[^/.]+$/, "");
+        await db
+          .collection("users")
+          .doc(userId)
+          .update({
+            profilePicThumbnailUrl: variantUrls.small,
+            profilePicPlaceholder: placeholder ?? FieldValue.delete(),
+          });
+      } else {
+        const chatId = path.split("/")[1];
+        const messagesSnapshot = await db
+          .collection("privateChats")
+          .doc(chatId)
+          .collection("messages")
+          .where("imageStoragePath", "==", path)
+          .get();
+        await Promise.all(
+          messagesSnapshot.docs.map((doc) =>
+            applyImageVariantsToMessage(doc.ref, path),
+          ),
+        );
+      }
+    } catch (error) {
+      logger.error(`Error generating image variants for ${path}:`, error);
+    }
+  },
+);
+
+// --- FUNCTION: One-off Job to Strip Metadata From Stored Images (admins) ---
+// Handles one page of one prefix per call to stay inside the callable timeout.
+// Call it again with the returned `next` cursor until it comes back null.
+const SANITIZE_PAGE_SIZE = 100;
+
+export const sanitizeStoredImages = onCall(
+  {memory: "1GiB", timeoutSeconds: 540},
+  async (request) => {
+    if (!isAdmin(request.auth)) {
+      throw new HttpsError(
+        "permission-denied",
+        "Only admins can run this job.",
+      );
+    }
+    const prefixIndex = request.data?.prefixIndex ?? 0;
+    const pageToken =
+      typeof request.data?.pageToken === "string" ?
+        request.data.pageToken :
+        undefined;
+    if (
+      !Number.isInteger(prefixIndex) ||
+      prefixIndex < 0 ||
+      prefixIndex >= SANITIZED_IMAGE_PREFIXES.length
+    ) {
+      throw new HttpsError(
+        "invalid-argument",
+        "'prefixIndex' is out of range.",
+      );
+    }
+
+    const prefix = SANITIZED_IMAGE_PREFIXES[prefixIndex];
+    const [files, nextQuery] = await bucket.getFiles({
+      prefix,
+      maxResults: SANITIZE_PAGE_SIZE,
+      pageToken,
+      autoPaginate: false,
+    });
+
+    let stripped = 0;
+    for (const file of files) {
+      if (!file.metadata.contentType?.startsWith("image/")) continue;
+      try {
+        const [contents] = await file.download();
+        const customMetadata = file.metadata.metadata as
+          Record<string, string> | undefined;
+        if (await stripImageMetadata(file, contents, customMetadata)) {
+          stripped++;
+        }
+      } catch (error) {
+        logger.error(`Error sanitizing ${file.name}:`, error);
+      }
+    }
+
+    const nextPageToken = (nextQuery as {pageToken?: string} | null | undefined)
+      ?.pageToken;
+    let next: {prefixIndex: number; pageToken?: string} | null = null;
+    if (nextPageToken) {
+      next = {prefixIndex, pageToken: nextPageToken};
+    } else if (prefixIndex + 1 < SANITIZED_IMAGE_PREFIXES.length) {
+      next = {prefixIndex: prefixIndex + 1};
+    }
+
+    logger.info(
+      `Sanitized ${stripped} of ${files.length} files under ${prefix}.`,
+      {next},
+    );
+    return {prefix, scanned: files.length, stripped, next};
+  },
+);
+
+// --- FUNCTION: Remove Variants When the Original Image Is Deleted ---
+export const deleteImageVariants = onObjectDeleted(async (event) => {
+  const path = event.data.name;
+  if (!path || !isImageVariantSource(path)) return;
+
+  // Overwriting an object (e.g. a new profile picture) also reports a delete.
+  const sourceBucket = getStorage().bucket(event.data.bucket);
+  const [stillExists] = await sourceBucket.file(path).exists();
+  if (stillExists) return;
+
+  await Promise.all(
+    (Object.keys(IMAGE_VARIANT_SIZES) as ImageVariantSize[]).map(
+      async (size) => {
+        try {
+          await sourceBucket.file(getImageVariantPath(path, size)).delete();
+        } catch (err) {
+          if ((err as {code?: number}).code !== 404) {
+            logger.error(`Failed to delete ${size} variant of ${path}:`, err);
+          }
+        }
+      },
+    ),
+  );
+  await getImageVariantRecordRef(path).delete();
+  logger.log(`Deleted image variants for ${path}.`);
+});
+
+// --- HELPER FUNCTIONS: Product Video Processing ---
+// Product videos get a poster frame, their duration and a low-bitrate H.264
+// rendition for playback on mobile data. Like image variants, results are
+// recorded in videoVariants/{sha256(originalPath)} so products created after
+// processing can pick them up.
+const VIDEO_VARIANTS_PREFIX = "video_variants/";
+const VIDEO_RENDITION_MAX_HEIGHT = 720;
+
+/**
+ * Storage paths of a video's poster frame and rendition.
+ * @param {string} path The path of the original video.
+ * @return {Object}
+ */
+function getVideoVariantPaths(path: string) {
+  const base = `${VIDEO_VARIANTS_PREFIX}${path.replace(/\.[^/.]+$/, "")}`;
+  return {
+    poster: `${base}_poster.jpg`,
+    rendition: `${base}_${VIDEO_RENDITION_MAX_HEIGHT}p.mp4`,
+  };
+}
+
+/**
+ * Reference to the variant record of a video.
+ * @param {string} path The path of the original video.
+ * @return {FirebaseFirestore.DocumentReference}
+ */
+function getVideoVariantRecordRef(path: string) {
+  return db
+    .collection("videoVariants")
+    .doc(createHash("sha256").update(path).digest("hex"));
+}
+
+/**
+ * Reads a video's duration with ffprobe, or null if it cannot be read.
+ * @param {string} localPath A local copy of the video.
+ * @return {Promise<(number|null)>}
+ */
+async function probeVideoDurationSeconds(
+  localPath: string,
+): Promise<number | null> {
+  const {stdout} = await execFileAsync(ffprobeStatic.path, [
+    "-v",
+    "error",
+    "-show_entries",
+    "format=duration",
+    "-of",
+    "default=noprint_wrappers=1:nokey=1",
+    localPath,
+  ]);
+  const duration = parseFloat(stdout.trim());
+  return Number.isFinite(duration) ? Math.round(duration * 10) / 10 : null;
+}
+
+/**
+ * Copies the poster, duration and rendition of a product's video onto it.
+ * @param {FirebaseFirestore.DocumentReference} productRef
+ *     The product to update.
+ */
+async function applyVideoVariantsToProduct(
+  productRef: FirebaseFirestore.DocumentReference,
+) {
+  const productDoc = await productRef.get();
+  const product = productDoc.data();
+  if (!product) return;
+
+  const videoPath =
+    typeof product.videoStoragePath === "string" ?
+      product.videoStoragePath :
+      "";
+  const record = videoPath ?
+    (await getVideoVariantRecordRef(videoPath).get()).data() :
+    undefined;
+  const updates = {
+    videoPosterUrl: record?.posterUrl ?? null,
+    videoPosterPlaceholder: record?.posterPlaceholder ?? null,
+    videoDurationSeconds: record?.durationSeconds ?? null,
+    videoRenditionUrl: record?.renditionUrl ?? null,
+  };
+  const unchanged = (Object.keys(updates) as (keyof typeof updates)[]).every(
+    (field) => (product[field] ?? null) === updates[field],
+  );
+  if (unchanged) return;
+
+  await productRef.update(
+    Object.fromEntries(
+      Object.entries(updates).map(([field, value]) => [
+        field,
+        value ?? FieldValue.delete(),
+      ]),
+    ),
+  );
+}
+
+// --- FUNCTION: Extract a Poster, Duration and Rendition for Product Videos ---
+export const processProductVideo = onObjectFinalized(
+  {memory: "2GiB", cpu: 2, timeoutSeconds: 300},
+  async (event) => {
+    const path = event.data.name;
+    if (
+      !path ||
+      !path.startsWith("product_videos/") ||
+      !event.data.contentType?.startsWith("video/")
+    ) {
+      return;
+    }
+    if (!ffmpegPath) {
+      logger.error(
+        "The ffmpeg binary is not available; skipping video processing.",
+      );
+      return;
+    }
+
+    const sourceBucket = getStorage().bucket(event.data.bucket);
+    const workDir = await mkdtemp(join(tmpdir(), "product-video-"));
+    const localVideo = join(workDir, "source");
+    const localPoster = join(workDir, "poster.jpg");
+    const localRendition = join(workDir, "rendition.mp4");
+    const variantPaths = getVideoVariantPaths(path);
+
+    try {
+      await sourceBucket.file(path).download({destination: localVideo});
+      const durationSeconds = await probeVideoDurationSeconds(localVideo);
+
+      // Take the poster a little way in, since the first frame is often black.
+      const posterAt = durationSeconds ? Math.min(1, durationSeconds / 2) : 0;
+      await execFileAsync(ffmpegPath, [
+        "-y",
+        "-ss",
+        String(posterAt),
+        "-i",
+        localVideo,
+        "-frames:v",
+        "1",
+        "-vf",
+        `scale=-2:'min(${VIDEO_RENDITION_MAX_HEIGHT},ih)'`,
+        "-q:v",
+        "3",
+        localPoster,
+      ]);
+      await execFileAsync(
+        ffmpegPath,
+        [
+          "-y",
+          "-i",
+          localVideo,
+          "-vf",
+          `scale=-2:'min(${VIDEO_RENDITION_MAX_HEIGHT},ih)'`,
+          "-c:v",
+          "libx264",
+          "-preset",
+          "veryfast",
+          "-crf",
+          "28",
+          "-maxrate",
+          "1200k",
+          "-bufsize",
+          "2400k",
+          "-pix_fmt",
+          "yuv420p",
+          "-c:a",
+          "aac",
+          "-b:a",
+          "96k",
+          "-movflags",
+          "+faststart",
+          // Drop container metadata such as the recording location.
+          "-map_metadata",
+          "-1",
+          localRendition,
+        ],
+        {maxBuffer: 10 * 1024 * 1024},
+      );
+
+      const posterToken = randomUUID();
+      const renditionToken = randomUUID();
+      await sourceBucket.upload(localPoster, {
+        destination: variantPaths.poster,
+        contentType: "image/jpeg",
+        metadata: {
+          cacheControl: "public, max-age=31536000",
+          metadata: {
+            firebaseStorageDownloadTokens: posterToken,
+            variantOf: path,
+          },
+        },
+      });
+      await sourceBucket.upload(localRendition, {
+        destination: variantPaths.rendition,
+        contentType: "video/mp4",
+        metadata: {
+          cacheControl: "public, max-age=31536000",
+          metadata: {
+            firebaseStorageDownloadTokens: renditionToken,
+            variantOf: path,
+          },
+        },
+      });
+
+      let posterPlaceholder: string | null = null;
+      try {
+        const {data, info} = await sharp(localPoster)
+          .resize(32, 32, {fit: "inside"})
+          .ensureAlpha()
+          .raw()
+          .toBuffer({resolveWithObject: true});
+        posterPlaceholder = encodeBlurhash(
+          new Uint8ClampedArray(data),
+          info.width,
+          info.height,
+          4,
+          3,
+        );
+      } catch (error) {
+        logger.warn(
+          `Could not create a poster placeholder for ${path}:`,
+          error,
+        );
+      }
+
+      await getVideoVariantRecordRef(path).set({
+        path,
+        posterUrl: buildDownloadUrl(
+          sourceBucket.name,
+          variantPaths.poster,
+          posterToken,
+        ),
+        posterPlaceholder,
+        durationSeconds,
+        renditionUrl: buildDownloadUrl(
+          sourceBucket.name,
+          variantPaths.rendition,
+          renditionToken,
+        ),
+        processedAt: FieldValue.serverTimestamp(),
+      });
+      logger.log(
+        `Processed product video ${path} (${durationSeconds ?? "unknown"}s).`,
+      );
+
+      const productsSnapshot = await db
+        .collection("products")
+        .where("videoStoragePath", "==", path)
+        .get();
+      await Promise.all(
+        productsSnapshot.docs.map((doc) =>
+          applyVideoVariantsToProduct(doc.ref),
+        ),
+      );
+    } catch (error) {
+      logger.error(`Error processing product video ${path}:`, error);
+    } finally {
+      await rm(workDir, {recursive: true, force: true});
+    }
+  },
+);
+
+// --- FUNCTION: Remove Video Variants When the Original Video Is Deleted ---
+export const deleteProductVideoVariants = onObjectDeleted(async (event) => {
+  const path = event.data.name;
+  if (!path || !path.startsWith("product_videos/")) return;
+
+  const sourceBucket = getStorage().bucket(event.data.bucket);
+  const [stillExists] = await sourceBucket.file(path).exists();
+  if (stillExists) return;
+
+  await Promise.all(
+    Object.values(getVideoVariantPaths(path)).map(async (variantPath) => {
+      try {
+        await sourceBucket.file(variantPath).delete();
+      } catch (err) {
+        if ((err as {code?: number}).code !== 404) {
+          logger.error(`Failed to delete video variant ${variantPath}:`, err);
+        }
+      }
+    }),
+  );
+  await getVideoVariantRecordRef(path).delete();
+  logger.log(`Deleted video variants for ${path}.`);
+});
+
+// --- FUNCTION: Attach Image and Video Variants to Products ---
+// Covers media that finished processing before the product was created or
+// edited.
+export const attachProductMediaVariants = onDocumentWritten(
+  "products/{productId}",
+  async (event) => {
+    const beforeData = event.data?.before.data();
+    const afterSnapshot = event.data?.after;
+    const afterData = afterSnapshot?.data();
+    if (!afterSnapshot || !afterData) return;
+
+    const imagesChanged =
+      !beforeData ||
+      JSON.stringify(beforeData.imageStoragePaths ?? []) !==
+        JSON.stringify(afterData.imageStoragePaths ?? []);
+    const videoChanged =
+      !beforeData ||
+      (beforeData.videoStoragePath ?? null) !==
+        (afterData.videoStoragePath ?? null);
+
+    try {
+      if (imagesChanged) await applyImageVariantsToProduct(afterSnapshot.ref);
+      if (videoChanged) await applyVideoVariantsToProduct(afterSnapshot.ref);
+    } catch (error) {
+      logger.error(
+        `Error attaching media variants to product ${event.params.productId}:`,
+        error,
+      );
+    }
+  },
+);
+
+// --- FUNCTION: Attach Image Variants to Chat Image Messages ---
+export const attachChatImageVariants = onDocumentCreated(
+  "privateChats/{chatId}/messages/{messageId}",
+  async (event) => {
+    const path = event.data?.data()?.imageStoragePath;
+    if (!event.data || typeof path !== "string" || !path) return;
+
+    try {
+      await applyImageVariantsToMessage(event.data.ref, path);
+    } catch (error) {
+      logger.error(
+        `Error attaching image variants to message ${event.params.messageId}:`,
+        error,
+      );
+    }
+  },
+);
+
+// --- FUNCTION: Renew an Expired or Archived Listing ---
+export const renewListing = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be logged in to renew a listing.",
+    );
+  }
+  const {productId} = request.data || {};
+  if (!productId || typeof productId !== "string") {
+    throw new HttpsError(
+      "invalid-argument",
+      "A valid 'productId' is required.",
+    );
+  }
+
+  const productRef = db.collection("products").doc(productId);
+  const sellerRef = db.collection("users").doc(request.auth.uid);
+  const expiresAt = Timestamp.fromMillis(
+    Date.now() + listingDurationDays.value() * DAY_MS,
+  );
+
+  await db.runTransaction(async (transaction) => {
+    const [productDoc, sellerDoc] = await Promise.all([
+      transaction.get(productRef),
+      transaction.get(sellerRef),
+    ]);
+    const product = productDoc.data();
+    if (!productDoc.exists || !product) {
+      throw new HttpsError("not-found", "Listing not found.");
+    }
+    if (product.sellerId !== request.auth?.uid) {
+      throw new HttpsError(
+        "permission-denied",
+        "Only the seller can renew this listing.",
+      );
+    }
+    const seller = sellerDoc.data() || {};
+    if (product.isSold) {
+      throw new HttpsError(
+        "failed-precondition",
+        "Sold listings cannot be renewed.",
+      );
+    }
+    const status = product.status as ListingStatus | undefined;
+    if (status !== "expired" && status !== "archived") {
+      throw new HttpsError(
+        "failed-precondition",
+        "Only expired listings can be renewed.",
+      );
+    }
+
+    transaction.update(productRef, {
+      status: "active",
+      expiresAt,
+      renewedAt: FieldValue.serverTimestamp(),
+      renewCount: FieldValue.increment(1),
+      expiredAt: FieldValue.delete(),
+      archivedAt: FieldValue.delete(),
+      // Seller fields are only fanned out to active listings, so catch up on
+      // renewal.
+      sellerAverageRating: seller.averageRating || 0,
+      sellerRatingCount: seller.ratingCount || 0,
+      sellerIsVerified: seller.isVerified === true,
+    });
+  });
+
+  logger.info(`Listing ${productId} renewed by seller ${request.auth.uid}.`);
+  return {success: true, expiresAt: expiresAt.toMillis()};
+});
+
+// --- FUNCTION: Update Product Info on User Profile Change ---
+export const updateUserProductsOnProfileChange = onDocumentUpdated(
+  "users/{userId}",
+  async (event) => {
+    const beforeData = event.data?.before.data();
+    const afterData = event.data?.after.data();
+
+    if (!beforeData || !afterData) {
+      logger.log(
+        `User data missing for update event on users/${event.params.userId}`,
+      );
+      return;
+    }
+
+    const nameChanged = beforeData.displayName !== afterData.displayName;
+    const picChanged = beforeData.profilePicUrl !== afterData.profilePicUrl;
+    const verifiedChanged =
+      (beforeData.isVerified === true) !== (afterData.isVerified === true);
+
+    if (!nameChanged && !picChanged && !verifiedChanged) {
+      logger.log(
+        `No relevant profile fields changed for user ${event.params.userId}. ` +
+        "No product update needed.",
+      );
+      return;
+    }
+
+    const userId = event.params.userId;
+    const productUpdates: {
+      sellerDisplayName?: string;
+      sellerProfilePicUrl?: string | null;
+    } = {};
 
     if (nameChanged) {
-        productUpdates.sellerDisplayName = afterData.displayName;
-        logger.log(`Display name changed for user ${userId} to "${afterData.displayName}".`);
+      productUpdates.sellerDisplayName = afterData.displayName;
+      logger.log(
+        `Display name changed for user ${userId} to ` +
+        `"${afterData.displayName}".`,
+      );
     }
     if (picChanged) {
-        productUpdates.sellerProfilePicUrl = afterData.profilePicUrl || null;
-        logger.log(`Profile picture changed for user ${userId}.`);
+      productUpdates.sellerProfilePicUrl = afterData.profilePicUrl || null;
+      logger.log(`Profile picture changed for user ${userId}.`);
+    }
+
+    try {
+      if (nameChanged || picChanged) {
+        const updatedCount = await updateSellerProductsInChunks(
+          userId,
+          productUpdates,
+        );
+        logger.log(
+          `Successfully updated ${updatedCount} products for seller ${userId}.`,
+        );
+      }
+      // Like ratings, verification only matters on live listings; renewListing
+      // refreshes the rest.
+      if (verifiedChanged) {
+        const updatedCount = await updateSellerProductsInChunks(
+          userId,
+          {sellerIsVerified: afterData.isVerified === true},
+          true,
+        );
+        logger.log(
+          `Verification changed for user ${userId}; updated ${updatedCount} ` +
+          "active products.",
+        );
+      }
+    } catch (error) {
+      logger.error(
+        `Error updating products for seller ${userId} after profile change:`,
+        error,
+      );
+    }
+  },
+);
+
+// --- NOTIFICATION FUNCTIONS ---
+export const sendNewPrivateChatMessageNotification = onDocumentCreated("privateChats/{chatId}/messages/{messageId}", async (event) => {
+    const messageData = event.data?.data();
+    if (!messageData) return;
+    
+    const { user, text, image, system } = messageData;
+    if (system || (!text && !image)) return;
+
+    const senderId = user?._id;
+    const senderName = user?.name || "Someone";
+    const recipientId = event.params.chatId.split('_').find(id => id !== senderId);
+
+    if (!senderId || !recipientId) return;
+
+    const notificationPayload = {
+        title: `New message from ${senderName}`,
+        body: text || "Sent an image",
+        type: "private_message",
+        data: { type: "private_message", chatId: event.params.chatId, senderId, senderName, url: `yahdsell2://chat/${recipientId}` },
+    };
+
+    await storeNotificationRecord(recipientId, notificationPayload);
+    await sendPushNotifications(recipientId, notificationPayload);
+});
+
+// --- Offer Lifecycle ---
+// pending (awaiting seller) <-> countered (awaiting buyer): whoever's turn it
+// is may counter. An open offer ends as accepted/rejected (respondToOffer),
+// withdrawn (buyer) or expired. Accepting one offer sells the item and declines
+// every other open offer on it.
+type OfferStatus =
+  "pending" | "countered" | "accepted" | "rejected" | "withdrawn" | "expired";
+type OfferRole = "buyer" | "seller";
+const OPEN_OFFER_STATUSES: OfferStatus[] = ["pending", "countered"];
+const MAX_OFFER_AMOUNT = 1000000;
+
+/**
+ * Validates an offer amount and rounds it to cents.
+ * @param {*} value The amount the client sent.
+ * @return {number}
+ */
+function parseOfferAmount(value: unknown): number {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_OFFER_AMOUNT) {
+    throw new HttpsError(
+      "invalid-argument",
+      "Please enter a valid offer amount.",
+    );
+  }
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * When an offer made or countered at the given time expires.
+ * @param {number} [fromMillis] When the offer was made or countered.
+ * @return {Timestamp}
+ */
+function getOfferExpiry(fromMillis = Date.now()): Timestamp {
+  return Timestamp.fromMillis(
+    fromMillis + offerExpiryHours.value() * 60 * 60 * 1000,
+  );
+}
+
+/**
+ * Throws unless a listing is active and unsold.
+ * @param {FirebaseFirestore.DocumentData} product The listing data.
+ */
+function assertProductOpenForOffers(product: FirebaseFirestore.DocumentData) {
+  if (product.isSold) {
+    throw new HttpsError(
+      "failed-precondition",
+      "This item has already been sold.",
+    );
+  }
+  if (product.status !== "active") {
+    throw new HttpsError(
+      "failed-precondition",
+      "This listing is no longer active.",
+    );
+  }
+}
+
+// --- HELPER FUNCTION: Load an open offer and check it is the caller's turn ---
+/**
+ * Loads an open offer inside a transaction and checks the caller may act on it.
+ * @param {FirebaseFirestore.Transaction} transaction
+ *     The transaction to read in.
+ * @param {string} uid The caller.
+ * @param {*} data The callable's data, holding productId and offerId.
+ * @return {Promise<Object>}
+ */
+async function getOpenOfferForTurn(
+  transaction: FirebaseFirestore.Transaction,
+  uid: string,
+  data: unknown,
+) {
+  const {productId, offerId} =
+    (data || {}) as {productId?: unknown; offerId?: unknown};
+  if (
+    !productId ||
+    typeof productId !== "string" ||
+    !offerId ||
+    typeof offerId !== "string"
+  ) {
+    throw new HttpsError(
+      "invalid-argument",
+      "A valid 'productId' and 'offerId' are required.",
+    );
+  }
+
+  const productRef = db.collection("products").doc(productId);
+  const offerRef = productRef.collection("offers").doc(offerId);
+  const [productDoc, offerDoc] = await Promise.all([
+    transaction.get(productRef),
+    transaction.get(offerRef),
+  ]);
+  const offer = offerDoc.data();
+  if (!offerDoc.exists || !offer) {
+    throw new HttpsError("not-found", "Offer not found.");
+  }
+
+  const role: OfferRole | null =
+    uid === offer.sellerId ? "seller" : uid === offer.buyerId ? "buyer" : null;
+  if (!role) {
+    throw new HttpsError(
+      "permission-denied",
+      "You are not part of this offer.",
+    );
+  }
+  const status = offer.status as OfferStatus;
+  if (!OPEN_OFFER_STATUSES.includes(status)) {
+    throw new HttpsError(
+      "failed-precondition",
+      "This offer is no longer open.",
+    );
+  }
+  if (offer.expiresAt && offer.expiresAt.toMillis() <= Date.now()) {
+    throw new HttpsError("failed-precondition", "This offer has expired.");
+  }
+
+  const awaitingRole: OfferRole = status === "pending" ? "seller" : "buyer";
+  return {
+    productRef,
+    product: productDoc.data(),
+    offerRef,
+    offer,
+    role,
+    awaitingRole,
+  };
+}
+
+// --- FUNCTION: Make an Offer ---
+export const makeOffer = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be logged in to make an offer.",
+    );
+  }
+  const {productId} = request.data || {};
+  if (!productId || typeof productId !== "string") {
+    throw new HttpsError(
+      "invalid-argument",
+      "A valid 'productId' is required.",
+    );
+  }
+  const amount = parseOfferAmount(request.data?.amount);
+  const buyerId = request.auth.uid;
+
+  const buyerDoc = await db.collection("users").doc(buyerId).get();
+  const buyerName =
+    buyerDoc.data()?.displayName || request.auth.token.name || "A buyer";
+
+  const productRef = db.collection("products").doc(productId);
+  const offerRef = productRef.collection("offers").doc();
+
+  await db.runTransaction(async (transaction) => {
+    const productDoc = await transaction.get(productRef);
+    const product = productDoc.data();
+    if (!productDoc.exists || !product) {
+      throw new HttpsError("not-found", "Listing not found.");
     }
+    if (product.sellerId === buyerId) {
+      throw new HttpsError(
+        "failed-precondition",
+        "You cannot make an offer on your own item.",
+      );
+    }
+    if (await isBlockedBetween(buyerId, product.sellerId)) {
+      throw new HttpsError(
+        "permission-denied",
+        "You cannot make an offer on this item.",
+      );
+    }
+    assertProductOpenForOffers(product);
+
+    const openOffers = await transaction.get(
+      productRef.collection("offers")
+        .where("buyerId", "==", buyerId)
+        .where("status", "in", OPEN_OFFER_STATUSES)
+        .limit(1)
+    );
+    if (!openOffers.empty) {
+      throw new HttpsError(
+        "already-exists",
+        "You already have an open offer on this item.",
+      );
+    }
+
+    transaction.set(offerRef, {
+      buyerId,
+      buyerName,
+      sellerId: product.sellerId,
+      offerAmount: amount,
+      status: "pending",
+      lastActionBy: "buyer",
+      offerTimestamp: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+      expiresAt: getOfferExpiry(),
+    });
+  });
 
-    const productsRef = db.collection("products");
-    const query = productsRef.where("sellerId", "==", userId);
+  logger.info(
+    `Offer ${offerRef.id} of ${amount} made on product ${productId} by ` +
+    `${buyerId}.`,
+  );
+  return {success: true, offerId: offerRef.id};
+});
 
-    try {
-      const productSnapshot = await query.get();
-      if (productSnapshot.empty) {
-        logger.log(`No products found for seller ${userId}. No updates needed.`);
-        return;
-      }
+// --- FUNCTION: Accept or Reject an Open Offer ---
+export const respondToOffer = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be logged in to respond to an offer.",
+    );
+  }
+  const {action} = request.data || {};
+  if (action !== "accept" && action !== "reject") {
+    throw new HttpsError(
+      "invalid-argument",
+      "'action' must be either 'accept' or 'reject'.",
+    );
+  }
+  const uid = request.auth.uid;
+
+  const status = await db.runTransaction(async (transaction) => {
+    const {productRef, product, offerRef, offer, role, awaitingRole} =
+      await getOpenOfferForTurn(transaction, uid, request.data);
+    if (role !== awaitingRole) {
+      throw new HttpsError(
+        "failed-precondition",
+        "This offer is waiting on the other party.",
+      );
+    }
 
-      const batch = db.batch();
-      productSnapshot.docs.forEach((doc) => {
-        batch.update(doc.ref, productUpdates);
+    if (action === "reject") {
+      transaction.update(offerRef, {
+        status: "rejected",
+        lastActionBy: role,
+        respondedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
       });
+      return "rejected";
+    }
 
-      await batch.commit();
-      logger.log(`Successfully updated ${productSnapshot.size} products for seller ${userId}.`);
-    } catch (error) {
-      logger.error(`Error updating products for seller ${userId} after profile change:`, error);
+    if (!product) {
+      throw new HttpsError("not-found", "Listing not found.");
     }
+    assertProductOpenForOffers(product);
+    const agreedAmount =
+      offer.status === "countered" ? offer.counterAmount : offer.offerAmount;
+    const competingOffers = await transaction.get(
+      productRef.collection("offers").where("status", "in", OPEN_OFFER_STATUSES)
+    );
+
+    transaction.update(offerRef, {
+      status: "accepted",
+      agreedAmount,
+      lastActionBy: role,
+      respondedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    transaction.update(productRef, {
+      isSold: true,
+      soldTo: offer.buyerId,
+      soldAt: FieldValue.serverTimestamp(),
+    });
+    // Every other open offer is declined in the same transaction; the status
+    // trigger notifies each buyer.
+    competingOffers.docs
+      .filter((doc) => doc.id !== offerRef.id)
+      .forEach((doc) => transaction.update(doc.ref, {
+        status: "rejected",
+        autoDeclined: true,
+        lastActionBy: "system",
+        respondedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      }));
+    return "accepted";
+  });
+
+  return {success: true, status};
+});
+
+// --- FUNCTION: Counter an Open Offer ---
+export const counterOffer = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be logged in to counter an offer.",
+    );
   }
-);
+  const amount = parseOfferAmount(request.data?.amount);
+  const uid = request.auth.uid;
+
+  const status = await db.runTransaction(async (transaction) => {
+    const {product, offerRef, offer, role, awaitingRole} =
+      await getOpenOfferForTurn(transaction, uid, request.data);
+    if (role !== awaitingRole) {
+      throw new HttpsError(
+        "failed-precondition",
+        "This offer is waiting on the other party.",
+      );
+    }
+    if (!product) {
+      throw new HttpsError("not-found", "Listing not found.");
+    }
+    assertProductOpenForOffers(product);
+    if (await isBlockedBetween(offer.buyerId, offer.sellerId)) {
+      throw new HttpsError(
+        "permission-denied",
+        "You can no longer negotiate with this user.",
+      );
+    }
 
-// --- NOTIFICATION FUNCTIONS ---
-export const sendNewPrivateChatMessageNotification = onDocumentCreated("privateChats/{chatId}/messages/{messageId}", async (event) => {
-    const messageData = event.data?.data();
-    if (!messageData) return;
-    
-    const { user, text, image, system } = messageData;
-    if (system || (!text && !image)) return;
+    if (role === "seller") {
+      transaction.update(offerRef, {
+        status: "countered",
+        counterAmount: amount,
+        lastActionBy: role,
+        expiresAt: getOfferExpiry(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return "countered";
+    }
 
-    const senderId = user?._id;
-    const senderName = user?.name || "Someone";
-    const recipientId = event.params.chatId.split('_').find(id => id !== senderId);
+    transaction.update(offerRef, {
+      status: "pending",
+      offerAmount: amount,
+      counterAmount: FieldValue.delete(),
+      lastActionBy: role,
+      expiresAt: getOfferExpiry(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return "pending";
+  });
 
-    if (!senderId || !recipientId) return;
+  return {success: true, status};
+});
 
-    const notificationPayload = {
-        title: `New message from ${senderName}`,
-        body: text || "Sent an image",
-        type: "private_message",
-        data: { type: "private_message", chatId: event.params.chatId, senderId, senderName, url: `yahdsell2://chat/${recipientId}` },
-    };
+// --- FUNCTION: Withdraw an Open Offer (buyer only) ---
+export const withdrawOffer = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be logged in to withdraw an offer.",
+    );
+  }
+  const uid = request.auth.uid;
+
+  await db.runTransaction(async (transaction) => {
+    const {offerRef, role} = await getOpenOfferForTurn(
+      transaction,
+      uid,
+      request.data,
+    );
+    if (role !== "buyer") {
+      throw new HttpsError(
+        "permission-denied",
+        "Only the buyer can withdraw an offer.",
+      );
+    }
+    transaction.update(offerRef, {
+      status: "withdrawn",
+      lastActionBy: role,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  });
 
-    await storeNotificationRecord(recipientId, notificationPayload);
-    await sendPushNotifications(recipientId, notificationPayload);
+  return {success: true};
+});
+
+// --- SCHEDULED FUNCTION: Expire Offers Nobody Responded To ---
+export const expireStaleOffers = onSchedule("every 1 hours", async () => {
+  try {
+    const expiredCount = await updateQueryInChunks(
+      db
+        .collectionGroup("offers")
+        .where("status", "in", OPEN_OFFER_STATUSES)
+        .where("expiresAt", "<=", Timestamp.now()),
+      () => ({
+        status: "expired",
+        lastActionBy: "system",
+        updatedAt: FieldValue.serverTimestamp(),
+      }),
+    );
+    logger.log(`Expired ${expiredCount} stale offers.`);
+  } catch (error) {
+    logger.error("Error expiring stale offers:", error);
+  }
 });
 
-export const sendNewOfferNotificationToSeller = onDocumentCreated("products/{productId}/offers/{offerId}", async (event) => {
+// --- FUNCTION: One-off Job to Give Existing Open Offers an Expiry (admins) ---
+// expireStaleOffers only finds offers by expiresAt, which offers made before it
+// existed lack. They get offerTimestamp + OFFER_EXPIRY_HOURS, so long-stale
+// offers expire on the next scheduled run. Handles one page per call; call it
+// again with the returned `next` document path until it comes back null.
+const OFFER_EXPIRY_BACKFILL_PAGE_SIZE = 300;
+
+export const backfillOfferExpiry = onCall(
+  {timeoutSeconds: 540},
+  async (request) => {
+    if (!isAdmin(request.auth)) {
+      throw new HttpsError(
+        "permission-denied",
+        "Only admins can run this job.",
+      );
+    }
+    const startAfter =
+      typeof request.data?.next === "string" ? request.data.next : null;
+
+    let pageQuery = db
+      .collectionGroup("offers")
+      .orderBy(FieldPath.documentId())
+      .limit(OFFER_EXPIRY_BACKFILL_PAGE_SIZE);
+    if (startAfter) pageQuery = pageQuery.startAfter(startAfter);
+    const snapshot = await pageQuery.get();
+
+    const batch = db.batch();
+    let updated = 0;
+    snapshot.docs.forEach((doc) => {
+      const offer = doc.data();
+      if (!OPEN_OFFER_STATUSES.includes(offer.status) || offer.expiresAt) {
+        return;
+      }
+      const createdAt =
+        offer.offerTimestamp instanceof Timestamp ?
+          offer.offerTimestamp.toMillis() :
+          Date.now();
+      batch.update(doc.ref, {expiresAt: getOfferExpiry(createdAt)});
+      updated++;
+    });
+    if (updated > 0) await batch.commit();
+
+    const next =
+      snapshot.size === OFFER_EXPIRY_BACKFILL_PAGE_SIZE ?
+        snapshot.docs[snapshot.size - 1].ref.path :
+        null;
+    logger.info(`Set an expiry on ${updated} of ${snapshot.size} offers.`, {
+      next,
+    });
+    return {scanned: snapshot.size, updated, next};
+  },
+);
+
+export const sendNewOfferNotificationToSeller = onDocumentCreated(
+  "products/{productId}/offers/{offerId}",
+  async (event) => {
     const offerData = event.data?.data();
     if (!offerData) return;
 
     const currentProductId = event.params.productId;
 
-    const { sellerId, buyerId, buyerName, offerAmount } = offerData;
+    const {sellerId, buyerId, buyerName, offerAmount} = offerData;
     if (!sellerId || !buyerId) {
-        logger.error("Offer created with missing sellerId or buyerId.", { offerId: event.params.offerId });
-        return;
+      logger.error("Offer created with missing sellerId or buyerId.", {
+        offerId: event.params.offerId,
+      });
+      return;
     }
 
-    const productDoc = await db.collection("products").doc(currentProductId).get();
+    const productDoc = await db
+      .collection("products")
+      .doc(currentProductId)
+      .get();
     const productName = productDoc.data()?.name || "your item";
 
     const notificationPayload = {
-        title: `New Offer on "${productName}"`,
-        body: `${buyerName} offered $${offerAmount.toFixed(2)}.`,
+      title: `New Offer on "${productName}"`,
+      body: `${buyerName} offered $${offerAmount.toFixed(2)}.`,
+      type: "new_offer",
+      data: {
         type: "new_offer",
-        data: { type: "new_offer", productId: currentProductId, offerId: event.params.offerId, url: `yahdsell2://product/${currentProductId}` },
+        productId: currentProductId,
+        offerId: event.params.offerId,
+        url: `yahdsell2://product/${currentProductId}`,
+      },
     };
 
     await storeNotificationRecord(sellerId, notificationPayload);
@@ -560,44 +5194,166 @@ export const sendNewOfferNotificationToSeller = onDocumentCreated("products/{pro
 
     const chatMessage = `A new offer of $${offerAmount.toFixed(2)} was made by ${buyerName} for "${productName}".`;
     await sendSystemChatMessage(sellerId, buyerId, chatMessage);
-});
+  },
+);
 
-export const sendOfferStatusUpdateNotificationToBuyer = onDocumentUpdated("products/{productId}/offers/{offerId}", async (event) => {
+// Notifies the party that did not act (both parties for expiries) on every
+// offer status change.
+export const sendOfferStatusUpdateNotification = onDocumentUpdated(
+  "products/{productId}/offers/{offerId}",
+  async (event) => {
     const beforeData = event.data?.before.data();
     const afterData = event.data?.after.data();
-    if (!beforeData || !afterData || beforeData.status === afterData.status) return;
+    if (!beforeData || !afterData || beforeData.status === afterData.status) {
+      return;
+    }
 
     const currentProductId = event.params.productId;
 
-    const { status, buyerId, sellerId, offerAmount } = afterData;
-     if (!buyerId || !sellerId) {
-        logger.error("Offer updated with missing sellerId or buyerId.", { offerId: event.params.offerId });
-        return;
+    const {buyerId, sellerId, buyerName} = afterData;
+    const status = afterData.status as OfferStatus;
+    if (!buyerId || !sellerId) {
+      logger.error("Offer updated with missing sellerId or buyerId.", {
+        offerId: event.params.offerId,
+      });
+      return;
     }
 
-    if (status !== "accepted" && status !== "rejected") return;
-    
-    const productDoc = await db.collection("products").doc(currentProductId).get();
+    const productDoc = await db
+      .collection("products")
+      .doc(currentProductId)
+      .get();
     const productName = productDoc.data()?.name || "your offered item";
+    const formatAmount = (amount: unknown) =>
+      `$${Number(amount || 0).toFixed(2)}`;
+    const offerAmount = formatAmount(afterData.offerAmount);
+    const counterAmount = formatAmount(afterData.counterAmount);
+    const agreedAmount = formatAmount(
+      afterData.agreedAmount ?? afterData.offerAmount,
+    );
+    // Offers made before the lifecycle callables were only ever updated by the
+    // seller.
+    const actedBy: OfferRole | "system" = afterData.lastActionBy || "seller";
+    const buyerLabel = buyerName || "The buyer";
+
+    let notification: {
+      recipients: string[];
+      type: string;
+      title: string;
+      body: string;
+    } | null = null;
+    let chatMessage = "";
 
-    const notificationPayload = {
-        title: status === "accepted" ? `Offer Accepted for "${productName}"! 🎉` : `Offer Update for "${productName}"`,
-        body: status === "accepted" ? `Your offer of $${offerAmount.toFixed(2)} has been accepted.` : `Regarding your offer of $${offerAmount.toFixed(2)}, the seller has made a decision.`,
-        type: `offer_${status}`,
-        data: { type: `offer_${status}`, productId: currentProductId, offerId: event.params.offerId, url: `yahdsell2://product/${currentProductId}` },
-    };
-
-    await storeNotificationRecord(buyerId, notificationPayload);
-    await sendPushNotifications(buyerId, notificationPayload);
+    if (status === "countered") {
+      notification = {
+        recipients: [buyerId],
+        type: "offer_countered",
+        title: `Counter Offer for "${productName}"`,
+        body: `The seller countered your offer of ${offerAmount} with ` +
+          `${counterAmount}.`,
+      };
+      chatMessage = `The seller countered the offer for "${productName}" ` +
+        `with ${counterAmount}.`;
+    } else if (status === "pending" && beforeData.status === "countered") {
+      notification = {
+        recipients: [sellerId],
+        type: "offer_countered",
+        title: `Counter Offer for "${productName}"`,
+        body: `${buyerLabel} countered with ${offerAmount}.`,
+      };
+      chatMessage = `${buyerLabel} countered with ${offerAmount} for ` +
+        `"${productName}".`;
+    } else if (status === "accepted") {
+      notification =
+        actedBy === "buyer" ?
+          {
+            recipients: [sellerId],
+            type: "offer_accepted",
+            title: `Counter Offer Accepted for "${productName}"! 🎉`,
+            body: `${buyerLabel} accepted your counter offer of ` +
+              `${agreedAmount}.`,
+          } :
+          {
+            recipients: [buyerId],
+            type: "offer_accepted",
+            title: `Offer Accepted for "${productName}"! 🎉`,
+            body: `Your offer of ${agreedAmount} has been accepted.`,
+          };
+      chatMessage = `🎉 The offer of ${agreedAmount} for "${productName}" was ` +
+        "ACCEPTED! You can now arrange payment and collection.";
+    } else if (status === "rejected" && afterData.autoDeclined) {
+      notification = {
+        recipients: [buyerId],
+        type: "offer_rejected",
+        title: `Offer Update for "${productName}"`,
+        body: "The seller accepted another offer, so your offer of " +
+          `${offerAmount} has been declined.`,
+      };
+      chatMessage = `"${productName}" has been sold to another buyer, so ` +
+        `your offer of ${offerAmount} was automatically declined.`;
+    } else if (status === "rejected") {
+      notification =
+        actedBy === "buyer" ?
+          {
+            recipients: [sellerId],
+            type: "offer_rejected",
+            title: `Offer Update for "${productName}"`,
+            body: `${buyerLabel} declined your counter offer of ` +
+              `${counterAmount}.`,
+          } :
+          {
+            recipients: [buyerId],
+            type: "offer_rejected",
+            title: `Offer Update for "${productName}"`,
+            body: `Regarding your offer of ${offerAmount}, the seller has ` +
+              "made a decision.",
+          };
+      chatMessage =
+        actedBy === "buyer" ?
+          `${buyerLabel} declined the counter offer of ${counterAmount} for ` +
+          `"${productName}".` :
+          `Regarding your offer of ${offerAmount} for "${productName}", the ` +
+          "seller has declined the offer.";
+    } else if (status === "withdrawn") {
+      notification = {
+        recipients: [sellerId],
+        type: "offer_withdrawn",
+        title: `Offer Withdrawn for "${productName}"`,
+        body: `${buyerLabel} withdrew their offer of ${offerAmount}.`,
+      };
+      chatMessage = `${buyerLabel} withdrew the offer of ${offerAmount} for ` +
+        `"${productName}".`;
+    } else if (status === "expired") {
+      notification = {
+        recipients: [buyerId, sellerId],
+        type: "offer_expired",
+        title: `Offer Expired for "${productName}"`,
+        body: "The offer expired before it was answered.",
+      };
+      chatMessage = `The offer for "${productName}" expired before it was ` +
+        "answered.";
+    }
 
-    let chatMessage = "";
-    if (status === "accepted") {
-        chatMessage = `🎉 Your offer of $${offerAmount.toFixed(2)} for "${productName}" was ACCEPTED! You can now arrange payment and collection.`;
-    } else { // status === "rejected"
-        chatMessage = `Regarding your offer of $${offerAmount.toFixed(2)} for "${productName}", the seller has declined the offer.`;
+    if (!notification) return;
+
+    for (const recipientId of notification.recipients) {
+      const notificationPayload = {
+        title: notification.title,
+        body: notification.body,
+        type: notification.type,
+        data: {
+          type: notification.type,
+          productId: currentProductId,
+          offerId: event.params.offerId,
+          url: `yahdsell2://product/${currentProductId}`,
+        },
+      };
+      await storeNotificationRecord(recipientId, notificationPayload);
+      await sendPushNotifications(recipientId, notificationPayload);
     }
     await sendSystemChatMessage(sellerId, buyerId, chatMessage);
-});
+  },
+);
 
 
 // --- AI FUNCTION: Get AI-Powered Listing Suggestions (TITLE-BASED) ---
@@ -650,24 +5406,119 @@ export const getListingDetailsFromTitle = onCall(async (request) => {
   }
 });
 
+// --- AI FUNCTION: Turn a Natural-Language Search Into Structured Criteria ---
+// Produces the criteria shape saved searches use (searchQuery, category,
+// condition, minPrice, maxPrice) plus maxDistanceKm. Values outside the allowed
+// sets are dropped rather than trusted.
+const NEAR_ME_DISTANCE_KM = 25;
+
+export const parseSearchQuery = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be logged in to use this feature.",
+    );
+  }
+
+  const text =
+    typeof request.data?.text === "string" ? request.data.text.trim() : "";
+  if (!text || text.length > 300) {
+    throw new HttpsError(
+      "invalid-argument",
+      "Describe your search in 1 to 300 characters.",
+    );
+  }
+
+  const apiKey = geminiApiKey.value();
+  if (!apiKey) {
+    logger.error("Gemini API key is not configured.");
+    throw new HttpsError("internal", "API key not configured.");
+  }
+
+  try {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const model = genAI.getGenerativeModel({model: "gemini-2.5-flash"});
+
+    const prompt = "Convert this marketplace search into filters: " +
+      `${JSON.stringify(text)}. Respond with a valid JSON object only, with ` +
+      "the following structure: {\"searchQuery\": \"...\", " +
+      "\"category\": \"...\" or null, \"condition\": \"...\" or null, " +
+      "\"minPrice\": number or null, " +
+      "\"maxPrice\": number or null, \"maxDistanceKm\": number or null}. " +
+      "\"searchQuery\" keeps only the words describing the item itself, " +
+      "without price, condition, distance or filler words such as \"cheap\". " +
+      `Valid Categories: ${PRODUCT_CATEGORIES_FOR_AI.join(", ")}; use null ` +
+      "unless the item clearly belongs to one. Valid Conditions: " +
+      `${PRODUCT_CONDITIONS_FOR_AI.join(", ")}; use null for a plain "used". ` +
+      "Prices are in dollars, so \"under 300\" is a maxPrice of 300. Use " +
+      `${NEAR_ME_DISTANCE_KM} for "near me" or "nearby", convert miles to ` +
+      "kilometres, and use null when no distance is mentioned.";
+
+    const result = await model.generateContent(prompt);
+    const cleanedText = result.response
+      .text()
+      .replace(/^```json\s*|```$/g, "")
+      .trim();
+    const parsed = JSON.parse(cleanedText);
+
+    let minPrice = toOptionalNumber(parsed?.minPrice);
+    let maxPrice = toOptionalNumber(parsed?.maxPrice);
+    if (minPrice !== null && minPrice < 0) minPrice = null;
+    if (maxPrice !== null && maxPrice < 0) maxPrice = null;
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+      [minPrice, maxPrice] = [maxPrice, minPrice];
+    }
+
+    const criteria = {
+      searchQuery: normalizeSearchQuery(parsed?.searchQuery) || null,
+      category: PRODUCT_CATEGORIES_FOR_AI.includes(parsed?.category) ?
+        parsed.category :
+        null,
+      condition: PRODUCT_CONDITIONS_FOR_AI.includes(parsed?.condition) ?
+        parsed.condition :
+        null,
+      minPrice,
+      maxPrice,
+      maxDistanceKm: getDistanceLimitKm(parsed?.maxDistanceKm),
+    };
+
+    logger.info("Parsed natural-language search.", {text, criteria});
+    return {criteria};
+  } catch (error) {
+    logger.error("Error parsing natural-language search:", error);
+    if (error instanceof SyntaxError) {
+      throw new HttpsError(
+        "internal",
+        "Failed to parse AI response. Please try again.",
+      );
+    }
+    throw new HttpsError(
+      "internal",
+      "Could not understand that search right now.",
+    );
+  }
+});
+
 
 // --- SCHEDULED FUNCTION: Wishlist Expiry Notifications ---
 export const notifyOnExpiringWishlistItems = onSchedule("every 24 hours", async (event) => {
     logger.log("Running scheduled job: notifyOnExpiringWishlistItems");
 
-    const now = new Date();
-    const sixDaysAgo = new Date(now.getTime() - 6 * 24 * 60 * 60 * 1000);
-    const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const now = Date.now();
+  const nowTimestamp = Timestamp.fromMillis(now);
+  const inOneDayTimestamp = Timestamp.fromMillis(now + DAY_MS);
 
-    const sixDaysAgoTimestamp = admin.firestore.Timestamp.fromDate(sixDaysAgo);
-    const sevenDaysAgoTimestamp = admin.firestore.Timestamp.fromDate(sevenDaysAgo);
+  logger.log(
+    "Querying for active products expiring before " +
+    `${inOneDayTimestamp.toDate().toISOString()}`,
+  );
 
-    logger.log(`Querying for products created between ${sevenDaysAgo.toISOString()} and ${sixDaysAgo.toISOString()}`);
-
-    const expiringProductsQuery = db.collection("products")
-        .where("isSold", "==", false)
-        .where("createdAt", ">=", sevenDaysAgoTimestamp)
-        .where("createdAt", "<", sixDaysAgoTimestamp);
+  const expiringProductsQuery = db
+    .collection("products")
+    .where("status", "==", "active")
+    .where("isSold", "==", false)
+    .where("expiresAt", ">", nowTimestamp)
+    .where("expiresAt", "<=", inOneDayTimestamp);
 
     try {
         const snapshot = await expiringProductsQuery.get();
@@ -760,114 +5611,898 @@ export const trackProductView = onCall(async (request) => {
     }
 });
 
-// --- FUNCTION: Notify on New Matching Product (SMARTER VERSION) ---
-export const notifyOnNewMatchingProduct = onDocumentCreated("products/{productId}", async (event) => {
-    const newProduct = event.data?.data();
-    if (!newProduct) {
-        logger.log("No data in new product document. Exiting.");
-        return;
+// --- HELPER FUNCTION: Index fields a saved search is missing, or null ---
+/**
+ * The index fields to write to a saved search, or null if it already has them.
+ * @param {FirebaseFirestore.DocumentData} search The saved search data.
+ * @return {(Object|null)}
+ */
+function getSavedSearchIndexUpdate(search: FirebaseFirestore.DocumentData) {
+  const {categoryKey, priceBuckets} = getSavedSearchIndex(search.criteria);
+  const normalizedQuery = normalizeSearchQuery(search.criteria?.searchQuery);
+  const isUpToDate =
+        search.categoryKey === categoryKey &&
+        Array.isArray(search.priceBuckets) &&
+        search.priceBuckets.join(",") === priceBuckets.join(",") &&
+        search.normalizedQuery === normalizedQuery;
+  return isUpToDate ? null : {categoryKey, priceBuckets, normalizedQuery};
+}
+
+// --- FUNCTION: Index Saved Searches for Matching ---
+// Keeps categoryKey/priceBuckets in sync with the search criteria; skips writes
+// when unchanged.
+export const indexSavedSearch = onDocumentWritten(
+  "users/{userId}/savedSearches/{searchId}",
+  async (event) => {
+    const after = event.data?.after;
+    const search = after?.data();
+    if (!after || !search) return;
+
+    const update = getSavedSearchIndexUpdate(search);
+    if (!update) return;
+
+    await after.ref.update(update);
+    logger.log(
+      `Indexed saved search ${event.params.searchId} for user ` +
+      `${event.params.userId}.`,
+    );
+  },
+);
+
+// --- FUNCTION: One-off Job to Index Existing Saved Searches (admins only) ---
+// notifyMatchingSavedSearches only finds searches through their index fields,
+// so searches saved before indexSavedSearch existed need this. Handles one page
+// per call; call it again with the returned `next` document path until it comes
+// back null.
+const SAVED_SEARCH_INDEX_PAGE_SIZE = 300;
+
+export const backfillSavedSearchIndex = onCall(
+  {timeoutSeconds: 540},
+  async (request) => {
+    if (!isAdmin(request.auth)) {
+      throw new HttpsError(
+        "permission-denied",
+        "Only admins can run this job.",
+      );
+    }
+    const startAfter =
+      typeof request.data?.next === "string" ? request.data.next : null;
+
+    let pageQuery = db
+      .collectionGroup("savedSearches")
+      .orderBy(FieldPath.documentId())
+      .limit(SAVED_SEARCH_INDEX_PAGE_SIZE);
+    if (startAfter) pageQuery = pageQuery.startAfter(startAfter);
+    const snapshot = await pageQuery.get();
+
+    const batch = db.batch();
+    let indexed = 0;
+    snapshot.docs.forEach((doc) => {
+      const update = getSavedSearchIndexUpdate(doc.data());
+      if (!update) return;
+      batch.update(doc.ref, update);
+      indexed++;
+    });
+    if (indexed > 0) await batch.commit();
+
+    const next =
+      snapshot.size === SAVED_SEARCH_INDEX_PAGE_SIZE ?
+        snapshot.docs[snapshot.size - 1].ref.path :
+        null;
+    logger.info(`Indexed ${indexed} of ${snapshot.size} saved searches.`, {
+      next,
+    });
+    return {scanned: snapshot.size, indexed, next};
+  },
+);
+
+// --- HELPER FUNCTION: Alert Saved Searches Once a New Listing Is Ready ---
+/**
+ * Called once a new listing is live: by moderateNewListing when it passes, or
+ * by reviewFlaggedListing when a held listing is approved. Distance limits are
+ * checked against publicLocation, which onProductPrivateLocationWritten
+ * publishes separately, so while the listing's exact location is still
+ * unpublished the alerts are marked pending and sent from there instead.
+ * @param {string} productId The listing that went live.
+ * @param {boolean} [onlyIfPending] Only send alerts that were left pending.
+ */
+async function alertSavedSearchesForListing(
+  productId: string,
+  onlyIfPending = false,
+) {
+  const productRef = db.collection("products").doc(productId);
+  let product: FirebaseFirestore.DocumentData | null;
+  try {
+    product = await db.runTransaction(async (transaction) => {
+      const [productDoc, privateDoc] = await transaction.getAll(
+        productRef,
+        getProductPrivateLocationRef(productId),
+      );
+      const data = productDoc.data();
+      if (!data || data.status !== "active") return null;
+      if (onlyIfPending && !data.savedSearchAlertPending) return null;
+
+      const locationUnpublished =
+        privateDoc.data()?.exactLocation instanceof GeoPoint &&
+        !data.locationPrecision;
+      if (locationUnpublished) {
+        transaction.update(productRef, {savedSearchAlertPending: true});
+        return null;
+      }
+      if (data.savedSearchAlertPending) {
+        transaction.update(productRef, {
+          savedSearchAlertPending: FieldValue.delete(),
+        });
+      }
+      return data;
+    });
+  } catch (error) {
+    logger.error(
+      `Error checking saved-search alerts for product ${productId}:`,
+      error,
+    );
+    return;
+  }
+  if (product) await notifyMatchingSavedSearches(productId, product);
+}
+
+// --- HELPER FUNCTION: Notify Saved Searches That Match a New Product ---
+/**
+ * Only called through alertSavedSearchesForListing, with the listing as it is
+ * once live.
+ * @param {string} productId The listing that went live.
+ * @param {FirebaseFirestore.DocumentData} newProduct The listing data.
+ */
+async function notifyMatchingSavedSearches(
+  productId: string,
+  newProduct: FirebaseFirestore.DocumentData,
+) {
+  logger.log(
+    `New product created: ${newProduct.name} (${productId}). Checking saved ` +
+    "searches.",
+  );
+
+  try {
+    const productCategoryKeys = newProduct.category ?
+      [newProduct.category, ANY_CATEGORY_KEY] :
+      [ANY_CATEGORY_KEY];
+    const priceBucket = getPriceBucket(toOptionalNumber(newProduct.price) ?? 0);
+    const savedSearchesSnapshot = await db
+      .collectionGroup("savedSearches")
+      .where("categoryKey", "in", productCategoryKeys)
+      .where("priceBuckets", "array-contains", priceBucket)
+      .get();
+    if (savedSearchesSnapshot.empty) {
+      logger.log("No candidate saved searches for this product. Exiting.");
+      return;
     }
 
-    logger.log(`New product created: ${newProduct.name} (${event.params.productId}). Checking saved searches.`);
+    logger.log(
+      `Found ${savedSearchesSnapshot.size} candidate saved searches to check.`,
+    );
+
+    // Exact criteria are re-checked here; the index only narrows the
+    // candidates. maxDistanceKm is measured from the location saved with the
+    // search; a distance-limited search without one cannot match.
+    const sellerBlockedIds = await getBlockedUserIds(newProduct.sellerId);
+    const candidates: {userId: string; name: string; searchQuery: string}[] =
+      [];
+    for (const doc of savedSearchesSnapshot.docs) {
+      const search = doc.data();
+      const userId = doc.ref.parent.parent?.id;
+
+      if (!userId || userId === newProduct.sellerId) {
+        continue; // Skip if no user ID or if it's the seller's own search
+      }
+      if (sellerBlockedIds.has(userId)) continue;
 
-    try {
-        const savedSearchesSnapshot = await db.collectionGroup("savedSearches").get();
-        if (savedSearchesSnapshot.empty) {
-            logger.log("No saved searches in the database. Exiting.");
-            return;
+      const criteria = search.criteria || {};
+      const minPrice = toOptionalNumber(criteria.minPrice);
+      const maxPrice = toOptionalNumber(criteria.maxPrice);
+      if (criteria.category && newProduct.category !== criteria.category) {
+        continue;
+      }
+      if (criteria.condition && newProduct.condition !== criteria.condition) {
+        continue;
+      }
+      if (minPrice !== null && newProduct.price < minPrice) continue;
+      if (maxPrice !== null && newProduct.price > maxPrice) continue;
+
+      const distanceLimitKm = getDistanceLimitKm(criteria.maxDistanceKm);
+      if (distanceLimitKm !== null) {
+        const origin = search.searchLocation;
+        if (!(origin instanceof GeoPoint)) continue;
+        if (
+          !isWithinDistance(
+            newProduct as ProductData,
+            origin.latitude,
+            origin.longitude,
+            distanceLimitKm,
+          )
+        ) {
+          continue;
         }
+      }
+
+      candidates.push({
+        userId,
+        name: search.name,
+        searchQuery: normalizeSearchQuery(criteria.searchQuery),
+      });
+    }
 
-        logger.log(`Found ${savedSearchesSnapshot.size} total saved searches to check.`);
+    // One model call covers every distinct text query among the candidates.
+    const semanticMatches = await getSemanticMatches(
+      productId,
+      newProduct,
+      candidates.map((candidate) => candidate.searchQuery),
+    );
+
+    const notificationsToSend: Promise<unknown>[] = [];
+    for (const candidate of candidates) {
+      if (
+        candidate.searchQuery &&
+        !semanticMatches.get(candidate.searchQuery)
+      ) {
+        continue;
+      }
 
-        const notificationsToSend: Promise<void>[] = [];
+      logger.log(
+        `Product "${newProduct.name}" is a match for search ` +
+        `"${candidate.name}" for user ${candidate.userId}.`,
+      );
+      const notificationPayload = {
+        title: "New Item Alert!",
+        body: `A new item matching your search "${candidate.name}" was just ` +
+          `listed: ${newProduct.name}`,
+        type: "saved_search_match",
+        data: {
+          type: "saved_search_match",
+          productId,
+          url: `yahdsell2://product/${productId}`,
+        },
+      };
+
+      notificationsToSend.push(
+        storeNotificationRecord(candidate.userId, notificationPayload),
+      );
+      notificationsToSend.push(
+        sendPushNotifications(candidate.userId, notificationPayload),
+      );
+    }
 
-        for (const doc of savedSearchesSnapshot.docs) {
-            const search = doc.data();
-            const userId = doc.ref.parent.parent?.id;
+    await Promise.all(notificationsToSend);
+    logger.log("Finished processing new product against saved searches.");
+  } catch (error) {
+    logger.error(
+      `Error notifying saved searches about product ${productId}:`,
+      error,
+    );
+  }
+}
 
-            if (!userId || userId === newProduct.sellerId) {
-                continue; // Skip if no user ID or if it's the seller's own search
-            }
+// --- Geohash Helpers ---
+type RegionBounds = {north: number; south: number; east: number; west: number};
+
+const MAX_REGION_RADIUS_KM = 300;
+
+/**
+ * Whether a value is a usable set of map bounds.
+ * @param {*} bounds The bounds the client sent.
+ * @return {boolean}
+ */
+function isValidBounds(bounds: unknown): bounds is RegionBounds {
+  const candidate = bounds as Record<string, unknown> | null | undefined;
+  return (
+    candidate != null &&
+    ["north", "south", "east", "west"].every(
+      (key) => typeof candidate[key] === "number",
+    ) &&
+    (candidate.north as number) >= (candidate.south as number)
+  );
+}
 
-            const criteria = search.criteria;
-            let isMatch = true;
+/**
+ * Whether a point lies inside map bounds.
+ * @param {number} latitude Latitude of the point.
+ * @param {number} longitude Longitude of the point.
+ * @param {RegionBounds} bounds The map bounds.
+ * @return {boolean}
+ */
+function isWithinBounds(
+  latitude: number,
+  longitude: number,
+  bounds: RegionBounds,
+): boolean {
+  if (latitude < bounds.south || latitude > bounds.north) return false;
+  // A box whose east edge is west of its west edge straddles the antimeridian.
+  return bounds.west <= bounds.east ?
+    longitude >= bounds.west && longitude <= bounds.east :
+    longitude >= bounds.west || longitude <= bounds.east;
+}
 
-            // Check non-text criteria first
-            if (criteria.category && newProduct.category !== criteria.category) isMatch = false;
-            if (isMatch && criteria.condition && newProduct.condition !== criteria.condition) isMatch = false;
-            if (isMatch && criteria.minPrice != null && newProduct.price < criteria.minPrice) isMatch = false;
-            if (isMatch && criteria.maxPrice != null && newProduct.price > criteria.maxPrice) isMatch = false;
+/**
+ * Geohash of a product's public location, or null without one.
+ * @param {FirebaseFirestore.DocumentData} product The product data.
+ * @return {(string|null)}
+ */
+function geohashForProduct(
+  product: FirebaseFirestore.DocumentData,
+): string | null {
+  const location = product.publicLocation;
+  if (
+    !location ||
+    typeof location.latitude !== "number" ||
+    typeof location.longitude !== "number"
+  ) {
+    return null;
+  }
+  return geohashForLocation([location.latitude, location.longitude]);
+}
 
-            // If other criteria match and a search query exists, perform the smart check
-            if (isMatch && criteria.searchQuery) {
-                isMatch = await isSemanticMatch(criteria.searchQuery, newProduct);
-            }
+// --- Marker Clustering Helpers ---
+type ProductCluster = {
+  id: string;
+  count: number;
+  latitude: number;
+  longitude: number;
+  minPrice: number | null;
+  maxPrice: number | null;
+  topCategories: {category: string; count: number}[];
+  bounds: RegionBounds;
+};
 
-            if (isMatch) {
-                logger.log(`Product "${newProduct.name}" is a match for search "${search.name}" for user ${userId}.`);
-                const notificationPayload = {
-                    title: "New Item Alert!",
-                    body: `A new item matching your search "${search.name}" was just listed: ${newProduct.name}`,
-                    type: "saved_search_match",
-                    data: { type: "saved_search_match", productId: event.params.productId, url: `yahdsell2://product/${event.params.productId}` },
-                };
-                
-                notificationsToSend.push(storeNotificationRecord(userId, notificationPayload));
-                notificationsToSend.push(sendPushNotifications(userId, notificationPayload));
-            }
-        }
+// Grid cells across the visible width at a given zoom.
+const CLUSTER_GRID_DIVISIONS = 8;
+// At street level every listing is shown individually.
+const MAX_CLUSTER_ZOOM = 18;
+const CLUSTER_TOP_CATEGORIES = 3;
+
+/**
+ * Buckets products into a square grid sized to the zoom level. Cells holding
+ * more than one product become clusters; lone products are returned unchanged.
+ * @param {Array<ProductData>} products The products to cluster.
+ * @param {number} zoom The map zoom level.
+ * @return {Object}
+ */
+function clusterProducts(
+  products: ProductData[],
+  zoom: number,
+): {products: ProductData[]; clusters: ProductCluster[]} {
+  if (zoom >= MAX_CLUSTER_ZOOM) {
+    return {products, clusters: []};
+  }
+
+  const cellSizeDeg = 360 / Math.pow(2, zoom) / CLUSTER_GRID_DIVISIONS;
+  const cells = new Map<string, ProductData[]>();
+  products.forEach((product) => {
+    const location = product.publicLocation as GeoPoint;
+    const row = Math.floor(location.latitude / cellSizeDeg);
+    const column = Math.floor(location.longitude / cellSizeDeg);
+    const key = `${row}:${column}`;
+    const cell = cells.get(key) || [];
+    cell.push(product);
+    cells.set(key, cell);
+  });
+
+  const singles: ProductData[] = [];
+  const clusters: ProductCluster[] = [];
+
+  cells.forEach((members, key) => {
+    if (members.length === 1) {
+      singles.push(members[0]);
+      return;
+    }
 
-        await Promise.all(notificationsToSend);
-        logger.log("Finished processing new product against saved searches.");
+    const latitudes = members.map(
+      (p) => (p.publicLocation as GeoPoint).latitude,
+    );
+    const longitudes = members.map(
+      (p) => (p.publicLocation as GeoPoint).longitude,
+    );
+    const prices = members
+      .map((p) => p.price)
+      .filter((price): price is number => typeof price === "number");
+
+    const categoryCounts = new Map<string, number>();
+    members.forEach((p) => {
+      const category = p.category || "Other";
+      categoryCounts.set(category, (categoryCounts.get(category) || 0) + 1);
+    });
+
+    clusters.push({
+      id: `${zoom}:${key}`,
+      count: members.length,
+      latitude: latitudes.reduce((sum, lat) => sum + lat, 0) / members.length,
+      longitude: longitudes.reduce((sum, lon) => sum + lon, 0) / members.length,
+      minPrice: prices.length > 0 ? Math.min(...prices) : null,
+      maxPrice: prices.length > 0 ? Math.max(...prices) : null,
+      topCategories: Array.from(categoryCounts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, CLUSTER_TOP_CATEGORIES)
+        .map(([category, count]) => ({category, count})),
+      bounds: {
+        north: Math.max(...latitudes),
+        south: Math.min(...latitudes),
+        east: Math.max(...longitudes),
+        west: Math.min(...longitudes),
+      },
+    });
+  });
+
+  return {products: singles, clusters};
+}
+
+// --- FUNCTION: Keep Product Geohash in Sync with its Location ---
+export const syncProductGeohash = onDocumentWritten(
+  "products/{productId}",
+  async (event) => {
+    const afterSnapshot = event.data?.after;
+    const afterData = afterSnapshot?.data();
+    if (!afterSnapshot || !afterData) return;
 
+    const expectedGeohash = geohashForProduct(afterData);
+    if ((afterData.geohash ?? null) === expectedGeohash) return;
+
+    try {
+      await afterSnapshot.ref.update({
+        geohash: expectedGeohash ?? FieldValue.delete(),
+      });
+      logger.log(
+        `Updated geohash for product ${event.params.productId} to ` +
+        `${expectedGeohash}.`,
+      );
     } catch (error) {
-        logger.error("Error in notifyOnNewMatchingProduct function:", error);
+      logger.error(
+        `Error updating geohash for product ${event.params.productId}:`,
+        error,
+      );
     }
-});
+  },
+);
+
+// --- FUNCTION: One-off Job to Geohash Existing Listings (admins only) ---
+// syncProductGeohash only runs when a product is written, so older listings
+// need this before the map's range queries can find them. Handles one page per
+// call; call it again with the returned `next` document ID until it comes back
+// null.
+const GEOHASH_BACKFILL_PAGE_SIZE = 300;
+
+export const backfillProductGeohashes = onCall(
+  {timeoutSeconds: 540},
+  async (request) => {
+    if (!isAdmin(request.auth)) {
+      throw new HttpsError(
+        "permission-denied",
+        "Only admins can run this job.",
+      );
+    }
+    const startAfter =
+      typeof request.data?.next === "string" ? request.data.next : null;
+
+    let pageQuery = db
+      .collection("products")
+      .orderBy(FieldPath.documentId())
+      .limit(GEOHASH_BACKFILL_PAGE_SIZE);
+    if (startAfter) pageQuery = pageQuery.startAfter(startAfter);
+    const snapshot = await pageQuery.get();
+
+    const batch = db.batch();
+    let updated = 0;
+    snapshot.docs.forEach((doc) => {
+      const expectedGeohash = geohashForProduct(doc.data());
+      if ((doc.data().geohash ?? null) === expectedGeohash) return;
+      batch.update(doc.ref, {geohash: expectedGeohash ?? FieldValue.delete()});
+      updated++;
+    });
+    if (updated > 0) await batch.commit();
+
+    const next =
+      snapshot.size === GEOHASH_BACKFILL_PAGE_SIZE ?
+        snapshot.docs[snapshot.size - 1].id :
+        null;
+    logger.info(
+      `Backfilled geohashes on ${updated} of ${snapshot.size} products.`,
+      {next},
+    );
+    return {scanned: snapshot.size, updated, next};
+  },
+);
+
+// --- Location Privacy ---
+// A seller's exact GPS fix is stored only in
+// products/{productId}/private/location, which only the seller can read.
+// Products carry publicLocation instead: the centre of a grid cell whose size
+// depends on the seller's chosen precision (users/{uid}/settings/privacy).
+// Every distance, geohash and map feature reads publicLocation only.
+type LocationPrecision = "neighborhood" | "area" | "city" | "hidden";
+
+const LOCATION_PRECISION_GRID_KM: Record<
+  Exclude<LocationPrecision, "hidden">,
+  number
+> = {
+  neighborhood: 1,
+  area: 5,
+  city: 20,
+};
+const DEFAULT_LOCATION_PRECISION: LocationPrecision = "neighborhood";
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+/**
+ * Reference to the document holding a listing's exact location.
+ * @param {string} productId The listing.
+ * @return {FirebaseFirestore.DocumentReference}
+ */
+function getProductPrivateLocationRef(productId: string) {
+  return db
+    .collection("products")
+    .doc(productId)
+    .collection("private")
+    .doc("location");
+}
 
+/**
+ * The location precision a seller has chosen.
+ * @param {string} sellerId The seller.
+ * @return {Promise<LocationPrecision>}
+ */
+async function getSellerLocationPrecision(
+  sellerId: string,
+): Promise<LocationPrecision> {
+  const settingsDoc = await db
+    .collection("users")
+    .doc(sellerId)
+    .collection("settings")
+    .doc("privacy")
+    .get();
+  const precision = settingsDoc.data()?.locationPrecision;
+  return precision === "hidden" || precision in LOCATION_PRECISION_GRID_KM ?
+    precision :
+    DEFAULT_LOCATION_PRECISION;
+}
 
-// --- NEW FUNCTION: Get Products in Region for Map ---
-export const getProductsInRegion = onCall(async (request) => {
-    const { latitude, longitude, radius } = request.data;
+/**
+ * Snaps a point to the centre of its grid cell, so every seller in the same
+ * cell shares one public point. Longitude cells widen towards the poles to stay
+ * roughly square.
+ * @param {number} latitude Latitude of the point.
+ * @param {number} longitude Longitude of the point.
+ * @param {number} cellKm The grid cell size in km.
+ * @return {GeoPoint}
+ */
+function snapToLocationGrid(
+  latitude: number,
+  longitude: number,
+  cellKm: number,
+): GeoPoint {
+  const latStep = cellKm / KM_PER_DEGREE_LATITUDE;
+  const snappedLat = Math.max(
+    -89.9,
+    Math.min(89.9, (Math.floor(latitude / latStep) + 0.5) * latStep),
+  );
+  const lonStep =
+    cellKm /
+    (KM_PER_DEGREE_LATITUDE * Math.max(Math.cos(deg2rad(snappedLat)), 0.01));
+  let snappedLon = (Math.floor(longitude / lonStep) + 0.5) * lonStep;
+  if (snappedLon > 180) snappedLon -= 360;
+  if (snappedLon < -180) snappedLon += 360;
+  return new GeoPoint(
+    Number(snappedLat.toFixed(5)),
+    Number(snappedLon.toFixed(5)),
+  );
+}
 
-    if (typeof latitude !== 'number' || typeof longitude !== 'number' || typeof radius !== 'number') {
-        throw new HttpsError('invalid-argument', 'Latitude, longitude, and radius must be numbers.');
+/**
+ * Recomputes a product's publicLocation from its private location and the
+ * seller's setting.
+ * @param {string} productId The listing.
+ * @param {LocationPrecision} [precision]
+ *     The seller's precision, if already known.
+ */
+async function publishProductLocation(
+  productId: string,
+  precision?: LocationPrecision,
+) {
+  const productRef = db.collection("products").doc(productId);
+  const [productDoc, privateDoc] = await db.getAll(
+    productRef,
+    getProductPrivateLocationRef(productId),
+  );
+  const product = productDoc.data();
+  if (!product?.sellerId) return;
+
+  const exactLocation = privateDoc.data()?.exactLocation;
+  if (!(exactLocation instanceof GeoPoint)) {
+    if (product.publicLocation || product.locationPrecision) {
+      await productRef.update({
+        publicLocation: FieldValue.delete(),
+        locationPrecision: FieldValue.delete(),
+      });
     }
+    return;
+  }
+
+  const effectivePrecision =
+    precision ?? (await getSellerLocationPrecision(product.sellerId));
+  const publicLocation =
+    effectivePrecision === "hidden" ?
+      null :
+      snapToLocationGrid(
+        exactLocation.latitude,
+        exactLocation.longitude,
+        LOCATION_PRECISION_GRID_KM[effectivePrecision],
+      );
+
+  const samePublicLocation =
+    publicLocation && product.publicLocation instanceof GeoPoint ?
+      publicLocation.isEqual(product.publicLocation) :
+      !publicLocation && !product.publicLocation;
+  if (samePublicLocation && product.locationPrecision === effectivePrecision) {
+    return;
+  }
 
+  await productRef.update({
+    publicLocation: publicLocation ?? FieldValue.delete(),
+    locationPrecision: effectivePrecision,
+  });
+}
+
+// --- FUNCTION: Publish a Fuzzed Location When an Exact Location Is Written ---
+export const onProductPrivateLocationWritten = onDocumentWritten(
+  "products/{productId}/private/location",
+  async (event) => {
+    const productId = event.params.productId;
     try {
-        const productsSnapshot = await db.collection('products')
-            .where('isSold', '==', false)
-            .orderBy('createdAt', 'desc')
-            .limit(500)
-            .get();
-
-        const nearbyProducts: ProductData[] = [];
-
-        productsSnapshot.forEach(doc => {
-            const product = doc.data() as ProductData;
-            product.id = doc.id;
-            
-            // --- FIX: Use a more robust check for the GeoPoint object ---
-            if (product.sellerLocation && typeof product.sellerLocation.latitude === 'number' && typeof product.sellerLocation.longitude === 'number') {
-                const distance = getDistanceFromLatLonInKm(
-                    latitude,
-                    longitude,
-                    product.sellerLocation.latitude,
-                    product.sellerLocation.longitude
-                );
-
-                if (distance !== null && distance <= radius) {
-                    product.distanceKm = distance;
-                    nearbyProducts.push(product);
-                }
-            }
+      await publishProductLocation(productId);
+      logger.log(`Published public location for product ${productId}.`);
+    } catch (error) {
+      logger.error(
+        `Error publishing public location for product ${productId}:`,
+        error,
+      );
+      return;
+    }
+    // A listing that passed moderation before its location was published is
+    // still waiting for its saved-search alerts.
+    await alertSavedSearchesForListing(productId, true);
+  },
+);
+
+// --- FUNCTION: Re-publish a Seller's Listing Locations on Precision Change ---
+export const onLocationPrivacyChanged = onDocumentWritten(
+  "users/{userId}/settings/privacy",
+  async (event) => {
+    const sellerId = event.params.userId;
+    const before = event.data?.before.data()?.locationPrecision;
+    const after = event.data?.after.data()?.locationPrecision;
+    if (before === after) return;
+
+    const precision = await getSellerLocationPrecision(sellerId);
+    let updated = 0;
+    let query = db
+      .collection("products")
+      .where("sellerId", "==", sellerId)
+      .orderBy(FieldPath.documentId())
+      .limit(500);
+    let snapshot = await query.get();
+    while (!snapshot.empty) {
+      for (const doc of snapshot.docs) {
+        try {
+          await publishProductLocation(doc.id, precision);
+          updated++;
+        } catch (error) {
+          logger.error(
+            `Error re-publishing location for product ${doc.id}:`,
+            error,
+          );
+        }
+      }
+      if (snapshot.size < 500) break;
+      query = query.startAfter(snapshot.docs[snapshot.docs.length - 1].id);
+      snapshot = await query.get();
+    }
+    logger.info(
+      `Re-published ${updated} listing locations for seller ${sellerId} at ` +
+      `"${precision}" precision.`,
+    );
+  },
+);
+
+// --- FUNCTION: One-off Job to Move Legacy Locations Off Products (admins) ---
+// Older listings stored the exact fix as sellerLocation on the public product
+// document. Each call moves up to one page into the private subcollection;
+// repeat until `remaining` is false.
+const LOCATION_MIGRATION_PAGE_SIZE = 200;
+
+export const migrateSellerLocations = onCall(
+  {timeoutSeconds: 540},
+  async (request) => {
+    if (!isAdmin(request.auth)) {
+      throw new HttpsError(
+        "permission-denied",
+        "Only admins can run this job.",
+      );
+    }
+
+    // Ordering by the field skips documents that do not have it.
+    const snapshot = await db
+      .collection("products")
+      .orderBy("sellerLocation")
+      .limit(LOCATION_MIGRATION_PAGE_SIZE)
+      .get();
+
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => {
+      const product = doc.data();
+      if (product.sellerLocation instanceof GeoPoint) {
+        batch.set(getProductPrivateLocationRef(doc.id), {
+          exactLocation: product.sellerLocation,
+          sellerId: product.sellerId,
+          updatedAt: FieldValue.serverTimestamp(),
         });
-        
-        logger.info(`Found ${nearbyProducts.length} products within ${radius}km.`);
-        return { products: nearbyProducts };
+      }
+      batch.update(doc.ref, {sellerLocation: FieldValue.delete()});
+    });
+    if (!snapshot.empty) await batch.commit();
+
+    logger.info(
+      `Moved ${snapshot.size} legacy seller locations to private storage.`,
+    );
+    return {
+      migrated: snapshot.size,
+      remaining: snapshot.size === LOCATION_MIGRATION_PAGE_SIZE,
+    };
+  },
+);
 
-    } catch (error) {
-        logger.error('Error fetching products by region:', error);
-        throw new HttpsError('internal', 'Could not retrieve products for the map.');
+// --- NEW FUNCTION: Get Products in Region for Map ---
+// Accepts either a centre and radius (km) or the visible map bounds. The area
+// is covered by geohash ranges, so only listings inside it are read, then false
+// positives at the edges of each range are dropped by exact distance or bounds
+// checks. When a map zoom level is supplied, nearby listings are grouped into
+// clusters for that zoom. Areas wider than MAX_REGION_RADIUS_KM are cut down to
+// a circle of that radius around their centre, and the response is marked
+// `truncated` so the map can ask the user to zoom in.
+export const getProductsInRegion = onCall(async (request) => {
+  const {latitude, longitude, radius, bounds, zoom} = request.data || {};
+
+  if (zoom !== undefined && (typeof zoom !== "number" || zoom < 0)) {
+    throw new HttpsError(
+      "invalid-argument",
+      "Zoom must be a non-negative number.",
+    );
+  }
+
+  let centerLat: number;
+  let centerLon: number;
+  let radiusKm: number;
+
+  if (bounds !== undefined) {
+    if (!isValidBounds(bounds)) {
+      throw new HttpsError(
+        "invalid-argument",
+        "Bounds must include numeric north, south, east and west values.",
+      );
     }
+    centerLat = (bounds.north + bounds.south) / 2;
+    const eastEdge =
+      bounds.east < bounds.west ? bounds.east + 360 : bounds.east;
+    centerLon = (bounds.west + eastEdge) / 2;
+    if (centerLon > 180) centerLon -= 360;
+    radiusKm = Math.max(
+      ...[
+        [bounds.north, bounds.east],
+        [bounds.north, bounds.west],
+        [bounds.south, bounds.east],
+        [bounds.south, bounds.west],
+      ].map(
+        ([lat, lon]) =>
+          getDistanceFromLatLonInKm(centerLat, centerLon, lat, lon) || 0,
+      ),
+    );
+  } else {
+    if (
+      typeof latitude !== "number" ||
+      typeof longitude !== "number" ||
+      typeof radius !== "number"
+    ) {
+      throw new HttpsError(
+        "invalid-argument",
+        "Latitude, longitude, and radius must be numbers.",
+      );
+    }
+    centerLat = latitude;
+    centerLon = longitude;
+    radiusKm = radius;
+  }
+
+  const truncated = radiusKm > MAX_REGION_RADIUS_KM;
+  if (truncated) {
+    logger.info(
+      `Requested radius ${radiusKm.toFixed(1)}km exceeds the limit, clamping ` +
+      `to ${MAX_REGION_RADIUS_KM}km.`,
+    );
+    radiusKm = MAX_REGION_RADIUS_KM;
+  }
+
+  try {
+    const blockedUserIds = request.auth ?
+      await getBlockedUserIds(request.auth.uid) :
+      new Set<string>();
+    const ranges = geohashQueryBounds([centerLat, centerLon], radiusKm * 1000);
+    const snapshots = await Promise.all(
+      ranges.map(([start, end]) =>
+        db
+          .collection("products")
+          .where("status", "==", "active")
+          .where("isSold", "==", false)
+          .orderBy("geohash")
+          .startAt(start)
+          .endAt(end)
+          .get(),
+      ),
+    );
+
+    const seenIds = new Set<string>();
+    const nearbyProducts: ProductData[] = [];
+
+    snapshots.forEach((snapshot) => {
+      snapshot.forEach((doc) => {
+        if (seenIds.has(doc.id)) return;
+        seenIds.add(doc.id);
+
+        const product = doc.data() as ProductData;
+        product.id = doc.id;
+        delete product.searchKeys;
+        if (product.sellerId && blockedUserIds.has(product.sellerId)) return;
+        const location = product.publicLocation;
+        if (
+          !location ||
+          typeof location.latitude !== "number" ||
+          typeof location.longitude !== "number"
+        ) {
+          return;
+        }
+
+        const distance = getDistanceFromLatLonInKm(
+          centerLat,
+          centerLon,
+          location.latitude,
+          location.longitude,
+        );
+        const isInside =
+          distance !== null &&
+          (bounds !== undefined ?
+            isWithinBounds(location.latitude, location.longitude, bounds) &&
+              (!truncated || distance <= radiusKm) :
+            distance <= radiusKm);
+
+        if (isInside) {
+          product.distanceKm = distance;
+          nearbyProducts.push(product);
+        }
+      });
+    });
+
+    logger.info(
+      `Found ${nearbyProducts.length} products within ` +
+      `${radiusKm.toFixed(1)}km using ${ranges.length} geohash ranges.`,
+    );
+
+    if (zoom === undefined) {
+      return {products: nearbyProducts, clusters: [], truncated};
+    }
+    const clustered = clusterProducts(nearbyProducts, Math.floor(zoom));
+    logger.info(
+      `Grouped into ${clustered.clusters.length} clusters and ` +
+      `${clustered.products.length} single products at zoom ${zoom}.`,
+    );
+    return {...clustered, truncated};
+  } catch (error) {
+    logger.error("Error fetching products by region:", error);
+    throw new HttpsError(
+      "internal",
+      "Could not retrieve products for the map.",
+    );
+  }
 });
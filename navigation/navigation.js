@@ -29,6 +29,8 @@ import GroupChatScreen from '../screens/GroupChatScreen';
 import HomeScreen from '../screens/HomeScreen';
 import LoginScreen from '../screens/LoginScreen';
 import MapScreen from '../screens/MapScreen';
+import ModerationQueueScreen from '../screens/ModerationQueueScreen';
+import NotificationSettingsScreen from '../screens/NotificationSettingsScreen';
 import NotificationsScreen from '../screens/NotificationsScreen';
 import PrivateChatScreen from '../screens/PrivateChatScreen';
 import ProductDetailScreen from '../screens/ProductDetailScreen';
@@ -37,6 +39,7 @@ import SellerReviewsScreen from '../screens/SellerReviewScreen';
 import SignupScreen from '../screens/SignupScreen';
 import SubmissionForm from '../screens/SubmissionForm';
 import UserProfileScreen from '../screens/UserProfileScreen';
+import VerificationRequestsScreen from '../screens/VerificationRequestsScreen';
 import WishlistScreen from '../screens/WishListScreen';
 
 const AuthStack = createNativeStackNavigator();
@@ -207,6 +210,9 @@ const ThemedNavigation = () => {
                 <AppStack.Screen name="EditProfile" component={EditProfileScreen} />
                 <AppStack.Screen name="SellerStore" component={UserProfileScreen} />
                 <AppStack.Screen name="Notifications" component={NotificationsScreen} />
+                <AppStack.Screen name="NotificationSettings" component={NotificationSettingsScreen} options={{ title: 'Notification Settings' }} />
+                <AppStack.Screen name="ModerationQueue" component={ModerationQueueScreen} options={{ title: 'Moderation Queue' }} />
+                <AppStack.Screen name="VerificationRequests" component={VerificationRequestsScreen} options={{ title: 'Verification Requests' }} />
                 <AppStack.Screen name="FollowListScreen" component={FollowListScreen} />
                 <AppStack.Screen name="SavedSearches" component={SavedSearchesScreen} options={{ title: 'My Saved Searches' }} />
                 <AppStack.Screen name="Analytics" component={AnalyticsScreen} options={{ title: 'Performance Dashboard' }} />
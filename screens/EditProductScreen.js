@@ -18,6 +18,7 @@ import Toast from 'react-native-toast-message';
 
 // 1. Import the new firebase modules
 import { auth, firestore, storage } from '../firebaseConfig';
+import { uploadImage } from '../src/imageUploads';
 import { useTheme } from '../src/ThemeContext';
 
 // --- Constants ---
@@ -43,7 +44,6 @@ const EditProductScreen = () => {
     const [price, setPrice] = useState('');
     const [category, setCategory] = useState(PRODUCT_CATEGORIES[0]);
     const [productCondition, setProductCondition] = useState(PRODUCT_CONDITIONS[0]);
-    const [isSold, setIsSold] = useState(false);
     const [imageObjects, setImageObjects] = useState([]);
     const [imagesToDeleteFromStorage, setImagesToDeleteFromStorage] = useState([]);
     const [loadingProduct, setLoadingProduct] = useState(true);
@@ -72,7 +72,6 @@ const EditProductScreen = () => {
                 setPrice(data.price?.toString() || '');
                 setCategory(data.category || PRODUCT_CATEGORIES[0]);
                 setProductCondition(data.condition || PRODUCT_CONDITIONS[0]);
-                setIsSold(data.isSold || false);
                 const existingImages = (data.imageUrls || []).map((url, index) => ({
                     uri: url, type: 'remote', id: `remote-${url}-${index}`, storagePath: data.imageStoragePaths?.[index] || null
                 }));
@@ -138,9 +137,7 @@ const EditProductScreen = () => {
                 if (imgObj.type === 'local') {
                     const filename = `${currentUser.uid}_${Date.now()}.jpeg`;
                     const path = `product_images/${filename}`;
-                    const reference = storage().ref(path);
-                    await reference.putFile(imgObj.uri);
-                    const url = await reference.getDownloadURL();
+                    const url = await uploadImage(path, imgObj.uri);
                     return { url, path };
                 }
                 return { url: imgObj.uri, path: imgObj.storagePath };
@@ -158,7 +155,6 @@ const EditProductScreen = () => {
                 price: parseFloat(price) || 0,
                 category,
                 condition: productCondition,
-                isSold,
                 imageUrls: finalImageUrls,
                 imageUrl: finalImageUrls[0] || null,
                 imageStoragePaths: finalImageStoragePaths,
@@ -175,7 +171,7 @@ const EditProductScreen = () => {
             setSubmitting(false);
             setUploading(false);
         }
-    }, [productName, description, price, category, productCondition, isSold, imageObjects, imagesToDeleteFromStorage, currentUser, navigation, productId]);
+    }, [productName, description, price, category, productCondition, imageObjects, imagesToDeleteFromStorage, currentUser, navigation, productId]);
 
     // --- UI ---
     const styles = useMemo(() => themedStyles(colors, isDarkMode), [colors, isDarkMode]);
@@ -216,9 +212,6 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
     pickerButtonText: { fontSize: 16, color: colors.textPrimary, },
     pickerPlaceholderText: { color: colors.textSecondary, fontStyle: 'italic' },
     toggleContainer: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginBottom: 20, paddingVertical: 10, paddingHorizontal: 5, borderWidth: 1, borderColor: colors.border, borderRadius: 8, backgroundColor: colors.surface, },
-    isSoldButton: { paddingVertical: 8, paddingHorizontal: 15, borderRadius: 6, borderWidth: 1, borderColor: colors.primaryGreen, backgroundColor: colors.surface },
-    isSoldButtonActive: { backgroundColor: colors.primaryGreen, borderColor: colors.primaryGreen, },
-    isSoldButtonText: { color: colors.textPrimary, fontWeight: '500' },
     imageManagementContainer: { marginBottom: 20, borderWidth: 1, borderColor: colors.border, paddingVertical: 15, paddingHorizontal: 10, borderRadius: 8, backgroundColor: colors.surfaceLight || colors.surface, },
     imagePreviewList: { marginBottom: 10, },
     previewImageItemContainer: { marginRight: 10, position: 'relative', borderWidth: 1, borderColor: colors.border, borderRadius: 6, overflow: 'hidden', },
@@ -18,9 +18,36 @@ import {
 } from 'react-native';
 import Toast from 'react-native-toast-message';
 
-import { auth, firestore, storage } from '../firebaseConfig';
+import { auth, firestore, functions, storage } from '../firebaseConfig';
+import { uploadImage } from '../src/imageUploads';
 import { useTheme } from '../src/ThemeContext';
 
+const requestVerificationFunc = functions().httpsCallable('requestVerification');
+
+const VERIFICATION_HISTORY_LABELS = {
+    submitted: 'Submitted',
+    in_review: 'In review',
+    approved: 'Approved',
+    rejected: 'Rejected',
+    revoked: 'Revoked',
+};
+
+// Keys must match VERIFICATION_EVIDENCE_KINDS in functions/src/index.ts
+const VERIFICATION_EVIDENCE_FIELDS = [
+    { key: 'idPhoto', label: 'ID Photo', description: 'A clear photo of a government-issued ID', icon: 'card-outline' },
+    { key: 'selfie', label: 'Selfie', description: 'Taken now with your front camera', icon: 'camera-outline', useCamera: true },
+    { key: 'proofOfAddress', label: 'Proof of Address', description: 'A recent utility bill or bank statement', icon: 'home-outline' },
+];
+
+// Keys must match LOCATION_PRECISION_GRID_KM in functions/src/index.ts
+const LOCATION_PRECISION_OPTIONS = [
+    { key: 'neighborhood', label: 'Neighborhood', description: 'Shown to within about 1 km' },
+    { key: 'area', label: 'Area', description: 'Shown to within about 5 km' },
+    { key: 'city', label: 'City', description: 'Shown to within about 20 km' },
+    { key: 'hidden', label: 'Hidden', description: 'Not shown on the map or used for distance' },
+];
+const DEFAULT_LOCATION_PRECISION = 'neighborhood';
+
 const EditProfileScreen = () => {
     const navigation = useNavigation();
     const { colors, isDarkMode } = useTheme();
@@ -38,8 +65,17 @@ const EditProfileScreen = () => {
     // --- Verification State ---
     const [isVerified, setIsVerified] = useState(false);
     const [verificationRequested, setVerificationRequested] = useState(false);
+    const [isEvidenceFormVisible, setIsEvidenceFormVisible] = useState(false);
+    const [evidenceUris, setEvidenceUris] = useState({});
+    const [verificationStatus, setVerificationStatus] = useState(null);
+    const [verificationReason, setVerificationReason] = useState(null);
+    const [verificationHistory, setVerificationHistory] = useState([]);
     const [isRequestingVerification, setIsRequestingVerification] = useState(false);
 
+    // --- Location Privacy State ---
+    const [locationPrecision, setLocationPrecision] = useState(DEFAULT_LOCATION_PRECISION);
+    const [savedLocationPrecision, setSavedLocationPrecision] = useState(DEFAULT_LOCATION_PRECISION);
+
 
     // --- Data Fetching Effect ---
     useEffect(() => {
@@ -59,6 +95,8 @@ const EditProfileScreen = () => {
                 setOriginalStoragePath(data.profilePicStoragePath || null);
                 setIsVerified(data.isVerified || false);
                 setVerificationRequested(data.verificationRequested || false);
+                setVerificationStatus(data.verificationStatus || null);
+                setVerificationReason(data.verificationReason || null);
             }
             if (loading) setLoading(false);
         }, error => {
@@ -70,6 +108,30 @@ const EditProfileScreen = () => {
         return () => unsubscribe();
     }, [currentUser, loading]);
 
+    useEffect(() => {
+        if (!currentUser) return;
+        const unsubscribe = firestore().collection('users').doc(currentUser.uid).collection('verificationHistory')
+            .orderBy('createdAt', 'desc')
+            .limit(10)
+            .onSnapshot(snapshot => {
+                setVerificationHistory(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            }, error => console.error("Error fetching verification history:", error));
+        return () => unsubscribe();
+    }, [currentUser]);
+
+    useEffect(() => {
+        if (!currentUser) return;
+        firestore().collection('users').doc(currentUser.uid).collection('settings').doc('privacy').get()
+            .then(docSnap => {
+                const precision = docSnap.exists ? docSnap.data().locationPrecision : null;
+                if (LOCATION_PRECISION_OPTIONS.some(option => option.key === precision)) {
+                    setLocationPrecision(precision);
+                    setSavedLocationPrecision(precision);
+                }
+            })
+            .catch(error => console.error("Error fetching privacy settings:", error));
+    }, [currentUser]);
+
     // --- Handlers ---
     const handleChoosePhoto = useCallback(async () => {
         const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
@@ -110,9 +172,7 @@ const EditProfileScreen = () => {
         try {
             if (newImageUri) {
                 const newPath = `profile_pictures/${currentUser.uid}.jpg`;
-                const reference = storage().ref(newPath);
-                await reference.putFile(newImageUri);
-                finalPhotoURL = await reference.getDownloadURL();
+                finalPhotoURL = await uploadImage(newPath, newImageUri);
                 finalStoragePath = newPath;
                 if (originalStoragePath && originalStoragePath !== newPath) {
                     await storage().ref(originalStoragePath).delete().catch(() => {});
@@ -133,6 +193,15 @@ const EditProfileScreen = () => {
                 lastUpdatedAt: firestore.FieldValue.serverTimestamp()
             });
 
+            // Changing this re-publishes the public location of every listing.
+            if (locationPrecision !== savedLocationPrecision) {
+                await userDocRef.collection('settings').doc('privacy').set({
+                    locationPrecision,
+                    updatedAt: firestore.FieldValue.serverTimestamp(),
+                }, { merge: true });
+                setSavedLocationPrecision(locationPrecision);
+            }
+
             Toast.show({ type: 'success', text1: 'Profile Updated!', position: 'bottom' });
             navigation.goBack();
 
@@ -142,25 +211,64 @@ const EditProfileScreen = () => {
         } finally {
             setSubmitting(false);
         }
-    }, [displayName, bio, newImageUri, currentPhotoURL, originalStoragePath, currentUser, navigation]);
+    }, [displayName, bio, newImageUri, currentPhotoURL, originalStoragePath, locationPrecision, savedLocationPrecision, currentUser, navigation]);
+
+    const handlePickEvidence = async (field) => {
+        const permission = field.useCamera
+            ? await ImagePicker.requestCameraPermissionsAsync()
+            : await ImagePicker.requestMediaLibraryPermissionsAsync();
+        if (permission.status !== 'granted') {
+            Alert.alert('Permission Required', `We need access to your ${field.useCamera ? 'camera' : 'photos'} to attach this document.`);
+            return;
+        }
+
+        const result = field.useCamera
+            ? await ImagePicker.launchCameraAsync({ cameraType: ImagePicker.CameraType.front, quality: 1 })
+            : await ImagePicker.launchImageLibraryAsync({ quality: 1 });
+        if (result.canceled || !result.assets?.[0]) return;
+
+        try {
+            // Downscaled and re-encoded, which also drops EXIF data, before it is uploaded.
+            const manipResult = await ImageManipulator.manipulateAsync(
+                result.assets[0].uri,
+                [{ resize: { width: 1600 } }],
+                { compress: 0.8, format: ImageManipulator.SaveFormat.JPEG }
+            );
+            setEvidenceUris(prev => ({ ...prev, [field.key]: manipResult.uri }));
+        } catch (error) {
+            console.error("Error processing evidence image:", error);
+            Toast.show({ type: 'error', text1: 'Image Error', text2: 'Could not process the selected image.' });
+        }
+    };
 
     const handleRequestVerification = async () => {
         if (!currentUser) return;
+        const missing = VERIFICATION_EVIDENCE_FIELDS.filter(field => !evidenceUris[field.key]);
+        if (missing.length > 0) {
+            Alert.alert('Evidence Required', `Please attach: ${missing.map(field => field.label).join(', ')}.`);
+            return;
+        }
+
         setIsRequestingVerification(true);
         try {
-            const userDocRef = firestore().collection('users').doc(currentUser.uid);
-            await userDocRef.update({
-                verificationRequested: true,
-            });
+            const evidence = {};
+            for (const field of VERIFICATION_EVIDENCE_FIELDS) {
+                const path = `verification_evidence/${currentUser.uid}/${field.key}_${Date.now()}.jpg`;
+                await storage().ref(path).putFile(evidenceUris[field.key]);
+                evidence[field.key] = path;
+            }
+            await requestVerificationFunc({ evidence });
             Toast.show({
                 type: 'success',
                 text1: 'Verification Requested',
                 text2: 'Your request has been submitted for review.'
             });
             setVerificationRequested(true);
+            setIsEvidenceFormVisible(false);
+            setEvidenceUris({});
         } catch (error) {
             console.error("Error requesting verification:", error);
-            Toast.show({ type: 'error', text1: 'Request Failed', text2: 'Please try again later.' });
+            Toast.show({ type: 'error', text1: 'Request Failed', text2: error.message || 'Please try again later.' });
         } finally {
             setIsRequestingVerification(false);
         }
@@ -198,23 +306,108 @@ const EditProfileScreen = () => {
                             </View>
                         ) : verificationRequested ? (
                             <View style={styles.verificationStatusView}>
-                                <Ionicons name="time-outline" size={22} color={colors.accent} />
-                                <Text style={[styles.verificationStatusText, { color: colors.accent }]}>Request Pending Review</Text>
+                                <Ionicons name={verificationStatus === 'in_review' ? 'search-outline' : 'time-outline'} size={22} color={colors.accent} />
+                                <Text style={[styles.verificationStatusText, { color: colors.accent }]}>
+                                    {verificationStatus === 'in_review' ? 'In Review' : 'Request Submitted'}
+                                </Text>
                             </View>
                         ) : (
-                            <TouchableOpacity 
-                                style={[styles.verificationButton, isRequestingVerification && styles.buttonDisabled]} 
-                                onPress={handleRequestVerification}
-                                disabled={isRequestingVerification}
-                            >
-                                {isRequestingVerification 
-                                    ? <ActivityIndicator color={colors.textOnPrimary} /> 
-                                    : <Text style={styles.verificationButtonText}>Request Verification</Text>
-                                }
-                            </TouchableOpacity>
+                            <>
+                                {(verificationStatus === 'rejected' || verificationStatus === 'revoked') && (
+                                    <View style={styles.verificationDecision}>
+                                        <View style={styles.verificationStatusView}>
+                                            <Ionicons name="close-circle-outline" size={22} color={colors.error} />
+                                            <Text style={[styles.verificationStatusText, { color: colors.error }]}>
+                                                {verificationStatus === 'rejected' ? 'Request Rejected' : 'Verification Revoked'}
+                                            </Text>
+                                        </View>
+                                        {verificationReason ? <Text style={styles.verificationReasonText}>{verificationReason}</Text> : null}
+                                    </View>
+                                )}
+                                {isEvidenceFormVisible ? (
+                                    <View style={styles.evidenceForm}>
+                                        <Text style={styles.privacyHelperText}>
+                                            Only our admins can see these files, and they are deleted as soon as your request is decided.
+                                        </Text>
+                                        {VERIFICATION_EVIDENCE_FIELDS.map(field => (
+                                            <TouchableOpacity
+                                                key={field.key}
+                                                style={styles.evidenceRow}
+                                                onPress={() => handlePickEvidence(field)}
+                                                disabled={isRequestingVerification}
+                                            >
+                                                {evidenceUris[field.key]
+                                                    ? <Image source={{ uri: evidenceUris[field.key] }} style={styles.evidenceThumbnail} />
+                                                    : <View style={styles.evidenceThumbnail}><Ionicons name={field.icon} size={24} color={colors.textSecondary} /></View>
+                                                }
+                                                <View style={styles.privacyOptionTextContainer}>
+                                                    <Text style={styles.privacyOptionLabel}>{field.label}</Text>
+                                                    <Text style={styles.privacyOptionDescription}>{field.description}</Text>
+                                                </View>
+                                                <Ionicons
+                                                    name={evidenceUris[field.key] ? 'checkmark-circle' : 'add-circle-outline'}
+                                                    size={24}
+                                                    color={evidenceUris[field.key] ? colors.primaryGreen : colors.primaryTeal}
+                                                />
+                                            </TouchableOpacity>
+                                        ))}
+                                        <TouchableOpacity 
+                                            style={[styles.verificationButton, isRequestingVerification && styles.buttonDisabled]} 
+                                            onPress={handleRequestVerification}
+                                            disabled={isRequestingVerification}
+                                        >
+                                            {isRequestingVerification 
+                                                ? <ActivityIndicator color={colors.textOnPrimary} /> 
+                                                : <Text style={styles.verificationButtonText}>Submit Request</Text>
+                                            }
+                                        </TouchableOpacity>
+                                    </View>
+                                ) : (
+                                    <TouchableOpacity style={styles.verificationButton} onPress={() => setIsEvidenceFormVisible(true)}>
+                                        <Text style={styles.verificationButtonText}>{verificationStatus ? 'Request Again' : 'Request Verification'}</Text>
+                                    </TouchableOpacity>
+                                )}
+                            </>
+                        )}
+                        {verificationHistory.length > 0 && (
+                            <View style={styles.verificationHistory}>
+                                <Text style={styles.verificationHistoryTitle}>History</Text>
+                                {verificationHistory.map(entry => (
+                                    <View key={entry.id} style={styles.verificationHistoryItem}>
+                                        <Text style={styles.verificationHistoryStatus}>{VERIFICATION_HISTORY_LABELS[entry.status] || entry.status}</Text>
+                                        <Text style={styles.verificationHistoryDate}>{entry.createdAt?.toDate ? entry.createdAt.toDate().toLocaleDateString() : ''}</Text>
+                                        {entry.reason ? <Text style={styles.verificationHistoryReason}>{entry.reason}</Text> : null}
+                                    </View>
+                                ))}
+                            </View>
                         )}
                     </View>
                     
+                    <View style={styles.privacyContainer}>
+                        <Text style={styles.verificationTitle}>Listing Location</Text>
+                        <Text style={styles.privacyHelperText}>
+                            Buyers never see your exact location. Choose how precisely your listings are placed on the map.
+                        </Text>
+                        {LOCATION_PRECISION_OPTIONS.map(option => (
+                            <TouchableOpacity
+                                key={option.key}
+                                style={styles.privacyOption}
+                                onPress={() => setLocationPrecision(option.key)}
+                                disabled={submitting}
+                            >
+                                <Ionicons
+                                    name={locationPrecision === option.key ? 'radio-button-on' : 'radio-button-off'}
+                                    size={22}
+                                    color={locationPrecision === option.key ? colors.primaryTeal : colors.textSecondary}
+                                />
+                                <View style={styles.privacyOptionTextContainer}>
+                                    <Text style={styles.privacyOptionLabel}>{option.label}</Text>
+                                    <Text style={styles.privacyOptionDescription}>{option.description}</Text>
+                                </View>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
                     <TouchableOpacity style={[styles.button, submitting && styles.buttonDisabled]} onPress={handleUpdateProfile} disabled={submitting}>
                         {submitting ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Save Changes</Text>}
                     </TouchableOpacity>
@@ -251,6 +444,12 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
         marginBottom: 20,
         alignItems: 'center',
     },
+    privacyContainer: { width: '100%', backgroundColor: colors.surface, borderRadius: 8, borderWidth: 1, borderColor: colors.border, padding: 15, marginBottom: 20 },
+    privacyHelperText: { fontSize: 13, color: colors.textSecondary, marginBottom: 10 },
+    privacyOption: { flexDirection: 'row', alignItems: 'center', alignSelf: 'stretch', paddingVertical: 8 },
+    privacyOptionTextContainer: { marginLeft: 12, flex: 1 },
+    privacyOptionLabel: { fontSize: 15, fontWeight: '500', color: colors.textPrimary },
+    privacyOptionDescription: { fontSize: 12, color: colors.textSecondary, marginTop: 2 },
     verificationTitle: {
         fontSize: 16,
         fontWeight: '600',
@@ -278,6 +477,17 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
         fontSize: 16,
         fontWeight: 'bold',
     },
+    verificationDecision: { alignItems: 'center', marginBottom: 12 },
+    evidenceForm: { alignSelf: 'stretch', alignItems: 'center' },
+    evidenceRow: { flexDirection: 'row', alignItems: 'center', alignSelf: 'stretch', paddingVertical: 8, marginBottom: 4 },
+    evidenceThumbnail: { width: 48, height: 48, borderRadius: 6, backgroundColor: colors.background, justifyContent: 'center', alignItems: 'center' },
+    verificationReasonText: { fontSize: 14, color: colors.textSecondary, textAlign: 'center', marginTop: 4 },
+    verificationHistory: { alignSelf: 'stretch', marginTop: 15, paddingTop: 10, borderTopWidth: 1, borderTopColor: colors.border },
+    verificationHistoryTitle: { fontSize: 14, fontWeight: '600', color: colors.textSecondary, marginBottom: 6 },
+    verificationHistoryItem: { flexDirection: 'row', flexWrap: 'wrap', alignItems: 'baseline', paddingVertical: 4 },
+    verificationHistoryStatus: { fontSize: 14, fontWeight: '500', color: colors.textPrimary, marginRight: 8 },
+    verificationHistoryDate: { fontSize: 12, color: colors.textSecondary },
+    verificationHistoryReason: { width: '100%', fontSize: 13, color: colors.textSecondary, marginTop: 2 },
 });
 
 export default EditProfileScreen;
@@ -1,6 +1,7 @@
 // screens/GroupChatScreen.js
 
 import { useNavigation, useRoute } from '@react-navigation/native';
+import * as ImageManipulator from 'expo-image-manipulator';
 import * as ImagePicker from 'expo-image-picker';
 import { useCallback, useEffect, useLayoutEffect, useState } from 'react';
 import {
@@ -15,7 +16,8 @@ import {
 import { Actions, GiftedChat } from 'react-native-gifted-chat';
 
 // 1. Import the new firebase modules
-import { auth, firestore, storage } from '../firebaseConfig';
+import { auth, firestore } from '../firebaseConfig';
+import { uploadImage } from '../src/imageUploads';
 import { useTheme } from '../src/ThemeContext'; // Assuming you have a theme context
 
 const GroupChatScreen = () => {
@@ -105,9 +107,9 @@ const GroupChatScreen = () => {
         
         try {
             // 6. Use new Storage syntax
-            const reference = storage().ref(storagePath);
-            await reference.putFile(imageUri);
-            const downloadURL = await reference.getDownloadURL();
+            // Re-encoding drops EXIF data (GPS location, device details) before the upload.
+            const manipResult = await ImageManipulator.manipulateAsync(imageUri, [], { compress: 0.7, format: ImageManipulator.SaveFormat.JPEG });
+            const downloadURL = await uploadImage(storagePath, manipResult.uri);
 
             const messageData = {
                 image: downloadURL,
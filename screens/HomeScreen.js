@@ -2,6 +2,7 @@
 
 import Ionicons from '@expo/vector-icons/Ionicons';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { Image as ExpoImage } from 'expo-image';
 import * as Location from 'expo-location';
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
@@ -24,6 +25,7 @@ import {
 import Animated from 'react-native-reanimated';
 import Toast from 'react-native-toast-message';
 
+import SearchCriteriaChips, { DISTANCE_OPTIONS_KM, describeSearchCriteria } from '../components/SearchCriteriaChips';
 import { auth, firestore, functions } from '../firebaseConfig';
 import { useTheme } from '../src/ThemeContext';
 
@@ -79,13 +81,57 @@ const CompactCountdownTimer = ({ expiryTimestamp, styles }) => {
 };
 
 
+// --- HELPER COMPONENT: HighlightedText ---
+// `ranges` are [start, end) offsets into `text`, as returned by searchProducts.
+const HighlightedText = ({ text, ranges, style, highlightStyle, numberOfLines }) => {
+    if (!ranges?.length) return <Text style={style} numberOfLines={numberOfLines}>{text}</Text>;
+
+    const parts = [];
+    let position = 0;
+    [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        if (start < position) return;
+        if (start > position) parts.push(<Text key={`plain-${position}`}>{text.slice(position, start)}</Text>);
+        parts.push(<Text key={`match-${start}`} style={highlightStyle}>{text.slice(start, end)}</Text>);
+        position = end;
+    });
+    if (position < text.length) parts.push(<Text key={`plain-${position}`}>{text.slice(position)}</Text>);
+
+    return <Text style={style} numberOfLines={numberOfLines}>{parts}</Text>;
+};
+
+// Cuts a window of the description around its first match, shifting the ranges to fit.
+const getDescriptionSnippet = (description, ranges) => {
+  const windowStart = Math.max(0, ranges[0][0] - 20);
+  const prefix = windowStart > 0 ? '…' : '';
+  return {
+    text: prefix + description.slice(windowStart, windowStart + 80),
+    ranges: ranges
+      .filter(([start, end]) => start >= windowStart && end <= windowStart + 80)
+      .map(([start, end]) => [start - windowStart + prefix.length, end - windowStart + prefix.length]),
+  };
+};
+
 // --- Constants ---
+// --- Helper: format a video duration in seconds as m:ss ---
+const formatVideoDuration = (seconds) => {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
 const PRODUCT_CATEGORIES_WITH_ALL = [ "All Categories", "Electronics", "Clothing & Apparel", "Home & Garden", "Furniture", "Vehicles", "Books, Movies & Music", "Collectibles & Art", "Sports & Outdoors", "Toys & Hobbies", "Baby & Kids", "Health & Beauty", "Other" ];
 const SORT_OPTIONS = [ "Recommended", "Newest First", "Price: Low to High", "Price: High to Low" ];
+const SORT_OPTION_KEYS = { "Recommended": "recommended", "Newest First": "newest", "Price: Low to High": "price_asc", "Price: High to Low": "price_desc" };
 const PRODUCT_CONDITIONS_WITH_ALL = [ "Any Condition", "New", "Used - Like New", "Used - Good", "Used - Fair" ];
+const DISTANCE_OPTIONS_WITH_ANY = [ null, ...DISTANCE_OPTIONS_KM ];
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 400;
+// searchProducts needs at least one word of two or more letters or digits (see tokenizeForSearch).
+const SEARCHABLE_TERM_PATTERN = /[a-z0-9\u00df-\u024f]{2,}/i;
 
 // --- Firebase Functions Reference ---
 const getRankedProductsFunc = functions().httpsCallable('getRankedProducts');
+const searchProductsFunc = functions().httpsCallable('searchProducts');
+const parseSearchQueryFunc = functions().httpsCallable('parseSearchQuery');
 
 const HomeScreen = () => {
   const navigation = useNavigation();
@@ -93,18 +139,23 @@ const HomeScreen = () => {
 
   // --- State Management ---
   const [products, setProducts] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [currentUser, setCurrentUser] = useState(() => auth().currentUser);
   const [userInitial, setUserInitial] = useState('');
   const [wishlistIds, setWishlistIds] = useState(new Set());
   const [unreadNotificationsCount, setUnreadNotificationsCount] = useState(0);
   const [userLocation, setUserLocation] = useState(null);
+  const [locationResolved, setLocationResolved] = useState(false);
+  const userLocationRef = useRef(null);
+  const latestRequestRef = useRef(0);
   
   // --- UI & Filter State ---
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearchQuery, setDebouncedSearchQuery] = useState('');
   const [selectedCategoryFilter, setSelectedCategoryFilter] = useState(PRODUCT_CATEGORIES_WITH_ALL[0]);
   const [selectedSortOption, setSelectedSortOption] = useState(SORT_OPTIONS[0]);
   const [selectedConditionFilter, setSelectedConditionFilter] = useState(PRODUCT_CONDITIONS_WITH_ALL[0]);
@@ -112,9 +163,12 @@ const HomeScreen = () => {
   const [maxPriceInput, setMaxPriceInput] = useState('');
   const [appliedMinPrice, setAppliedMinPrice] = useState(null);
   const [appliedMaxPrice, setAppliedMaxPrice] = useState(null);
+  const [selectedMaxDistanceKm, setSelectedMaxDistanceKm] = useState(null);
+  const [isParsingQuery, setIsParsingQuery] = useState(false);
   const [isCategoryFilterModalVisible, setCategoryFilterModalVisible] = useState(false);
   const [isSortModalVisible, setSortModalVisible] = useState(false);
   const [isConditionModalVisible, setConditionModalVisible] = useState(false);
+  const [isDistanceModalVisible, setDistanceModalVisible] = useState(false);
   
   // --- Welcome Popup State ---
   const [showWelcomePopup, setShowWelcomePopup] = useState(false);
@@ -176,26 +230,56 @@ const HomeScreen = () => {
   }, [showWelcomePopup, popupOpacity]);
 
   // --- Data Fetching ---
-  const fetchRankedProducts = useCallback(async (currentLocation = null) => {
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearchQuery(searchQuery.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [searchQuery]);
+
+  const queryCriteria = useMemo(() => ({
+    searchQuery: debouncedSearchQuery || null,
+    category: selectedCategoryFilter !== PRODUCT_CATEGORIES_WITH_ALL[0] ? selectedCategoryFilter : null,
+    condition: selectedConditionFilter !== PRODUCT_CONDITIONS_WITH_ALL[0] ? selectedConditionFilter : null,
+    minPrice: appliedMinPrice,
+    maxPrice: appliedMaxPrice,
+    maxDistanceKm: selectedMaxDistanceKm,
+    sortBy: SORT_OPTION_KEYS[selectedSortOption],
+  }), [debouncedSearchQuery, selectedCategoryFilter, selectedConditionFilter, appliedMinPrice, appliedMaxPrice, selectedMaxDistanceKm, selectedSortOption]);
+
+  // Passing a cursor appends the next page; without one the list is replaced.
+  // Text queries go to the search index, which ranks by relevance and returns highlights.
+  // Queries without a searchable word ("a", "!!") fall back to getRankedProducts' plain text filter.
+  const fetchRankedProducts = useCallback(async (currentLocation = null, cursor = null) => {
+    const requestId = ++latestRequestRef.current;
     const locationData = currentLocation ? { latitude: currentLocation.latitude, longitude: currentLocation.longitude } : {};
+    const useSearchIndex = SEARCHABLE_TERM_PATTERN.test(queryCriteria.searchQuery || '');
+    const fetchPage = useSearchIndex ? searchProductsFunc : getRankedProductsFunc;
     try {
-      const result = await getRankedProductsFunc(locationData);
+      const result = await fetchPage({ ...locationData, ...queryCriteria, cursor, pageSize: PAGE_SIZE });
+      if (requestId !== latestRequestRef.current) return; // A newer query has superseded this one.
       if (result?.data?.products) {
-        setProducts(result.data.products);
+        const page = result.data.products;
+        setProducts(prev => {
+          if (!cursor) return page;
+          const seenIds = new Set(prev.map(p => p.id));
+          return [...prev, ...page.filter(p => !seenIds.has(p.id))];
+        });
+        setNextCursor(result.data.nextCursor || null);
         setError(null);
       } else {
         throw new Error("Invalid product data format from server.");
       }
     } catch (err) {
+      if (requestId !== latestRequestRef.current) return;
       console.error("[HomeScreen] Error fetching ranked products:", err);
       setError("Could not load products. Please try again.");
-      setProducts([]);
+      if (!cursor) {
+        setProducts([]);
+        setNextCursor(null);
+      }
     }
-  }, []);
+  }, [queryCriteria]);
 
-  const getLocationAndFetchInitial = useCallback(async () => {
-    setLoading(true);
-    setError(null);
+  const resolveLocation = useCallback(async () => {
     let fetchedLocation = null;
     try {
       let { status } = await Location.requestForegroundPermissionsAsync();
@@ -203,20 +287,32 @@ const HomeScreen = () => {
         let location = await Location.getLastKnownPositionAsync() || await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
         if (location?.coords) {
             fetchedLocation = location.coords;
+            userLocationRef.current = fetchedLocation;
             setUserLocation(fetchedLocation);
         }
       }
     } catch (err) {
       console.warn("[HomeScreen] Location Error:", err.message);
     } finally {
-      await fetchRankedProducts(fetchedLocation);
-      setLoading(false);
+      setLocationResolved(true);
     }
-  }, [fetchRankedProducts]);
+    return fetchedLocation;
+  }, []);
 
   useEffect(() => {
-    getLocationAndFetchInitial();
-  }, [getLocationAndFetchInitial]);
+    resolveLocation();
+  }, [resolveLocation]);
+
+  // Any change to the criteria restarts the list from the first page.
+  useEffect(() => {
+    if (!locationResolved) return;
+    let isActive = true;
+    setLoading(true);
+    fetchRankedProducts(userLocationRef.current).finally(() => {
+      if (isActive) setLoading(false);
+    });
+    return () => { isActive = false; };
+  }, [locationResolved, fetchRankedProducts]);
 
   // --- Real-time Listeners ---
   useFocusEffect(
@@ -235,31 +331,20 @@ const HomeScreen = () => {
     }, [currentUser])
   );
 
-  // --- Filtering & Sorting Logic ---
-  useEffect(() => {
-    let tempProcessed = [...products];
-    if (searchQuery) {
-      const lowerCaseQuery = searchQuery.toLowerCase();
-      tempProcessed = tempProcessed.filter(p => p.name?.toLowerCase().includes(lowerCaseQuery) || p.sellerDisplayName?.toLowerCase().includes(lowerCaseQuery));
-    }
-    if (selectedCategoryFilter !== PRODUCT_CATEGORIES_WITH_ALL[0]) tempProcessed = tempProcessed.filter(p => p.category === selectedCategoryFilter);
-    if (selectedConditionFilter !== PRODUCT_CONDITIONS_WITH_ALL[0]) tempProcessed = tempProcessed.filter(p => p.condition === selectedConditionFilter);
-    if (appliedMinPrice !== null) tempProcessed = tempProcessed.filter(p => (p.price || 0) >= appliedMinPrice);
-    if (appliedMaxPrice !== null) tempProcessed = tempProcessed.filter(p => (p.price || 0) <= appliedMaxPrice);
-    
-    if (selectedSortOption === "Newest First") tempProcessed.sort((a, b) => (b.createdAt?._seconds || 0) - (a.createdAt?._seconds || 0));
-    else if (selectedSortOption === "Price: Low to High") tempProcessed.sort((a, b) => (a.price || 0) - (b.price || 0));
-    else if (selectedSortOption === "Price: High to Low") tempProcessed.sort((a, b) => (b.price || 0) - (a.price || 0));
-    
-    setFilteredProducts(tempProcessed);
-  }, [searchQuery, selectedCategoryFilter, selectedSortOption, selectedConditionFilter, products, appliedMinPrice, appliedMaxPrice]);
-
   // --- Handlers ---
   const onRefresh = useCallback(async () => {
     setIsRefreshing(true);
-    await getLocationAndFetchInitial();
+    const refreshedLocation = await resolveLocation();
+    await fetchRankedProducts(refreshedLocation);
     setIsRefreshing(false);
-  }, [getLocationAndFetchInitial]);
+  }, [resolveLocation, fetchRankedProducts]);
+
+  const handleLoadMore = useCallback(async () => {
+    if (!nextCursor || isLoadingMore || loading || isRefreshing) return;
+    setIsLoadingMore(true);
+    await fetchRankedProducts(userLocationRef.current, nextCursor);
+    setIsLoadingMore(false);
+  }, [nextCursor, isLoadingMore, loading, isRefreshing, fetchRankedProducts]);
 
   const handleLogout = () => Alert.alert("Log Out", "Are you sure?", [{ text: "Cancel", style: "cancel" }, { text: "Log Out", style: "destructive", onPress: () => auth().signOut() }]);
   const handleAddItemPress = () => requireLogin('list an item') && navigation.navigate('SubmitItem');
@@ -299,27 +384,60 @@ const HomeScreen = () => {
     }
   };
 
-  const handleSaveSearch = async () => {
-    if (!requireLogin('save searches')) return;
+  // The filters other than the text query, in the criteria shape saved searches use.
+  const filterCriteria = useMemo(() => ({
+    category: selectedCategoryFilter !== PRODUCT_CATEGORIES_WITH_ALL[0] ? selectedCategoryFilter : null,
+    condition: selectedConditionFilter !== PRODUCT_CONDITIONS_WITH_ALL[0] ? selectedConditionFilter : null,
+    minPrice: appliedMinPrice,
+    maxPrice: appliedMaxPrice,
+    maxDistanceKm: selectedMaxDistanceKm,
+  }), [selectedCategoryFilter, selectedConditionFilter, appliedMinPrice, appliedMaxPrice, selectedMaxDistanceKm]);
+
+  const handleFilterCriteriaChange = (criteria) => {
+    setSelectedCategoryFilter(criteria.category || PRODUCT_CATEGORIES_WITH_ALL[0]);
+    setSelectedConditionFilter(criteria.condition || PRODUCT_CONDITIONS_WITH_ALL[0]);
+    setMinPriceInput(criteria.minPrice != null ? String(criteria.minPrice) : '');
+    setMaxPriceInput(criteria.maxPrice != null ? String(criteria.maxPrice) : '');
+    setAppliedMinPrice(criteria.minPrice ?? null);
+    setAppliedMaxPrice(criteria.maxPrice ?? null);
+    setSelectedMaxDistanceKm(criteria.maxDistanceKm ?? null);
+  };
 
-    const searchCriteria = {
-      searchQuery: searchQuery.trim().toLowerCase(),
-      category: selectedCategoryFilter !== PRODUCT_CATEGORIES_WITH_ALL[0] ? selectedCategoryFilter : null,
-      condition: selectedConditionFilter !== PRODUCT_CONDITIONS_WITH_ALL[0] ? selectedConditionFilter : null,
-      minPrice: appliedMinPrice,
-      maxPrice: appliedMaxPrice,
-    };
-    
-    const nameParts = [];
-    if (searchCriteria.searchQuery) nameParts.push(`'${searchCriteria.searchQuery}'`);
-    if (searchCriteria.category) nameParts.push(searchCriteria.category);
-    if (searchCriteria.condition) nameParts.push(searchCriteria.condition);
-    const priceParts = [];
-    if (searchCriteria.minPrice) priceParts.push(`>$${searchCriteria.minPrice}`);
-    if (searchCriteria.maxPrice) priceParts.push(`<$${searchCriteria.maxPrice}`);
-    if (priceParts.length > 0) nameParts.push(priceParts.join(' '));
+  // Submitting a phrase such as "used iphone under 300 near me" turns it into filters.
+  // Filters the phrase does not mention are kept; single words are searched as typed.
+  const handleNaturalLanguageSearch = async () => {
+    const text = searchQuery.trim();
+    if (!currentUser || isParsingQuery || !/\s/.test(text)) return;
+    setIsParsingQuery(true);
+    try {
+      const result = await parseSearchQueryFunc({ text });
+      const { searchQuery: parsedQuery, ...parsedFilters } = result.data.criteria;
+      const mentionedFilters = Object.fromEntries(Object.entries(parsedFilters).filter(([, value]) => value != null));
+      if (mentionedFilters.maxDistanceKm && !userLocationRef.current) {
+        delete mentionedFilters.maxDistanceKm;
+        Toast.show({ type: 'info', text1: 'Location unavailable', text2: 'Turn on location to filter by distance.' });
+      }
+      handleFilterCriteriaChange({ ...filterCriteria, ...mentionedFilters });
+      setSearchQuery(parsedQuery || '');
+      setDebouncedSearchQuery(parsedQuery || '');
+    } catch (error) {
+      console.error("[HomeScreen] Error parsing search:", error);
+      Toast.show({ type: 'error', text1: 'Could not understand that search', text2: 'Showing plain text results instead.' });
+    } finally {
+      setIsParsingQuery(false);
+    }
+  };
 
-    const searchName = nameParts.length > 0 ? nameParts.join(', ') : 'Custom Search';
+  const handleSaveSearch = async () => {
+    if (!requireLogin('save searches')) return;
+    const searchCriteria = { searchQuery: searchQuery.trim().toLowerCase(), ...filterCriteria };
+    // Alerts measure the distance limit from where the search was saved.
+    const location = userLocationRef.current;
+    const searchLocation = searchCriteria.maxDistanceKm && location
+      ? new firestore.GeoPoint(location.latitude, location.longitude)
+      : null;
+    if (!searchLocation) delete searchCriteria.maxDistanceKm;
+    const searchName = describeSearchCriteria(searchCriteria);
 
     try {
       await firestore()
@@ -329,6 +447,7 @@ const HomeScreen = () => {
         .add({
           name: searchName,
           criteria: searchCriteria,
+          ...(searchLocation && { searchLocation }),
           createdAt: firestore.FieldValue.serverTimestamp(),
         });
       Toast.show({
@@ -349,31 +468,52 @@ const HomeScreen = () => {
       selectedCategoryFilter !== PRODUCT_CATEGORIES_WITH_ALL[0] ||
       selectedConditionFilter !== PRODUCT_CONDITIONS_WITH_ALL[0] ||
       appliedMinPrice !== null ||
-      appliedMaxPrice !== null
+      appliedMaxPrice !== null ||
+      selectedMaxDistanceKm !== null
     );
-  }, [searchQuery, selectedCategoryFilter, selectedConditionFilter, appliedMinPrice, appliedMaxPrice]);
+  }, [searchQuery, selectedCategoryFilter, selectedConditionFilter, appliedMinPrice, appliedMaxPrice, selectedMaxDistanceKm]);
 
 
   // --- Render Functions ---
   const renderProductItem = ({ item }) => {
     const isSaved = wishlistIds.has(item.id);
-    const expiryTimestamp = item.createdAt?._seconds ? new Date((item.createdAt._seconds + 7 * 24 * 60 * 60) * 1000) : null;
+    const expiryTimestamp = item.expiresAt?._seconds ? new Date(item.expiresAt._seconds * 1000) : null;
+    const nameHighlights = item.searchHighlights?.name;
+    const descriptionHighlights = item.searchHighlights?.description;
+    const descriptionSnippet = !nameHighlights?.length && descriptionHighlights?.length && item.description
+      ? getDescriptionSnippet(item.description, descriptionHighlights)
+      : null;
 
     return (
       <View style={[styles.productItemContainer, item.isSold && styles.soldProductContainer]}>
         <TouchableOpacity style={styles.productItemTouchable} onPress={() => navigation.navigate('Details', { productId: item.id, userLocation })} disabled={item.isSold}>
           <Animated.View sharedTransitionTag={`product-image-${item.id}`}>
-            <Image source={{ uri: item.imageUrl || 'https://placehold.co/150x120/e0e0e0/7f7f7f?text=No+Image' }} style={[styles.productImage, item.isSold && styles.soldProductImage]} />
+            <ExpoImage
+              source={{ uri: item.thumbnailUrl || item.imageUrl || 'https://placehold.co/150x120/e0e0e0/7f7f7f?text=No+Image' }}
+              placeholder={item.imagePlaceholder ? { blurhash: item.imagePlaceholder } : undefined}
+              contentFit="cover"
+              transition={200}
+              style={[styles.productImage, item.isSold && styles.soldProductImage]}
+            />
+            {item.videoUrl && (
+              <View style={styles.videoBadge}>
+                <Ionicons name="videocam" size={12} color="#fff" />
+                {item.videoDurationSeconds ? <Text style={styles.videoBadgeText}>{formatVideoDuration(item.videoDurationSeconds)}</Text> : null}
+              </View>
+            )}
           </Animated.View>
           {item.isSold && <View style={styles.soldBadge}><Text style={styles.soldBadgeText}>SOLD</Text></View>}
-          <Text style={styles.productName} numberOfLines={2}>{item.name || 'Unnamed Product'}</Text>
+          <HighlightedText text={item.name || 'Unnamed Product'} ranges={nameHighlights} style={styles.productName} highlightStyle={styles.searchHighlight} numberOfLines={2} />
+          {descriptionSnippet && (
+            <HighlightedText text={descriptionSnippet.text} ranges={descriptionSnippet.ranges} style={styles.descriptionSnippet} highlightStyle={styles.searchHighlight} numberOfLines={2} />
+          )}
           <View style={styles.sellerContainer}>
             <Text style={styles.sellerName} numberOfLines={1}>By: {item.sellerDisplayName || 'Seller'}</Text>
           </View>
            {item.distanceKm != null && (
                 <View style={styles.distanceContainer}>
                     <Ionicons name="location-outline" size={14} color={colors.textSecondary} />
-                    <Text style={styles.distanceText}>{item.distanceKm.toFixed(1)} km away</Text>
+                    <Text style={styles.distanceText}>About {item.distanceKm < 1 ? '1' : item.distanceKm.toFixed(0)} km away</Text>
                 </View>
             )}
           <Text style={styles.productPrice}>${item.price?.toFixed(2) || '0.00'}</Text>
@@ -394,7 +534,7 @@ const HomeScreen = () => {
 
   const styles = useMemo(() => themedStyles(colors, isDarkMode), [colors, isDarkMode]);
 
-  if (loading) {
+  if (loading && products.length === 0 && !isFilterActive) {
     return <SafeAreaView style={styles.centered}><ActivityIndicator size="large" color={colors.primaryTeal} /><Text style={styles.loadingText}>Loading Products...</Text></SafeAreaView>;
   }
 
@@ -413,7 +553,7 @@ const HomeScreen = () => {
       </View>
 
       <FlatList
-        data={filteredProducts}
+        data={products}
         renderItem={renderProductItem}
         keyExtractor={(item) => item.id}
         numColumns={2}
@@ -421,8 +561,8 @@ const HomeScreen = () => {
         ListHeaderComponent={
           <>
             <View style={styles.searchFilterSortContainer}>
-              <TextInput style={styles.searchBar} placeholder="Search products, sellers..." value={searchQuery} onChangeText={setSearchQuery} placeholderTextColor={colors.textSecondary} clearButtonMode="while-editing" />
-              {isFilterActive && (
+              <TextInput style={styles.searchBar} placeholder={currentUser ? "Search or describe what you want..." : "Search products, sellers..."} value={searchQuery} onChangeText={setSearchQuery} onSubmitEditing={handleNaturalLanguageSearch} returnKeyType="search" placeholderTextColor={colors.textSecondary} clearButtonMode="while-editing" editable={!isParsingQuery} />
+              {isParsingQuery ? <ActivityIndicator style={styles.saveSearchButton} color={colors.primaryTeal} /> : isFilterActive && (
                   <TouchableOpacity style={styles.saveSearchButton} onPress={handleSaveSearch}>
                       <Ionicons name="bookmark-outline" size={22} color={colors.primaryTeal} />
                   </TouchableOpacity>
@@ -435,7 +575,9 @@ const HomeScreen = () => {
             <View style={styles.filterButtonsRow}>
               <TouchableOpacity style={styles.filterChipButton} onPress={() => setCategoryFilterModalVisible(true)}><Ionicons name="filter-outline" size={16} color={colors.primaryTeal} style={{marginRight: 4}} /><Text style={styles.filterChipButtonText} numberOfLines={1}>{selectedCategoryFilter === PRODUCT_CATEGORIES_WITH_ALL[0] ? 'Category' : selectedCategoryFilter}</Text></TouchableOpacity>
               <TouchableOpacity style={styles.filterChipButton} onPress={() => setConditionModalVisible(true)}><Ionicons name="shield-checkmark-outline" size={16} color={colors.primaryTeal} style={{marginRight: 4}}/><Text style={styles.filterChipButtonText} numberOfLines={1}>{selectedConditionFilter === PRODUCT_CONDITIONS_WITH_ALL[0] ? 'Condition' : selectedConditionFilter}</Text></TouchableOpacity>
+              {userLocation && <TouchableOpacity style={styles.filterChipButton} onPress={() => setDistanceModalVisible(true)}><Ionicons name="location-outline" size={16} color={colors.primaryTeal} style={{marginRight: 4}}/><Text style={styles.filterChipButtonText} numberOfLines={1}>{selectedMaxDistanceKm ? `${selectedMaxDistanceKm} km` : 'Distance'}</Text></TouchableOpacity>}
             </View>
+            <SearchCriteriaChips criteria={filterCriteria} onChange={handleFilterCriteriaChange} hideQuery />
             <View style={styles.priceFilterContainer}>
               <TextInput style={[styles.priceInput, {marginRight: 5}]} placeholder="Min Price" keyboardType="numeric" value={minPriceInput} onChangeText={setMinPriceInput} placeholderTextColor={colors.textSecondary} />
               <TextInput style={[styles.priceInput, {marginLeft: 5}]} placeholder="Max Price" keyboardType="numeric" value={maxPriceInput} onChangeText={setMaxPriceInput} placeholderTextColor={colors.textSecondary} />
@@ -447,10 +589,17 @@ const HomeScreen = () => {
         }
         ListEmptyComponent={
           <View style={styles.centered}>
-            <Ionicons name="storefront-outline" size={60} color={colors.textDisabled} />
-            <Text style={styles.emptyText}>{products.length === 0 ? "No products available right now." : "No products match your filters."}</Text>
+            {loading ? <ActivityIndicator size="large" color={colors.primaryTeal} /> : (
+              <>
+                <Ionicons name="storefront-outline" size={60} color={colors.textDisabled} />
+                <Text style={styles.emptyText}>{isFilterActive ? "No products match your filters." : "No products available right now."}</Text>
+              </>
+            )}
           </View>
         }
+        ListFooterComponent={isLoadingMore ? <ActivityIndicator style={styles.listFooterLoader} color={colors.primaryTeal} /> : null}
+        onEndReached={handleLoadMore}
+        onEndReachedThreshold={0.5}
         refreshControl={<RefreshControl refreshing={isRefreshing} onRefresh={onRefresh} tintColor={colors.primaryTeal} colors={[colors.primaryTeal]} />}
         extraData={{ wishlistIds, userLocation }}
       />
@@ -474,6 +623,11 @@ const HomeScreen = () => {
           <View style={styles.modalContent}><Text style={styles.modalTitle}>Filter by Condition</Text><FlatList data={PRODUCT_CONDITIONS_WITH_ALL} keyExtractor={(item) => item} renderItem={({ item }) => (<TouchableOpacity style={styles.modalItem} onPress={() => {setSelectedConditionFilter(item); setConditionModalVisible(false);}}><Text style={[styles.modalItemText, item === selectedConditionFilter && styles.modalItemSelectedText]}>{item}</Text></TouchableOpacity>)} style={styles.modalList} /></View>
         </TouchableOpacity>
       </Modal>
+      <Modal transparent={true} visible={isDistanceModalVisible} animationType="fade" onRequestClose={() => setDistanceModalVisible(false)}>
+        <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPressOut={() => setDistanceModalVisible(false)}>
+          <View style={styles.modalContent}><Text style={styles.modalTitle}>Filter by Distance</Text><FlatList data={DISTANCE_OPTIONS_WITH_ANY} keyExtractor={(item) => String(item)} renderItem={({ item }) => (<TouchableOpacity style={styles.modalItem} onPress={() => {setSelectedMaxDistanceKm(item); setDistanceModalVisible(false);}}><Text style={[styles.modalItemText, item === selectedMaxDistanceKm && styles.modalItemSelectedText]}>{item ? `Within ${item} km` : 'Any Distance'}</Text></TouchableOpacity>)} style={styles.modalList} /></View>
+        </TouchableOpacity>
+      </Modal>
     </SafeAreaView>
   );
 };
@@ -500,7 +654,7 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
     filterSortButton: { flexDirection: 'row', alignItems: 'center', backgroundColor: colors.background, paddingHorizontal: 12, paddingVertical: 8, borderRadius: 20, borderWidth: 1, borderColor: colors.border, height: 40, marginLeft: 5 },
     filterSortButtonText: { color: colors.primaryTeal, marginLeft: 4, fontSize: 13, fontWeight: '500' },
     filterButtonsRow: { flexDirection: 'row', justifyContent: 'flex-start', paddingHorizontal: 10, paddingVertical: 8, backgroundColor: colors.surface, borderBottomWidth: 1, borderBottomColor: colors.border },
-    filterChipButton: { flexDirection: 'row', alignItems: 'center', backgroundColor: colors.background, paddingHorizontal: 12, paddingVertical: 8, borderRadius: 20, borderWidth: 1, borderColor: colors.border, marginRight: 8 },
+    filterChipButton: { flexDirection: 'row', alignItems: 'center', backgroundColor: colors.background, paddingHorizontal: 12, paddingVertical: 8, borderRadius: 20, borderWidth: 1, borderColor: colors.border, marginRight: 8, flexShrink: 1 },
     filterChipButtonText: { color: colors.primaryTeal, fontSize: 13, fontWeight: '500' },
     priceFilterContainer: { flexDirection: 'row', paddingHorizontal: 15, paddingVertical: 10, backgroundColor: colors.surface, borderBottomWidth: 1, borderBottomColor: colors.border, alignItems: 'center' },
     priceInput: { flex: 1, height: 38, borderColor: colors.border, borderWidth: 1, borderRadius: 8, paddingHorizontal: 10, backgroundColor: colors.background, fontSize: 14, color: colors.textPrimary },
@@ -508,6 +662,7 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
     priceApplyButtonText: { color: colors.textOnPrimary, fontWeight: 'bold', fontSize: 14 },
     priceClearButton: { padding: 5, marginLeft: 8 },
     listContainer: { paddingHorizontal: 5, paddingBottom: 100 },
+    listFooterLoader: { marginVertical: 20 },
     productItemContainer: { flex: 1 / 2, margin: 5, backgroundColor: colors.surface, borderRadius: 8, shadowColor: '#000', shadowOffset: { width: 0, height: 1 }, shadowOpacity: isDarkMode ? 0.3 : 0.1, shadowRadius: 2, elevation: 2, position: 'relative' },
     soldProductContainer: { opacity: 0.6 },
     soldBadge: { position: 'absolute', top: 8, left: 8, backgroundColor: colors.error, paddingHorizontal: 8, paddingVertical: 4, borderRadius: 4, zIndex: 1 },
@@ -515,7 +670,11 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
     productItemTouchable: { flex: 1, padding: 10 },
     productImage: { width: '100%', height: 120, borderRadius: 4, marginBottom: 8, backgroundColor: colors.border },
     soldProductImage: { opacity: 0.7 },
+    videoBadge: { position: 'absolute', left: 6, bottom: 14, flexDirection: 'row', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.65)', paddingHorizontal: 6, paddingVertical: 3, borderRadius: 4 },
+    videoBadgeText: { color: '#fff', fontSize: 11, fontWeight: '600', marginLeft: 4 },
     productName: { fontSize: 14, fontWeight: '600', color: colors.textPrimary, minHeight: 34 },
+    descriptionSnippet: { fontSize: 12, color: colors.textSecondary, marginBottom: 4 },
+    searchHighlight: { color: colors.primaryTeal, fontWeight: 'bold' },
     sellerContainer: { width: '100%', marginTop: 4, marginBottom: 6 },
     sellerName: { fontSize: 12, color: colors.textSecondary },
     distanceContainer: {
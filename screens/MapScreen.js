@@ -3,7 +3,7 @@
 import { useNavigation } from '@react-navigation/native';
 import * as Location from 'expo-location';
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { ActivityIndicator, Alert, Dimensions, Image, StyleSheet, Text, View } from 'react-native';
+import { ActivityIndicator, Alert, Dimensions, FlatList, Image, Modal, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
 import MapView, { Callout, Marker } from 'react-native-maps';
 
 import { functions } from '../firebaseConfig';
@@ -13,9 +13,30 @@ const { width, height } = Dimensions.get('window');
 const ASPECT_RATIO = width / height;
 const LATITUDE_DELTA = 0.0922;
 const LONGITUDE_DELTA = LATITUDE_DELTA * ASPECT_RATIO;
+const MAX_CLUSTER_ZOOM = 18; // Must match the backend: clusters are not formed beyond this zoom.
+const CLUSTER_ZOOM_PADDING = 1.5;
 
 const getProductsInRegionFunc = functions().httpsCallable('getProductsInRegion');
 
+// Converts a react-native-maps region into the visible bounding box.
+const getRegionBounds = (region) => {
+    const wrapLongitude = (lon) => ((lon + 540) % 360) - 180;
+    return {
+        north: Math.min(region.latitude + region.latitudeDelta / 2, 90),
+        south: Math.max(region.latitude - region.latitudeDelta / 2, -90),
+        east: wrapLongitude(region.longitude + region.longitudeDelta / 2),
+        west: wrapLongitude(region.longitude - region.longitudeDelta / 2),
+    };
+};
+
+const getRegionZoom = (region) => Math.max(0, Math.log2(360 / region.longitudeDelta));
+
+const formatPriceRange = (cluster) => {
+    if (cluster.minPrice == null) return '';
+    if (cluster.minPrice === cluster.maxPrice) return `$${cluster.minPrice.toFixed(0)}`;
+    return `$${cluster.minPrice.toFixed(0)}–$${cluster.maxPrice.toFixed(0)}`;
+};
+
 const MapScreen = () => {
     const navigation = useNavigation();
     const { colors, isDarkMode } = useTheme();
@@ -23,8 +44,15 @@ const MapScreen = () => {
 
     const [initialRegion, setInitialRegion] = useState(null);
     const [products, setProducts] = useState([]);
+    const [clusters, setClusters] = useState([]);
+    const [isTruncated, setIsTruncated] = useState(false);
     const [loading, setLoading] = useState(true);
     const [errorMsg, setErrorMsg] = useState(null);
+    const [selectedCluster, setSelectedCluster] = useState(null);
+    const [clusterListings, setClusterListings] = useState([]);
+    const [loadingClusterListings, setLoadingClusterListings] = useState(false);
+    const currentRegionRef = useRef(null);
+    const latestRequestRef = useRef(0);
 
     useEffect(() => {
         (async () => {
@@ -66,21 +94,23 @@ const MapScreen = () => {
 
     const fetchProducts = useCallback(async (region) => {
         if (!region) return;
+        currentRegionRef.current = region;
+        const requestId = ++latestRequestRef.current;
         setLoading(true);
         try {
-            const result = await getProductsInRegionFunc({
-                latitude: region.latitude,
-                longitude: region.longitude,
-                radius: 50,
-            });
+            const result = await getProductsInRegionFunc({ bounds: getRegionBounds(region), zoom: getRegionZoom(region) });
+            if (requestId !== latestRequestRef.current) return; // The map has moved on since.
             if (result.data.products) {
                 setProducts(result.data.products);
+                setClusters(result.data.clusters || []);
+                setIsTruncated(result.data.truncated === true);
             }
         } catch (err) {
+            if (requestId !== latestRequestRef.current) return;
             console.error("Error fetching products for map:", err);
             Alert.alert("Error", "Could not load items for this area.");
         } finally {
-            setLoading(false);
+            if (requestId === latestRequestRef.current) setLoading(false);
         }
     }, []);
 
@@ -94,6 +124,59 @@ const MapScreen = () => {
         fetchProducts(region);
     };
 
+    const openClusterSheet = async (cluster) => {
+        setSelectedCluster(cluster);
+        setClusterListings([]);
+        setLoadingClusterListings(true);
+        try {
+            // Without a zoom level the callable returns every listing inside the bounds unclustered.
+            const result = await getProductsInRegionFunc({ bounds: cluster.bounds });
+            setClusterListings(result.data.products || []);
+        } catch (err) {
+            console.error("Error fetching cluster listings:", err);
+            Alert.alert("Error", "Could not load the listings in this area.");
+            setSelectedCluster(null);
+        } finally {
+            setLoadingClusterListings(false);
+        }
+    };
+
+    // Zoom into the cluster while that can still split it; otherwise list its contents.
+    const handleClusterPress = (cluster) => {
+        const { north, south, east, west } = cluster.bounds;
+        const latitudeDelta = Math.max((north - south) * CLUSTER_ZOOM_PADDING, 0.0005);
+        const longitudeDelta = Math.max((east - west) * CLUSTER_ZOOM_PADDING, 0.0005);
+        const currentZoom = currentRegionRef.current ? getRegionZoom(currentRegionRef.current) : 0;
+        const targetZoom = getRegionZoom({ longitudeDelta });
+        const isSingleSpot = north - south < 1e-5 && east - west < 1e-5;
+
+        if (isSingleSpot || targetZoom >= MAX_CLUSTER_ZOOM || targetZoom <= currentZoom) {
+            openClusterSheet(cluster);
+            return;
+        }
+        mapRef.current?.animateToRegion({
+            latitude: (north + south) / 2,
+            longitude: (east + west) / 2,
+            latitudeDelta,
+            longitudeDelta,
+        }, 400);
+    };
+
+    const handleClusterListingPress = (productId) => {
+        setSelectedCluster(null);
+        navigation.navigate('Details', { productId });
+    };
+
+    const renderClusterListing = ({ item }) => (
+        <TouchableOpacity style={styles.sheetItem} onPress={() => handleClusterListingPress(item.id)}>
+            <Image source={{ uri: item.imageUrl || 'https://placehold.co/100x80' }} style={styles.sheetItemImage} />
+            <View style={styles.calloutTextContainer}>
+                <Text style={styles.calloutTitle} numberOfLines={1}>{item.name}</Text>
+                <Text style={styles.calloutPrice}>${item.price?.toFixed(2)}</Text>
+            </View>
+        </TouchableOpacity>
+    );
+
     const styles = useMemo(() => themedStyles(colors, isDarkMode), [colors, isDarkMode]);
 
     if (!initialRegion) {
@@ -115,17 +198,18 @@ const MapScreen = () => {
                 showsUserLocation={true}
                 onRegionChangeComplete={handleRegionChangeComplete}
             >
-                {/* FIX: Filter products to ensure sellerLocation and its coordinates are valid before rendering a Marker.
+                {/* FIX: Filter products to ensure publicLocation and its coordinates are valid before rendering a Marker.
                   This prevents the "null latitude" crash if some products in the database have missing or malformed location data.
+                  publicLocation is already fuzzed to the seller's chosen precision.
                 */}
                 {products
-                    .filter(p => p.sellerLocation && typeof p.sellerLocation.latitude === 'number' && typeof p.sellerLocation.longitude === 'number')
+                    .filter(p => p.publicLocation && typeof p.publicLocation.latitude === 'number' && typeof p.publicLocation.longitude === 'number')
                     .map(product => (
                     <Marker
                         key={product.id}
                         coordinate={{
-                            latitude: product.sellerLocation.latitude,
-                            longitude: product.sellerLocation.longitude,
+                            latitude: product.publicLocation.latitude,
+                            longitude: product.publicLocation.longitude,
                         }}
                         pinColor={colors.primaryTeal}
                     >
@@ -143,12 +227,47 @@ const MapScreen = () => {
                         </Callout>
                     </Marker>
                 ))}
+                {clusters.map(cluster => (
+                    <Marker
+                        key={cluster.id}
+                        coordinate={{ latitude: cluster.latitude, longitude: cluster.longitude }}
+                        onPress={() => handleClusterPress(cluster)}
+                        tracksViewChanges={false}
+                    >
+                        <View style={styles.clusterMarker}>
+                            <Text style={styles.clusterCount}>{cluster.count}</Text>
+                            {cluster.minPrice != null && <Text style={styles.clusterPrice}>{formatPriceRange(cluster)}</Text>}
+                        </View>
+                    </Marker>
+                ))}
             </MapView>
+            {isTruncated && (
+                <View style={styles.truncatedBanner}>
+                    <Text style={styles.truncatedBannerText}>Showing listings near the centre only. Zoom in to see everything in this area.</Text>
+                </View>
+            )}
             {loading && (
                 <View style={styles.loadingOverlay}>
                     <ActivityIndicator size="large" color={colors.primaryTeal} />
                 </View>
             )}
+            <Modal transparent={true} visible={!!selectedCluster} animationType="slide" onRequestClose={() => setSelectedCluster(null)}>
+                <TouchableOpacity style={styles.sheetOverlay} activeOpacity={1} onPressOut={() => setSelectedCluster(null)}>
+                    <View style={styles.sheetContent}>
+                        <Text style={styles.sheetTitle}>{selectedCluster?.count} listings here</Text>
+                        {selectedCluster && (
+                            <Text style={styles.sheetSubtitle}>
+                                {[formatPriceRange(selectedCluster), selectedCluster.topCategories.map(c => c.category).join(', ')].filter(Boolean).join(' · ')}
+                            </Text>
+                        )}
+                        {loadingClusterListings ? (
+                            <ActivityIndicator size="large" color={colors.primaryTeal} style={styles.sheetLoader} />
+                        ) : (
+                            <FlatList data={clusterListings} keyExtractor={(item) => item.id} renderItem={renderClusterListing} style={styles.sheetList} />
+                        )}
+                    </View>
+                </TouchableOpacity>
+            </Modal>
         </View>
     );
 };
@@ -173,6 +292,26 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
         shadowRadius: 4,
         shadowOffset: { width: 0, height: 2 },
     },
+    truncatedBanner: {
+        position: 'absolute',
+        top: 80,
+        left: 20,
+        right: 20,
+        backgroundColor: colors.surface,
+        borderRadius: 8,
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOpacity: 0.2,
+        shadowRadius: 4,
+        shadowOffset: { width: 0, height: 2 },
+    },
+    truncatedBannerText: {
+        fontSize: 13,
+        color: colors.textSecondary,
+        textAlign: 'center',
+    },
     calloutContainer: {
         backgroundColor: colors.surface,
         borderRadius: 8,
@@ -200,6 +339,51 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
         color: colors.primaryGreen,
         marginTop: 4,
     },
+    clusterMarker: {
+        minWidth: 44,
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 22,
+        backgroundColor: colors.primaryTeal,
+        borderWidth: 2,
+        borderColor: colors.surface,
+        alignItems: 'center',
+    },
+    clusterCount: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: colors.textOnPrimary,
+    },
+    clusterPrice: {
+        fontSize: 10,
+        color: colors.textOnPrimary,
+    },
+    sheetOverlay: { flex: 1, justifyContent: 'flex-end', backgroundColor: colors.backdrop || 'rgba(0,0,0,0.5)' },
+    sheetContent: {
+        backgroundColor: colors.surface,
+        borderTopLeftRadius: 20,
+        borderTopRightRadius: 20,
+        padding: 20,
+        maxHeight: '60%',
+    },
+    sheetTitle: { fontSize: 18, fontWeight: 'bold', color: colors.textPrimary, textAlign: 'center' },
+    sheetSubtitle: { fontSize: 13, color: colors.textSecondary, textAlign: 'center', marginTop: 4, marginBottom: 10 },
+    sheetLoader: { marginVertical: 30 },
+    sheetList: { width: '100%' },
+    sheetItem: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        borderTopWidth: StyleSheet.hairlineWidth,
+        borderTopColor: colors.border,
+    },
+    sheetItemImage: {
+        width: 60,
+        height: 60,
+        borderRadius: 4,
+        marginRight: 12,
+        backgroundColor: colors.border,
+    },
 });
 
 export default MapScreen;
@@ -0,0 +1,510 @@
+// screens/ModerationQueueScreen.js
+
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { useCallback, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    Image,
+    Modal,
+    SafeAreaView,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View
+} from 'react-native';
+import Toast from 'react-native-toast-message';
+
+import { auth, firestore, functions } from '../firebaseConfig';
+import { useTheme } from '../src/ThemeContext';
+
+const reviewFlaggedListingFunc = functions().httpsCallable('reviewFlaggedListing');
+const resolveReportFunc = functions().httpsCallable('resolveReport');
+const resolveReviewReportFunc = functions().httpsCallable('resolveReviewReport');
+
+const REPORT_REASON_LABELS = {
+    scam: 'Scam or fraud',
+    prohibited_item: 'Prohibited item',
+    harassment: 'Harassment or abuse',
+    spam: 'Spam',
+    inappropriate: 'Inappropriate content',
+    impersonation: 'Impersonation',
+    other: 'Other',
+};
+
+const REVIEW_REPORT_REASON_LABELS = {
+    abusive: 'Abusive or offensive',
+    spam: 'Spam',
+    fake: 'Not a real transaction',
+    other: 'Something else',
+};
+
+const REPORT_TARGET_ICONS = { listing: 'pricetag-outline', user: 'person-outline', message: 'chatbubble-outline' };
+
+// Confirmation copy for the note modal, keyed by the action being taken.
+const NOTE_ACTIONS = {
+    reject: { title: 'Reject Listing', subtitle: 'The seller will see this note. Leave it empty to use the original reason.', placeholder: 'Reason for rejection', button: 'Reject' },
+    dismiss: { title: 'Dismiss Report', subtitle: 'Reporters are told no violation was found.', placeholder: 'Internal note (optional)', button: 'Dismiss' },
+    hide_listing: { title: 'Hide Listing', subtitle: 'The seller will see this note.', placeholder: 'Reason for hiding', button: 'Hide' },
+    warn: { title: 'Warn User', subtitle: 'The user will see this note as their warning.', placeholder: 'Warning message', button: 'Warn' },
+    suspend: { title: 'Suspend User', subtitle: 'Signs the user out, disables their account and hides their active listings.', placeholder: 'Reason for suspension', button: 'Suspend' },
+};
+
+// Several people can report the same thing; show it once with every reason given.
+const groupReportsByTarget = (reports) => {
+    const groups = new Map();
+    reports.forEach(report => {
+        const key = `${report.targetType}:${report.targetKey}`;
+        const group = groups.get(key);
+        if (group) {
+            group.count += 1;
+            if (!group.reasons.includes(report.reason)) group.reasons.push(report.reason);
+            if (report.details) group.details.push(report.details);
+        } else {
+            groups.set(key, { ...report, count: 1, reasons: [report.reason], details: report.details ? [report.details] : [] });
+        }
+    });
+    return Array.from(groups.values());
+};
+
+// Review reports only carry IDs, so each reported review is loaded once for its text.
+const groupReviewReports = async (reports) => {
+    const groups = new Map();
+    reports.forEach(report => {
+        const group = groups.get(report.reviewId);
+        if (group) {
+            group.count += 1;
+            if (!group.reasons.includes(report.reason)) group.reasons.push(report.reason);
+        } else {
+            groups.set(report.reviewId, { id: report.reviewId, createdAt: report.createdAt, count: 1, reasons: [report.reason] });
+        }
+    });
+    const reviewDocs = await Promise.all(
+        Array.from(groups.keys()).map(reviewId => firestore().collection('reviews').doc(reviewId).get())
+    );
+    return reviewDocs.map(doc => ({ ...groups.get(doc.id), review: doc.exists ? doc.data() : null }));
+};
+
+const ModerationQueueScreen = () => {
+    const navigation = useNavigation();
+    const { colors, isDarkMode } = useTheme();
+    const currentUser = auth().currentUser;
+    const styles = useMemo(() => themedStyles(colors, isDarkMode), [colors, isDarkMode]);
+
+    const [flaggedListings, setFlaggedListings] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [actingOnId, setActingOnId] = useState(null);
+    const [activeTab, setActiveTab] = useState('listings');
+    const [openReports, setOpenReports] = useState([]);
+    const [reportedReviews, setReportedReviews] = useState([]);
+    const [noteTarget, setNoteTarget] = useState(null);
+    const [note, setNote] = useState('');
+
+    useFocusEffect(
+        useCallback(() => {
+            if (!currentUser) {
+                Alert.alert("Login Required", "You must be logged in to moderate listings.");
+                navigation.goBack();
+                return;
+            }
+
+            const unsubscribe = firestore()
+                .collection('products')
+                .where('status', '==', 'pending_review')
+                .onSnapshot(snapshot => {
+                    const listings = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                    // Oldest first so nothing waits in the queue indefinitely.
+                    listings.sort((a, b) => (a.moderation?.flaggedAt?.toMillis?.() || 0) - (b.moderation?.flaggedAt?.toMillis?.() || 0));
+                    setFlaggedListings(listings);
+                    setLoading(false);
+                }, error => {
+                    console.error("Error fetching moderation queue: ", error);
+                    setLoading(false);
+                    Toast.show({ type: 'error', text1: 'Could not load the moderation queue.' });
+                });
+
+            const unsubscribeReports = firestore()
+                .collection('reports')
+                .where('status', '==', 'open')
+                .onSnapshot(snapshot => {
+                    const reports = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                    reports.sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0));
+                    setOpenReports(groupReportsByTarget(reports));
+                }, error => {
+                    console.error("Error fetching reports: ", error);
+                    Toast.show({ type: 'error', text1: 'Could not load reports.' });
+                });
+
+            const unsubscribeReviewReports = firestore()
+                .collection('reviewReports')
+                .where('status', '==', 'open')
+                .onSnapshot(async snapshot => {
+                    const reports = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                    reports.sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0));
+                    try {
+                        setReportedReviews(await groupReviewReports(reports));
+                    } catch (error) {
+                        console.error("Error loading reported reviews: ", error);
+                        Toast.show({ type: 'error', text1: 'Could not load reported reviews.' });
+                    }
+                }, error => {
+                    console.error("Error fetching review reports: ", error);
+                    Toast.show({ type: 'error', text1: 'Could not load reported reviews.' });
+                });
+
+            return () => {
+                unsubscribe();
+                unsubscribeReports();
+                unsubscribeReviewReports();
+            };
+        }, [currentUser, navigation])
+    );
+
+    const reviewListing = async (productId, action, note = '') => {
+        setActingOnId(productId);
+        try {
+            await reviewFlaggedListingFunc({ productId, action, note });
+            Toast.show({ type: 'success', text1: action === 'approve' ? 'Listing approved' : 'Listing rejected', position: 'bottom' });
+        } catch (error) {
+            console.error(`Error trying to ${action} listing:`, error);
+            Toast.show({ type: 'error', text1: 'Action Failed', text2: error.message });
+        } finally {
+            setActingOnId(null);
+        }
+    };
+
+    const handleApprove = (item) => {
+        Alert.alert(
+            "Approve Listing",
+            `Make "${item.name}" visible to everyone?`,
+            [
+                { text: "Cancel", style: "cancel" },
+                { text: "Approve", onPress: () => reviewListing(item.id, 'approve') },
+            ]
+        );
+    };
+
+    const resolveReport = async (report, action, resolutionNote = '') => {
+        setActingOnId(report.id);
+        try {
+            const result = await resolveReportFunc({ reportId: report.id, action, note: resolutionNote });
+            const resolvedCount = result.data?.resolvedReports || 1;
+            Toast.show({ type: 'success', text1: `Resolved ${resolvedCount} report${resolvedCount === 1 ? '' : 's'}`, position: 'bottom' });
+        } catch (error) {
+            console.error(`Error trying to ${action} report:`, error);
+            Toast.show({ type: 'error', text1: 'Action Failed', text2: error.message });
+        } finally {
+            setActingOnId(null);
+        }
+    };
+
+    const resolveReviewReport = async (reviewId, action) => {
+        setActingOnId(reviewId);
+        try {
+            await resolveReviewReportFunc({ reviewId, action });
+            Toast.show({ type: 'success', text1: action === 'remove' ? 'Review removed' : 'Review restored', position: 'bottom' });
+        } catch (error) {
+            console.error(`Error trying to ${action} reported review:`, error);
+            Toast.show({ type: 'error', text1: 'Action Failed', text2: error.message });
+        } finally {
+            setActingOnId(null);
+        }
+    };
+
+    const handleRemoveReview = (item) => {
+        Alert.alert(
+            "Remove Review",
+            "Delete this review permanently? It will no longer count towards the seller's rating.",
+            [
+                { text: "Cancel", style: "cancel" },
+                { text: "Remove", style: "destructive", onPress: () => resolveReviewReport(item.id, 'remove') },
+            ]
+        );
+    };
+
+    const openNoteModal = (item, action) => {
+        setNoteTarget({ item, action });
+        setNote('');
+    };
+
+    const handleConfirmNote = () => {
+        const target = noteTarget;
+        setNoteTarget(null);
+        if (!target) return;
+        if (target.action === 'reject') {
+            reviewListing(target.item.id, 'reject', note.trim());
+        } else {
+            resolveReport(target.item, target.action, note.trim());
+        }
+    };
+
+    const openReportTarget = (report) => {
+        if (report.targetType === 'listing') {
+            navigation.navigate('Details', { productId: report.targetId });
+        } else {
+            navigation.navigate('UserProfile', { userId: report.subjectUserId });
+        }
+    };
+
+    const renderListingItem = ({ item }) => {
+        const isActing = actingOnId === item.id;
+        return (
+            <View style={styles.itemContainer}>
+                <TouchableOpacity style={styles.itemHeader} onPress={() => navigation.navigate('Details', { productId: item.id })}>
+                    <Image source={{ uri: item.imageUrl || 'https://placehold.co/200x200/e0e0e0/7f7f7f?text=No+Image' }} style={styles.itemImage} />
+                    <View style={styles.itemInfo}>
+                        <Text style={styles.itemName} numberOfLines={2}>{item.name}</Text>
+                        <Text style={styles.itemMeta}>{item.category || 'Uncategorized'} · ${item.price?.toFixed(2)}</Text>
+                        <Text style={styles.itemMeta}>by {item.sellerDisplayName || 'Unknown seller'}</Text>
+                    </View>
+                </TouchableOpacity>
+                {item.description ? <Text style={styles.itemDescription} numberOfLines={4}>{item.description}</Text> : null}
+                <View style={styles.reasonBox}>
+                    <Ionicons name="alert-circle-outline" size={18} color={colors.error} style={{ marginRight: 6 }} />
+                    <Text style={styles.reasonText}>{item.moderation?.reason || 'No reason recorded.'}</Text>
+                </View>
+                <View style={styles.actionsRow}>
+                    {isActing ? (
+                        <ActivityIndicator color={colors.primaryTeal} />
+                    ) : (
+                        <>
+                            <TouchableOpacity style={[styles.actionButton, styles.rejectButton]} onPress={() => openNoteModal(item, 'reject')}>
+                                <Text style={styles.actionButtonText}>Reject</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.actionButton, styles.approveButton]} onPress={() => handleApprove(item)}>
+                                <Text style={styles.actionButtonText}>Approve</Text>
+                            </TouchableOpacity>
+                        </>
+                    )}
+                </View>
+            </View>
+        );
+    };
+
+    const renderReportItem = ({ item }) => {
+        const isActing = actingOnId === item.id;
+        const snapshot = item.snapshot || {};
+        const title = snapshot.name || snapshot.displayName || (item.targetType === 'message' ? 'Chat message' : 'Unknown');
+        const body = snapshot.description || snapshot.bio || snapshot.text;
+        return (
+            <View style={styles.itemContainer}>
+                <TouchableOpacity style={styles.itemHeader} onPress={() => openReportTarget(item)}>
+                    {snapshot.imageUrl || snapshot.profilePicUrl || snapshot.image ? (
+                        <Image source={{ uri: snapshot.imageUrl || snapshot.profilePicUrl || snapshot.image }} style={styles.itemImage} />
+                    ) : (
+                        <View style={[styles.itemImage, styles.itemIconPlaceholder]}>
+                            <Ionicons name={REPORT_TARGET_ICONS[item.targetType] || 'flag-outline'} size={28} color={colors.textSecondary} />
+                        </View>
+                    )}
+                    <View style={styles.itemInfo}>
+                        <Text style={styles.itemName} numberOfLines={2}>{title}</Text>
+                        <Text style={styles.itemMeta}>Reported {item.targetType} · {item.count} report{item.count === 1 ? '' : 's'}</Text>
+                        <Text style={styles.itemMeta}>First reported {item.createdAt?.toDate ? item.createdAt.toDate().toLocaleDateString() : 'recently'}</Text>
+                    </View>
+                </TouchableOpacity>
+                {body ? <Text style={styles.itemDescription} numberOfLines={4}>{body}</Text> : null}
+                <View style={styles.reasonBox}>
+                    <Ionicons name="flag-outline" size={18} color={colors.error} style={{ marginRight: 6 }} />
+                    <View style={{ flex: 1 }}>
+                        <Text style={styles.reasonText}>{item.reasons.map(reason => REPORT_REASON_LABELS[reason] || reason).join(', ')}</Text>
+                        {item.details.map((details, index) => (
+                            <Text key={index} style={styles.reportDetailsText}>{`"${details}"`}</Text>
+                        ))}
+                    </View>
+                </View>
+                <View style={styles.actionsRow}>
+                    {isActing ? (
+                        <ActivityIndicator color={colors.primaryTeal} />
+                    ) : (
+                        <>
+                            <TouchableOpacity style={[styles.actionButton, styles.cancelButton]} onPress={() => openNoteModal(item, 'dismiss')}>
+                                <Text style={[styles.actionButtonText, styles.cancelButtonText]}>Dismiss</Text>
+                            </TouchableOpacity>
+                            {item.targetType === 'listing' && (
+                                <TouchableOpacity style={[styles.actionButton, styles.warnButton]} onPress={() => openNoteModal(item, 'hide_listing')}>
+                                    <Text style={styles.actionButtonText}>Hide</Text>
+                                </TouchableOpacity>
+                            )}
+                            <TouchableOpacity style={[styles.actionButton, styles.warnButton]} onPress={() => openNoteModal(item, 'warn')}>
+                                <Text style={styles.actionButtonText}>Warn</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.actionButton, styles.rejectButton]} onPress={() => openNoteModal(item, 'suspend')}>
+                                <Text style={styles.actionButtonText}>Suspend</Text>
+                            </TouchableOpacity>
+                        </>
+                    )}
+                </View>
+            </View>
+        );
+    };
+
+    const renderReviewReportItem = ({ item }) => {
+        const isActing = actingOnId === item.id;
+        const review = item.review;
+        return (
+            <View style={styles.itemContainer}>
+                <TouchableOpacity
+                    style={styles.itemHeader}
+                    disabled={!review}
+                    onPress={() => review && navigation.navigate('SellerReviews', { sellerId: review.sellerId })}
+                >
+                    <View style={[styles.itemImage, styles.itemIconPlaceholder]}>
+                        <Ionicons name="star-half-outline" size={28} color={colors.textSecondary} />
+                    </View>
+                    <View style={styles.itemInfo}>
+                        <Text style={styles.itemName} numberOfLines={2}>
+                            {review ? `${review.rating}★ review by ${review.reviewerName || 'Anonymous'}` : 'Review no longer exists'}
+                        </Text>
+                        <Text style={styles.itemMeta}>{item.count} report{item.count === 1 ? '' : 's'}</Text>
+                        <Text style={styles.itemMeta}>First reported {item.createdAt?.toDate ? item.createdAt.toDate().toLocaleDateString() : 'recently'}</Text>
+                    </View>
+                </TouchableOpacity>
+                {review?.comment ? <Text style={styles.itemDescription} numberOfLines={4}>{review.comment}</Text> : null}
+                <View style={styles.reasonBox}>
+                    <Ionicons name="flag-outline" size={18} color={colors.error} style={{ marginRight: 6 }} />
+                    <Text style={styles.reasonText}>{item.reasons.map(reason => REVIEW_REPORT_REASON_LABELS[reason] || reason).join(', ')}</Text>
+                </View>
+                <View style={styles.actionsRow}>
+                    {isActing ? (
+                        <ActivityIndicator color={colors.primaryTeal} />
+                    ) : (
+                        <>
+                            <TouchableOpacity style={[styles.actionButton, styles.approveButton]} onPress={() => resolveReviewReport(item.id, 'dismiss')}>
+                                <Text style={styles.actionButtonText}>Keep</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.actionButton, styles.rejectButton]} onPress={() => handleRemoveReview(item)}>
+                                <Text style={styles.actionButtonText}>Remove</Text>
+                            </TouchableOpacity>
+                        </>
+                    )}
+                </View>
+            </View>
+        );
+    };
+
+    const TAB_CONTENT = {
+        listings: { data: flaggedListings, renderItem: renderListingItem, emptyText: 'Listings flagged by automatic moderation will appear here.' },
+        reports: { data: openReports, renderItem: renderReportItem, emptyText: 'Listings, users and messages reported by the community will appear here.' },
+        reviews: { data: reportedReviews, renderItem: renderReviewReportItem, emptyText: 'Seller reviews reported by the community will appear here.' },
+    };
+    const tabContent = TAB_CONTENT[activeTab];
+
+    const noteAction = noteTarget ? NOTE_ACTIONS[noteTarget.action] : null;
+
+    if (loading) {
+        return <SafeAreaView style={styles.centered}><ActivityIndicator size="large" color={colors.primaryTeal} /></SafeAreaView>;
+    }
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <View style={styles.tabContainer}>
+                <TouchableOpacity style={[styles.tab, activeTab === 'listings' && styles.activeTab]} onPress={() => setActiveTab('listings')}>
+                    <Text style={[styles.tabText, activeTab === 'listings' && styles.activeTabText]}>Flagged ({flaggedListings.length})</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.tab, activeTab === 'reports' && styles.activeTab]} onPress={() => setActiveTab('reports')}>
+                    <Text style={[styles.tabText, activeTab === 'reports' && styles.activeTabText]}>Reports ({openReports.length})</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.tab, activeTab === 'reviews' && styles.activeTab]} onPress={() => setActiveTab('reviews')}>
+                    <Text style={[styles.tabText, activeTab === 'reviews' && styles.activeTabText]}>Reviews ({reportedReviews.length})</Text>
+                </TouchableOpacity>
+            </View>
+            <FlatList
+                data={tabContent.data}
+                renderItem={tabContent.renderItem}
+                keyExtractor={(item) => item.id}
+                ListEmptyComponent={
+                    <View style={styles.centered}>
+                        <Ionicons name="shield-checkmark-outline" size={48} color={colors.textDisabled} />
+                        <Text style={styles.emptyText}>The queue is empty.</Text>
+                        <Text style={styles.emptySubText}>{tabContent.emptyText}</Text>
+                    </View>
+                }
+                contentContainerStyle={styles.listContainer}
+            />
+
+            <Modal visible={!!noteTarget} transparent animationType="fade" onRequestClose={() => setNoteTarget(null)}>
+                <View style={styles.modalOverlay}>
+                    <View style={styles.modalContent}>
+                        <Text style={styles.modalTitle}>{noteAction?.title}</Text>
+                        <Text style={styles.modalSubtitle}>{noteAction?.subtitle}</Text>
+                        <TextInput
+                            style={styles.noteInput}
+                            value={note}
+                            onChangeText={setNote}
+                            placeholder={noteAction?.placeholder}
+                            placeholderTextColor={colors.textDisabled}
+                            multiline
+                            maxLength={500}
+                        />
+                        <View style={styles.actionsRow}>
+                            <TouchableOpacity style={[styles.actionButton, styles.cancelButton]} onPress={() => setNoteTarget(null)}>
+                                <Text style={[styles.actionButtonText, styles.cancelButtonText]}>Cancel</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.actionButton, noteTarget?.action === 'dismiss' ? styles.approveButton : styles.rejectButton]} onPress={handleConfirmNote}>
+                                <Text style={styles.actionButtonText}>{noteAction?.button}</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
+            <Toast />
+        </SafeAreaView>
+    );
+};
+
+const themedStyles = (colors, isDarkMode) => StyleSheet.create({
+    container: { flex: 1, backgroundColor: colors.background },
+    centered: { flex: 1, justifyContent: 'center', alignItems: 'center', padding: 20, backgroundColor: colors.background },
+    listContainer: { padding: 15, flexGrow: 1 },
+    tabContainer: { flexDirection: 'row', backgroundColor: colors.surface, borderBottomWidth: 1, borderBottomColor: colors.border },
+    tab: { flex: 1, paddingVertical: 12, alignItems: 'center', borderBottomWidth: 2, borderBottomColor: 'transparent' },
+    activeTab: { borderBottomColor: colors.primaryTeal },
+    tabText: { fontSize: 15, color: colors.textSecondary },
+    activeTabText: { color: colors.primaryTeal, fontWeight: 'bold' },
+    emptyText: { marginTop: 20, fontSize: 18, fontWeight: 'bold', color: colors.textPrimary },
+    emptySubText: { marginTop: 10, fontSize: 14, color: colors.textSecondary, textAlign: 'center', paddingHorizontal: 20 },
+    itemContainer: {
+        backgroundColor: colors.surface,
+        borderRadius: 8,
+        borderWidth: isDarkMode ? 1 : 0,
+        borderColor: colors.border,
+        padding: 15,
+        marginBottom: 12,
+    },
+    itemHeader: { flexDirection: 'row', alignItems: 'center' },
+    itemImage: { width: 64, height: 64, borderRadius: 6, marginRight: 12, backgroundColor: colors.border },
+    itemIconPlaceholder: { justifyContent: 'center', alignItems: 'center' },
+    itemInfo: { flex: 1 },
+    itemName: { fontSize: 16, fontWeight: '600', color: colors.textPrimary, marginBottom: 4 },
+    itemMeta: { fontSize: 13, color: colors.textSecondary },
+    itemDescription: { fontSize: 14, color: colors.textPrimary, marginTop: 10, lineHeight: 19 },
+    reasonBox: { flexDirection: 'row', alignItems: 'flex-start', marginTop: 10, padding: 10, borderRadius: 6, backgroundColor: colors.background },
+    reasonText: { flex: 1, fontSize: 13, color: colors.error },
+    reportDetailsText: { fontSize: 13, color: colors.textPrimary, fontStyle: 'italic', marginTop: 4 },
+    actionsRow: { flexDirection: 'row', justifyContent: 'flex-end', alignItems: 'center', marginTop: 12 },
+    actionButton: { paddingVertical: 8, paddingHorizontal: 14, borderRadius: 6, marginLeft: 8 },
+    approveButton: { backgroundColor: colors.primaryGreen },
+    rejectButton: { backgroundColor: colors.error },
+    warnButton: { backgroundColor: colors.warning },
+    cancelButton: { borderWidth: 1, borderColor: colors.border },
+    actionButtonText: { color: colors.textOnPrimary || '#ffffff', fontWeight: 'bold' },
+    cancelButtonText: { color: colors.textPrimary },
+    modalOverlay: { flex: 1, backgroundColor: 'rgba(0,0,0,0.5)', justifyContent: 'center', padding: 20 },
+    modalContent: { backgroundColor: colors.surface, borderRadius: 10, padding: 20 },
+    modalTitle: { fontSize: 18, fontWeight: 'bold', color: colors.textPrimary, marginBottom: 6 },
+    modalSubtitle: { fontSize: 13, color: colors.textSecondary, marginBottom: 12 },
+    noteInput: {
+        minHeight: 80,
+        borderWidth: 1,
+        borderColor: colors.border,
+        borderRadius: 6,
+        padding: 10,
+        color: colors.textPrimary,
+        textAlignVertical: 'top',
+    },
+});
+
+export default ModerationQueueScreen;
@@ -0,0 +1,238 @@
+// screens/NotificationSettingsScreen.js
+
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useNavigation } from '@react-navigation/native';
+import { useEffect, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Switch,
+    Text,
+    TouchableOpacity,
+    View
+} from 'react-native';
+import Toast from 'react-native-toast-message';
+
+import { auth, firestore } from '../firebaseConfig';
+import { useTheme } from '../src/ThemeContext';
+
+// Keys must match NOTIFICATION_TYPE_CATEGORIES in functions/src/index.ts
+const NOTIFICATION_CATEGORIES = [
+    { key: 'messages', label: 'Chat Messages', icon: 'chatbubbles-outline' },
+    { key: 'offers', label: 'New Offers', icon: 'pricetag-outline' },
+    { key: 'offer_updates', label: 'Offer Updates', icon: 'checkmark-circle-outline' },
+    { key: 'wishlist', label: 'Wishlist Reminders', icon: 'heart-outline' },
+    { key: 'saved_searches', label: 'Saved Search Matches', icon: 'bookmark-outline' },
+    { key: 'listings', label: 'Listing Updates', icon: 'storefront-outline' },
+    { key: 'reports', label: 'Report Outcomes', icon: 'flag-outline' },
+];
+
+const DEFAULT_QUIET_HOURS = { enabled: false, startHour: 22, endHour: 7 };
+
+const getDeviceTimeZone = () => {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch {
+        return 'UTC';
+    }
+};
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+const NotificationSettingsScreen = () => {
+    const navigation = useNavigation();
+    const { colors, isDarkMode } = useTheme();
+    const currentUser = auth().currentUser;
+    const styles = useMemo(() => themedStyles(colors, isDarkMode), [colors, isDarkMode]);
+
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [categories, setCategories] = useState({});
+    const [quietHours, setQuietHours] = useState(DEFAULT_QUIET_HOURS);
+    const deviceTimeZone = useMemo(getDeviceTimeZone, []);
+
+    const settingsRef = useMemo(() => (
+        currentUser ? firestore().collection('users').doc(currentUser.uid).collection('settings').doc('notifications') : null
+    ), [currentUser]);
+
+    useEffect(() => {
+        if (!settingsRef) {
+            Alert.alert("Login Required", "You must be logged in to manage notifications.");
+            navigation.goBack();
+            return;
+        }
+
+        settingsRef.get()
+            .then(docSnap => {
+                const data = docSnap.exists ? docSnap.data() : {};
+                setCategories(data.categories || {});
+                setQuietHours({ ...DEFAULT_QUIET_HOURS, ...(data.quietHours || {}) });
+            })
+            .catch(error => {
+                console.error("Error loading notification settings:", error);
+                Toast.show({ type: 'error', text1: 'Could not load notification settings.' });
+            })
+            .finally(() => setLoading(false));
+    }, [settingsRef, navigation]);
+
+    const isChannelEnabled = (categoryKey, channel) => categories[categoryKey]?.[channel] !== false;
+
+    const toggleChannel = (categoryKey, channel) => {
+        setCategories(prev => ({
+            ...prev,
+            [categoryKey]: {
+                push: prev[categoryKey]?.push !== false,
+                inApp: prev[categoryKey]?.inApp !== false,
+                [channel]: prev[categoryKey]?.[channel] === false,
+            },
+        }));
+    };
+
+    const shiftQuietHour = (field, delta) => {
+        setQuietHours(prev => ({ ...prev, [field]: (prev[field] + delta + 24) % 24 }));
+    };
+
+    const handleSave = async () => {
+        if (!settingsRef) return;
+        if (quietHours.enabled && quietHours.startHour === quietHours.endHour) {
+            Alert.alert('Invalid Quiet Hours', 'Quiet hours must start and end at different times.');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            await settingsRef.set({
+                categories,
+                quietHours: {
+                    enabled: quietHours.enabled,
+                    startHour: quietHours.startHour,
+                    endHour: quietHours.endHour,
+                    timeZone: deviceTimeZone,
+                },
+                updatedAt: firestore.FieldValue.serverTimestamp(),
+            });
+            Toast.show({ type: 'success', text1: 'Notification settings saved', position: 'bottom' });
+            navigation.goBack();
+        } catch (error) {
+            console.error("Error saving notification settings:", error);
+            Toast.show({ type: 'error', text1: 'Could not save settings.' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const renderHourStepper = (label, field) => (
+        <View style={styles.hourRow}>
+            <Text style={styles.rowLabel}>{label}</Text>
+            <View style={styles.stepper}>
+                <TouchableOpacity onPress={() => shiftQuietHour(field, -1)} style={styles.stepperButton} disabled={!quietHours.enabled}>
+                    <Ionicons name="chevron-back" size={20} color={quietHours.enabled ? colors.primaryTeal : colors.textDisabled} />
+                </TouchableOpacity>
+                <Text style={[styles.hourText, !quietHours.enabled && styles.disabledText]}>{formatHour(quietHours[field])}</Text>
+                <TouchableOpacity onPress={() => shiftQuietHour(field, 1)} style={styles.stepperButton} disabled={!quietHours.enabled}>
+                    <Ionicons name="chevron-forward" size={20} color={quietHours.enabled ? colors.primaryTeal : colors.textDisabled} />
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+
+    if (loading) {
+        return <SafeAreaView style={styles.centered}><ActivityIndicator size="large" color={colors.primaryTeal} /></SafeAreaView>;
+    }
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <ScrollView contentContainerStyle={styles.scrollContainer}>
+                <Text style={styles.sectionTitle}>Notification Types</Text>
+                <View style={styles.card}>
+                    <View style={styles.columnHeaderRow}>
+                        <Text style={styles.columnHeader}>Push</Text>
+                        <Text style={styles.columnHeader}>In-App</Text>
+                    </View>
+                    {NOTIFICATION_CATEGORIES.map(category => (
+                        <View key={category.key} style={styles.categoryRow}>
+                            <Ionicons name={category.icon} size={22} color={colors.textSecondary} style={styles.categoryIcon} />
+                            <Text style={styles.rowLabel}>{category.label}</Text>
+                            <Switch
+                                value={isChannelEnabled(category.key, 'push')}
+                                onValueChange={() => toggleChannel(category.key, 'push')}
+                                trackColor={{ true: colors.primaryTeal }}
+                            />
+                            <Switch
+                                value={isChannelEnabled(category.key, 'inApp')}
+                                onValueChange={() => toggleChannel(category.key, 'inApp')}
+                                trackColor={{ true: colors.primaryTeal }}
+                                style={styles.secondSwitch}
+                            />
+                        </View>
+                    ))}
+                </View>
+
+                <Text style={styles.sectionTitle}>Quiet Hours</Text>
+                <View style={styles.card}>
+                    <View style={styles.categoryRow}>
+                        <Ionicons name="moon-outline" size={22} color={colors.textSecondary} style={styles.categoryIcon} />
+                        <Text style={styles.rowLabel}>Pause push notifications</Text>
+                        <Switch
+                            value={quietHours.enabled}
+                            onValueChange={(enabled) => setQuietHours(prev => ({ ...prev, enabled }))}
+                            trackColor={{ true: colors.primaryTeal }}
+                        />
+                    </View>
+                    {renderHourStepper('From', 'startHour')}
+                    {renderHourStepper('Until', 'endHour')}
+                    <Text style={styles.helperText}>
+                        Times are in your time zone ({deviceTimeZone}). Push notifications that arrive during quiet hours are delivered when they end.
+                    </Text>
+                </View>
+
+                <TouchableOpacity style={[styles.button, saving && styles.buttonDisabled]} onPress={handleSave} disabled={saving}>
+                    {saving ? <ActivityIndicator color={colors.textOnPrimary || '#ffffff'} /> : <Text style={styles.buttonText}>Save Settings</Text>}
+                </TouchableOpacity>
+            </ScrollView>
+            <Toast />
+        </SafeAreaView>
+    );
+};
+
+const themedStyles = (colors, isDarkMode) => StyleSheet.create({
+    container: { flex: 1, backgroundColor: colors.background },
+    centered: { flex: 1, justifyContent: 'center', alignItems: 'center', padding: 20, backgroundColor: colors.background },
+    scrollContainer: { padding: 15, paddingBottom: 40 },
+    sectionTitle: { fontSize: 16, fontWeight: 'bold', color: colors.textPrimary, marginTop: 10, marginBottom: 10 },
+    card: {
+        backgroundColor: colors.surface,
+        borderRadius: 8,
+        borderWidth: isDarkMode ? 1 : 0,
+        borderColor: colors.border,
+        paddingHorizontal: 15,
+        paddingVertical: 5,
+        marginBottom: 20,
+    },
+    columnHeaderRow: { flexDirection: 'row', justifyContent: 'flex-end', paddingTop: 8 },
+    columnHeader: { width: 60, textAlign: 'center', fontSize: 12, fontWeight: '600', color: colors.textSecondary },
+    categoryRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: colors.border,
+    },
+    categoryIcon: { marginRight: 12 },
+    rowLabel: { flex: 1, fontSize: 15, color: colors.textPrimary },
+    secondSwitch: { marginLeft: 10 },
+    hourRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10 },
+    stepper: { flexDirection: 'row', alignItems: 'center' },
+    stepperButton: { padding: 6 },
+    hourText: { fontSize: 16, fontWeight: '600', color: colors.textPrimary, minWidth: 60, textAlign: 'center' },
+    disabledText: { color: colors.textDisabled },
+    helperText: { fontSize: 12, color: colors.textSecondary, paddingVertical: 10, lineHeight: 17 },
+    button: { height: 50, backgroundColor: colors.primaryGreen, justifyContent: 'center', alignItems: 'center', borderRadius: 8 },
+    buttonText: { color: colors.textOnPrimary || '#ffffff', fontSize: 18, fontWeight: 'bold' },
+    buttonDisabled: { backgroundColor: colors.textDisabled },
+});
+
+export default NotificationSettingsScreen;
@@ -2,7 +2,7 @@
 
 import Ionicons from '@expo/vector-icons/Ionicons';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
-import { useCallback, useMemo, useState } from 'react';
+import { useCallback, useLayoutEffect, useMemo, useState } from 'react';
 import {
     ActivityIndicator,
     FlatList,
@@ -29,6 +29,16 @@ const NotificationsScreen = () => {
     const [error, setError] = useState(null);
     const [isRefreshing, setIsRefreshing] = useState(false);
 
+    useLayoutEffect(() => {
+        navigation.setOptions({
+            headerRight: () => (
+                <TouchableOpacity onPress={() => navigation.navigate('NotificationSettings')} style={{ paddingHorizontal: 10 }}>
+                    <Ionicons name="settings-outline" size={22} color={colors.textPrimary} />
+                </TouchableOpacity>
+            ),
+        });
+    }, [navigation, colors]);
+
     const fetchNotifications = useCallback(() => {
         if (!currentUser) {
             setError("User not logged in.");
@@ -108,8 +118,12 @@ const NotificationsScreen = () => {
                 });
             } else if (notificationData.type === 'new_offer' && notificationData.productId) {
                 navigation.navigate('Details', { productId: notificationData.productId });
-            } else if ((notificationData.type === 'offer_accepted' || notificationData.type === 'offer_rejected') && notificationData.productId) {
+            } else if (notificationData.type?.startsWith('offer_') && notificationData.productId) {
+                 navigation.navigate('Details', { productId: notificationData.productId });
+            } else if (notificationData.type?.startsWith('listing_') && notificationData.productId) {
                  navigation.navigate('Details', { productId: notificationData.productId });
+            } else if (notificationData.type?.startsWith('verification_')) {
+                 navigation.navigate('EditProfile');
             }
         }
     };
@@ -131,6 +145,20 @@ const NotificationsScreen = () => {
                             item.data?.type === 'new_offer' ? 'pricetag-outline' :
                             item.data?.type === 'offer_accepted' ? 'checkmark-circle-outline' :
                             item.data?.type === 'offer_rejected' ? 'close-circle-outline' :
+                            item.data?.type === 'offer_countered' ? 'swap-horizontal-outline' :
+                            item.data?.type === 'offer_withdrawn' ? 'arrow-undo-outline' :
+                            item.data?.type === 'offer_expired' ? 'time-outline' :
+                            item.data?.type === 'listing_flagged' ? 'shield-outline' :
+                            item.data?.type === 'listing_approved' ? 'shield-checkmark-outline' :
+                            item.data?.type === 'listing_rejected' ? 'ban-outline' :
+                            item.data?.type === 'listing_hidden' ? 'eye-off-outline' :
+                            item.data?.type === 'report_resolved' ? 'flag-outline' :
+                            item.data?.type === 'account_warning' ? 'warning-outline' :
+                            item.data?.type === 'account_suspended' ? 'lock-closed-outline' :
+                            item.data?.type === 'verification_approved' ? 'ribbon-outline' :
+                            item.data?.type === 'verification_in_review' ? 'search-outline' :
+                            item.data?.type === 'verification_rejected' ? 'close-circle-outline' :
+                            item.data?.type === 'verification_revoked' ? 'remove-circle-outline' :
                             'notifications-outline'
                         }
                         size={28}
@@ -3,6 +3,8 @@
 import Ionicons from '@expo/vector-icons/Ionicons';
 import { useHeaderHeight } from '@react-navigation/elements';
 import { useNavigation, useRoute } from '@react-navigation/native';
+import { Image as ExpoImage } from 'expo-image';
+import * as ImageManipulator from 'expo-image-manipulator';
 import * as ImagePicker from 'expo-image-picker';
 import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import {
@@ -22,7 +24,9 @@ import {
 } from 'react-native';
 import { KeyboardControllerView } from 'react-native-keyboard-controller';
 
-import { auth, firestore, storage } from '../firebaseConfig';
+import ReportModal from '../components/ReportModal';
+import { auth, firestore } from '../firebaseConfig';
+import { uploadImage } from '../src/imageUploads';
 import { useTheme } from '../src/ThemeContext';
 
 const generateChatId = (uid1, uid2) => {
@@ -45,13 +49,70 @@ const PrivateChatScreen = () => {
   const [isSending, setIsSending] = useState(false);
   const [imageModalVisible, setImageModalVisible] = useState(false);
   const [selectedImageUri, setSelectedImageUri] = useState(null);
+  const [reportMessageId, setReportMessageId] = useState(null);
+  const [isBlocked, setIsBlocked] = useState(false);
+  const [isBlockedBy, setIsBlockedBy] = useState(false);
   const flatListRef = useRef(null);
 
   const chatId = useMemo(() => generateChatId(currentUser?.uid, recipientId), [currentUser?.uid, recipientId]);
 
+  useEffect(() => {
+    if (!currentUser || !recipientId) return;
+    const currentUserRef = firestore().collection('users').doc(currentUser.uid);
+    const unsubscribeBlocked = currentUserRef.collection('blockedUsers').doc(recipientId).onSnapshot(d => setIsBlocked(d.exists));
+    const unsubscribeBlockedBy = currentUserRef.collection('blockedBy').doc(recipientId).onSnapshot(d => setIsBlockedBy(d.exists));
+    return () => {
+      unsubscribeBlocked();
+      unsubscribeBlockedBy();
+    };
+  }, [currentUser, recipientId]);
+
+  const handleBlockToggle = useCallback(async () => {
+    const blockedUserRef = firestore().collection('users').doc(currentUser.uid).collection('blockedUsers').doc(recipientId);
+    try {
+      if (isBlocked) {
+        await blockedUserRef.delete();
+      } else {
+        await blockedUserRef.set({
+          blockedAt: firestore.FieldValue.serverTimestamp(),
+          userName: recipientName || 'User',
+          userAvatar: recipientAvatar || null,
+        });
+      }
+    } catch (err) {
+      console.error("Block/Unblock Error:", err);
+      Alert.alert("Error", "Could not update the block.");
+    }
+  }, [currentUser, recipientId, recipientName, recipientAvatar, isBlocked]);
+
+  const handleChatOptions = useCallback(() => {
+    if (isBlocked) {
+      Alert.alert("Unblock User", `Let ${recipientName || 'this user'} message you again?`, [
+        { text: "Cancel", style: "cancel" },
+        { text: "Unblock", onPress: handleBlockToggle },
+      ]);
+      return;
+    }
+    Alert.alert(
+      `Block ${recipientName || 'this user'}?`,
+      "They won't be able to message you, make offers or comment on your listings, and neither of you will see the other's listings.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Block", style: "destructive", onPress: handleBlockToggle },
+      ]
+    );
+  }, [isBlocked, recipientName, handleBlockToggle]);
+
   useLayoutEffect(() => {
-    navigation.setOptions({ title: recipientName || 'Chat' });
-  }, [navigation, recipientName]);
+    navigation.setOptions({
+      title: recipientName || 'Chat',
+      headerRight: () => currentUser && recipientId ? (
+        <TouchableOpacity onPress={handleChatOptions} style={{ paddingHorizontal: 10 }}>
+          <Ionicons name={isBlocked ? 'ban' : 'ban-outline'} size={22} color={colors.primaryTeal} />
+        </TouchableOpacity>
+      ) : null,
+    });
+  }, [navigation, recipientName, currentUser, recipientId, isBlocked, colors, handleChatOptions]);
 
   useEffect(() => {
     if (!chatId) {
@@ -74,6 +135,7 @@ const PrivateChatScreen = () => {
           createdAt: firebaseData.createdAt?.toDate() || new Date(),
           user: firebaseData.user || { _id: 'unknown' },
           image: firebaseData.image || null,
+          imageVariants: firebaseData.imageVariants || null,
           system: firebaseData.system || false,
         };
       });
@@ -87,7 +149,7 @@ const PrivateChatScreen = () => {
     return () => unsubscribe();
   }, [chatId, loading]);
   
-  const handleSendMessage = useCallback(async (messageText, imageUrl = null) => {
+  const handleSendMessage = useCallback(async (messageText, imageUrl = null, imageStoragePath = null) => {
     if (!currentUser) {
       Alert.alert("Login Required", "Please log in to send a message.");
       return;
@@ -105,6 +167,7 @@ const PrivateChatScreen = () => {
         avatar: currentUser.photoURL || null,
       },
       ...(imageUrl && { image: imageUrl }),
+      ...(imageStoragePath && { imageStoragePath }),
     };
 
     const chatMetadata = {
@@ -164,10 +227,10 @@ const PrivateChatScreen = () => {
     const storagePath = `chatImages/${chatId}/${filename}`;
     
     try {
-      const imageRef = storage().ref(storagePath);
-      await imageRef.putFile(imageUri);
-      const downloadURL = await imageRef.getDownloadURL();
-      await handleSendMessage(null, downloadURL);
+      // Re-encoding drops EXIF data (GPS location, device details) before the upload.
+      const manipResult = await ImageManipulator.manipulateAsync(imageUri, [], { compress: 0.7, format: ImageManipulator.SaveFormat.JPEG });
+      const downloadURL = await uploadImage(storagePath, manipResult.uri);
+      await handleSendMessage(null, downloadURL, storagePath);
     } catch (error) {
       console.error("Error uploading image:", error);
       Alert.alert("Image Upload Error", "Could not send image.");
@@ -189,6 +252,17 @@ const PrivateChatScreen = () => {
     }
   };
 
+  const handleMessageLongPress = (item) => {
+    Alert.alert(
+      "Message Options",
+      null,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Report Message", style: "destructive", onPress: () => setReportMessageId(item._id) },
+      ]
+    );
+  };
+
   const renderMessageItem = ({ item }) => {
     const isUserMessage = item.user._id === currentUser?.uid;
 
@@ -203,17 +277,26 @@ const PrivateChatScreen = () => {
     return (
       <View style={[styles.messageRow, isUserMessage ? styles.userMessageRow : styles.botMessageRow]}>
         <View style={styles.messageContent}>
-            <View style={[styles.messageBubble, isUserMessage ? styles.userMessageBubble : styles.botMessageBubble]}>
+            <TouchableOpacity
+              activeOpacity={1}
+              onLongPress={isUserMessage ? undefined : () => handleMessageLongPress(item)}
+              style={[styles.messageBubble, isUserMessage ? styles.userMessageBubble : styles.botMessageBubble]}
+            >
             {item.image ? (
                 <TouchableOpacity onPress={() => { setSelectedImageUri(item.image); setImageModalVisible(true); }}>
-                <Image source={{ uri: item.image }} style={styles.chatImage} />
+                <ExpoImage
+                    source={{ uri: item.imageVariants?.medium || item.image }}
+                    placeholder={item.imageVariants?.placeholder ? { blurhash: item.imageVariants.placeholder } : undefined}
+                    transition={200}
+                    style={styles.chatImage}
+                />
                 </TouchableOpacity>
             ) : (
                 <Text style={isUserMessage ? styles.userMessageText : styles.botMessageText}>
                 {item.text}
                 </Text>
             )}
-            </View>
+            </TouchableOpacity>
             <Text style={[styles.timestampText, isUserMessage ? styles.userTimestamp : styles.botTimestamp]}>
                 {formatTimestamp(item.createdAt)}
             </Text>
@@ -241,6 +324,13 @@ const PrivateChatScreen = () => {
           inverted // This is key for chat UIs
         />
 
+        {isBlocked || isBlockedBy ? (
+          <View style={styles.blockedNotice}>
+            <Text style={styles.blockedNoticeText}>
+              {isBlocked ? 'You blocked this user. Unblock them to send messages.' : 'You can no longer message this user.'}
+            </Text>
+          </View>
+        ) : (
         <View style={styles.inputContainer}>
           <TouchableOpacity style={styles.actionButton} onPress={handlePickImage} disabled={isSending}>
             <Ionicons name="add" size={28} color={colors.primaryTeal} />
@@ -261,6 +351,7 @@ const PrivateChatScreen = () => {
             {isSending ? <ActivityIndicator size="small" color={colors.primaryTeal} /> : <Ionicons name="arrow-up-circle" size={36} color={colors.primaryTeal} />}
           </TouchableOpacity>
         </View>
+        )}
       </KeyboardControllerView>
 
       <Modal animationType="fade" transparent={true} visible={imageModalVisible} onRequestClose={() => setImageModalVisible(false)}>
@@ -271,6 +362,14 @@ const PrivateChatScreen = () => {
           <Image source={{ uri: selectedImageUri }} style={styles.fullScreenImage} resizeMode="contain" />
         </View>
       </Modal>
+
+      <ReportModal
+        visible={!!reportMessageId}
+        onClose={() => setReportMessageId(null)}
+        targetType="message"
+        targetId={reportMessageId}
+        chatId={chatId}
+      />
     </SafeAreaView>
   );
 };
@@ -320,6 +419,8 @@ const themedStyles = (colors) => StyleSheet.create({
   },
   inputContainer: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 8, paddingVertical: 8, borderTopWidth: 1, borderTopColor: colors.border, backgroundColor: colors.surface },
   actionButton: { padding: 5 },
+  blockedNotice: { padding: 16, borderTopWidth: 1, borderTopColor: colors.border, backgroundColor: colors.surface, alignItems: 'center' },
+  blockedNoticeText: { fontSize: 14, color: colors.textSecondary, textAlign: 'center' },
   textInput: { flex: 1, backgroundColor: colors.background, borderWidth: 1, borderColor: colors.border, borderRadius: 20, paddingHorizontal: 18, paddingVertical: 10, fontSize: 16, color: colors.textPrimary, maxHeight: 120, marginHorizontal: 8 },
   sendButton: { justifyContent: 'center', alignItems: 'center' },
   sendButtonDisabled: { opacity: 0.5 },
@@ -26,12 +26,21 @@ import Animated from 'react-native-reanimated';
 import ReanimatedCarousel from 'react-native-reanimated-carousel';
 import Toast from 'react-native-toast-message';
 
+import ReportModal from '../components/ReportModal';
 import { auth, firestore, functions } from '../firebaseConfig';
 import { useTheme } from '../src/ThemeContext';
 
 const { width: screenWidth } = Dimensions.get('window');
 
 const trackProductViewFunc = functions().httpsCallable('trackProductView');
+const makeOfferFunc = functions().httpsCallable('makeOffer');
+const respondToOfferFunc = functions().httpsCallable('respondToOffer');
+const counterOfferFunc = functions().httpsCallable('counterOffer');
+const withdrawOfferFunc = functions().httpsCallable('withdrawOffer');
+
+const OPEN_OFFER_STATUSES = ['pending', 'countered'];
+// Listings held or removed by moderation are only shown to their seller.
+const MODERATED_STATUSES = ['pending_moderation', 'pending_review', 'rejected', 'hidden'];
 
 
 // --- HELPER COMPONENT: CountdownTimer ---
@@ -107,7 +116,8 @@ const ProductMedia = React.memo(({ product, styles: parentStyles, onSavePress, i
     const mediaItems = useMemo(() => {
         const items = [];
         if (product.videoUrl) {
-            items.push({ type: 'video', uri: product.videoUrl, id: 'video-0' });
+            // Prefer the low-bitrate rendition once the backend has produced it.
+            items.push({ type: 'video', uri: product.videoRenditionUrl || product.videoUrl, posterUri: product.videoPosterUrl || null, id: 'video-0' });
         }
         if (product.imageUrls && product.imageUrls.length > 0) {
             product.imageUrls.forEach((uri, i) => items.push({ type: 'image', uri, id: `image-${i}` }));
@@ -123,7 +133,16 @@ const ProductMedia = React.memo(({ product, styles: parentStyles, onSavePress, i
         if (item.type === 'video') {
             return (
                 <View style={parentStyles.galleryItemContainer}>
-                    <Video source={{ uri: item.uri }} style={parentStyles.videoPlayer} useNativeControls resizeMode="contain" isLooping />
+                    <Video
+                        source={{ uri: item.uri }}
+                        style={parentStyles.videoPlayer}
+                        useNativeControls
+                        resizeMode="contain"
+                        isLooping
+                        usePoster={!!item.posterUri}
+                        posterSource={item.posterUri ? { uri: item.posterUri } : undefined}
+                        posterStyle={parentStyles.videoPoster}
+                    />
                 </View>
             );
         }
@@ -205,10 +224,13 @@ const ProductDetailScreen = () => {
     const [offerAmount, setOfferAmount] = useState('');
     const [isSubmittingOffer, setIsSubmittingOffer] = useState(false);
     const [productOffers, setProductOffers] = useState([]);
-    const [userHasPendingOffer, setUserHasPendingOffer] = useState(false);
+    const [myOpenOffer, setMyOpenOffer] = useState(null);
+    const [counterTargetOffer, setCounterTargetOffer] = useState(null);
     const [processingOfferId, setProcessingOfferId] = useState(null);
     const [wishlistIds, setWishlistIds] = useState(new Set());
     const [distance, setDistance] = useState(null);
+    const [isReportModalVisible, setIsReportModalVisible] = useState(false);
+    const [isBlockedWithSeller, setIsBlockedWithSeller] = useState(false);
 
     const isOwnListing = currentUser?.uid === product?.sellerId;
     const isSavedToWishlist = wishlistIds.has(productId);
@@ -247,12 +269,12 @@ const ProductDetailScreen = () => {
                 setProduct(productData);
                 navigation.setOptions({ title: productData.name || 'Product Details' });
 
-                if (productData.sellerLocation && userLocation) {
+                if (productData.publicLocation && userLocation) {
                     const dist = getDistanceFromLatLonInKm(
                         userLocation.latitude,
                         userLocation.longitude,
-                        productData.sellerLocation.latitude,
-                        productData.sellerLocation.longitude
+                        productData.publicLocation.latitude,
+                        productData.publicLocation.longitude
                     );
                     setDistance(dist);
                 }
@@ -263,7 +285,10 @@ const ProductDetailScreen = () => {
 
                     const otherProductsQuery = firestore().collection('products').where('sellerId', '==', productData.sellerId).where(firestore.FieldPath.documentId(), '!=', productId).limit(6);
                     const otherProductsSnap = await otherProductsQuery.get();
-                    setOtherProducts(otherProductsSnap.docs.map(d => ({ id: d.id, ...d.data() })));
+                    const isOwnListing = currentUser?.uid === productData.sellerId;
+                    setOtherProducts(otherProductsSnap.docs
+                        .map(d => ({ id: d.id, ...d.data() }))
+                        .filter(p => isOwnListing || !MODERATED_STATUSES.includes(p.status)));
                 }
             } else { setProduct(null); }
             setLoading(false);
@@ -278,15 +303,40 @@ const ProductDetailScreen = () => {
             setComments(fetchedComments);
         });
 
-        const offersQuery = firestore().collection('products').doc(productId).collection('offers').orderBy('offerTimestamp', 'desc');
+        return () => { unsubscribeProduct(); unsubscribeComments(); };
+    }, [productId, currentUser?.uid, userLocation]);
+
+    const productSellerId = product?.sellerId;
+    useEffect(() => {
+        if (!productId || !currentUser || !productSellerId) return;
+
+        // Sellers see every offer on their listing; buyers may only read their own.
+        const offersRef = firestore().collection('products').doc(productId).collection('offers');
+        const offersQuery = productSellerId === currentUser.uid ?
+            offersRef.orderBy('offerTimestamp', 'desc') :
+            offersRef.where('buyerId', '==', currentUser.uid);
         const unsubscribeOffers = offersQuery.onSnapshot(q => {
             const offers = q.docs.map(d => ({ id: d.id, ...d.data() }));
             setProductOffers(offers);
-            setUserHasPendingOffer(!!offers.find(o => o.buyerId === currentUser?.uid && o.status === 'pending'));
-        });
+            setMyOpenOffer(offers.find(o => o.buyerId === currentUser.uid && OPEN_OFFER_STATUSES.includes(o.status)) || null);
+        }, error => console.error("Error fetching offers:", error));
 
-        return () => { unsubscribeProduct(); unsubscribeComments(); unsubscribeOffers(); };
-    }, [productId, currentUser?.uid, userLocation]);
+        return () => unsubscribeOffers();
+    }, [productId, currentUser, productSellerId]);
+
+    // Blocks work both ways; the backend rejects offers and comments, so hide those controls.
+    useEffect(() => {
+        if (!currentUser || !productSellerId || productSellerId === currentUser.uid) return;
+        const currentUserRef = firestore().collection('users').doc(currentUser.uid);
+        const blockState = { blocked: false, blockedBy: false };
+        const update = () => setIsBlockedWithSeller(blockState.blocked || blockState.blockedBy);
+        const unsubscribeBlocked = currentUserRef.collection('blockedUsers').doc(productSellerId).onSnapshot(d => { blockState.blocked = d.exists; update(); });
+        const unsubscribeBlockedBy = currentUserRef.collection('blockedBy').doc(productSellerId).onSnapshot(d => { blockState.blockedBy = d.exists; update(); });
+        return () => {
+            unsubscribeBlocked();
+            unsubscribeBlockedBy();
+        };
+    }, [currentUser, productSellerId]);
 
     useFocusEffect(useCallback(() => {
         if (!currentUser) return;
@@ -363,6 +413,12 @@ const ProductDetailScreen = () => {
         }
     };
 
+    const openOfferModal = (offerToCounter = null) => {
+        setCounterTargetOffer(offerToCounter);
+        setOfferAmount('');
+        setIsOfferModalVisible(true);
+    };
+
     const handleSubmitOffer = async () => {
         if (!requireLogin('make an offer')) return;
         const amount = parseFloat(offerAmount);
@@ -373,44 +429,59 @@ const ProductDetailScreen = () => {
 
         setIsSubmittingOffer(true);
         try {
-            await firestore().collection('products').doc(productId).collection('offers').add({
-                buyerId: currentUser.uid,
-                buyerName: currentUser.displayName,
-                sellerId: product.sellerId,
-                offerAmount: amount,
-                status: 'pending',
-                offerTimestamp: firestore.FieldValue.serverTimestamp(),
-            });
-            Toast.show({ type: 'success', text1: 'Offer Sent!' });
+            if (counterTargetOffer) {
+                await counterOfferFunc({ productId, offerId: counterTargetOffer.id, amount });
+                Toast.show({ type: 'success', text1: 'Counter Offer Sent!' });
+            } else {
+                await makeOfferFunc({ productId, amount });
+                Toast.show({ type: 'success', text1: 'Offer Sent!' });
+            }
             setIsOfferModalVisible(false);
             setOfferAmount('');
+            setCounterTargetOffer(null);
         } catch (error) {
             console.error("Offer submission error:", error);
-            Toast.show({ type: 'error', text1: 'Failed to send offer.' });
+            Toast.show({ type: 'error', text1: 'Failed to send offer.', text2: error.message });
         } finally {
             setIsSubmittingOffer(false);
         }
     };
 
-    const handleOfferAction = async (offerId, newStatus) => {
-        if (!isOwnListing) return;
+    const handleOfferAction = async (offerId, action) => {
         setProcessingOfferId(offerId);
         try {
-            const offerRef = firestore().collection('products').doc(productId).collection('offers').doc(offerId);
-            await offerRef.update({ status: newStatus });
-
-            if (newStatus === 'accepted') {
-                await firestore().collection('products').doc(productId).update({ isSold: true });
-            }
-            Toast.show({ type: 'info', text1: `Offer ${newStatus}` });
+            const result = await respondToOfferFunc({ productId, offerId, action });
+            Toast.show({ type: 'info', text1: `Offer ${result.data.status}` });
         } catch (error) {
             console.error("Offer action error:", error);
-            Toast.show({ type: 'error', text1: 'Action failed.' });
+            Toast.show({ type: 'error', text1: 'Action failed.', text2: error.message });
         } finally {
             setProcessingOfferId(null);
         }
     };
 
+    const handleWithdrawOffer = (offerId) => {
+        Alert.alert("Withdraw Offer", "Are you sure you want to withdraw your offer?", [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Withdraw",
+                style: "destructive",
+                onPress: async () => {
+                    setProcessingOfferId(offerId);
+                    try {
+                        await withdrawOfferFunc({ productId, offerId });
+                        Toast.show({ type: 'info', text1: 'Offer withdrawn' });
+                    } catch (error) {
+                        console.error("Withdraw offer error:", error);
+                        Toast.show({ type: 'error', text1: 'Action failed.', text2: error.message });
+                    } finally {
+                        setProcessingOfferId(null);
+                    }
+                },
+            },
+        ]);
+    };
+
     const handleMessage = () => {
         if (!requireLogin('chat with the seller')) return;
         navigation.navigate('PrivateChat', {
@@ -431,21 +502,61 @@ const ProductDetailScreen = () => {
         </View>
     );
 
+    const renderOfferStatus = (item) => (
+        <Text style={[styles.offerStatusText, {color: item.status === 'accepted' ? colors.primaryGreen : item.status === 'countered' ? colors.textSecondary : colors.error}]}>
+            {item.status === 'countered' ? `Countered $${item.counterAmount?.toFixed(2)}` :
+                item.autoDeclined ? 'Declined (sold)' :
+                item.status.charAt(0).toUpperCase() + item.status.slice(1)}
+        </Text>
+    );
+
     const renderOfferItem = ({ item }) => (
         <View style={styles.offerItemContainer}>
             <Text style={styles.offerText}><Text style={{fontWeight: 'bold'}}>{item.buyerName}</Text> offered <Text style={{color: colors.primaryGreen, fontWeight: 'bold'}}>${item.offerAmount.toFixed(2)}</Text></Text>
             {item.status === 'pending' ? (
                 <View style={styles.offerActionContainer}>
-                    <TouchableOpacity style={[styles.offerActionButton, styles.acceptButton]} onPress={() => handleOfferAction(item.id, 'accepted')} disabled={processingOfferId === item.id}>
+                    <TouchableOpacity style={[styles.offerActionButton, styles.acceptButton]} onPress={() => handleOfferAction(item.id, 'accept')} disabled={processingOfferId === item.id}>
                         {processingOfferId === item.id ? <ActivityIndicator size="small" color="#fff" /> : <Text style={styles.offerActionButtonText}>Accept</Text>}
                     </TouchableOpacity>
-                    <TouchableOpacity style={[styles.offerActionButton, styles.rejectButton]} onPress={() => handleOfferAction(item.id, 'rejected')} disabled={processingOfferId === item.id}>
+                    <TouchableOpacity style={[styles.offerActionButton, styles.counterButton]} onPress={() => openOfferModal(item)} disabled={processingOfferId === item.id}>
+                        <Text style={styles.offerActionButtonText}>Counter</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={[styles.offerActionButton, styles.rejectButton]} onPress={() => handleOfferAction(item.id, 'reject')} disabled={processingOfferId === item.id}>
                         <Text style={styles.offerActionButtonText}>Reject</Text>
                     </TouchableOpacity>
                 </View>
-            ) : (
-                <Text style={[styles.offerStatusText, {color: item.status === 'accepted' ? colors.primaryGreen : colors.error}]}>{item.status.charAt(0).toUpperCase() + item.status.slice(1)}</Text>
-            )}
+            ) : renderOfferStatus(item)}
+        </View>
+    );
+
+    const renderMyOffer = (item) => (
+        <View style={styles.offerItemContainer}>
+            <Text style={styles.offerText}>
+                {item.status === 'countered' ? (
+                    <>The seller countered with <Text style={{color: colors.primaryGreen, fontWeight: 'bold'}}>${item.counterAmount?.toFixed(2)}</Text></>
+                ) : (
+                    <>You offered <Text style={{color: colors.primaryGreen, fontWeight: 'bold'}}>${item.offerAmount.toFixed(2)}</Text></>
+                )}
+            </Text>
+            <View style={styles.offerActionContainer}>
+                {item.status === 'countered' ? (
+                    <>
+                        <TouchableOpacity style={[styles.offerActionButton, styles.acceptButton]} onPress={() => handleOfferAction(item.id, 'accept')} disabled={processingOfferId === item.id}>
+                            {processingOfferId === item.id ? <ActivityIndicator size="small" color="#fff" /> : <Text style={styles.offerActionButtonText}>Accept</Text>}
+                        </TouchableOpacity>
+                        <TouchableOpacity style={[styles.offerActionButton, styles.counterButton]} onPress={() => openOfferModal(item)} disabled={processingOfferId === item.id}>
+                            <Text style={styles.offerActionButtonText}>Counter</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={[styles.offerActionButton, styles.rejectButton]} onPress={() => handleOfferAction(item.id, 'reject')} disabled={processingOfferId === item.id}>
+                            <Text style={styles.offerActionButtonText}>Decline</Text>
+                        </TouchableOpacity>
+                    </>
+                ) : (
+                    <TouchableOpacity style={[styles.offerActionButton, styles.rejectButton]} onPress={() => handleWithdrawOffer(item.id)} disabled={processingOfferId === item.id}>
+                        {processingOfferId === item.id ? <ActivityIndicator size="small" color="#fff" /> : <Text style={styles.offerActionButtonText}>Withdraw</Text>}
+                    </TouchableOpacity>
+                )}
+            </View>
         </View>
     );
 
@@ -461,9 +572,33 @@ const ProductDetailScreen = () => {
     if (loading) return <SafeAreaView style={styles.centered}><ActivityIndicator size="large" color={colors.primaryTeal} /></SafeAreaView>;
     if (!product) return <SafeAreaView style={styles.centered}><Text style={styles.errorText}>Product not found.</Text></SafeAreaView>;
 
-    const makeOfferButtonDisabled = isOwnListing || product.isSold || userHasPendingOffer;
+    const isListingActive = product.status === 'active';
+    const getInactiveListingNotice = () => {
+        if (product.status === 'pending_moderation') {
+            return isOwnListing
+                ? 'This listing is being checked and will go live shortly.'
+                : 'This listing is under review.';
+        }
+        if (product.status === 'pending_review') {
+            return isOwnListing
+                ? `This listing is being reviewed by our moderators before it goes live. Reason: ${product.moderation?.reason || 'flagged for review'}`
+                : 'This listing is under review.';
+        }
+        if (product.status === 'rejected') {
+            return isOwnListing
+                ? `This listing was not approved. ${product.moderation?.note || product.moderation?.reason || ''}`.trim()
+                : 'This listing is no longer available.';
+        }
+        if (product.status === 'hidden') {
+            return isOwnListing
+                ? `This listing was hidden by our moderators. ${product.moderation?.note || ''}`.trim()
+                : 'This listing is no longer available.';
+        }
+        return isOwnListing ? 'This listing has expired. Renew it from your profile to make it visible again.' : 'This listing has expired.';
+    };
+    const makeOfferButtonDisabled = isOwnListing || product.isSold || !!myOpenOffer || !isListingActive;
     
-    const expiryTimestamp = product.createdAt ? new Date(product.createdAt.toDate().getTime() + 7 * 24 * 60 * 60 * 1000) : null;
+    const expiryTimestamp = product.expiresAt?.toDate ? product.expiresAt.toDate() : null;
 
     return (
         <SafeAreaView style={styles.safeArea}>
@@ -474,15 +609,23 @@ const ProductDetailScreen = () => {
                     <Text style={styles.productName}>{product.name}</Text>
                     <Text style={styles.productPrice}>${product.price?.toFixed(2)}</Text>
                     
-                    {expiryTimestamp && !product.isSold && (
+                    {expiryTimestamp && !product.isSold && isListingActive && (
                         <CountdownTimer expiryTimestamp={expiryTimestamp} styles={styles} />
                     )}
+                    {!isListingActive && !product.isSold && (
+                        <View style={styles.expiredNotice}>
+                            <Ionicons name={product.status === 'pending_moderation' || product.status === 'pending_review' ? 'shield-outline' : 'hourglass-outline'} size={18} color={colors.error} style={{marginRight: 8}} />
+                            <Text style={styles.expiredNoticeText}>
+                                {getInactiveListingNotice()}
+                            </Text>
+                        </View>
+                    )}
 
                     {product.condition && <Text style={styles.productCondition}>Condition: {product.condition}</Text>}
                     {distance !== null && (
                         <View style={styles.distanceInfoContainer}>
                             <Ionicons name="location-outline" size={16} color={colors.textSecondary} />
-                            <Text style={styles.distanceText}>{distance.toFixed(1)} km away</Text>
+                            <Text style={styles.distanceText}>About {distance < 1 ? '1' : distance.toFixed(0)} km away</Text>
                         </View>
                     )}
                     <Text style={styles.productDescription}>{product.description}</Text>
@@ -516,6 +659,13 @@ const ProductDetailScreen = () => {
                     </View>
                 )}
 
+                {!isOwnListing && myOpenOffer && (
+                    <View style={styles.sectionContainer}>
+                        <Text style={styles.sectionTitle}>Your Offer</Text>
+                        {renderMyOffer(myOpenOffer)}
+                    </View>
+                )}
+
                 {isOwnListing && productOffers.length > 0 && (
                     <View style={styles.sectionContainer}>
                         <Text style={styles.sectionTitle}>Offers Received</Text>
@@ -525,21 +675,28 @@ const ProductDetailScreen = () => {
 
                 <View style={styles.sectionContainer}>
                     <Text style={styles.sectionTitle}>Comments</Text>
-                    <View style={styles.commentInputContainer}>
+                    {!isBlockedWithSeller && <View style={styles.commentInputContainer}>
                         <TextInput style={styles.commentTextInput} placeholder="Add a public comment..." value={newComment} onChangeText={setNewComment} multiline placeholderTextColor={colors.textSecondary} />
                         <TouchableOpacity style={styles.postCommentButton} onPress={handlePostComment} disabled={isSubmittingComment}>
                             {isSubmittingComment ? <ActivityIndicator color={colors.textOnPrimary} /> : <Ionicons name="send" size={20} color={colors.textOnPrimary} />}
                         </TouchableOpacity>
-                    </View>
+                    </View>}
                     {comments.length > 0 ? comments.map(item => <View key={item.id}>{renderCommentItem({ item })}</View>) : <Text style={styles.noCommentsText}>Be the first to comment!</Text>}
                 </View>
+
+                {!isOwnListing && (
+                    <TouchableOpacity style={styles.reportLink} onPress={() => requireLogin('report a listing') && setIsReportModalVisible(true)}>
+                        <Ionicons name="flag-outline" size={16} color={colors.textSecondary} />
+                        <Text style={styles.reportLinkText}>Report this listing</Text>
+                    </TouchableOpacity>
+                )}
             </ScrollView>
 
-            {!isOwnListing && !product.isSold && (
+            {!isOwnListing && !product.isSold && isListingActive && !isBlockedWithSeller && (
                 <View style={styles.bottomActionBar}>
-                    <TouchableOpacity style={[styles.actionButton, styles.offerButton, makeOfferButtonDisabled && styles.disabledButton]} onPress={() => setIsOfferModalVisible(true)} disabled={makeOfferButtonDisabled}>
+                    <TouchableOpacity style={[styles.actionButton, styles.offerButton, makeOfferButtonDisabled && styles.disabledButton]} onPress={() => openOfferModal()} disabled={makeOfferButtonDisabled}>
                         <Text style={[styles.actionButtonText, makeOfferButtonDisabled && styles.disabledButtonText]}>
-                            {userHasPendingOffer ? 'Offer Pending' : 'Make Offer'}
+                            {myOpenOffer ? 'Offer Pending' : 'Make Offer'}
                         </Text>
                     </TouchableOpacity>
                     <TouchableOpacity style={[styles.actionButton, styles.chatButton]} onPress={handleMessage}>
@@ -556,11 +713,15 @@ const ProductDetailScreen = () => {
             >
                 <KeyboardAvoidingView behavior={Platform.OS === "ios" ? "padding" : "height"} style={styles.modalOverlay}>
                     <View style={styles.modalContent}>
-                        <Text style={styles.modalTitle}>Make an Offer</Text>
-                        <Text style={styles.modalProductPrice}>Listing Price: ${product.price?.toFixed(2)}</Text>
+                        <Text style={styles.modalTitle}>{counterTargetOffer ? 'Counter Offer' : 'Make an Offer'}</Text>
+                        <Text style={styles.modalProductPrice}>
+                            {counterTargetOffer ?
+                                `Current offer: $${(counterTargetOffer.status === 'countered' ? counterTargetOffer.counterAmount : counterTargetOffer.offerAmount)?.toFixed(2)}` :
+                                `Listing Price: $${product.price?.toFixed(2)}`}
+                        </Text>
                         <TextInput
                             style={styles.modalInput}
-                            placeholder="Your offer amount"
+                            placeholder={counterTargetOffer ? "Your counter amount" : "Your offer amount"}
                             keyboardType="numeric"
                             value={offerAmount}
                             onChangeText={setOfferAmount}
@@ -571,12 +732,19 @@ const ProductDetailScreen = () => {
                                 <Text style={styles.modalButtonText}>Cancel</Text>
                             </TouchableOpacity>
                             <TouchableOpacity style={[styles.modalButton, styles.submitOfferButton, isSubmittingOffer && styles.disabledButton]} onPress={handleSubmitOffer} disabled={isSubmittingOffer}>
-                                {isSubmittingOffer ? <ActivityIndicator color={colors.textOnPrimary} /> : <Text style={styles.modalButtonText}>Submit Offer</Text>}
+                                {isSubmittingOffer ? <ActivityIndicator color={colors.textOnPrimary} /> : <Text style={styles.modalButtonText}>{counterTargetOffer ? 'Send Counter' : 'Submit Offer'}</Text>}
                             </TouchableOpacity>
                         </View>
                     </View>
                 </KeyboardAvoidingView>
             </Modal>
+
+            <ReportModal
+                visible={isReportModalVisible}
+                onClose={() => setIsReportModalVisible(false)}
+                targetType="listing"
+                targetId={productId}
+            />
         </SafeAreaView>
     );
 };
@@ -588,6 +756,7 @@ const themedStyles = (colors, isDarkMode, screenWidth) => StyleSheet.create({
     errorText: { color: colors.error, fontSize: 16 },
     
     videoPlayer: { width: screenWidth, height: screenWidth * 0.9, backgroundColor: '#000' },
+    videoPoster: { width: screenWidth, height: screenWidth * 0.9, resizeMode: 'contain' },
     galleryOuterContainer: { height: screenWidth * 0.9, backgroundColor: colors.surfaceLight || '#f0f0f0' },
     galleryItemContainer: { flex: 1, justifyContent: 'center', alignItems: 'center' },
     galleryImage: { width: '100%', height: '100%' },
@@ -636,6 +805,21 @@ const themedStyles = (colors, isDarkMode, screenWidth) => StyleSheet.create({
     lowTimeText: {
         color: colors.error,
     },
+    expiredNotice: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: colors.error,
+        marginBottom: 15,
+    },
+    expiredNoticeText: {
+        flex: 1,
+        fontSize: 14,
+        color: colors.error,
+    },
 
     sellerCard: { flexDirection: 'row', alignItems: 'center', padding: 15, backgroundColor: colors.surface, borderBottomWidth: 1, borderBottomColor: colors.border },
     sellerAvatar: { width: 50, height: 50, borderRadius: 25, marginRight: 15 },
@@ -661,6 +845,8 @@ const themedStyles = (colors, isDarkMode, screenWidth) => StyleSheet.create({
     commentText: { fontSize: 15, color: colors.textSecondary, marginTop: 2 },
     commentDate: { fontSize: 12, color: colors.textDisabled, marginTop: 4 },
     noCommentsText: { textAlign: 'center', color: colors.textDisabled, paddingVertical: 20, paddingHorizontal: 15 },
+    reportLink: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 20 },
+    reportLinkText: { marginLeft: 6, fontSize: 14, color: colors.textSecondary },
 
     offerItemContainer: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingVertical: 10, paddingHorizontal: 15, borderTopWidth: 1, borderTopColor: colors.border },
     offerText: { fontSize: 15, color: colors.textPrimary, flex: 1 },
@@ -668,6 +854,7 @@ const themedStyles = (colors, isDarkMode, screenWidth) => StyleSheet.create({
     offerActionButton: { paddingVertical: 6, paddingHorizontal: 12, borderRadius: 6, marginLeft: 8 },
     acceptButton: { backgroundColor: colors.primaryGreen },
     rejectButton: { backgroundColor: colors.error },
+    counterButton: { backgroundColor: colors.primaryTeal },
     offerActionButtonText: { color: colors.textOnPrimary, fontWeight: 'bold' },
     offerStatusText: { fontSize: 14, fontWeight: 'bold' },
 
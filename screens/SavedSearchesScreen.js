@@ -2,6 +2,7 @@
 
 import Ionicons from '@expo/vector-icons/Ionicons';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import * as Location from 'expo-location';
 import { useCallback, useMemo, useState } from 'react';
 import {
     ActivityIndicator,
@@ -10,14 +11,18 @@ import {
     SafeAreaView,
     StyleSheet,
     Text,
+    TextInput,
     TouchableOpacity,
     View
 } from 'react-native';
 import Toast from 'react-native-toast-message';
 
-import { auth, firestore } from '../firebaseConfig';
+import SearchCriteriaChips, { describeSearchCriteria } from '../components/SearchCriteriaChips';
+import { auth, firestore, functions } from '../firebaseConfig';
 import { useTheme } from '../src/ThemeContext';
 
+const parseSearchQueryFunc = functions().httpsCallable('parseSearchQuery');
+
 const SavedSearchesScreen = () => {
     const navigation = useNavigation();
     const { colors } = useTheme();
@@ -25,6 +30,10 @@ const SavedSearchesScreen = () => {
 
     const [savedSearches, setSavedSearches] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [describeInput, setDescribeInput] = useState('');
+    const [draftCriteria, setDraftCriteria] = useState(null);
+    const [isParsing, setIsParsing] = useState(false);
+    const [isSavingDraft, setIsSavingDraft] = useState(false);
 
     useFocusEffect(
         useCallback(() => {
@@ -87,6 +96,100 @@ const SavedSearchesScreen = () => {
         );
     };
 
+    const handleParseDescription = async () => {
+        const text = describeInput.trim();
+        if (!text || isParsing) return;
+        setIsParsing(true);
+        try {
+            const result = await parseSearchQueryFunc({ text });
+            setDraftCriteria(result.data.criteria);
+        } catch (error) {
+            console.error("Error parsing search description:", error);
+            Toast.show({ type: 'error', text1: 'Could not understand that search', text2: error.message });
+        } finally {
+            setIsParsing(false);
+        }
+    };
+
+    const getSearchLocation = async () => {
+        try {
+            const { status } = await Location.requestForegroundPermissionsAsync();
+            if (status !== 'granted') return null;
+            const location = await Location.getLastKnownPositionAsync() || await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+            return location?.coords ? new firestore.GeoPoint(location.coords.latitude, location.coords.longitude) : null;
+        } catch (error) {
+            console.warn("Could not get location for saved search:", error.message);
+            return null;
+        }
+    };
+
+    const handleSaveDraft = async () => {
+        if (!currentUser || !draftCriteria) return;
+        setIsSavingDraft(true);
+        try {
+            const criteria = { ...draftCriteria, searchQuery: draftCriteria.searchQuery || '' };
+            // Alerts measure the distance limit from where the search was saved.
+            const searchLocation = criteria.maxDistanceKm ? await getSearchLocation() : null;
+            if (criteria.maxDistanceKm && !searchLocation) {
+                delete criteria.maxDistanceKm;
+                Toast.show({ type: 'info', text1: 'Location unavailable', text2: 'Saved without the distance limit.' });
+            }
+            await firestore()
+                .collection('users')
+                .doc(currentUser.uid)
+                .collection('savedSearches')
+                .add({
+                    name: describeSearchCriteria(criteria),
+                    criteria,
+                    ...(searchLocation && { searchLocation }),
+                    createdAt: firestore.FieldValue.serverTimestamp(),
+                });
+            setDraftCriteria(null);
+            setDescribeInput('');
+            Toast.show({ type: 'success', text1: 'Search Saved!', text2: 'You will be notified of new matching items.' });
+        } catch (error) {
+            console.error("Error saving search:", error);
+            Toast.show({ type: 'error', text1: 'Could not save search.' });
+        } finally {
+            setIsSavingDraft(false);
+        }
+    };
+
+    const renderDescribeSearch = () => (
+        <View style={styles.describeContainer}>
+            <Text style={styles.describeTitle}>Describe a search</Text>
+            <View style={styles.describeRow}>
+                <TextInput
+                    style={styles.describeInput}
+                    value={describeInput}
+                    onChangeText={setDescribeInput}
+                    onSubmitEditing={handleParseDescription}
+                    placeholder="e.g. used iphone under 300 near me"
+                    placeholderTextColor={colors.textSecondary}
+                    returnKeyType="search"
+                    editable={!isParsing && !isSavingDraft}
+                />
+                <TouchableOpacity style={styles.describeButton} onPress={handleParseDescription} disabled={isParsing || !describeInput.trim()}>
+                    {isParsing ? <ActivityIndicator color={colors.primaryTeal} /> : <Ionicons name="sparkles-outline" size={22} color={colors.primaryTeal} />}
+                </TouchableOpacity>
+            </View>
+            {draftCriteria && (
+                <>
+                    <SearchCriteriaChips criteria={draftCriteria} onChange={setDraftCriteria} />
+                    {draftCriteria.maxDistanceKm ? <Text style={styles.draftNote}>The distance is measured from your current location.</Text> : null}
+                    <View style={styles.draftActions}>
+                        <TouchableOpacity style={styles.draftCancelButton} onPress={() => setDraftCriteria(null)} disabled={isSavingDraft}>
+                            <Text style={styles.draftCancelText}>Discard</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={styles.draftSaveButton} onPress={handleSaveDraft} disabled={isSavingDraft}>
+                            {isSavingDraft ? <ActivityIndicator color={colors.textOnPrimary || '#ffffff'} /> : <Text style={styles.draftSaveText}>Save Search</Text>}
+                        </TouchableOpacity>
+                    </View>
+                </>
+            )}
+        </View>
+    );
+
     const renderSearchItem = ({ item }) => (
         <View style={styles.itemContainer}>
             <View style={styles.itemInfo}>
@@ -111,11 +214,13 @@ const SavedSearchesScreen = () => {
                 data={savedSearches}
                 renderItem={renderSearchItem}
                 keyExtractor={(item) => item.id}
+                ListHeaderComponent={renderDescribeSearch()}
+                keyboardShouldPersistTaps="handled"
                 ListEmptyComponent={
                     <View style={styles.centered}>
                         <Ionicons name="bookmark-outline" size={48} color={colors.textDisabled} />
                         <Text style={styles.emptyText}>You have no saved searches.</Text>
-                        <Text style={styles.emptySubText}>Apply filters on the home screen and tap the bookmark icon to save a search.</Text>
+                        <Text style={styles.emptySubText}>Describe a search above, or apply filters on the home screen and tap the bookmark icon.</Text>
                     </View>
                 }
                 contentContainerStyle={styles.listContainer}
@@ -157,6 +262,31 @@ const themedStyles = (colors) => StyleSheet.create({
         padding: 8,
         marginLeft: 15,
     },
+    describeContainer: {
+        backgroundColor: colors.surface,
+        borderRadius: 8,
+        padding: 15,
+        marginBottom: 15,
+    },
+    describeTitle: { fontSize: 16, fontWeight: '600', color: colors.textPrimary, marginBottom: 10 },
+    describeRow: { flexDirection: 'row', alignItems: 'center' },
+    describeInput: {
+        flex: 1,
+        height: 40,
+        borderWidth: 1,
+        borderColor: colors.border,
+        borderRadius: 20,
+        paddingHorizontal: 15,
+        color: colors.textPrimary,
+        backgroundColor: colors.background,
+    },
+    describeButton: { padding: 8, marginLeft: 8, minWidth: 40, alignItems: 'center' },
+    draftNote: { fontSize: 12, color: colors.textSecondary, marginTop: 4 },
+    draftActions: { flexDirection: 'row', justifyContent: 'flex-end', marginTop: 10 },
+    draftCancelButton: { paddingVertical: 8, paddingHorizontal: 16, borderRadius: 6, borderWidth: 1, borderColor: colors.border },
+    draftCancelText: { color: colors.textPrimary, fontWeight: '600' },
+    draftSaveButton: { paddingVertical: 8, paddingHorizontal: 16, borderRadius: 6, backgroundColor: colors.primaryTeal, marginLeft: 10, minWidth: 110, alignItems: 'center' },
+    draftSaveText: { color: colors.textOnPrimary || '#ffffff', fontWeight: 'bold' },
 });
 
 export default SavedSearchesScreen;
@@ -1,5 +1,6 @@
 // screens/SellerReviewsScreen.js
 
+import Ionicons from '@expo/vector-icons/Ionicons';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { useEffect, useLayoutEffect, useMemo, useState } from 'react';
 import {
@@ -20,9 +21,20 @@ import {
 import Toast from 'react-native-toast-message';
 
 // 1. Import the new firebase modules
-import { auth, firestore } from '../firebaseConfig';
+import { auth, firestore, functions } from '../firebaseConfig';
 import { useTheme } from '../src/ThemeContext';
 
+const submitReviewFunc = functions().httpsCallable('submitReview');
+const replyToReviewFunc = functions().httpsCallable('replyToReview');
+const reportReviewFunc = functions().httpsCallable('reportReview');
+
+const REPORT_REASONS = [
+    { key: 'abusive', label: 'Abusive or offensive' },
+    { key: 'spam', label: 'Spam' },
+    { key: 'fake', label: 'Not a real transaction' },
+    { key: 'other', label: 'Something else' },
+];
+
 // --- Helper Component ---
 const StarRating = ({ rating = 0, size = 20, style, color }) => {
     const filledStars = Math.round(rating);
@@ -54,6 +66,9 @@ const SellerReviewsScreen = () => {
     const [myComment, setMyComment] = useState('');
     const [isSubmittingReview, setIsSubmittingReview] = useState(false);
     const [submitError, setSubmitError] = useState(null);
+    const [replyTarget, setReplyTarget] = useState(null);
+    const [replyText, setReplyText] = useState('');
+    const [isSubmittingReply, setIsSubmittingReply] = useState(false);
 
     useLayoutEffect(() => {
         navigation.setOptions({ title: `${sellerName || 'Seller'}'s Reviews` });
@@ -85,12 +100,14 @@ const SellerReviewsScreen = () => {
         return () => unsubscribe();
     }, [sellerId]);
 
+    const myReview = useMemo(() => reviews.find(review => review.reviewerId === currentUser?.uid) || null, [reviews, currentUser?.uid]);
+
     const openReviewModal = () => {
         if (!currentUser) { Alert.alert("Login Required", "You must be logged in to leave a review."); return; }
         if (currentUser.uid === sellerId) { Alert.alert("Cannot Review", "You cannot review your own profile."); return; }
         setShowReviewModal(true);
-        setMyRating(0);
-        setMyComment('');
+        setMyRating(myReview?.rating || 0);
+        setMyComment(myReview?.comment || '');
         setSubmitError(null);
     };
     
@@ -99,57 +116,101 @@ const SellerReviewsScreen = () => {
 
         setIsSubmittingReview(true);
         setSubmitError(null);
-        const sellerUserRef = firestore().collection('users').doc(sellerId);
-        const newReviewRef = firestore().collection('reviews').doc();
 
         try {
-            // 4. Use new Firestore transaction syntax
-            await firestore().runTransaction(async (transaction) => {
-                const sellerDoc = await transaction.get(sellerUserRef);
-                const currentSum = sellerDoc.exists ? sellerDoc.data().totalRatingSum || 0 : 0;
-                const currentCount = sellerDoc.exists ? sellerDoc.data().ratingCount || 0 : 0;
-                
-                const newSum = currentSum + myRating;
-                const newCount = currentCount + 1;
-                const newAverage = Math.round((newSum / newCount) * 10) / 10;
-
-                transaction.set(newReviewRef, {
-                    sellerId,
-                    reviewerId: currentUser.uid,
-                    reviewerName: currentUser.displayName || 'Anonymous',
-                    rating: myRating,
-                    comment: myComment.trim(),
-                    createdAt: firestore.FieldValue.serverTimestamp(),
-                });
-
-                transaction.set(sellerUserRef, {
-                    totalRatingSum: newSum,
-                    ratingCount: newCount,
-                    averageRating: newAverage
-                }, { merge: true });
-            });
-
-            Toast.show({ type: 'success', text1: 'Review Submitted!', position: 'bottom' });
+            await submitReviewFunc({ sellerId, rating: myRating, comment: myComment.trim() });
+            Toast.show({ type: 'success', text1: myReview ? 'Review Updated!' : 'Review Submitted!', position: 'bottom' });
             setShowReviewModal(false);
-
         } catch (err) {
             console.error("Error submitting review:", err);
-            setSubmitError('Failed to submit review. Please try again.');
+            setSubmitError(err.message || 'Failed to submit review. Please try again.');
         } finally {
             setIsSubmittingReview(false);
         }
     };
     
+    const openReplyModal = (review) => {
+        setReplyTarget(review);
+        setReplyText(review.sellerResponse?.text || '');
+    };
+
+    const handleSubmitReply = async () => {
+        if (!replyTarget || !replyText.trim()) return;
+        setIsSubmittingReply(true);
+        try {
+            await replyToReviewFunc({ reviewId: replyTarget.id, text: replyText.trim() });
+            Toast.show({ type: 'success', text1: 'Reply Posted', position: 'bottom' });
+            setReplyTarget(null);
+        } catch (err) {
+            console.error("Error replying to review:", err);
+            Toast.show({ type: 'error', text1: 'Could not post reply.', text2: err.message });
+        } finally {
+            setIsSubmittingReply(false);
+        }
+    };
+
+    const handleReportReview = (review) => {
+        if (!currentUser) { Alert.alert("Login Required", "You must be logged in to report a review."); return; }
+        Alert.alert(
+            "Report Review",
+            "Why are you reporting this review?",
+            [
+                ...REPORT_REASONS.map(reason => ({
+                    text: reason.label,
+                    onPress: async () => {
+                        try {
+                            await reportReviewFunc({ reviewId: review.id, reason: reason.key });
+                            Toast.show({ type: 'info', text1: 'Review Reported', text2: 'Our moderators will take a look.' });
+                        } catch (err) {
+                            console.error("Error reporting review:", err);
+                            Toast.show({ type: 'error', text1: 'Could not report review.', text2: err.message });
+                        }
+                    },
+                })),
+                { text: "Cancel", style: "cancel" },
+            ]
+        );
+    };
+
     // --- Render Logic ---
-    const renderReviewItem = ({ item }) => (
-        <View style={styles.reviewItem}>
-            <StarRating rating={item.rating || 0} />
-            <Text style={styles.reviewComment}>{item.comment}</Text>
-            <Text style={styles.reviewAuthor}>
-                - {item.reviewerName || 'Anonymous'} on {item.createdAt?.toDate().toLocaleDateString() || '...'}
-            </Text>
-        </View>
-    );
+    const renderReviewItem = ({ item }) => {
+        const isSeller = currentUser?.uid === sellerId;
+        const canReport = currentUser && !isSeller && currentUser.uid !== item.reviewerId;
+        return (
+            <View style={styles.reviewItem}>
+                <StarRating rating={item.rating || 0} />
+                <Text style={styles.reviewComment}>{item.comment}</Text>
+                <Text style={styles.reviewAuthor}>
+                    - {item.reviewerName || 'Anonymous'} on {item.createdAt?.toDate().toLocaleDateString() || '...'}{item.updatedAt ? ' (edited)' : ''}
+                </Text>
+                {item.moderationStatus === 'reported' && (
+                    <Text style={styles.reportedNote}>This review has been reported and is under review.</Text>
+                )}
+                {item.sellerResponse?.text ? (
+                    <View style={styles.sellerResponse}>
+                        <Text style={styles.sellerResponseLabel}>Response from {sellerName || 'the seller'}</Text>
+                        <Text style={styles.sellerResponseText}>{item.sellerResponse.text}</Text>
+                    </View>
+                ) : null}
+                {(isSeller || canReport) && (
+                    <View style={styles.reviewActions}>
+                        {isSeller && (
+                            <TouchableOpacity style={styles.reviewActionButton} onPress={() => openReplyModal(item)}>
+                                <Ionicons name="chatbubble-outline" size={16} color={colors.primaryTeal} />
+                                <Text style={styles.reviewActionText}>{item.sellerResponse ? 'Edit Reply' : 'Reply'}</Text>
+                            </TouchableOpacity>
+                        )}
+                        {canReport && (
+                            <TouchableOpacity style={styles.reviewActionButton} onPress={() => handleReportReview(item)}>
+                                <Ionicons name="flag-outline" size={16} color={colors.textSecondary} />
+                                <Text style={[styles.reviewActionText, { color: colors.textSecondary }]}>Report</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
+            </View>
+        );
+    };
     
     const styles = useMemo(() => themedStyles(colors, isDarkMode), [colors, isDarkMode]);
     
@@ -164,7 +225,7 @@ const SellerReviewsScreen = () => {
                 data={reviews}
                 renderItem={renderReviewItem}
                 keyExtractor={(item) => item.id}
-                ListHeaderComponent={canAddReview ? (<TouchableOpacity style={styles.addReviewButton} onPress={openReviewModal}><Text style={styles.addReviewButtonText}>Leave a Review</Text></TouchableOpacity>) : null}
+                ListHeaderComponent={canAddReview ? (<TouchableOpacity style={styles.addReviewButton} onPress={openReviewModal}><Text style={styles.addReviewButtonText}>{myReview ? 'Edit Your Review' : 'Leave a Review'}</Text></TouchableOpacity>) : null}
                 ListEmptyComponent={<Text style={styles.emptyText}>No reviews yet for {sellerName || 'this seller'}.</Text>}
                 contentContainerStyle={styles.listContainer}
             />
@@ -172,7 +233,8 @@ const SellerReviewsScreen = () => {
                 <KeyboardAvoidingView behavior={Platform.OS === "ios" ? "padding" : "height"} style={styles.modalOverlay}>
                     <ScrollView contentContainerStyle={styles.modalScrollView}>
                         <View style={styles.modalContent}>
-                            <Text style={styles.modalTitle}>Leave a Review for {sellerName}</Text>
+                            <Text style={styles.modalTitle}>{myReview ? 'Edit Your Review' : `Leave a Review for ${sellerName}`}</Text>
+                            <Text style={styles.eligibilityNote}>Only buyers with an accepted offer from this seller can leave a review.</Text>
                             <Text style={styles.ratingLabel}>Your Rating:</Text>
                             <View style={styles.starInputContainer}>
                                 {[1, 2, 3, 4, 5].map((ratingValue) => (
@@ -194,6 +256,20 @@ const SellerReviewsScreen = () => {
                     </ScrollView>
                 </KeyboardAvoidingView>
             </Modal>
+            <Modal animationType="slide" transparent={true} visible={!!replyTarget} onRequestClose={() => setReplyTarget(null)}>
+                <KeyboardAvoidingView behavior={Platform.OS === "ios" ? "padding" : "height"} style={styles.modalOverlay}>
+                    <View style={styles.modalContent}>
+                        <Text style={styles.modalTitle}>Reply to {replyTarget?.reviewerName || 'Review'}</Text>
+                        <TextInput style={styles.commentInput} placeholder="Write a public reply..." value={replyText} onChangeText={setReplyText} multiline maxLength={500} placeholderTextColor={colors.textDisabled}/>
+                        <View style={styles.modalButtonContainer}>
+                            <TouchableOpacity style={[styles.modalButton, styles.cancelButton]} onPress={() => setReplyTarget(null)}><Text style={styles.cancelButtonText}>Cancel</Text></TouchableOpacity>
+                            <TouchableOpacity style={[styles.modalButton, styles.submitButton, (isSubmittingReply || !replyText.trim()) && styles.buttonDisabled]} onPress={handleSubmitReply} disabled={isSubmittingReply || !replyText.trim()}>
+                                {isSubmittingReply ? <ActivityIndicator color={colors.textOnPrimary} /> : <Text style={styles.submitButtonText}>Post Reply</Text>}
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </KeyboardAvoidingView>
+            </Modal>
             <Toast />
         </SafeAreaView>
     );
@@ -209,12 +285,20 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
     reviewItem: { backgroundColor: colors.surface, padding: 15, marginBottom: 10, borderRadius: 8, borderWidth: 1, borderColor: colors.border },
     reviewComment: { fontSize: 15, color: colors.textPrimary, marginVertical: 8, lineHeight: 21 },
     reviewAuthor: { fontSize: 12, color: colors.textSecondary, textAlign: 'right', fontStyle: 'italic' },
+    reportedNote: { fontSize: 12, color: colors.error, fontStyle: 'italic', marginTop: 6 },
+    sellerResponse: { marginTop: 10, padding: 10, borderRadius: 6, backgroundColor: colors.background, borderLeftWidth: 3, borderLeftColor: colors.primaryTeal },
+    sellerResponseLabel: { fontSize: 12, fontWeight: 'bold', color: colors.textSecondary, marginBottom: 4 },
+    sellerResponseText: { fontSize: 14, color: colors.textPrimary, lineHeight: 19 },
+    reviewActions: { flexDirection: 'row', justifyContent: 'flex-end', marginTop: 8 },
+    reviewActionButton: { flexDirection: 'row', alignItems: 'center', marginLeft: 15, paddingVertical: 4 },
+    reviewActionText: { fontSize: 13, color: colors.primaryTeal, marginLeft: 4, fontWeight: '500' },
     addReviewButton: { backgroundColor: colors.primaryTeal, paddingVertical: 12, borderRadius: 8, alignItems: 'center', marginBottom: 20 },
     addReviewButtonText: { color: colors.textOnPrimary, fontSize: 16, fontWeight: 'bold' },
     modalOverlay: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: colors.backdrop },
     modalScrollView: { flexGrow: 1, width: '100%', justifyContent: 'center' },
     modalContent: { width: '90%', backgroundColor: colors.surface, borderRadius: 10, padding: 25, alignItems: 'center', shadowColor: '#000', shadowOffset: { width: 0, height: 2 }, shadowOpacity: 0.25, shadowRadius: 4, elevation: 5 },
     modalTitle: { fontSize: 20, fontWeight: 'bold', marginBottom: 20, color: colors.textPrimary },
+    eligibilityNote: { fontSize: 13, color: colors.textSecondary, textAlign: 'center', marginTop: -10, marginBottom: 15 },
     ratingLabel: { fontSize: 16, marginBottom: 10, alignSelf: 'flex-start', color: colors.textSecondary, fontWeight: '500' },
     starInputContainer: { flexDirection: 'row', marginBottom: 20 },
     starInput: { fontSize: 40, marginHorizontal: 5 },
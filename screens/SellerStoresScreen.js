@@ -2,12 +2,12 @@
 
 import Ionicons from '@expo/vector-icons/Ionicons';
 import { useFocusEffect, useNavigation, useRoute } from '@react-navigation/native';
+import { Image as ExpoImage } from 'expo-image';
 import { useCallback, useEffect, useMemo, useState } from 'react';
 import {
     ActivityIndicator,
     Alert,
     FlatList,
-    Image,
     RefreshControl,
     SafeAreaView,
     StatusBar,
@@ -36,6 +36,15 @@ const StarRating = ({ rating = 0, size = 18, style }) => {
     );
 };
 
+// --- Helper: format a video duration in seconds as m:ss ---
+const formatVideoDuration = (seconds) => {
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Listings held or removed by moderation are only shown to their seller.
+const MODERATED_STATUSES = ['pending_moderation', 'pending_review', 'rejected', 'hidden'];
+
 const SellerStoreScreen = () => {
     const route = useRoute();
     const navigation = useNavigation();
@@ -83,7 +92,8 @@ const SellerStoreScreen = () => {
                 .orderBy('createdAt', 'desc');
             const unsubscribeProducts = productsQuery.onSnapshot(snapshot => {
                 const productsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                setSellerProducts(productsData);
+                const isOwnStore = loggedInUser?.uid === sellerId;
+                setSellerProducts(isOwnStore ? productsData : productsData.filter(p => !MODERATED_STATUSES.includes(p.status)));
                 if (loadingProducts) setLoadingProducts(false);
             });
             
@@ -116,7 +126,8 @@ const SellerStoreScreen = () => {
         if (!loggedInUser) { Alert.alert("Login Required", "Please log in to save items."); return; }
         // 4. Update Firestore write syntax
         await firestore().collection('users').doc(loggedInUser.uid).collection('wishlist').doc(productId).set({
-            savedAt: firestore.FieldValue.serverTimestamp()
+            savedAt: firestore.FieldValue.serverTimestamp(),
+            productId: productId
         });
         Toast.show({ type: 'success', text1: 'Added to Wishlist!', position: 'bottom' });
     };
@@ -133,7 +144,21 @@ const SellerStoreScreen = () => {
         return (
             <View style={styles.productItemContainer}>
                 <TouchableOpacity style={styles.productItemTouchable} onPress={() => navigation.push('Details', { productId: item.id })}>
-                    <Image source={{ uri: item.imageUrl || 'https://placehold.co/150x150/e0e0e0/7f7f7f?text=No+Image' }} style={styles.productImage} />
+                    <View>
+                        <ExpoImage
+                            source={{ uri: item.thumbnailUrl || item.imageUrl || 'https://placehold.co/150x150/e0e0e0/7f7f7f?text=No+Image' }}
+                            placeholder={item.imagePlaceholder ? { blurhash: item.imagePlaceholder } : undefined}
+                            contentFit="cover"
+                            transition={200}
+                            style={styles.productImage}
+                        />
+                        {item.videoUrl && (
+                            <View style={styles.videoBadge}>
+                                <Ionicons name="videocam" size={12} color="#fff" />
+                                {item.videoDurationSeconds ? <Text style={styles.videoBadgeText}>{formatVideoDuration(item.videoDurationSeconds)}</Text> : null}
+                            </View>
+                        )}
+                    </View>
                     <Text style={styles.productName} numberOfLines={1}>{item.name}</Text>
                     <Text style={styles.productPrice}>{`$${item.price.toFixed(2)}`}</Text>
                 </TouchableOpacity>
@@ -167,7 +192,12 @@ const SellerStoreScreen = () => {
                 ListHeaderComponent={
                     storeSeller && (
                         <View style={styles.profileHeader}>
-                            <Image source={{ uri: storeSeller.profilePicUrl || 'https://placehold.co/100x100/E0E0E0/7F7F7F?text=User' }} style={styles.profileAvatarImage} />
+                            <ExpoImage
+                                source={{ uri: storeSeller.profilePicThumbnailUrl || storeSeller.profilePicUrl || 'https://placehold.co/100x100/E0E0E0/7F7F7F?text=User' }}
+                                placeholder={storeSeller.profilePicPlaceholder ? { blurhash: storeSeller.profilePicPlaceholder } : undefined}
+                                transition={200}
+                                style={styles.profileAvatarImage}
+                            />
                             <Text style={styles.profileName}>{storeSeller.displayName}</Text>
                             {storeSeller.bio && <Text style={styles.profileBio}>{storeSeller.bio}</Text>}
                             {storeSeller.ratingCount > 0 ? (
@@ -206,6 +236,8 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
     productItemContainer: { flex: 1/2, margin: 5, backgroundColor: colors.surface, borderRadius: 8, shadowColor: '#000', shadowOffset: { width: 0, height: 1 }, shadowOpacity: isDarkMode ? 0.25 : 0.1, shadowRadius: 2.5, elevation: 2, position: 'relative' },
     productItemTouchable: { padding: 10, alignItems: 'center' },
     productImage: { width: '100%', aspectRatio: 1, borderRadius: 4, marginBottom: 8, backgroundColor: colors.border },
+    videoBadge: { position: 'absolute', left: 6, bottom: 14, flexDirection: 'row', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.65)', paddingHorizontal: 6, paddingVertical: 3, borderRadius: 4 },
+    videoBadgeText: { color: '#fff', fontSize: 11, fontWeight: '600', marginLeft: 4 },
     productName: { fontSize: 14, fontWeight: '600', textAlign: 'center', color: colors.textPrimary, marginBottom: 4 },
     productPrice: { fontSize: 14, color: colors.primaryGreen, fontWeight: 'bold', marginTop: 4 },
     saveButton: { position: 'absolute', top: 6, right: 6, zIndex: 2, padding: 6, backgroundColor: isDarkMode ? 'rgba(40,40,40,0.75)' : 'rgba(255,255,255,0.75)', borderRadius: 18 },
@@ -26,6 +26,7 @@ import Toast from 'react-native-toast-message';
 // --- FIX: Import the `firebase` object to access its `firestore` namespace ---
 import { firebase } from '@react-native-firebase/firestore';
 import { auth, functions, storage } from '../firebaseConfig';
+import { uploadImage } from '../src/imageUploads';
 import { useTheme } from '../src/ThemeContext';
 
 // --- Constants ---
@@ -199,9 +200,7 @@ const SubmissionForm = () => {
                 }
                 const filename = `${currentUser.uid}_${Date.now()}_${Math.random()}.jpeg`;
                 const storagePath = `product_images/${filename}`;
-                const reference = storage().ref(storagePath);
-                await reference.putFile(uri);
-                const downloadURL = await reference.getDownloadURL();
+                const downloadURL = await uploadImage(storagePath, uri);
                 return { url: downloadURL, path: storagePath };
             });
             
@@ -243,21 +242,31 @@ const SubmissionForm = () => {
                 sellerDisplayName: currentUser.displayName || 'Unknown',
                 sellerAverageRating: sellerData.averageRating || 0,
                 sellerRatingCount: sellerData.ratingCount || 0,
+                sellerIsVerified: sellerData.isVerified === true,
                 isSold: false,
+                status: 'pending_moderation',
                 createdAt: firebase.firestore.FieldValue.serverTimestamp(),
             };
             
+            // The exact fix stays in a seller-only subdocument; the backend publishes a
+            // fuzzed publicLocation based on the seller's privacy setting.
+            const productRef = firebase.firestore().collection('products').doc();
+            const batch = firebase.firestore().batch();
+            batch.set(productRef, productData);
             if (sellerLocationGeoPoint) {
-                productData.sellerLocation = sellerLocationGeoPoint;
+                batch.set(productRef.collection('private').doc('location'), {
+                    exactLocation: sellerLocationGeoPoint,
+                    sellerId: currentUser.uid,
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                });
             }
-
-            await firebase.firestore().collection('products').add(productData);
+            await batch.commit();
             
             if (productToRelist?.id) {
                 await firebase.firestore().collection('products').doc(productToRelist.id).delete();
             }
 
-            Toast.show({ type: 'success', text1: 'Product Submitted!', position: 'bottom' });
+            Toast.show({ type: 'success', text1: 'Product Submitted!', text2: 'It will go live once it has been checked.', position: 'bottom' });
             navigation.goBack();
         } catch (e) {
             console.error("[SubmissionForm] Error:", e);
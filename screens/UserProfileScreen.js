@@ -2,6 +2,7 @@
 
 import Ionicons from '@expo/vector-icons/Ionicons';
 import { useFocusEffect, useNavigation, useRoute } from '@react-navigation/native';
+import { Image as ExpoImage } from 'expo-image';
 import { useCallback, useEffect, useMemo, useState } from 'react';
 import {
   ActivityIndicator,
@@ -18,9 +19,12 @@ import {
 } from 'react-native';
 import Toast from 'react-native-toast-message';
 
-import { auth, firestore } from '../firebaseConfig';
+import ReportModal from '../components/ReportModal';
+import { auth, firestore, functions } from '../firebaseConfig';
 import { useTheme } from '../src/ThemeContext';
 
+const renewListingFunc = functions().httpsCallable('renewListing');
+
 // --- Helper Component for Star Ratings ---
 const StarRating = ({ rating = 0, size = 18, style, color }) => {
   const filledStars = Math.round(rating);
@@ -40,6 +44,12 @@ const StarRating = ({ rating = 0, size = 18, style, color }) => {
   );
 };
 
+// --- Helper: format a video duration in seconds as m:ss ---
+const formatVideoDuration = (seconds) => {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
 const UserProfileScreen = () => {
   const route = useRoute();
   const navigation = useNavigation();
@@ -58,6 +68,12 @@ const UserProfileScreen = () => {
   const [followerCount, setFollowerCount] = useState(0);
   const [followingCount, setFollowingCount] = useState(0);
   const [activeTab, setActiveTab] = useState('active');
+  const [renewingProductId, setRenewingProductId] = useState(null);
+  const [isModerator, setIsModerator] = useState(false);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [isReportModalVisible, setIsReportModalVisible] = useState(false);
+  const [isBlocked, setIsBlocked] = useState(false);
+  const [isBlockedBy, setIsBlockedBy] = useState(false);
 
   // --- Data Fetching and Side Effects ---
   useEffect(() => {
@@ -86,8 +102,13 @@ const UserProfileScreen = () => {
       const unsubscribeFollowing = firestore().collection('users').doc(userIdToShow).collection('following').onSnapshot(s => setFollowingCount(s.size));
       
       let unsubscribeFollowStatus = () => {};
+      let unsubscribeBlocked = () => {};
+      let unsubscribeBlockedBy = () => {};
       if (loggedInUser && !isOwnProfile) {
-        unsubscribeFollowStatus = firestore().collection('users').doc(loggedInUser.uid).collection('following').doc(userIdToShow).onSnapshot(d => setIsFollowing(d.exists));
+        const loggedInUserRef = firestore().collection('users').doc(loggedInUser.uid);
+        unsubscribeFollowStatus = loggedInUserRef.collection('following').doc(userIdToShow).onSnapshot(d => setIsFollowing(d.exists));
+        unsubscribeBlocked = loggedInUserRef.collection('blockedUsers').doc(userIdToShow).onSnapshot(d => setIsBlocked(d.exists));
+        unsubscribeBlockedBy = loggedInUserRef.collection('blockedBy').doc(userIdToShow).onSnapshot(d => setIsBlockedBy(d.exists));
       }
 
       return () => {
@@ -96,20 +117,30 @@ const UserProfileScreen = () => {
         unsubscribeFollowers();
         unsubscribeFollowing();
         unsubscribeFollowStatus();
+        unsubscribeBlocked();
+        unsubscribeBlockedBy();
       };
     }, [userIdToShow, loggedInUser, isOwnProfile, loading])
   );
 
-  const isExpired = (product) => {
-      if (product.isSold) return false;
-      if (!product.createdAt?.toDate) return false;
-      const expiryDate = new Date(product.createdAt.toDate().getTime() + 7 * 24 * 60 * 60 * 1000);
-      return new Date() > expiryDate;
-  };
+  useEffect(() => {
+    if (!loggedInUser) return;
+    loggedInUser.getIdTokenResult()
+      .then(tokenResult => {
+        setIsModerator(tokenResult.claims.moderator === true || tokenResult.claims.admin === true);
+        setIsAdmin(tokenResult.claims.admin === true);
+      })
+      .catch(error => console.error("Error reading user claims:", error));
+  }, [loggedInUser]);
+
+  // Listings held by moderation are only visible to their seller.
+  const isHeldForReview = (product) => ['pending_moderation', 'pending_review', 'rejected', 'hidden'].includes(product.status);
+  const isExpired = (product) => !product.isSold && (product.status === 'expired' || product.status === 'archived');
 
   const filteredProducts = useMemo(() => {
+    if (isBlocked || isBlockedBy) return [];
     if (activeTab === 'active') {
-      return userProducts.filter(p => !p.isSold && !isExpired(p));
+      return userProducts.filter(p => !p.isSold && !isExpired(p) && (isOwnProfile || !isHeldForReview(p)));
     }
     if (activeTab === 'sold') {
         return userProducts.filter(p => p.isSold);
@@ -118,7 +149,7 @@ const UserProfileScreen = () => {
         return userProducts.filter(p => isExpired(p));
     }
     return [];
-  }, [userProducts, activeTab]);
+  }, [userProducts, activeTab, isOwnProfile, isBlocked, isBlockedBy]);
 
   // --- Handlers ---
   const handleFollowToggle = async () => {
@@ -173,10 +204,79 @@ const UserProfileScreen = () => {
     });
   };
   
+  // Blocking also drops our side of any follow; the server mirrors the block and closes open offers.
+  const handleBlockToggle = async () => {
+    const blockedUserRef = firestore().collection('users').doc(loggedInUser.uid).collection('blockedUsers').doc(userIdToShow);
+    try {
+      if (isBlocked) {
+        await blockedUserRef.delete();
+        Toast.show({ type: 'success', text1: `${profileUser?.displayName || 'User'} unblocked`, position: 'bottom' });
+        return;
+      }
+      const batch = firestore().batch();
+      batch.set(blockedUserRef, {
+        blockedAt: firestore.FieldValue.serverTimestamp(),
+        userName: profileUser?.displayName || 'User',
+        userAvatar: profileUser?.profilePicUrl || null,
+      });
+      batch.delete(firestore().collection('users').doc(loggedInUser.uid).collection('following').doc(userIdToShow));
+      batch.delete(firestore().collection('users').doc(userIdToShow).collection('followers').doc(loggedInUser.uid));
+      await batch.commit();
+      Toast.show({ type: 'success', text1: `${profileUser?.displayName || 'User'} blocked`, position: 'bottom' });
+    } catch (err) {
+      console.error("Block/Unblock Error:", err);
+      Toast.show({ type: 'error', text1: 'Action Failed', text2: err.message });
+    }
+  };
+
+  const confirmBlockToggle = () => {
+    if (isBlocked) {
+      handleBlockToggle();
+      return;
+    }
+    Alert.alert(
+      `Block ${profileUser?.displayName || 'this user'}?`,
+      "They won't be able to message you, make offers or comment on your listings, and neither of you will see the other's listings.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Block", style: "destructive", onPress: handleBlockToggle },
+      ]
+    );
+  };
+
+  const handleMoreOptions = () => {
+    if (!loggedInUser) {
+        Alert.alert("Login Required", "You must be logged in to report or block users.");
+        return;
+    }
+    Alert.alert(
+      profileUser?.displayName || 'User',
+      null,
+      [
+        { text: "Report User", onPress: () => setIsReportModalVisible(true) },
+        { text: isBlocked ? "Unblock User" : "Block User", style: isBlocked ? "default" : "destructive", onPress: confirmBlockToggle },
+        { text: "Cancel", style: "cancel" },
+      ]
+    );
+  };
+
   const handleRelist = (product) => {
       navigation.navigate('SubmitItem', { productToRelist: product });
   };
 
+  const handleRenew = async (product) => {
+      setRenewingProductId(product.id);
+      try {
+          await renewListingFunc({ productId: product.id });
+          Toast.show({ type: 'success', text1: 'Listing Renewed', text2: `"${product.name}" is live again.` });
+      } catch (error) {
+          console.error("Renew listing error:", error);
+          Toast.show({ type: 'error', text1: 'Renewal Failed', text2: error.message });
+      } finally {
+          setRenewingProductId(null);
+      }
+  };
+
   const handleShareProfile = async () => {
       try {
           const profileUrl = `https://yourapp.com/user/${userIdToShow}`; // Replace with your actual app URL/scheme
@@ -195,19 +295,42 @@ const UserProfileScreen = () => {
             style={styles.productItemTouchable} 
             onPress={() => navigation.push('Details', { productId: item.id })}
         >
-            <Image source={{ uri: item.imageUrl || 'https://placehold.co/200x200/e0e0e0/7f7f7f?text=No+Image' }} style={styles.productImage} />
+            <View>
+                <ExpoImage
+                    source={{ uri: item.thumbnailUrl || item.imageUrl || 'https://placehold.co/200x200/e0e0e0/7f7f7f?text=No+Image' }}
+                    placeholder={item.imagePlaceholder ? { blurhash: item.imagePlaceholder } : undefined}
+                    contentFit="cover"
+                    transition={200}
+                    style={styles.productImage}
+                />
+                {item.videoUrl && (
+                    <View style={styles.videoBadge}>
+                        <Ionicons name="videocam" size={12} color="#fff" />
+                        {item.videoDurationSeconds ? <Text style={styles.videoBadgeText}>{formatVideoDuration(item.videoDurationSeconds)}</Text> : null}
+                    </View>
+                )}
+            </View>
             <View style={styles.productInfo}>
                 <Text style={styles.productName} numberOfLines={1}>{item.name}</Text>
                 <Text style={styles.productPrice}>${item.price?.toFixed(2)}</Text>
             </View>
             {item.isSold && <View style={styles.soldBadge}><Text style={styles.soldBadgeText}>SOLD</Text></View>}
             {activeTab === 'expired' && <View style={styles.expiredBadge}><Text style={styles.soldBadgeText}>EXPIRED</Text></View>}
+            {(item.status === 'pending_moderation' || item.status === 'pending_review') && <View style={styles.reviewBadge}><Text style={styles.soldBadgeText}>UNDER REVIEW</Text></View>}
+            {item.status === 'rejected' && <View style={styles.expiredBadge}><Text style={styles.soldBadgeText}>REJECTED</Text></View>}
+            {item.status === 'hidden' && <View style={styles.expiredBadge}><Text style={styles.soldBadgeText}>HIDDEN</Text></View>}
         </TouchableOpacity>
         {activeTab === 'expired' && isOwnProfile && (
-            <TouchableOpacity style={styles.relistButton} onPress={() => handleRelist(item)}>
-                <Ionicons name="refresh-circle" size={22} color={colors.textOnPrimary} />
-                <Text style={styles.relistButtonText}>Re-list</Text>
-            </TouchableOpacity>
+            <View style={styles.expiredActions}>
+                <TouchableOpacity style={styles.relistButton} onPress={() => handleRenew(item)} disabled={renewingProductId === item.id}>
+                    {renewingProductId === item.id ? <ActivityIndicator size="small" color={colors.textOnPrimary} /> : <Ionicons name="refresh-circle" size={22} color={colors.textOnPrimary} />}
+                    <Text style={styles.relistButtonText}>Renew</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.relistButton, styles.editRelistButton]} onPress={() => handleRelist(item)}>
+                    <Ionicons name="create-outline" size={18} color={colors.primaryTeal} />
+                    <Text style={[styles.relistButtonText, styles.editRelistButtonText]}>Edit</Text>
+                </TouchableOpacity>
+            </View>
         )}
     </View>
   );
@@ -269,6 +392,11 @@ const UserProfileScreen = () => {
                         <Text style={[styles.actionButtonText, styles.secondaryButtonText]}>Analytics</Text>
                     </TouchableOpacity>
                 </>
+              ) : isBlocked || isBlockedBy ? (
+                <View style={[styles.actionButton, styles.blockedNotice]}>
+                  <Ionicons name="ban-outline" size={20} color={colors.textSecondary} />
+                  <Text style={[styles.actionButtonText, styles.blockedNoticeText]}>{isBlocked ? 'You blocked this user' : 'Unavailable'}</Text>
+                </View>
               ) : (
                 <>
                   <TouchableOpacity style={[styles.actionButton, isFollowing ? styles.secondaryButton : styles.primaryButton]} onPress={handleFollowToggle} disabled={loadingFollowAction}>
@@ -284,6 +412,11 @@ const UserProfileScreen = () => {
               <TouchableOpacity style={[styles.actionButton, styles.iconOnlyButton]} onPress={handleShareProfile}>
                     <Ionicons name="share-social-outline" size={22} color={colors.primaryTeal} />
               </TouchableOpacity>
+              {!isOwnProfile && (
+                <TouchableOpacity style={[styles.actionButton, styles.iconOnlyButton]} onPress={handleMoreOptions}>
+                    <Ionicons name="ellipsis-horizontal" size={22} color={colors.primaryTeal} />
+                </TouchableOpacity>
+              )}
             </View>
             
             {/* NEW: Button to navigate to Saved Searches Screen */}
@@ -293,6 +426,27 @@ const UserProfileScreen = () => {
                     <Text style={styles.savedSearchesButtonText}>My Saved Searches</Text>
                 </TouchableOpacity>
             )}
+            {isOwnProfile && isModerator && (
+                <TouchableOpacity style={styles.savedSearchesButton} onPress={() => navigation.navigate('ModerationQueue')}>
+                    <Ionicons name="shield-checkmark" size={20} color={colors.primaryTeal} />
+                    <Text style={styles.savedSearchesButtonText}>Moderation Queue</Text>
+                </TouchableOpacity>
+            )}
+            {isOwnProfile && isAdmin && (
+                <TouchableOpacity style={styles.savedSearchesButton} onPress={() => navigation.navigate('VerificationRequests')}>
+                    <Ionicons name="ribbon-outline" size={20} color={colors.primaryTeal} />
+                    <Text style={styles.savedSearchesButtonText}>Verification Requests</Text>
+                </TouchableOpacity>
+            )}
+            {!isOwnProfile && isAdmin && profileUser.isVerified && (
+                <TouchableOpacity
+                    style={styles.savedSearchesButton}
+                    onPress={() => navigation.navigate('VerificationRequests', { revokeUserId: userIdToShow, revokeUserName: profileUser.displayName })}
+                >
+                    <Ionicons name="remove-circle-outline" size={20} color={colors.error} />
+                    <Text style={[styles.savedSearchesButtonText, { color: colors.error }]}>Revoke Verification</Text>
+                </TouchableOpacity>
+            )}
 
             <View style={styles.tabContainer}>
                 <TouchableOpacity style={[styles.tab, activeTab === 'active' && styles.activeTab]} onPress={() => setActiveTab('active')}>
@@ -316,6 +470,12 @@ const UserProfileScreen = () => {
             </View>
         }
       />
+      <ReportModal
+        visible={isReportModalVisible}
+        onClose={() => setIsReportModalVisible(false)}
+        targetType="user"
+        targetId={userIdToShow}
+      />
     </SafeAreaView>
   );
 };
@@ -341,6 +501,8 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
     actionButtonsContainer: { flexDirection: 'row', padding: 15, backgroundColor: colors.surface, width: '100%', justifyContent: 'center', alignItems: 'center' },
     actionButton: { flex: 1, flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 12, borderRadius: 8, marginHorizontal: 5 },
     iconOnlyButton: { flex: 0.2, borderWidth: 1, borderColor: colors.border },
+    blockedNotice: { borderWidth: 1, borderColor: colors.border },
+    blockedNoticeText: { color: colors.textSecondary },
     actionButtonText: { fontSize: 16, fontWeight: 'bold', marginLeft: 8 },
     primaryButton: { backgroundColor: colors.primaryTeal },
     primaryButtonText: { color: colors.textOnPrimary },
@@ -375,18 +537,25 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
     productItemContainer: { flex: 0.5, margin: 5, backgroundColor: colors.surface, borderRadius: 8, overflow: 'hidden', borderWidth: 1, borderColor: colors.border },
     productItemTouchable: { flex: 1 },
     productImage: { width: '100%', aspectRatio: 1 },
+    videoBadge: { position: 'absolute', left: 6, bottom: 6, flexDirection: 'row', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.65)', paddingHorizontal: 6, paddingVertical: 3, borderRadius: 4 },
+    videoBadgeText: { color: '#fff', fontSize: 11, fontWeight: '600', marginLeft: 4 },
     productInfo: { padding: 10 },
     productName: { fontSize: 14, fontWeight: '600', color: colors.textPrimary },
     productPrice: { fontSize: 14, fontWeight: 'bold', color: colors.primaryGreen, marginTop: 4 },
     soldBadge: { position: 'absolute', top: 8, left: 8, backgroundColor: 'rgba(0,0,0,0.7)', paddingHorizontal: 6, paddingVertical: 3, borderRadius: 4 },
     expiredBadge: { position: 'absolute', top: 8, left: 8, backgroundColor: colors.error, paddingHorizontal: 6, paddingVertical: 3, borderRadius: 4 },
+    reviewBadge: { position: 'absolute', top: 8, left: 8, backgroundColor: colors.warning, paddingHorizontal: 6, paddingVertical: 3, borderRadius: 4 },
     soldBadgeText: { color: 'white', fontSize: 10, fontWeight: 'bold' },
     emptyContainer: { flex: 1, justifyContent: 'center', alignItems: 'center', paddingTop: 80 },
     emptyText: { marginTop: 10, fontSize: 16, color: colors.textDisabled },
-    relistButton: {
+    expiredActions: {
         position: 'absolute',
         bottom: 8,
         right: 8,
+        flexDirection: 'row',
+    },
+    relistButton: {
+        marginLeft: 6,
         backgroundColor: colors.primaryTeal,
         borderRadius: 20,
         paddingVertical: 6,
@@ -401,6 +570,14 @@ const themedStyles = (colors, isDarkMode) => StyleSheet.create({
         fontSize: 12,
         marginLeft: 4,
     },
+    editRelistButton: {
+        backgroundColor: colors.surface,
+        borderWidth: 1,
+        borderColor: colors.primaryTeal,
+    },
+    editRelistButtonText: {
+        color: colors.primaryTeal,
+    },
 });
 
 export default UserProfileScreen;
@@ -0,0 +1,339 @@
+// screens/VerificationRequestsScreen.js
+
+import Ionicons from '@expo/vector-icons/Ionicons';
+import { useFocusEffect, useNavigation, useRoute } from '@react-navigation/native';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    Image,
+    Modal,
+    SafeAreaView,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View
+} from 'react-native';
+import Toast from 'react-native-toast-message';
+
+import { functions, storage } from '../firebaseConfig';
+import { useTheme } from '../src/ThemeContext';
+
+const listVerificationRequestsFunc = functions().httpsCallable('listVerificationRequests');
+const reviewVerificationRequestFunc = functions().httpsCallable('reviewVerificationRequest');
+const revokeVerificationFunc = functions().httpsCallable('revokeVerification');
+
+const REASON_ACTIONS = {
+    reject: { title: 'Reject Verification', placeholder: 'Why is this request being rejected?', button: 'Reject' },
+    revoke: { title: 'Revoke Verification', placeholder: 'Why is verification being removed?', button: 'Revoke' },
+};
+
+const EVIDENCE_LABELS = { idPhoto: 'ID', selfie: 'Selfie', proofOfAddress: 'Address' };
+
+// Evidence is only readable by admins, so the download URL is resolved on demand.
+const EvidenceThumbnail = ({ path, label, styles, colors, onOpen }) => {
+    const [url, setUrl] = useState(null);
+    const [failed, setFailed] = useState(false);
+
+    useEffect(() => {
+        if (!path) return;
+        let cancelled = false;
+        storage().ref(path).getDownloadURL()
+            .then(downloadUrl => { if (!cancelled) setUrl(downloadUrl); })
+            .catch(error => {
+                console.error(`Error loading evidence ${path}:`, error);
+                if (!cancelled) setFailed(true);
+            });
+        return () => { cancelled = true; };
+    }, [path]);
+
+    return (
+        <TouchableOpacity style={styles.evidenceItem} onPress={() => url && onOpen(url)} disabled={!url}>
+            {url ? (
+                <Image source={{ uri: url }} style={styles.evidenceImage} />
+            ) : (
+                <View style={[styles.evidenceImage, styles.evidencePlaceholder]}>
+                    {path && !failed
+                        ? <ActivityIndicator size="small" color={colors.primaryTeal} />
+                        : <Ionicons name="document-outline" size={22} color={colors.textDisabled} />}
+                </View>
+            )}
+            <Text style={styles.evidenceLabel}>{label}</Text>
+        </TouchableOpacity>
+    );
+};
+
+// Admin-only. Opened with `revokeUserId` from a profile to revoke an existing verification.
+const VerificationRequestsScreen = () => {
+    const navigation = useNavigation();
+    const route = useRoute();
+    const { colors, isDarkMode } = useTheme();
+    const styles = useMemo(() => themedStyles(colors, isDarkMode), [colors, isDarkMode]);
+
+    const [requests, setRequests] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [actingOnId, setActingOnId] = useState(null);
+    const [reasonTarget, setReasonTarget] = useState(null);
+    const [reason, setReason] = useState('');
+    const [previewUrl, setPreviewUrl] = useState(null);
+
+    const fetchRequests = useCallback(async (cursor = null) => {
+        try {
+            const result = await listVerificationRequestsFunc({ cursor });
+            const page = result.data?.requests || [];
+            setRequests(prev => (cursor ? [...prev, ...page] : page));
+            setNextCursor(result.data?.nextCursor || null);
+        } catch (error) {
+            console.error("Error fetching verification requests:", error);
+            Toast.show({ type: 'error', text1: 'Could not load requests', text2: error.message });
+        }
+    }, []);
+
+    useFocusEffect(
+        useCallback(() => {
+            setLoading(true);
+            fetchRequests().finally(() => setLoading(false));
+        }, [fetchRequests])
+    );
+
+    useEffect(() => {
+        const { revokeUserId, revokeUserName } = route.params || {};
+        if (revokeUserId) {
+            setReasonTarget({ userId: revokeUserId, displayName: revokeUserName, action: 'revoke' });
+            setReason('');
+            navigation.setParams({ revokeUserId: undefined, revokeUserName: undefined });
+        }
+    }, [route.params, navigation]);
+
+    const handleLoadMore = async () => {
+        if (!nextCursor || loadingMore) return;
+        setLoadingMore(true);
+        await fetchRequests(nextCursor);
+        setLoadingMore(false);
+    };
+
+    const runDecision = async (userId, action, decisionReason = '') => {
+        setActingOnId(userId);
+        try {
+            if (action === 'revoke') {
+                await revokeVerificationFunc({ userId, reason: decisionReason });
+                Toast.show({ type: 'success', text1: 'Verification revoked', position: 'bottom' });
+            } else if (action === 'start_review') {
+                await reviewVerificationRequestFunc({ userId, action });
+                setRequests(prev => prev.map(item => (item.userId === userId ? { ...item, status: 'in_review' } : item)));
+            } else {
+                await reviewVerificationRequestFunc({ userId, action, reason: decisionReason });
+                Toast.show({ type: 'success', text1: action === 'approve' ? 'Seller verified' : 'Request rejected', position: 'bottom' });
+                setRequests(prev => prev.filter(item => item.userId !== userId));
+            }
+        } catch (error) {
+            console.error(`Error trying to ${action} verification:`, error);
+            Toast.show({ type: 'error', text1: 'Action Failed', text2: error.message });
+        } finally {
+            setActingOnId(null);
+        }
+    };
+
+    const handleApprove = (item) => {
+        Alert.alert(
+            "Approve Verification",
+            `Give ${item.displayName || 'this user'} the verified badge?`,
+            [
+                { text: "Cancel", style: "cancel" },
+                { text: "Approve", onPress: () => runDecision(item.userId, 'approve') },
+            ]
+        );
+    };
+
+    const openReasonModal = (item, action) => {
+        setReasonTarget({ ...item, action });
+        setReason('');
+    };
+
+    const handleConfirmReason = () => {
+        if (!reason.trim()) {
+            Toast.show({ type: 'error', text1: 'A reason is required.' });
+            return;
+        }
+        const target = reasonTarget;
+        setReasonTarget(null);
+        if (target) runDecision(target.userId, target.action, reason.trim());
+    };
+
+    const renderRequestItem = ({ item }) => {
+        const isActing = actingOnId === item.userId;
+        return (
+            <View style={styles.itemContainer}>
+                <TouchableOpacity style={styles.itemHeader} onPress={() => navigation.navigate('UserProfile', { userId: item.userId, userName: item.displayName })}>
+                    <Image source={{ uri: item.profilePicUrl || 'https://placehold.co/100x100/E0E0E0/7F7F7F?text=User' }} style={styles.avatar} />
+                    <View style={styles.itemInfo}>
+                        <Text style={styles.itemName} numberOfLines={1}>{item.displayName || 'Unnamed user'}</Text>
+                        {item.email ? <Text style={styles.itemMeta} numberOfLines={1}>{item.email}</Text> : null}
+                        <Text style={styles.itemMeta}>
+                            {(item.averageRating || 0).toFixed(1)} ★ ({item.ratingCount || 0} reviews)
+                            {item.warningCount > 0 ? ` · ${item.warningCount} warning${item.warningCount === 1 ? '' : 's'}` : ''}
+                        </Text>
+                        <Text style={styles.itemMeta}>
+                            Joined {item.joinedAt ? new Date(item.joinedAt).toLocaleDateString() : 'N/A'} · Requested {item.requestedAt ? new Date(item.requestedAt).toLocaleDateString() : 'N/A'}
+                        </Text>
+                    </View>
+                    <View style={[styles.statusBadge, item.status === 'in_review' && styles.statusBadgeInReview]}>
+                        <Text style={styles.statusBadgeText}>{item.status === 'in_review' ? 'IN REVIEW' : 'NEW'}</Text>
+                    </View>
+                </TouchableOpacity>
+                {item.status === 'in_review' ? (
+                    <View style={styles.evidenceRow}>
+                        {Object.keys(EVIDENCE_LABELS).map(kind => (
+                            <EvidenceThumbnail
+                                key={kind}
+                                path={item.evidence?.[kind]}
+                                label={EVIDENCE_LABELS[kind]}
+                                styles={styles}
+                                colors={colors}
+                                onOpen={setPreviewUrl}
+                            />
+                        ))}
+                    </View>
+                ) : null}
+                <View style={styles.actionsRow}>
+                    {isActing ? (
+                        <ActivityIndicator color={colors.primaryTeal} />
+                    ) : item.status === 'submitted' ? (
+                        <TouchableOpacity style={[styles.actionButton, styles.approveButton]} onPress={() => runDecision(item.userId, 'start_review')}>
+                            <Text style={styles.actionButtonText}>Start Review</Text>
+                        </TouchableOpacity>
+                    ) : (
+                        <>
+                            <TouchableOpacity style={[styles.actionButton, styles.denyButton]} onPress={() => openReasonModal(item, 'reject')}>
+                                <Text style={styles.actionButtonText}>Reject</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.actionButton, styles.approveButton]} onPress={() => handleApprove(item)}>
+                                <Text style={styles.actionButtonText}>Approve</Text>
+                            </TouchableOpacity>
+                        </>
+                    )}
+                </View>
+            </View>
+        );
+    };
+
+    if (loading) {
+        return <SafeAreaView style={styles.centered}><ActivityIndicator size="large" color={colors.primaryTeal} /></SafeAreaView>;
+    }
+
+    const reasonAction = reasonTarget ? REASON_ACTIONS[reasonTarget.action] : null;
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <FlatList
+                data={requests}
+                renderItem={renderRequestItem}
+                keyExtractor={(item) => item.userId}
+                onEndReached={handleLoadMore}
+                onEndReachedThreshold={0.5}
+                ListFooterComponent={loadingMore ? <ActivityIndicator style={{ marginVertical: 20 }} color={colors.primaryTeal} /> : null}
+                ListEmptyComponent={
+                    <View style={styles.centered}>
+                        <Ionicons name="shield-checkmark-outline" size={48} color={colors.textDisabled} />
+                        <Text style={styles.emptyText}>No pending requests.</Text>
+                        <Text style={styles.emptySubText}>Sellers who submit verification evidence will appear here.</Text>
+                    </View>
+                }
+                contentContainerStyle={styles.listContainer}
+            />
+
+            <Modal visible={!!reasonTarget} transparent animationType="fade" onRequestClose={() => setReasonTarget(null)}>
+                <View style={styles.modalOverlay}>
+                    <View style={styles.modalContent}>
+                        <Text style={styles.modalTitle}>{reasonAction?.title}</Text>
+                        <Text style={styles.modalSubtitle}>{reasonTarget?.displayName || 'The user'} will see this reason.</Text>
+                        <TextInput
+                            style={styles.reasonInput}
+                            value={reason}
+                            onChangeText={setReason}
+                            placeholder={reasonAction?.placeholder}
+                            placeholderTextColor={colors.textDisabled}
+                            multiline
+                            maxLength={500}
+                        />
+                        <View style={styles.actionsRow}>
+                            <TouchableOpacity style={[styles.actionButton, styles.cancelButton]} onPress={() => setReasonTarget(null)}>
+                                <Text style={[styles.actionButtonText, styles.cancelButtonText]}>Cancel</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.actionButton, styles.denyButton]} onPress={handleConfirmReason}>
+                                <Text style={styles.actionButtonText}>{reasonAction?.button}</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
+            <Modal visible={!!previewUrl} transparent animationType="fade" onRequestClose={() => setPreviewUrl(null)}>
+                <View style={styles.previewContainer}>
+                    <TouchableOpacity style={styles.previewCloseButton} onPress={() => setPreviewUrl(null)}>
+                        <Ionicons name="close-circle" size={32} color="white" />
+                    </TouchableOpacity>
+                    <Image source={{ uri: previewUrl }} style={styles.previewImage} resizeMode="contain" />
+                </View>
+            </Modal>
+            <Toast />
+        </SafeAreaView>
+    );
+};
+
+const themedStyles = (colors, isDarkMode) => StyleSheet.create({
+    container: { flex: 1, backgroundColor: colors.background },
+    centered: { flex: 1, justifyContent: 'center', alignItems: 'center', padding: 20, backgroundColor: colors.background },
+    listContainer: { padding: 15, flexGrow: 1 },
+    emptyText: { marginTop: 20, fontSize: 18, fontWeight: 'bold', color: colors.textPrimary },
+    emptySubText: { marginTop: 10, fontSize: 14, color: colors.textSecondary, textAlign: 'center', paddingHorizontal: 20 },
+    itemContainer: {
+        backgroundColor: colors.surface,
+        borderRadius: 8,
+        borderWidth: isDarkMode ? 1 : 0,
+        borderColor: colors.border,
+        padding: 15,
+        marginBottom: 12,
+    },
+    itemHeader: { flexDirection: 'row', alignItems: 'center' },
+    avatar: { width: 56, height: 56, borderRadius: 28, marginRight: 12, backgroundColor: colors.border },
+    itemInfo: { flex: 1 },
+    itemName: { fontSize: 16, fontWeight: '600', color: colors.textPrimary, marginBottom: 2 },
+    itemMeta: { fontSize: 13, color: colors.textSecondary, marginTop: 2 },
+    statusBadge: { alignSelf: 'flex-start', backgroundColor: colors.primaryTeal, paddingHorizontal: 6, paddingVertical: 3, borderRadius: 4 },
+    statusBadgeInReview: { backgroundColor: colors.warning },
+    statusBadgeText: { color: '#FFFFFF', fontSize: 10, fontWeight: 'bold' },
+    evidenceRow: { flexDirection: 'row', justifyContent: 'space-around', marginTop: 12 },
+    evidenceItem: { alignItems: 'center' },
+    evidenceImage: { width: 90, height: 90, borderRadius: 6, backgroundColor: colors.border },
+    evidencePlaceholder: { justifyContent: 'center', alignItems: 'center' },
+    evidenceLabel: { fontSize: 12, color: colors.textSecondary, marginTop: 4 },
+    previewContainer: { flex: 1, backgroundColor: 'rgba(0,0,0,0.85)', justifyContent: 'center', alignItems: 'center' },
+    previewImage: { width: '100%', height: '100%' },
+    previewCloseButton: { position: 'absolute', top: 50, right: 15, padding: 10, zIndex: 10 },
+    actionsRow: { flexDirection: 'row', justifyContent: 'flex-end', alignItems: 'center', marginTop: 12 },
+    actionButton: { paddingVertical: 8, paddingHorizontal: 18, borderRadius: 6, marginLeft: 10 },
+    approveButton: { backgroundColor: colors.primaryGreen },
+    denyButton: { backgroundColor: colors.error },
+    cancelButton: { borderWidth: 1, borderColor: colors.border },
+    actionButtonText: { color: colors.textOnPrimary || '#ffffff', fontWeight: 'bold' },
+    cancelButtonText: { color: colors.textPrimary },
+    modalOverlay: { flex: 1, backgroundColor: 'rgba(0,0,0,0.5)', justifyContent: 'center', padding: 20 },
+    modalContent: { backgroundColor: colors.surface, borderRadius: 10, padding: 20 },
+    modalTitle: { fontSize: 18, fontWeight: 'bold', color: colors.textPrimary, marginBottom: 6 },
+    modalSubtitle: { fontSize: 13, color: colors.textSecondary, marginBottom: 12 },
+    reasonInput: {
+        minHeight: 80,
+        borderWidth: 1,
+        borderColor: colors.border,
+        borderRadius: 6,
+        padding: 10,
+        color: colors.textPrimary,
+        textAlignVertical: 'top',
+    },
+});
+
+export default VerificationRequestsScreen;
@@ -2,15 +2,22 @@
 
 import Ionicons from '@expo/vector-icons/Ionicons';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { Image as ExpoImage } from 'expo-image';
 import { useCallback, useMemo, useState } from 'react';
 import {
-  ActivityIndicator, Alert, FlatList, Image, RefreshControl, SafeAreaView, StyleSheet, Text, TouchableOpacity, View
+  ActivityIndicator, Alert, FlatList, RefreshControl, SafeAreaView, StyleSheet, Text, TouchableOpacity, View
 } from 'react-native';
 
 // 1. Import the new firebase modules
 import { auth, firestore } from '../firebaseConfig';
 import { useTheme } from '../src/ThemeContext';
 
+// --- Helper: format a video duration in seconds as m:ss ---
+const formatVideoDuration = (seconds) => {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
 const WishlistScreen = () => {
   const navigation = useNavigation();
   const { colors, isDarkMode } = useTheme();
@@ -120,11 +127,25 @@ const WishlistScreen = () => {
         style={styles.itemTouchable}
         onPress={() => navigation.navigate('Details', { productId: item.id })}
       >
-        <Image source={{ uri: item.imageUrl || 'https://via.placeholder.com/150' }} style={styles.itemImage} resizeMode="cover"/>
+        <ExpoImage
+          source={{ uri: item.thumbnailUrl || item.imageUrl || 'https://via.placeholder.com/150' }}
+          placeholder={item.imagePlaceholder ? { blurhash: item.imagePlaceholder } : undefined}
+          contentFit="cover"
+          transition={200}
+          style={styles.itemImage}
+        />
         <View style={styles.itemInfo}>
             <Text style={styles.itemName} numberOfLines={2}>{item.name || 'No Name'}</Text>
             <Text style={styles.itemPrice}>{typeof item.price === 'number' ? `$${item.price.toFixed(2)}` : 'N/A'}</Text>
             <Text style={styles.itemSeller} numberOfLines={1}>By: {item.sellerDisplayName || 'Unknown'}</Text>
+            {item.videoUrl && (
+              <View style={styles.videoInfo}>
+                <Ionicons name="videocam-outline" size={14} color={colors.textSecondary} />
+                <Text style={styles.videoInfoText}>
+                  {item.videoDurationSeconds ? `Video · ${formatVideoDuration(item.videoDurationSeconds)}` : 'Video'}
+                </Text>
+              </View>
+            )}
         </View>
       </TouchableOpacity>
       <TouchableOpacity
@@ -170,6 +191,8 @@ const WishlistScreen = () => {
     itemName: { fontSize: 15, fontWeight: 'bold', color: colors.textPrimary, marginBottom: 4, },
     itemPrice: { fontSize: 14, color: colors.primaryGreen, fontWeight: '600', marginBottom: 4, },
     itemSeller: { fontSize: 12, color: colors.textSecondary, },
+    videoInfo: { flexDirection: 'row', alignItems: 'center', marginTop: 4 },
+    videoInfoText: { fontSize: 12, color: colors.textSecondary, marginLeft: 4 },
     removeButton: {
         padding: 8,
         marginLeft: 10,
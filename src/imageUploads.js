@@ -0,0 +1,44 @@
+// src/imageUploads.js
+
+import { storage } from '../firebaseConfig';
+
+/**
+ * Images are uploaded to a private staging copy of their path under this prefix.
+ * generateImageVariants strips embedded metadata (GPS location, device details) and
+ * publishes the result at the real path, so nothing readable ever carries it.
+ */
+const IMAGE_UPLOADS_PREFIX = 'image_uploads/';
+const PUBLISH_POLL_INTERVAL_MS = 1000;
+const PUBLISH_TIMEOUT_MS = 60 * 1000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Uploads a local image and waits for the server to publish it at `storagePath`.
+ * The upload ID tells this upload apart from an older file at the same path,
+ * e.g. the profile picture it replaces.
+ * @param {string} storagePath The public path the image will be readable at.
+ * @param {string} localUri The local file to upload.
+ * @returns {Promise<string>} The download URL of the published image.
+ */
+export async function uploadImage(storagePath, localUri) {
+    const uploadId = `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+    await storage().ref(`${IMAGE_UPLOADS_PREFIX}${storagePath}`).putFile(localUri, {
+        customMetadata: { uploadId },
+    });
+
+    const reference = storage().ref(storagePath);
+    const deadline = Date.now() + PUBLISH_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        try {
+            const metadata = await reference.getMetadata();
+            if (metadata.customMetadata?.uploadId === uploadId) {
+                return reference.getDownloadURL();
+            }
+        } catch (error) {
+            if (error.code !== 'storage/object-not-found') throw error;
+        }
+        await wait(PUBLISH_POLL_INTERVAL_MS);
+    }
+    throw new Error(`Timed out waiting for ${storagePath} to be published.`);
+}
@@ -0,0 +1,417 @@
+// tests/rules/firestore.test.js
+// Runs against the Firestore emulator: `npm test` starts it through `firebase emulators:exec`.
+
+const { after, before, beforeEach, describe, it } = require('node:test');
+const fs = require('node:fs');
+const { assertFails, assertSucceeds, initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const {
+    GeoPoint,
+    collectionGroup,
+    deleteDoc,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    setDoc,
+    updateDoc,
+    where,
+    writeBatch,
+} = require('firebase/firestore');
+
+const PROJECT_ID = 'demo-yahdsell';
+
+let testEnv;
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: { rules: fs.readFileSync('firestore.rules', 'utf8') },
+    });
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(() => testEnv.clearFirestore());
+
+// Writes test data with rules off, the way the Admin SDK in Cloud Functions would.
+const seed = (writes) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [docPath, data] of Object.entries(writes)) {
+        await setDoc(doc(db, docPath), data);
+    }
+});
+
+const dbAs = (uid, claims) => testEnv.authenticatedContext(uid, claims).firestore();
+
+const ALICE_PROFILE = { displayName: 'Alice', averageRating: 4.5, ratingCount: 2, isVerified: false };
+
+const newProduct = (overrides = {}) => ({
+    sellerId: 'alice',
+    name: 'Desk lamp',
+    description: 'Works fine',
+    price: 15,
+    category: 'Home & Garden',
+    condition: 'Used - Good',
+    status: 'active',
+    isSold: false,
+    sellerAverageRating: 4.5,
+    sellerRatingCount: 2,
+    sellerIsVerified: false,
+    ...overrides,
+});
+
+// What SubmissionForm writes: listings stay hidden until moderateNewListing passes them.
+const newListing = (overrides = {}) => newProduct({ status: 'pending_moderation', ...overrides });
+
+describe('users', () => {
+    it('lets users create their own profile without backend-owned fields', async () => {
+        const db = dbAs('alice');
+        await assertSucceeds(setDoc(doc(db, 'users/alice'), { displayName: 'Alice' }));
+        await assertFails(setDoc(doc(dbAs('bob'), 'users/alice'), { displayName: 'Alice' }));
+        await assertFails(setDoc(doc(db, 'users/alice'), { displayName: 'Alice', isVerified: true }));
+    });
+
+    describe('updates', () => {
+        beforeEach(() => seed({ 'users/alice': ALICE_PROFILE }));
+
+        it('lets users edit their own profile', async () => {
+            await assertSucceeds(updateDoc(doc(dbAs('alice'), 'users/alice'), { displayName: 'Alice B.', bio: 'Hi' }));
+            await assertFails(updateDoc(doc(dbAs('bob'), 'users/alice'), { displayName: 'Not Alice' }));
+        });
+
+        it('rejects users verifying themselves or changing their own ratings', async () => {
+            const db = dbAs('alice');
+            await assertFails(updateDoc(doc(db, 'users/alice'), { isVerified: true }));
+            await assertFails(updateDoc(doc(db, 'users/alice'), { averageRating: 5 }));
+            await assertFails(updateDoc(doc(db, 'users/alice'), { verificationStatus: 'approved' }));
+            await assertFails(updateDoc(doc(db, 'users/alice'), { isSuspended: false }));
+        });
+
+        it('keeps profiles public and never deletable by clients', async () => {
+            await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'users/alice')));
+            await assertFails(deleteDoc(doc(dbAs('alice'), 'users/alice')));
+        });
+    });
+});
+
+describe('products', () => {
+    beforeEach(() => seed({ 'users/alice': ALICE_PROFILE }));
+
+    it('lets a seller create an unsold listing awaiting moderation', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('alice'), 'products/p1'), newListing()));
+    });
+
+    it('rejects listings created for someone else', async () => {
+        await assertFails(setDoc(doc(dbAs('bob'), 'products/p1'), newListing()));
+    });
+
+    it('rejects listings that skip moderation, the lifecycle or the offer flow', async () => {
+        const db = dbAs('alice');
+        await assertFails(setDoc(doc(db, 'products/p1'), newListing({ status: 'active' })));
+        await assertFails(setDoc(doc(db, 'products/p1'), newListing({ status: 'pending_review' })));
+        await assertFails(setDoc(doc(db, 'products/p1'), newListing({ isSold: true })));
+    });
+
+    it('rejects server-owned fields, exact locations and invalid prices', async () => {
+        const db = dbAs('alice');
+        await assertFails(setDoc(doc(db, 'products/p1'), newListing({ geohash: 'u4pruyd' })));
+        await assertFails(setDoc(doc(db, 'products/p1'), newListing({ sellerLocation: new GeoPoint(51.5, -0.1) })));
+        await assertFails(setDoc(doc(db, 'products/p1'), newListing({ price: -1 })));
+        await assertFails(setDoc(doc(db, 'products/p1'), newListing({ price: '15' })));
+    });
+
+    it('rejects seller ratings or verification that do not match the profile', async () => {
+        const db = dbAs('alice');
+        await assertFails(setDoc(doc(db, 'products/p1'), newListing({ sellerAverageRating: 5 })));
+        await assertFails(setDoc(doc(db, 'products/p1'), newListing({ sellerIsVerified: true })));
+    });
+
+    describe('updates', () => {
+        beforeEach(() => seed({ 'products/p1': newProduct() }));
+
+        it('lets the seller edit the listing details', async () => {
+            await assertSucceeds(updateDoc(doc(dbAs('alice'), 'products/p1'), { name: 'Brass desk lamp', price: 20 }));
+        });
+
+        it('keeps isSold, status and server fields out of client edits', async () => {
+            const db = dbAs('alice');
+            await assertFails(updateDoc(doc(db, 'products/p1'), { isSold: true }));
+            await assertFails(updateDoc(doc(db, 'products/p1'), { status: 'archived' }));
+            await assertFails(updateDoc(doc(db, 'products/p1'), { viewCount: 1000 }));
+        });
+
+        it('rejects invalid prices and edits by other users', async () => {
+            await assertFails(updateDoc(doc(dbAs('alice'), 'products/p1'), { price: -5 }));
+            await assertFails(updateDoc(doc(dbAs('bob'), 'products/p1'), { name: 'Mine now' }));
+        });
+    });
+
+    describe('private location', () => {
+        it('lets the seller write the exact location in the same batch as a new listing', async () => {
+            const db = dbAs('alice');
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'products/p2'), newListing());
+            batch.set(doc(db, 'products/p2/private/location'), { exactLocation: new GeoPoint(51.5, -0.1) });
+            await assertSucceeds(batch.commit());
+        });
+
+        it('rejects other users, other document IDs and non-coordinates', async () => {
+            await seed({ 'products/p2': newProduct() });
+            await assertFails(setDoc(doc(dbAs('bob'), 'products/p2/private/location'), { exactLocation: new GeoPoint(1, 1) }));
+            await assertFails(setDoc(doc(dbAs('alice'), 'products/p2/private/other'), { exactLocation: new GeoPoint(1, 1) }));
+            await assertFails(setDoc(doc(dbAs('alice'), 'products/p2/private/location'), { exactLocation: '51.5,-0.1' }));
+        });
+
+        it('is readable by the seller only', async () => {
+            await seed({
+                'products/p2': newProduct(),
+                'products/p2/private/location': { exactLocation: new GeoPoint(51.5, -0.1) },
+            });
+            await assertSucceeds(getDoc(doc(dbAs('alice'), 'products/p2/private/location')));
+            await assertFails(getDoc(doc(dbAs('bob'), 'products/p2/private/location')));
+            await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'products/p2/private/location')));
+        });
+    });
+});
+
+describe('offers', () => {
+    const offer = { buyerId: 'bob', offerAmount: 10, status: 'pending' };
+
+    beforeEach(() => seed({ 'products/p1': newProduct(), 'products/p1/offers/o1': offer }));
+
+    it('is readable by the buyer and the seller only', async () => {
+        await assertSucceeds(getDoc(doc(dbAs('bob'), 'products/p1/offers/o1')));
+        await assertSucceeds(getDoc(doc(dbAs('alice'), 'products/p1/offers/o1')));
+        await assertFails(getDoc(doc(dbAs('carol'), 'products/p1/offers/o1')));
+    });
+
+    it('leaves every offer write to Cloud Functions', async () => {
+        await assertFails(setDoc(doc(dbAs('bob'), 'products/p1/offers/o2'), offer));
+        await assertFails(updateDoc(doc(dbAs('alice'), 'products/p1/offers/o1'), { status: 'accepted' }));
+        await assertFails(deleteDoc(doc(dbAs('bob'), 'products/p1/offers/o1')));
+    });
+});
+
+describe('comments', () => {
+    const comment = { userId: 'bob', text: 'Is this still available?' };
+
+    beforeEach(() => seed({ 'products/p1': newProduct() }));
+
+    it('lets signed-in users comment as themselves', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('bob'), 'products/p1/comments/c1'), comment));
+        await assertFails(setDoc(doc(dbAs('carol'), 'products/p1/comments/c2'), comment));
+    });
+
+    it('rejects comments when the seller blocked the commenter', async () => {
+        await seed({ 'users/alice/blockedUsers/bob': { blockedAt: new Date() } });
+        await assertFails(setDoc(doc(dbAs('bob'), 'products/p1/comments/c1'), comment));
+    });
+
+    it('rejects comments when the commenter blocked the seller', async () => {
+        await seed({ 'users/bob/blockedUsers/alice': { blockedAt: new Date() } });
+        await assertFails(setDoc(doc(dbAs('bob'), 'products/p1/comments/c1'), comment));
+    });
+});
+
+describe('reviews', () => {
+    const review = { sellerId: 'alice', reviewerId: 'bob', rating: 5, comment: 'Great seller' };
+
+    beforeEach(() => seed({ 'reviews/r1': review }));
+
+    it('is readable by anyone', async () => {
+        await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'reviews/r1')));
+    });
+
+    it('leaves every review write to Cloud Functions', async () => {
+        await assertFails(setDoc(doc(dbAs('bob'), 'reviews/r2'), review));
+        await assertFails(updateDoc(doc(dbAs('alice'), 'reviews/r1'), { sellerReply: 'Thanks!' }));
+        await assertFails(deleteDoc(doc(dbAs('bob'), 'reviews/r1')));
+    });
+});
+
+describe('private chats', () => {
+    const chat = { participants: ['alice', 'bob'] };
+    const message = { text: 'Hi!', createdAt: new Date(), user: { _id: 'alice' } };
+
+    it('lets participants open a chat and send messages', async () => {
+        const db = dbAs('alice');
+        await assertSucceeds(setDoc(doc(db, 'privateChats/alice_bob'), chat));
+        await assertSucceeds(setDoc(doc(db, 'privateChats/alice_bob/messages/m1'), message));
+    });
+
+    it('keeps other users and system messages out', async () => {
+        await seed({ 'privateChats/alice_bob': chat });
+        await assertFails(setDoc(doc(dbAs('carol'), 'privateChats/alice_bob/messages/m1'), { ...message, user: { _id: 'carol' } }));
+        await assertFails(setDoc(doc(dbAs('alice'), 'privateChats/alice_bob/messages/m1'), { ...message, system: true }));
+    });
+
+    it('rejects chats and messages between blocked users, whoever blocked', async () => {
+        await seed({
+            'privateChats/alice_bob': chat,
+            'users/bob/blockedUsers/alice': { blockedAt: new Date() },
+        });
+        const db = dbAs('alice');
+        await assertFails(setDoc(doc(db, 'privateChats/alice_bob'), { ...chat, lastMessage: { text: 'Hi!' } }));
+        await assertFails(setDoc(doc(db, 'privateChats/alice_bob/messages/m1'), message));
+    });
+});
+
+describe('groups', () => {
+    const message = { text: 'Hello all', createdAt: new Date(), user: { _id: 'alice' } };
+
+    beforeEach(() => seed({ 'groups/g1': { name: 'Local deals' }, 'groups/g1/messages/m1': message }));
+
+    it('is readable by signed-in users only', async () => {
+        await assertSucceeds(getDoc(doc(dbAs('bob'), 'groups/g1')));
+        await assertSucceeds(getDoc(doc(dbAs('bob'), 'groups/g1/messages/m1')));
+        await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'groups/g1/messages/m1')));
+    });
+
+    it('lets members post as themselves only', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('alice'), 'groups/g1/messages/m2'), message));
+        await assertFails(setDoc(doc(dbAs('bob'), 'groups/g1/messages/m3'), message));
+        await assertFails(updateDoc(doc(dbAs('alice'), 'groups/g1/messages/m1'), { text: 'Edited' }));
+    });
+
+    it('leaves the groups themselves to Cloud Functions', async () => {
+        await assertFails(setDoc(doc(dbAs('alice'), 'groups/g2'), { name: 'My group' }));
+        await assertFails(updateDoc(doc(dbAs('alice'), 'groups/g1'), { name: 'Renamed' }));
+    });
+});
+
+describe('blocks', () => {
+    it('lets users block others but not themselves', async () => {
+        const db = dbAs('alice');
+        await assertSucceeds(setDoc(doc(db, 'users/alice/blockedUsers/bob'), { blockedAt: new Date() }));
+        await assertFails(setDoc(doc(db, 'users/alice/blockedUsers/alice'), { blockedAt: new Date() }));
+        await assertSucceeds(deleteDoc(doc(db, 'users/alice/blockedUsers/bob')));
+    });
+
+    it('keeps block lists private to their owner', async () => {
+        await seed({ 'users/alice/blockedUsers/bob': { blockedAt: new Date() } });
+        await assertSucceeds(getDoc(doc(dbAs('alice'), 'users/alice/blockedUsers/bob')));
+        await assertFails(getDoc(doc(dbAs('bob'), 'users/alice/blockedUsers/bob')));
+        await assertFails(setDoc(doc(dbAs('bob'), 'users/alice/blockedUsers/carol'), { blockedAt: new Date() }));
+    });
+
+    it('lets blocked users read, but never write, their blockedBy mirror', async () => {
+        await seed({ 'users/bob/blockedBy/alice': { blockedAt: new Date() } });
+        await assertSucceeds(getDoc(doc(dbAs('bob'), 'users/bob/blockedBy/alice')));
+        await assertFails(getDoc(doc(dbAs('alice'), 'users/bob/blockedBy/alice')));
+        await assertFails(deleteDoc(doc(dbAs('bob'), 'users/bob/blockedBy/alice')));
+        await assertFails(setDoc(doc(dbAs('alice'), 'users/bob/blockedBy/alice'), { blockedAt: new Date() }));
+    });
+});
+
+describe('follows', () => {
+    it('lets users follow by writing their own following and followers entries', async () => {
+        const db = dbAs('bob');
+        const batch = writeBatch(db);
+        batch.set(doc(db, 'users/bob/following/alice'), { followedAt: new Date() });
+        batch.set(doc(db, 'users/alice/followers/bob'), { followedAt: new Date() });
+        await assertSucceeds(batch.commit());
+    });
+
+    it('rejects follows written on behalf of someone else', async () => {
+        await assertFails(setDoc(doc(dbAs('carol'), 'users/bob/following/alice'), { followedAt: new Date() }));
+        await assertFails(setDoc(doc(dbAs('carol'), 'users/alice/followers/bob'), { followedAt: new Date() }));
+    });
+
+    it('keeps follow lists public', async () => {
+        await seed({ 'users/alice/followers/bob': { followedAt: new Date() } });
+        await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'users/alice/followers/bob')));
+    });
+});
+
+describe('wishlists', () => {
+    it('requires entries to carry the productId they are keyed by', async () => {
+        const db = dbAs('bob');
+        await assertSucceeds(setDoc(doc(db, 'users/bob/wishlist/p1'), { productId: 'p1', savedAt: new Date() }));
+        await assertFails(setDoc(doc(db, 'users/bob/wishlist/p2'), { savedAt: new Date() }));
+        await assertFails(setDoc(doc(db, 'users/bob/wishlist/p3'), { productId: 'p1', savedAt: new Date() }));
+    });
+
+    it('lets sellers see who saved their own listings', async () => {
+        await seed({
+            'products/p1': newProduct(),
+            'users/bob/wishlist/p1': { productId: 'p1', savedAt: new Date() },
+        });
+        const savedBy = (uid) => getDocs(query(collectionGroup(dbAs(uid), 'wishlist'), where('productId', '==', 'p1')));
+        await assertSucceeds(savedBy('alice'));
+        await assertFails(savedBy('carol'));
+    });
+});
+
+describe('saved searches', () => {
+    const search = { criteria: { searchQuery: 'lamp', category: 'Home & Garden' }, createdAt: new Date() };
+
+    it('lets users save searches with an optional location', async () => {
+        const db = dbAs('bob');
+        await assertSucceeds(setDoc(doc(db, 'users/bob/savedSearches/s1'), search));
+        await assertSucceeds(setDoc(doc(db, 'users/bob/savedSearches/s2'), { ...search, searchLocation: new GeoPoint(51.5, -0.1) }));
+    });
+
+    it('rejects missing criteria and locations that are not coordinates', async () => {
+        const db = dbAs('bob');
+        await assertFails(setDoc(doc(db, 'users/bob/savedSearches/s1'), { createdAt: new Date() }));
+        await assertFails(setDoc(doc(db, 'users/bob/savedSearches/s2'), { ...search, searchLocation: '51.5,-0.1' }));
+    });
+
+    it('keeps saved searches private to their owner', async () => {
+        await seed({ 'users/bob/savedSearches/s1': search });
+        await assertSucceeds(getDoc(doc(dbAs('bob'), 'users/bob/savedSearches/s1')));
+        await assertFails(getDoc(doc(dbAs('alice'), 'users/bob/savedSearches/s1')));
+        await assertFails(setDoc(doc(dbAs('alice'), 'users/bob/savedSearches/s2'), search));
+    });
+});
+
+describe('notifications', () => {
+    const notification = { type: 'new_offer', title: 'New offer', body: 'Bob offered $10', isRead: false };
+
+    beforeEach(() => seed({ 'users/alice/notifications/n1': notification }));
+
+    it('lets users read, mark as read and delete their own notifications', async () => {
+        const db = dbAs('alice');
+        await assertSucceeds(getDoc(doc(db, 'users/alice/notifications/n1')));
+        await assertSucceeds(updateDoc(doc(db, 'users/alice/notifications/n1'), { isRead: true, readAt: new Date() }));
+        await assertSucceeds(deleteDoc(doc(db, 'users/alice/notifications/n1')));
+    });
+
+    it('rejects edits to anything but the read state', async () => {
+        await assertFails(updateDoc(doc(dbAs('alice'), 'users/alice/notifications/n1'), { body: 'Bob offered $1000' }));
+    });
+
+    it('leaves creating notifications to Cloud Functions', async () => {
+        await assertFails(setDoc(doc(dbAs('alice'), 'users/alice/notifications/n2'), notification));
+        await assertFails(setDoc(doc(dbAs('bob'), 'users/alice/notifications/n2'), notification));
+    });
+
+    it('hides notifications from other users', async () => {
+        await assertFails(getDoc(doc(dbAs('bob'), 'users/alice/notifications/n1')));
+        await assertFails(updateDoc(doc(dbAs('bob'), 'users/alice/notifications/n1'), { isRead: true }));
+    });
+});
+
+describe('moderation collections', () => {
+    beforeEach(() => seed({
+        'reports/product_p1_bob': { targetType: 'product', targetKey: 'p1', reporterId: 'bob', status: 'open' },
+        'reviewReports/r1_bob': { reviewId: 'r1', reporterId: 'bob', status: 'open' },
+    }));
+
+    it('lets moderators and admins read reports', async () => {
+        await assertSucceeds(getDoc(doc(dbAs('mod', { moderator: true }), 'reports/product_p1_bob')));
+        await assertSucceeds(getDoc(doc(dbAs('root', { admin: true }), 'reports/product_p1_bob')));
+        await assertSucceeds(getDoc(doc(dbAs('mod', { moderator: true }), 'reviewReports/r1_bob')));
+    });
+
+    it('hides reports from everyone else, including the reporter', async () => {
+        await assertFails(getDoc(doc(dbAs('bob'), 'reports/product_p1_bob')));
+        await assertFails(getDoc(doc(dbAs('bob'), 'reviewReports/r1_bob')));
+    });
+
+    it('leaves every report write to Cloud Functions', async () => {
+        const db = dbAs('mod', { moderator: true });
+        await assertFails(updateDoc(doc(db, 'reports/product_p1_bob'), { status: 'resolved' }));
+        await assertFails(setDoc(doc(dbAs('bob'), 'reports/product_p2_bob'), { targetType: 'product', targetKey: 'p2' }));
+    });
+});
@@ -0,0 +1,155 @@
+// tests/rules/storage.test.js
+// Runs against the Storage emulator: `npm test` starts it through `firebase emulators:exec`.
+
+const { after, before, beforeEach, describe, it } = require('node:test');
+const fs = require('node:fs');
+const { assertFails, assertSucceeds, initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const { deleteObject, getMetadata, ref, uploadBytes } = require('firebase/storage');
+
+const PROJECT_ID = 'demo-yahdsell';
+const IMAGE = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+const JPEG = { contentType: 'image/jpeg' };
+
+let testEnv;
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        storage: { rules: fs.readFileSync('storage.rules', 'utf8') },
+    });
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(() => testEnv.clearStorage());
+
+const storageAs = (uid, claims) => testEnv.authenticatedContext(uid, claims).storage();
+
+const seedFile = (filePath) => testEnv.withSecurityRulesDisabled((context) =>
+    uploadBytes(ref(context.storage(), filePath), IMAGE, JPEG)
+);
+
+const upload = (storage, filePath, contentType = JPEG) => uploadBytes(ref(storage, filePath), IMAGE, contentType);
+
+// Clients upload images to image_uploads/<path>; generateImageVariants publishes them at <path>.
+describe('image uploads', () => {
+    it('lets users stage their own listing images', async () => {
+        await assertSucceeds(upload(storageAs('alice'), 'image_uploads/product_images/alice_1700000000000.jpeg'));
+        await assertFails(upload(storageAs('bob'), 'image_uploads/product_images/alice_1700000000000.jpeg'));
+        await assertFails(upload(storageAs('alice'), 'image_uploads/product_images/alice_1700000000000.pdf', { contentType: 'application/pdf' }));
+    });
+
+    it('lets users stage and replace their own profile picture', async () => {
+        const storage = storageAs('alice');
+        await assertSucceeds(upload(storage, 'image_uploads/profile_pictures/alice.jpg'));
+        await assertSucceeds(upload(storage, 'image_uploads/profile_pictures/alice.jpg'));
+        await assertFails(upload(storageAs('bob'), 'image_uploads/profile_pictures/alice.jpg'));
+    });
+
+    it('lets chat participants stage images in their own chats only', async () => {
+        await assertSucceeds(upload(storageAs('alice'), 'image_uploads/chatImages/alice_bob/alice_1700000000000.jpg'));
+        await assertFails(upload(storageAs('carol'), 'image_uploads/chatImages/alice_bob/carol_1700000000000.jpg'));
+        await assertFails(upload(storageAs('bob'), 'image_uploads/chatImages/alice_bob/alice_1700000000000.jpg'));
+    });
+
+    it('lets signed-in users stage their own group chat images', async () => {
+        await assertSucceeds(upload(storageAs('alice'), 'image_uploads/groupChatImages/g1/alice_1700000000000.jpg'));
+        await assertFails(upload(storageAs('bob'), 'image_uploads/groupChatImages/g1/alice_1700000000000.jpg'));
+    });
+
+    it('never lets anyone read a staged upload, not even the uploader', async () => {
+        const filePath = 'image_uploads/product_images/alice_1700000000000.jpeg';
+        await seedFile(filePath);
+        await assertFails(getMetadata(ref(storageAs('alice'), filePath)));
+        await assertFails(getMetadata(ref(testEnv.unauthenticatedContext().storage(), filePath)));
+    });
+});
+
+describe('product_images', () => {
+    const filePath = 'product_images/alice_1700000000000.jpeg';
+
+    it('is readable by anyone', async () => {
+        await seedFile(filePath);
+        await assertSucceeds(getMetadata(ref(testEnv.unauthenticatedContext().storage(), filePath)));
+    });
+
+    it('only takes images published from a staged upload', async () => {
+        await assertFails(upload(storageAs('alice'), filePath));
+    });
+
+    it('lets sellers delete their own images only', async () => {
+        await seedFile(filePath);
+        await assertFails(deleteObject(ref(storageAs('bob'), filePath)));
+        await assertSucceeds(deleteObject(ref(storageAs('alice'), filePath)));
+    });
+});
+
+describe('profile_pictures', () => {
+    const filePath = 'profile_pictures/alice.jpg';
+
+    it('is readable by anyone', async () => {
+        await seedFile(filePath);
+        await assertSucceeds(getMetadata(ref(testEnv.unauthenticatedContext().storage(), filePath)));
+    });
+
+    it('only takes pictures published from a staged upload', async () => {
+        await assertFails(upload(storageAs('alice'), filePath));
+        await seedFile(filePath);
+        await assertFails(upload(storageAs('alice'), filePath));
+    });
+
+    it('lets users delete their own picture only', async () => {
+        await seedFile(filePath);
+        await assertFails(deleteObject(ref(storageAs('bob'), filePath)));
+        await assertSucceeds(deleteObject(ref(storageAs('alice'), filePath)));
+    });
+});
+
+describe('chatImages', () => {
+    const filePath = 'chatImages/alice_bob/alice_1700000000000.jpg';
+
+    it('is readable by the chat participants only', async () => {
+        await seedFile(filePath);
+        await assertSucceeds(getMetadata(ref(storageAs('alice'), filePath)));
+        await assertSucceeds(getMetadata(ref(storageAs('bob'), filePath)));
+        await assertFails(getMetadata(ref(storageAs('carol'), filePath)));
+    });
+
+    it('only takes images published from a staged upload and never deletes them', async () => {
+        await assertFails(upload(storageAs('alice'), filePath));
+        await seedFile(filePath);
+        await assertFails(deleteObject(ref(storageAs('alice'), filePath)));
+    });
+});
+
+describe('verification_evidence', () => {
+    it('lets users upload their own ID photos, selfies and proof of address', async () => {
+        const storage = storageAs('alice');
+        await assertSucceeds(uploadBytes(ref(storage, 'verification_evidence/alice/idPhoto_1700000000000.jpg'), IMAGE, JPEG));
+        await assertSucceeds(uploadBytes(ref(storage, 'verification_evidence/alice/selfie_1700000000000.jpg'), IMAGE, JPEG));
+        await assertSucceeds(uploadBytes(ref(storage, 'verification_evidence/alice/proofOfAddress_1700000000000.jpg'), IMAGE, JPEG));
+    });
+
+    it('rejects uploads into another user\'s folder', async () => {
+        await assertFails(uploadBytes(ref(storageAs('bob'), 'verification_evidence/alice/idPhoto_1700000000000.jpg'), IMAGE, JPEG));
+    });
+
+    it('rejects unexpected file names and non-image uploads', async () => {
+        const storage = storageAs('alice');
+        await assertFails(uploadBytes(ref(storage, 'verification_evidence/alice/passport_1700000000000.jpg'), IMAGE, JPEG));
+        await assertFails(uploadBytes(ref(storage, 'verification_evidence/alice/idPhoto_1700000000000.pdf'), IMAGE, { contentType: 'application/pdf' }));
+    });
+
+    it('never lets evidence be overwritten once uploaded', async () => {
+        await seedFile('verification_evidence/alice/idPhoto_1700000000000.jpg');
+        await assertFails(uploadBytes(ref(storageAs('alice'), 'verification_evidence/alice/idPhoto_1700000000000.jpg'), IMAGE, JPEG));
+    });
+
+    it('is readable by admins only, not even by the uploader', async () => {
+        const filePath = 'verification_evidence/alice/idPhoto_1700000000000.jpg';
+        await seedFile(filePath);
+        await assertSucceeds(getMetadata(ref(storageAs('root', { admin: true }), filePath)));
+        await assertFails(getMetadata(ref(storageAs('mod', { moderator: true }), filePath)));
+        await assertFails(getMetadata(ref(storageAs('alice'), filePath)));
+    });
+});